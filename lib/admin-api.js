@@ -0,0 +1,213 @@
+// ─── Anthropic Admin API client ─────────────────────────────────────────────
+// Requests to the Admin API (usage report, cost report, API keys) over node's
+// http/https, with the admin key in a request header rather than a shell
+// command line. Each endpoint has a request builder that checks its
+// parameters and returns { kind, path, params }; the client sends it:
+//   send(request)    one page, parsed JSON
+//   pages(request)   every page, following next_page / last_id cursors
+// Rate limits (429), overload (529), 5xx and network errors are retried,
+// waiting as long as `retry-after` asks (or backing off exponentially). A
+// wait longer than maxRetryWaitMs is not retried; the error carries it as
+// retryAfterMs so the caller can back off instead.
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const API_VERSION = '2023-06-01';
+const USAGE_PATH = '/v1/organizations/usage_report/messages';
+const COST_PATH = '/v1/organizations/cost_report';
+const API_KEYS_PATH = '/v1/organizations/api_keys';
+
+const BUCKET_WIDTHS = ['1m', '1h', '1d'];
+const USAGE_GROUP_BYS = ['model', 'api_key_id', 'workspace_id', 'service_tier', 'context_window'];
+const RETRY_STATUSES = [429, 500, 502, 503, 504, 529];
+const MAX_PAGES = 100;
+
+function apiError(message, { status = null, type = null, retryAfterMs = null } = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.type = type;
+    error.retryAfterMs = retryAfterMs;
+    error.rateLimited = status === 429 || type === 'rate_limit_error';
+    return error;
+}
+
+function isoTime(value, name) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) throw apiError(`${name}: must be a date`);
+    return date.toISOString();
+}
+
+function checkLimit(limit) {
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) throw apiError('limit: must be a positive integer');
+}
+
+// ─── Request builders ───────────────────────────────────────────────────────
+
+// Usage Report API: token usage per bucket, optionally grouped and filtered
+function usageReport({ startingAt, endingAt, bucketWidth = '1d', groupBy = [], apiKeyIds = [], limit, page }) {
+    if (!BUCKET_WIDTHS.includes(bucketWidth)) throw apiError(`bucketWidth: must be one of ${BUCKET_WIDTHS.join(', ')}`);
+    const unknown = groupBy.filter(g => !USAGE_GROUP_BYS.includes(g));
+    if (unknown.length) throw apiError(`groupBy: unknown ${unknown.join(', ')}`);
+    checkLimit(limit);
+
+    const params = [
+        ['starting_at', isoTime(startingAt, 'startingAt')],
+        ['ending_at', isoTime(endingAt, 'endingAt')],
+        ['bucket_width', bucketWidth]
+    ];
+    if (limit) params.push(['limit', String(limit)]);
+    groupBy.forEach(g => params.push(['group_by[]', g]));
+    apiKeyIds.forEach(id => params.push(['api_key_ids[]', id]));
+    if (page) params.push(['page', page]);
+    return { kind: 'usage', path: USAGE_PATH, params };
+}
+
+// Cost Report API: billed amounts (cents, as decimal strings) per day
+function costReport({ startingAt, endingAt, limit, page }) {
+    checkLimit(limit);
+    const params = [
+        ['starting_at', isoTime(startingAt, 'startingAt')],
+        ['ending_at', isoTime(endingAt, 'endingAt')],
+        ['bucket_width', '1d']
+    ];
+    if (limit) params.push(['limit', String(limit)]);
+    if (page) params.push(['page', page]);
+    return { kind: 'cost', path: COST_PATH, params };
+}
+
+// API keys of the organization (metadata only, never the secret)
+function listApiKeys({ status, limit = 100 } = {}) {
+    checkLimit(limit);
+    const params = [['limit', String(limit)]];
+    if (status) params.push(['status', status]);
+    return { kind: 'apiKeys', path: API_KEYS_PATH, params };
+}
+
+// The same request for the page after `body`, or null on the last page
+function nextPageOf(request, body) {
+    if (!body || !body.has_more) return null;
+    const params = request.params.filter(([key]) => key !== 'page' && key !== 'after_id');
+    if (body.next_page) return { ...request, params: [...params, ['page', body.next_page]] };
+    if (body.last_id) return { ...request, params: [...params, ['after_id', body.last_id]] };
+    return null;
+}
+
+// `retry-after` is either seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+// Options are values or functions returning one, so the client follows
+// config changes (a new key or endpoint) without being rebuilt:
+//   apiKey          admin key (sk-ant-admin…)
+//   baseUrl         API origin (and optional path prefix), default https://api.anthropic.com
+//   usageEndpoint   full URL that replaces baseUrl + the usage report path
+//   timeoutMs       per attempt
+//   maxRetries      retries after the first attempt
+//   maxRetryWaitMs  longest retry-after that is waited out
+function createAdminApiClient({
+    apiKey,
+    baseUrl = DEFAULT_BASE_URL,
+    usageEndpoint = null,
+    timeoutMs = 30000,
+    maxRetries = 2,
+    maxRetryWaitMs = 30000,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+}) {
+    const option = value => (typeof value === 'function' ? value() : value);
+
+    function urlFor(request) {
+        const endpoint = request.kind === 'usage' && option(usageEndpoint);
+        const url = endpoint
+            ? new URL(endpoint)
+            : new URL(`${(option(baseUrl) || DEFAULT_BASE_URL).replace(/\/+$/, '')}${request.path}`);
+        request.params.forEach(([key, value]) => url.searchParams.append(key, value));
+        return url;
+    }
+
+    function attempt(url, key) {
+        return new Promise((resolve, reject) => {
+            const req = (url.protocol === 'https:' ? https : http).request(url, {
+                method: 'GET',
+                headers: { 'anthropic-version': API_VERSION, 'x-api-key': key, 'accept': 'application/json' },
+                timeout: option(timeoutMs)
+            }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    let body = null;
+                    try {
+                        body = text ? JSON.parse(text) : null;
+                    } catch (e) {
+                        if (res.statusCode < 300) return reject(apiError(`unreadable response: ${e.message}`, { status: res.statusCode }));
+                    }
+                    const error = body && body.error;
+                    if (res.statusCode >= 300 || (error && error.type)) {
+                        return reject(apiError((error && error.message) || `HTTP ${res.statusCode}`, {
+                            status: res.statusCode,
+                            type: error && error.type,
+                            retryAfterMs: parseRetryAfter(res.headers['retry-after'])
+                        }));
+                    }
+                    resolve(body);
+                });
+                res.on('error', reject);
+            });
+            req.on('timeout', () => req.destroy(apiError(`timed out after ${option(timeoutMs)}ms`)));
+            req.on('error', reject);
+            req.end();
+        });
+    }
+
+    // One request; `key` overrides the configured key (e.g. the org-key lookup)
+    async function send(request, { key = option(apiKey) } = {}) {
+        if (!key) throw apiError('no Admin API key configured');
+        const url = urlFor(request);
+        const retries = option(maxRetries);
+
+        for (let tries = 0; ; tries++) {
+            try {
+                return await attempt(url, key);
+            } catch (error) {
+                const retryable = error.status === null || error.status === undefined || RETRY_STATUSES.includes(error.status);
+                const waitMs = error.retryAfterMs !== null && error.retryAfterMs !== undefined
+                    ? error.retryAfterMs
+                    : Math.min(8000, 500 * Math.pow(2, tries)) * (0.75 + Math.random() / 2);
+                if (!retryable || tries >= retries || waitMs > option(maxRetryWaitMs)) throw error;
+                console.log(`⚠️  Admin API ${request.kind} request failed (${error.message}), retrying in ${Math.ceil(waitMs / 1000)}s`);
+                await sleep(waitMs);
+            }
+        }
+    }
+
+    // Every page of a paginated request, in order
+    async function pages(request, options = {}) {
+        const all = [];
+        for (let next = request; next && all.length < MAX_PAGES; ) {
+            const body = await send(next, options);
+            all.push(body);
+            next = nextPageOf(next, body);
+        }
+        return all;
+    }
+
+    return { send, pages, urlFor };
+}
+
+module.exports = {
+    DEFAULT_BASE_URL,
+    BUCKET_WIDTHS,
+    usageReport,
+    costReport,
+    listApiKeys,
+    nextPageOf,
+    parseRetryAfter,
+    createAdminApiClient
+};
@@ -0,0 +1,10 @@
+// ─── Agent slugs ────────────────────────────────────────────────────────────
+// Agent name → slug ("Atlas-2" → "atlas2"): the key of agents.json entries,
+// AGENT_CONFIG, agentHeartbeats, log entry attribution, and budget directive
+// policies and audit entries. Everything that compares agents goes through it.
+
+function agentSlug(agent) {
+    return String(agent || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+module.exports = { agentSlug };
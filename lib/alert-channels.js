@@ -0,0 +1,110 @@
+// ─── Alert delivery channels ────────────────────────────────────────────────
+// Where the alert manager sends raised / escalated / resolved alerts:
+//   webhook     POST { event, alert } as JSON to any URL
+//   slack       POST a Slack incoming-webhook payload (also understood by
+//               Mattermost, Rocket.Chat and Discord's /slack endpoint)
+//   email-file  write an RFC 822 .eml file into a directory, for a local MTA,
+//               mail spool pickup or just a folder someone watches
+// Browser notifications are shown by the dashboard itself (see dashboard.js).
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const CHANNEL_TYPES = ['webhook', 'slack', 'email-file'];
+const DELIVERY_TIMEOUT_MS = 5000;
+
+const SEVERITY_COLORS = { info: '#007acc', warning: '#dcdcaa', critical: '#f48771' };
+
+function postJson(url, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const payload = JSON.stringify(body);
+        const req = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+            timeout: DELIVERY_TIMEOUT_MS
+        }, res => {
+            res.resume();
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) resolve(res.statusCode);
+                else reject(new Error(`HTTP ${res.statusCode}`));
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error('timed out')));
+        req.on('error', reject);
+        req.end(payload);
+    });
+}
+
+function headline(alert, event) {
+    const prefix = event === 'resolved' ? 'RESOLVED' : alert.severity.toUpperCase();
+    return `[${prefix}] ${alert.title}`;
+}
+
+function slackPayload(alert, event) {
+    return {
+        text: headline(alert, event),
+        attachments: [{
+            color: event === 'resolved' ? '#4ec9b0' : SEVERITY_COLORS[alert.severity],
+            title: alert.title,
+            text: alert.message,
+            fields: [
+                { title: 'Severity', value: alert.severity, short: true },
+                { title: 'Source', value: alert.source, short: true },
+                { title: 'Occurrences', value: String(alert.count), short: true },
+                { title: 'First seen', value: alert.firstSeen, short: true }
+            ],
+            footer: 'OpenClaw Monitor',
+            ts: Math.floor(Date.now() / 1000)
+        }]
+    };
+}
+
+// Header values on one line, so an alert title or address cannot add headers
+function headerValue(value) {
+    return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+async function writeEmailFile(channel, alert, event) {
+    const dir = channel.dir;
+    await fs.promises.mkdir(dir, { recursive: true });
+    const date = new Date();
+    const body = [
+        `From: ${headerValue(channel.from || 'openclaw-monitor@localhost')}`,
+        `To: ${headerValue(channel.to || 'root@localhost')}`,
+        `Subject: ${headerValue(headline(alert, event))}`,
+        `Date: ${date.toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        alert.message,
+        '',
+        `Severity:    ${alert.severity}`,
+        `Source:      ${alert.source}`,
+        `Status:      ${alert.status}`,
+        `Occurrences: ${alert.count}`,
+        `First seen:  ${alert.firstSeen}`,
+        `Last seen:   ${alert.lastSeen}`,
+        alert.details ? `\n${JSON.stringify(alert.details, null, 2)}` : '',
+        ''
+    ].join('\r\n');
+    const file = path.join(dir, `${date.toISOString().replace(/[:.]/g, '-')}-alert-${alert.id}-${event}.eml`);
+    await fs.promises.writeFile(file, body);
+    return file;
+}
+
+function deliverAlert(channel, alert, event) {
+    switch (channel.type) {
+        case 'webhook':
+            return postJson(channel.url, { event, alert });
+        case 'slack':
+            return postJson(channel.url, slackPayload(alert, event));
+        case 'email-file':
+            return writeEmailFile(channel, alert, event);
+        default:
+            return Promise.reject(new Error(`unknown channel type ${channel.type}`));
+    }
+}
+
+module.exports = { CHANNEL_TYPES, deliverAlert, slackPayload };
@@ -0,0 +1,290 @@
+// ─── Alert manager ──────────────────────────────────────────────────────────
+// One place for operational alerts (cost threshold, stale heartbeats, OpenClaw
+// down, disk usage, log rules). Each alert has a dedup `key`:
+//   - raising a key that is already open only bumps its count and lastSeen
+//   - channels hear about a key at most once per cooldown, unless the
+//     severity goes up
+//   - the source clears the key when the condition goes away (auto-resolve),
+//     or someone acknowledges / resolves it from the dashboard
+// Alerts are kept in config/alerts.json; settings live under `alerting` in
+// config/anthropic.json.
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./task-store');
+const { CHANNEL_TYPES, deliverAlert } = require('./alert-channels');
+const { realPath, isWithin } = require('./paths');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const ACTIVE_STATUSES = ['open', 'acknowledged'];
+const MAX_RESOLVED = 200;
+
+const DEFAULT_ALERTING = {
+    cooldownMinutes: 15,
+    diskWarnPercent: 90,
+    diskCriticalPercent: 97,
+    channels: []
+};
+
+function severityRank(severity) {
+    return SEVERITIES.indexOf(severity);
+}
+
+// Why `dir` cannot hold mail files, or null: the directory (or the nearest
+// part of the path that exists, since delivery creates the rest) must be a
+// writable directory
+function unwritableDir(dir) {
+    let existing = path.resolve(dir);
+    while (!fs.existsSync(existing)) existing = path.dirname(existing);
+    try {
+        if (!fs.statSync(existing).isDirectory()) return `${existing} is not a directory`;
+        fs.accessSync(existing, fs.constants.W_OK);
+        return null;
+    } catch (err) {
+        return `${existing} is not writable (${err.code || err.message})`;
+    }
+}
+
+// Email-file channels only write below mailDir (config/mail in the server);
+// a channel's `dir` is a folder under it ('' for mailDir itself). Returns the
+// absolute directory, or null when it points outside, symlinks included.
+function resolveMailDir(mailDir, dir) {
+    const full = path.resolve(mailDir, dir || '.');
+    return isWithin(realPath(full), realPath(mailDir)) ? full : null;
+}
+
+function validateChannel(raw, label, errors, { mailDir }) {
+    if (!raw || typeof raw !== 'object') {
+        errors.push(`${label}: must be an object`);
+        return null;
+    }
+    const channel = {
+        type: raw.type,
+        name: raw.name ? String(raw.name).trim() : raw.type,
+        enabled: raw.enabled !== false,
+        minSeverity: raw.minSeverity || 'warning'
+    };
+    if (!CHANNEL_TYPES.includes(raw.type)) errors.push(`${label}.type: must be one of ${CHANNEL_TYPES.join(', ')}`);
+    if (!SEVERITIES.includes(channel.minSeverity)) errors.push(`${label}.minSeverity: must be one of ${SEVERITIES.join(', ')}`);
+
+    if (raw.type === 'webhook' || raw.type === 'slack') {
+        channel.url = typeof raw.url === 'string' ? raw.url.trim() : '';
+        if (!/^https?:\/\/\S+$/.test(channel.url)) errors.push(`${label}.url: must be an http(s) URL`);
+    }
+    if (raw.type === 'email-file') {
+        channel.dir = typeof raw.dir === 'string' ? raw.dir.trim() : '';
+        const dir = resolveMailDir(mailDir, channel.dir);
+        if (!dir) errors.push(`${label}.dir: must be a folder under ${mailDir}`);
+        else {
+            const problem = unwritableDir(dir);
+            if (problem) errors.push(`${label}.dir: ${problem}`);
+        }
+        if (raw.to) channel.to = String(raw.to).trim();
+        if (raw.from) channel.from = String(raw.from).trim();
+    }
+    return channel;
+}
+
+// Validate a settings update. Returns { value, errors }; value is merged over current settings.
+// mailDir is the base directory of email-file channels.
+function validateAlertingSettings(body, current = DEFAULT_ALERTING, { mailDir }) {
+    const errors = [];
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { value: current, errors: ['body must be a JSON object'] };
+    }
+
+    const value = { ...current };
+    [['cooldownMinutes', 0], ['diskWarnPercent', 1], ['diskCriticalPercent', 1]].forEach(([key, min]) => {
+        if (body[key] === undefined) return;
+        const number = Number(body[key]);
+        if (!Number.isFinite(number) || number < min || (key.startsWith('disk') && number > 100)) {
+            errors.push(`${key}: must be a number (${min}${key.startsWith('disk') ? '-100' : ' or more'})`);
+        } else {
+            value[key] = number;
+        }
+    });
+    if (value.diskCriticalPercent < value.diskWarnPercent) {
+        errors.push('diskCriticalPercent: must not be below diskWarnPercent');
+    }
+
+    if (body.channels !== undefined) {
+        if (!Array.isArray(body.channels)) errors.push('channels: must be an array');
+        else value.channels = body.channels.map((raw, i) => validateChannel(raw, `channels[${i}]`, errors, { mailDir }));
+    }
+
+    Object.keys(body)
+        .filter(key => !(key in DEFAULT_ALERTING))
+        .forEach(key => errors.push(`${key}: unknown setting`));
+
+    return { value, errors };
+}
+
+// getSettings() returns the current alerting settings; onChange(alert, event)
+// is called for every state change (raised, escalated, acknowledged, resolved,
+// reopened) so the server can broadcast it. Email-file channels write below mailDir.
+function createAlertManager({ file, mailDir, getSettings, onChange = () => {}, deliver = deliverAlert }) {
+    let alerts = [];
+    let nextId = 1;
+    const lastNotified = new Map();   // key → ms
+
+    function load() {
+        try {
+            if (fs.existsSync(file)) {
+                alerts = JSON.parse(fs.readFileSync(file, 'utf8'));
+                nextId = alerts.reduce((max, a) => Math.max(max, a.id), 0) + 1;
+                console.log(`✅ Loaded ${alerts.filter(a => ACTIVE_STATUSES.includes(a.status)).length} active alert(s)`);
+            }
+        } catch (error) {
+            console.log('⚠️  Error loading alerts:', error.message);
+        }
+    }
+
+    function persist() {
+        const active = alerts.filter(a => ACTIVE_STATUSES.includes(a.status));
+        const resolved = alerts.filter(a => a.status === 'resolved').slice(-MAX_RESOLVED);
+        alerts = [...resolved, ...active].sort((a, b) => a.id - b.id);
+        try {
+            writeFileAtomic(file, JSON.stringify(alerts, null, 2));
+        } catch (error) {
+            console.log('⚠️  Error saving alerts:', error.message);
+        }
+    }
+
+    function activeFor(key) {
+        return alerts.find(a => a.key === key && ACTIVE_STATUSES.includes(a.status));
+    }
+
+    // One channel's delivery as a promise, even if deliver() throws, so a
+    // broken channel can neither throw out of raise() nor stop the others.
+    // Email-file dirs are checked again here, as saved settings load unchecked.
+    function sendTo(channel, alert, event) {
+        return Promise.resolve().then(() => {
+            if (channel.type !== 'email-file') return deliver(channel, alert, event);
+            const dir = resolveMailDir(mailDir, channel.dir);
+            if (!dir) throw new Error(`${channel.dir} is not a folder under ${mailDir}`);
+            return deliver({ ...channel, dir }, alert, event);
+        });
+    }
+
+    function notify(alert, event) {
+        const settings = getSettings();
+        if (event !== 'resolved') {
+            const last = lastNotified.get(alert.key);
+            if (event !== 'escalated' && last && Date.now() - last < settings.cooldownMinutes * 60 * 1000) return;
+            lastNotified.set(alert.key, Date.now());
+        }
+
+        (settings.channels || [])
+            .filter(channel => channel.enabled && severityRank(alert.severity) >= severityRank(channel.minSeverity))
+            .forEach(channel => {
+                sendTo(channel, alert, event)
+                    .catch(err => console.log(`⚠️  Alert delivery to ${channel.name} failed:`, err.message));
+            });
+    }
+
+    function change(alert, event, { deliver: send = false } = {}) {
+        persist();
+        onChange(alert, event);
+        if (send) notify(alert, event);
+    }
+
+    // Raise (or refresh) the alert for a key. Returns the alert.
+    function raise({ key, source, severity = 'warning', title, message, details = null }) {
+        const now = new Date().toISOString();
+        const existing = activeFor(key);
+        if (existing) {
+            existing.count++;
+            existing.lastSeen = now;
+            existing.message = message;
+            existing.details = details;
+            if (severityRank(severity) > severityRank(existing.severity)) {
+                existing.severity = severity;
+                existing.title = title;
+                // An escalation needs attention again
+                existing.status = 'open';
+                change(existing, 'escalated', { deliver: true });
+            }
+            return existing;
+        }
+
+        const alert = {
+            id: nextId++,
+            key,
+            source,
+            severity,
+            title,
+            message,
+            details,
+            status: 'open',
+            count: 1,
+            firstSeen: now,
+            lastSeen: now,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            resolvedAt: null,
+            resolvedBy: null
+        };
+        alerts.push(alert);
+        console.log(`🚨 Alert [${severity}] ${title}`);
+        change(alert, 'raised', { deliver: true });
+        return alert;
+    }
+
+    // The condition behind a key went away
+    function clear(key, reason = 'condition cleared') {
+        const alert = activeFor(key);
+        if (!alert) return null;
+        alert.status = 'resolved';
+        alert.resolvedAt = new Date().toISOString();
+        alert.resolvedBy = 'auto';
+        alert.resolution = reason;
+        console.log(`✅ Alert resolved: ${alert.title} (${reason})`);
+        change(alert, 'resolved', { deliver: true });
+        return alert;
+    }
+
+    function acknowledge(id, actor = null) {
+        const alert = alerts.find(a => a.id === Number(id));
+        if (!alert || alert.status !== 'open') return alert || null;
+        alert.status = 'acknowledged';
+        alert.acknowledgedAt = new Date().toISOString();
+        alert.acknowledgedBy = actor;
+        change(alert, 'acknowledged');
+        return alert;
+    }
+
+    function resolve(id, actor = null) {
+        const alert = alerts.find(a => a.id === Number(id));
+        if (!alert || alert.status === 'resolved') return alert || null;
+        alert.status = 'resolved';
+        alert.resolvedAt = new Date().toISOString();
+        alert.resolvedBy = actor;
+        change(alert, 'resolved');
+        return alert;
+    }
+
+    // status: 'active' (open + acknowledged), 'open', 'acknowledged', 'resolved' or 'all'; newest first
+    function list({ status = 'active' } = {}) {
+        const wanted = status === 'active' ? ACTIVE_STATUSES : status === 'all' ? null : [status];
+        return alerts.filter(a => !wanted || wanted.includes(a.status)).slice().reverse();
+    }
+
+    // Send a sample alert straight to the configured channels
+    async function test() {
+        const now = new Date().toISOString();
+        const sample = {
+            id: 0, key: 'test', source: 'test', severity: 'critical', title: 'Test alert',
+            message: 'This is a test alert from the OpenClaw monitor.', details: null,
+            status: 'open', count: 1, firstSeen: now, lastSeen: now
+        };
+        const results = await Promise.all((getSettings().channels || []).filter(c => c.enabled).map(channel =>
+            sendTo(channel, sample, 'raised')
+                .then(() => ({ channel: channel.name, ok: true }))
+                .catch(err => ({ channel: channel.name, ok: false, error: err.message }))));
+        return results;
+    }
+
+    return { load, raise, clear, acknowledge, resolve, list, test };
+}
+
+module.exports = { SEVERITIES, DEFAULT_ALERTING, validateAlertingSettings, createAlertManager };
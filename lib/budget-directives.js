@@ -0,0 +1,219 @@
+// ─── Budget directives ──────────────────────────────────────────────────────
+// Turns budget state into something an agent can act on:
+//   { action: 'continue' | 'downgrade' | 'pause', model, reason, ... }
+// Agents get it by polling GET /api/agents/:agent/directive (or from their
+// heartbeat response) or over WebSocket as `budgetDirective`. What an agent is
+// told per budget state comes from its policy:
+//   { agent: 'nate' | '*', onSoft: 'downgrade', onHard: 'pause', downgradeTo: 'haiku' | null }
+// Policies live under `directivePolicies` in config/anthropic.json; every
+// directive handed out is audited in config/directive-audit.json.
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./task-store');
+const { MODEL_TIERS } = require('./budgets');
+const { agentSlug } = require('./agent-slug');
+
+const DIRECTIVE_ACTIONS = ['continue', 'downgrade', 'pause'];
+const DEFAULT_POLICY = { agent: '*', onSoft: 'downgrade', onHard: 'pause', downgradeTo: null, enabled: true };
+const MAX_AUDIT = 500;
+const DELIVERY_FLUSH_MS = 60 * 1000;
+
+// Validate and normalize a full list of policies. Returns { value, errors }.
+function validateDirectivePolicies(list) {
+    const errors = [];
+    if (!Array.isArray(list)) return { value: [], errors: ['policies must be an array'] };
+
+    const agents = new Set();
+    const value = list.map((raw, index) => {
+        const label = `policies[${index}]`;
+        if (!raw || typeof raw !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return null;
+        }
+
+        const agent = !raw.agent || raw.agent === '*' ? '*' : agentSlug(raw.agent);
+        if (!agent) errors.push(`${label}.agent: must be an agent name or *`);
+        if (agents.has(agent)) errors.push(`${label}.agent: duplicate policy for ${agent}`);
+        agents.add(agent);
+
+        const policy = { ...DEFAULT_POLICY, agent, enabled: raw.enabled !== false };
+        ['onSoft', 'onHard'].forEach(key => {
+            if (raw[key] === undefined) return;
+            if (!DIRECTIVE_ACTIONS.includes(raw[key])) errors.push(`${label}.${key}: must be one of ${DIRECTIVE_ACTIONS.join(', ')}`);
+            else policy[key] = raw[key];
+        });
+        if (raw.downgradeTo) {
+            policy.downgradeTo = String(raw.downgradeTo).toLowerCase();
+            if (!MODEL_TIERS.includes(policy.downgradeTo)) errors.push(`${label}.downgradeTo: must be one of ${MODEL_TIERS.join(', ')}`);
+        }
+        return policy;
+    });
+
+    return { value: errors.length ? [] : value, errors };
+}
+
+// An agent's own policy, else the '*' policy, else the default
+function policyFor(policies, slug) {
+    const enabled = policies.filter(p => p.enabled);
+    return enabled.find(p => p.agent === slug) || enabled.find(p => p.agent === '*') || DEFAULT_POLICY;
+}
+
+// Tiers ordered cheapest first by output price
+function tiersByPrice(pricing) {
+    return Object.keys(pricing).sort((a, b) => pricing[a].output - pricing[b].output);
+}
+
+// What `agent` ({ slug, apiKeyId }) should do given evaluated budget statuses
+// (lib/budgets.js evaluateBudgets) and the tier it currently runs on, if known.
+// Budgets scoped to another agent are skipped; a model-scoped budget over its
+// limit rules that tier out whatever the agent is on now, so a downgrade never
+// bounces back once the agent has switched.
+function decideDirective({ agent, statuses, policy, pricing, currentTier = null }) {
+    const breached = statuses
+        .filter(status => status.state !== 'ok')
+        .filter(status => !status.agent || status.agent === agent.apiKeyId);
+    const directive = {
+        action: 'continue',
+        model: null,
+        state: 'ok',
+        reason: 'within budget',
+        budgets: [],
+        blockedModels: []
+    };
+    if (!breached.length) return directive;
+
+    const hard = breached.filter(status => status.state === 'hard');
+    const driving = hard.length ? hard : breached;
+    directive.state = hard.length ? 'hard' : 'soft';
+    directive.budgets = driving.map(status => status.id);
+    directive.reason = driving.map(status => {
+        const limit = status.state === 'hard' ? status.hardLimit : status.softLimit;
+        return `Budget "${status.name}" ${status.state} limit reached ($${status.spent.toFixed(2)} of $${limit.toFixed(2)})`;
+    }).join('; ');
+
+    directive.action = directive.state === 'hard' ? policy.onHard : policy.onSoft;
+    if (directive.action !== 'downgrade') return directive;
+
+    // Downgrade: below every tier a breached model budget rules out, to the
+    // policy's tier if that is cheap enough, else the next cheaper one, else
+    // the cheapest (agent-wide budgets). Never an upgrade.
+    const tiers = tiersByPrice(pricing);
+    const rank = tier => tiers.indexOf(tier);
+    directive.blockedModels = [...new Set(driving.map(status => status.model).filter(Boolean))];
+    const ceiling = directive.blockedModels.length && driving.every(status => status.model)
+        ? Math.min(...directive.blockedModels.map(rank))
+        : tiers.length;
+    const allowed = tiers.filter(tier => rank(tier) < ceiling && !directive.blockedModels.includes(tier));
+
+    if (!allowed.length) {
+        directive.action = 'pause';
+        directive.model = null;
+        directive.reason += ` — no cheaper model than ${tiers[0]}`;
+        return directive;
+    }
+
+    let target = policy.downgradeTo && allowed.includes(policy.downgradeTo)
+        ? policy.downgradeTo
+        : (ceiling < tiers.length ? allowed[allowed.length - 1] : allowed[0]);
+    if (allowed.includes(currentTier) && rank(currentTier) < rank(target)) target = currentTier;
+    directive.model = target;
+    return directive;
+}
+
+// Every directive handed to an agent. A new entry is written whenever what an
+// agent is told changes; handing out the same directive again only bumps its
+// delivery count, which is written at most once a minute.
+function createDirectiveAudit({ file, flushMs = DELIVERY_FLUSH_MS }) {
+    let entries = [];
+    let nextId = 1;
+    let flushTimer = null;
+
+    function load() {
+        try {
+            if (fs.existsSync(file)) {
+                entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+                nextId = entries.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+                console.log(`✅ Loaded ${entries.length} budget directive audit entries`);
+            }
+        } catch (error) {
+            console.log('⚠️  Error loading directive audit:', error.message);
+        }
+    }
+
+    function persist() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        entries = entries.slice(-MAX_AUDIT);
+        try {
+            writeFileAtomic(file, JSON.stringify(entries, null, 2));
+        } catch (error) {
+            console.log('⚠️  Error saving directive audit:', error.message);
+        }
+    }
+
+    function last(agent) {
+        for (let i = entries.length - 1; i >= 0; i--) {
+            if (entries[i].agent === agent) return entries[i];
+        }
+        return null;
+    }
+
+    // Returns { entry, changed }
+    function record(agent, directive, via) {
+        const now = new Date().toISOString();
+        const previous = last(agent);
+        if (previous && previous.action === directive.action && previous.model === directive.model) {
+            previous.deliveries++;
+            previous.lastDeliveredAt = now;
+            previous.reason = directive.reason;
+            if (!flushTimer) {
+                flushTimer = setTimeout(persist, flushMs);
+                if (flushTimer.unref) flushTimer.unref();
+            }
+            return { entry: previous, changed: false };
+        }
+
+        const entry = {
+            id: nextId++,
+            agent,
+            action: directive.action,
+            model: directive.model,
+            state: directive.state,
+            reason: directive.reason,
+            budgets: directive.budgets,
+            previousAction: previous ? previous.action : null,
+            previousModel: previous ? previous.model : null,
+            via,
+            issuedAt: now,
+            deliveries: 1,
+            lastDeliveredAt: now
+        };
+        entries.push(entry);
+        persist();
+        console.log(`📋 Budget directive for ${agent}: ${entry.action}${entry.model ? ' → ' + entry.model : ''} (${entry.reason})`);
+        return { entry, changed: true };
+    }
+
+    // The current entry for each agent
+    function latest() {
+        const byAgent = {};
+        entries.forEach(e => { byAgent[e.agent] = e; });
+        return byAgent;
+    }
+
+    // Newest first
+    function list({ agent = null, limit = 100 } = {}) {
+        return entries.filter(e => !agent || e.agent === agent).slice(-limit).reverse();
+    }
+
+    return { load, record, last, latest, list };
+}
+
+module.exports = {
+    DIRECTIVE_ACTIONS,
+    DEFAULT_POLICY,
+    validateDirectivePolicies,
+    policyFor,
+    decideDirective,
+    createDirectiveAudit
+};
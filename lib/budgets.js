@@ -0,0 +1,125 @@
+// ─── Budgets ────────────────────────────────────────────────────────────────
+// Spending limits scoped by agent (apiKeyId), model tier and calendar period:
+//   { id, name, agent: apiKeyId|null, model: 'haiku'|'sonnet'|'opus'|null,
+//     period: 'daily'|'weekly'|'monthly', softLimit, hardLimit, enabled }
+// A null agent / model means "all". Periods are UTC calendar periods (weeks
+// start on Monday), matching the Usage API's daily buckets. Spend comes from
+// usage rows { date, cost, model (tier), apiKeyId } — the same token-priced
+// estimates behind the per-agent breakdown. Budgets live under `budgets` in
+// config/anthropic.json.
+
+const BUDGET_PERIODS = ['daily', 'weekly', 'monthly'];
+const MODEL_TIERS = ['haiku', 'sonnet', 'opus'];
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function limitValue(raw, label, errors) {
+    if (raw === undefined || raw === null || raw === '') return null;
+    const amount = Number(raw);
+    if (!Number.isFinite(amount) || amount <= 0) {
+        errors.push(`${label}: must be a positive dollar amount`);
+        return null;
+    }
+    return amount;
+}
+
+// Validate and normalize a full list of budgets. Returns { value, errors }.
+function validateBudgets(list) {
+    const errors = [];
+    if (!Array.isArray(list)) return { value: [], errors: ['budgets must be an array'] };
+
+    const ids = new Set();
+    const value = list.map((raw, index) => {
+        const label = `budgets[${index}]`;
+        if (!raw || typeof raw !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return null;
+        }
+
+        const period = raw.period || 'monthly';
+        if (!BUDGET_PERIODS.includes(period)) errors.push(`${label}.period: must be one of ${BUDGET_PERIODS.join(', ')}`);
+        const model = raw.model ? String(raw.model).toLowerCase() : null;
+        if (model && !MODEL_TIERS.includes(model)) errors.push(`${label}.model: must be one of ${MODEL_TIERS.join(', ')}`);
+        const agent = raw.agent ? String(raw.agent).trim() : null;
+
+        const softLimit = limitValue(raw.softLimit, `${label}.softLimit`, errors);
+        const hardLimit = limitValue(raw.hardLimit, `${label}.hardLimit`, errors);
+        if (softLimit === null && hardLimit === null) errors.push(`${label}: needs a softLimit, a hardLimit or both`);
+        if (softLimit !== null && hardLimit !== null && softLimit > hardLimit) {
+            errors.push(`${label}.softLimit: must not be above hardLimit`);
+        }
+
+        const name = typeof raw.name === 'string' && raw.name.trim()
+            ? raw.name.trim()
+            : [agent || 'All agents', model || 'all models', period].join(' · ');
+        const id = slugify(raw.id || name) || `budget-${index + 1}`;
+        if (ids.has(id)) errors.push(`${label}.id: duplicate id ${id}`);
+        ids.add(id);
+
+        return { id, name, agent, model, period, softLimit, hardLimit, enabled: raw.enabled !== false };
+    });
+
+    return { value: errors.length ? [] : value, errors };
+}
+
+function isoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Current period for `now`: { start, end } as YYYY-MM-DD (end exclusive) and
+// the fraction of the period that has elapsed
+function periodBounds(period, now = new Date()) {
+    const y = now.getUTCFullYear();
+    const m = now.getUTCMonth();
+    const d = now.getUTCDate();
+    let start;
+    let end;
+    if (period === 'daily') {
+        start = new Date(Date.UTC(y, m, d));
+        end = new Date(Date.UTC(y, m, d + 1));
+    } else if (period === 'weekly') {
+        const sinceMonday = (now.getUTCDay() + 6) % 7;
+        start = new Date(Date.UTC(y, m, d - sinceMonday));
+        end = new Date(Date.UTC(y, m, d - sinceMonday + 7));
+    } else {
+        start = new Date(Date.UTC(y, m, 1));
+        end = new Date(Date.UTC(y, m + 1, 1));
+    }
+    return {
+        start: isoDate(start),
+        end: isoDate(end),
+        elapsed: (now.getTime() - start.getTime()) / (end.getTime() - start.getTime())
+    };
+}
+
+// Spend against each enabled budget in its current period
+function evaluateBudgets(budgets, rows, now = new Date()) {
+    return budgets.filter(b => b.enabled).map(budget => {
+        const { start, end, elapsed } = periodBounds(budget.period, now);
+        const spent = rows
+            .filter(row => row.date >= start && row.date < end)
+            .filter(row => !budget.agent || row.apiKeyId === budget.agent)
+            .filter(row => !budget.model || row.model === budget.model)
+            .reduce((sum, row) => sum + (row.cost || 0), 0);
+
+        let state = 'ok';
+        if (budget.hardLimit !== null && spent >= budget.hardLimit) state = 'hard';
+        else if (budget.softLimit !== null && spent >= budget.softLimit) state = 'soft';
+
+        const limit = budget.hardLimit !== null ? budget.hardLimit : budget.softLimit;
+        return {
+            ...budget,
+            periodStart: start,
+            periodEnd: end,
+            spent,
+            // Straight-line projection to the end of the period
+            projected: elapsed > 0 ? spent / elapsed : spent,
+            percent: limit ? Math.round((spent / limit) * 100) : 0,
+            state
+        };
+    });
+}
+
+module.exports = { BUDGET_PERIODS, MODEL_TIERS, validateBudgets, periodBounds, evaluateBudgets };
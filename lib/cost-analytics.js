@@ -0,0 +1,99 @@
+// ─── Cost analytics ─────────────────────────────────────────────────────────
+// Per-day cost series over the cost history (lib/cost-history.js) for the
+// analytics view: GET /api/analytics/costs?since=&until=&groupBy=
+// Costs are the token-priced estimates stored with each usage row; billed
+// totals come along per day where the Cost Report API has them.
+
+const { addDays } = require('./cost-history');
+
+const GROUP_BYS = ['agent', 'model', 'apiKey'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse query parameters. Returns { value: { since, until, groupBy }, errors }.
+function parseCostQuery(query = {}, now = new Date()) {
+    const errors = [];
+    const today = now.toISOString().slice(0, 10);
+
+    ['since', 'until'].forEach(key => {
+        if (query[key] !== undefined && !DATE_RE.test(query[key])) errors.push(`${key}: must be a YYYY-MM-DD date`);
+    });
+    const until = DATE_RE.test(query.until || '') ? query.until : today;
+    const since = DATE_RE.test(query.since || '') ? query.since : addDays(until, -(DEFAULT_RANGE_DAYS - 1));
+    if (since > until) errors.push('since: must not be after until');
+    else if (Date.parse(until) - Date.parse(since) >= MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        errors.push(`since: range must be at most ${MAX_RANGE_DAYS} days`);
+    }
+
+    const groupBy = query.groupBy || 'agent';
+    if (!GROUP_BYS.includes(groupBy)) errors.push(`groupBy: must be one of ${GROUP_BYS.join(', ')}`);
+
+    return { value: { since, until, groupBy }, errors };
+}
+
+function cacheHitRate(cacheRead, uncached) {
+    const input = cacheRead + uncached;
+    return input > 0 ? Math.round((cacheRead / input) * 100) : null;
+}
+
+// groupOf(row) → { key, label } for a stored usage row. Days missing from
+// `days` count as zero. Returns parallel per-date arrays plus the underlying
+// rows of each date for drill-down.
+function summarizeCosts(days, { since, until, groupBy, groupOf }) {
+    const dates = [];
+    for (let date = since; date <= until; date = addDays(date, 1)) dates.push(date);
+    const byDate = new Map(days.map(day => [day.date, day]));
+
+    const groups = new Map();   // key → { key, label, total, costs[] }
+    const totals = dates.map(() => 0);
+    const billed = dates.map(() => null);
+    const cacheHit = dates.map(() => null);
+    const rows = {};
+
+    dates.forEach((date, index) => {
+        const day = byDate.get(date);
+        if (!day) return;
+        billed[index] = day.billedCost;
+
+        let cacheRead = 0;
+        let uncached = 0;
+        rows[date] = day.usage.map(row => {
+            const { key, label } = groupOf(row);
+            if (!groups.has(key)) groups.set(key, { key, label, total: 0, costs: dates.map(() => 0) });
+            const group = groups.get(key);
+            const cost = row.estimated_cost || 0;
+            group.costs[index] += cost;
+            group.total += cost;
+            totals[index] += cost;
+            cacheRead += row.cache_read_input_tokens || 0;
+            uncached += row.uncached_input_tokens || 0;
+            return {
+                group: key,
+                label,
+                model: row.model,
+                apiKeyId: row.api_key_id,
+                uncachedInputTokens: row.uncached_input_tokens || 0,
+                cacheReadInputTokens: row.cache_read_input_tokens || 0,
+                outputTokens: row.output_tokens || 0,
+                cost
+            };
+        }).sort((a, b) => b.cost - a.cost);
+        cacheHit[index] = cacheHitRate(cacheRead, uncached);
+    });
+
+    return {
+        since,
+        until,
+        groupBy,
+        dates,
+        groups: [...groups.values()].sort((a, b) => b.total - a.total),
+        totals,
+        billed,
+        cacheHitRate: cacheHit,
+        rows
+    };
+}
+
+module.exports = { GROUP_BYS, parseCostQuery, summarizeCosts };
@@ -0,0 +1,192 @@
+// ─── Cost history ───────────────────────────────────────────────────────────
+// Daily cost snapshots kept in the local store (see lib/storage/), so a cost
+// refresh only asks the Anthropic APIs for days that have not settled yet
+// instead of re-reading the whole year every 5 minutes. One record per UTC day:
+//   { date, scope, usage: [{ model, api_key_id, service_tier,
+//     uncached_input_tokens, cache_read_input_tokens, cache_creation:
+//     { ephemeral_5m_input_tokens, ephemeral_1h_input_tokens }, output_tokens,
+//     estimated_cost }],
+//     estimatedCost, billedCost, usageFinal, billedFinal, updatedAt }
+// Usage (Usage Report API) is final a few hours after the day ends, billed
+// amounts (Cost Report API) about two days later. `scope` is how the usage
+// was grouped: 'api_key_id' (every org key, when agents are configured) or
+// 'org'; when it changes, the usage of every day is fetched again.
+
+const HISTORY_START = '2026-01-01';
+const USAGE_SETTLE_HOURS = 3;
+const BILLED_SETTLE_HOURS = 48;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, count) {
+    return isoDate(new Date(Date.parse(`${date}T00:00:00Z`) + count * DAY_MS));
+}
+
+function settled(date, hours, now) {
+    return now.getTime() >= Date.parse(`${date}T00:00:00Z`) + DAY_MS + hours * 60 * 60 * 1000;
+}
+
+// A Usage API row ({ date, cost, uncached_input, cache_read, cache_write_5m,
+// cache_write_1h, output, model, api_key_id, service_tier }) as stored in a
+// day's `usage`
+function toUsageRow(row) {
+    return {
+        model: row.model,
+        api_key_id: row.api_key_id,
+        service_tier: row.service_tier || null,
+        uncached_input_tokens: row.uncached_input,
+        cache_read_input_tokens: row.cache_read,
+        cache_creation: {
+            ephemeral_5m_input_tokens: row.cache_write_5m || 0,
+            ephemeral_1h_input_tokens: row.cache_write_1h || 0
+        },
+        output_tokens: row.output,
+        estimated_cost: row.cost
+    };
+}
+
+function emptyDay(date) {
+    return {
+        date,
+        scope: null,
+        usage: [],
+        estimatedCost: 0,
+        billedCost: null,
+        usageFinal: false,
+        billedFinal: false,
+        updatedAt: null
+    };
+}
+
+// A day that is still open (today), from minute-bucket rows summed per model and key
+function openDay(date, rows) {
+    const byKey = new Map();
+    rows.filter(row => row.date === date).forEach(row => {
+        const key = `${row.model}|${row.api_key_id}|${row.service_tier}`;
+        const sum = byKey.get(key) || toUsageRow({ ...row, uncached_input: 0, cache_read: 0, cache_write_5m: 0, cache_write_1h: 0, output: 0, cost: 0 });
+        sum.uncached_input_tokens += row.uncached_input || 0;
+        sum.cache_read_input_tokens += row.cache_read || 0;
+        sum.cache_creation.ephemeral_5m_input_tokens += row.cache_write_5m || 0;
+        sum.cache_creation.ephemeral_1h_input_tokens += row.cache_write_1h || 0;
+        sum.output_tokens += row.output || 0;
+        sum.estimated_cost += row.cost || 0;
+        byKey.set(key, sum);
+    });
+    const usage = [...byKey.values()];
+    return { ...emptyDay(date), usage, estimatedCost: usage.reduce((sum, row) => sum + row.estimated_cost, 0) };
+}
+
+function createCostHistory({ store, start = HISTORY_START }) {
+    const days = new Map();   // date → day record
+
+    async function load() {
+        (await store.list()).forEach(day => days.set(day.date, day));
+        console.log(`✅ Loaded ${days.size} day(s) of cost history`);
+    }
+
+    // Days from `from` through yesterday (UTC)
+    function closedDays(from, now) {
+        const dates = [];
+        const yesterday = addDays(isoDate(now), -1);
+        for (let date = from; date <= yesterday; date = addDays(date, 1)) dates.push(date);
+        return dates;
+    }
+
+    // The earliest closed day whose usage ('usage', for `scope`) or billed
+    // amount ('billed') still has to be fetched, or null when all are final
+    function firstOpenDay(kind, scope = null, now = new Date()) {
+        return closedDays(start, now).find(date => {
+            const day = days.get(date);
+            if (!day) return true;
+            return kind === 'usage' ? !(day.usageFinal && day.scope === scope) : !day.billedFinal;
+        }) || null;
+    }
+
+    async function save(changed) {
+        changed.forEach(day => days.set(day.date, day));
+        if (changed.length) await store.upsert(changed);
+        return changed.length;
+    }
+
+    // Usage API daily rows ({ date, cost, uncached_input, cache_read, output,
+    // model, api_key_id }) covering `from` through yesterday
+    function recordUsage(rows, { from, scope, now = new Date() }) {
+        const updatedAt = now.toISOString();
+        return save(closedDays(from, now).map(date => {
+            const dayRows = rows.filter(row => row.date === date);
+            return {
+                ...emptyDay(date),
+                ...days.get(date),
+                scope,
+                usage: dayRows.map(toUsageRow),
+                estimatedCost: dayRows.reduce((sum, row) => sum + (row.cost || 0), 0),
+                usageFinal: settled(date, USAGE_SETTLE_HOURS, now),
+                updatedAt
+            };
+        }));
+    }
+
+    // Cost API daily totals ({ date, cost }) covering `from` through yesterday;
+    // days it leaves out cost nothing
+    function recordBilled(rows, { from, now = new Date() }) {
+        const updatedAt = now.toISOString();
+        return save(closedDays(from, now).map(date => ({
+            ...emptyDay(date),
+            ...days.get(date),
+            billedCost: rows.filter(row => row.date === date).reduce((sum, row) => sum + (row.cost || 0), 0),
+            billedFinal: settled(date, BILLED_SETTLE_HOURS, now),
+            updatedAt
+        })));
+    }
+
+    // Re-estimate every stored day with estimate(row, date), after prices change
+    function reprice(estimate) {
+        return save([...days.values()].filter(day => day.usage.length).map(day => {
+            const usage = day.usage.map(row => ({ ...row, estimated_cost: estimate(row, day.date) }));
+            return { ...day, usage, estimatedCost: usage.reduce((sum, row) => sum + row.estimated_cost, 0) };
+        }));
+    }
+
+    function sorted() {
+        return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    function hasUsage() {
+        return sorted().some(day => day.scope !== null);
+    }
+
+    function hasBilled() {
+        return sorted().some(day => day.billedCost !== null);
+    }
+
+    // Stored usage in the Usage Report API's response shape (daily buckets),
+    // so it goes through the same extraction as a live response
+    function usageBuckets() {
+        return {
+            data: sorted().filter(day => day.scope !== null).map(day => ({
+                starting_at: `${day.date}T00:00:00Z`,
+                ending_at: `${addDays(day.date, 1)}T00:00:00Z`,
+                results: day.usage
+            }))
+        };
+    }
+
+    // Billed totals in the shape fetchAllTimeCostAPI() returns
+    function billedTotals() {
+        const dailyBreakdown = sorted()
+            .filter(day => day.billedCost > 0)
+            .map(day => ({ date: day.date, cost: day.billedCost }));
+        return { actualCost: dailyBreakdown.reduce((sum, day) => sum + day.cost, 0), dailyBreakdown };
+    }
+
+    function list({ since = null, until = null } = {}) {
+        return sorted().filter(day => (!since || day.date >= since) && (!until || day.date <= until));
+    }
+
+    return { load, firstOpenDay, recordUsage, recordBilled, reprice, hasUsage, hasBilled, usageBuckets, billedTotals, list };
+}
+
+module.exports = { HISTORY_START, addDays, openDay, createCostHistory };
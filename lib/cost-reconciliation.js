@@ -0,0 +1,148 @@
+// ─── Cost reconciliation ────────────────────────────────────────────────────
+// Estimated (token-priced, lib/pricing.js) against billed (Cost Report API)
+// cost per day over the cost history, for GET /api/analytics/reconciliation.
+// delta is billed − estimated: above zero, Anthropic billed more than the
+// tracked usage explains (stale prices, or spend from keys that are not
+// configured agents); below zero, the catalog prices usage too high. A day is
+// flagged when its gap exceeds both tolerances, once its billed amount is
+// final. The Cost Report API has no per-key split, so an agent's billed cost
+// is its share of the day's estimate applied to the day's bill.
+
+const { parseCostQuery } = require('./cost-analytics');
+
+const DEFAULT_TOLERANCE_PCT = 5;
+const DEFAULT_TOLERANCE_USD = 1;
+
+// Parse query parameters. Returns { value: { since, until, tolerancePct, toleranceUsd }, errors }.
+function parseReconciliationQuery(query = {}, now = new Date()) {
+    const { value: range, errors } = parseCostQuery({ since: query.since, until: query.until }, now);
+
+    const tolerance = (key, fallback) => {
+        if (query[key] === undefined || query[key] === '') return fallback;
+        const number = Number(query[key]);
+        if (!Number.isFinite(number) || number < 0) {
+            errors.push(`${key}: must be a number, 0 or more`);
+            return fallback;
+        }
+        return number;
+    };
+
+    return {
+        value: {
+            since: range.since,
+            until: range.until,
+            tolerancePct: tolerance('tolerancePct', DEFAULT_TOLERANCE_PCT),
+            toleranceUsd: tolerance('toleranceUsd', DEFAULT_TOLERANCE_USD)
+        },
+        errors
+    };
+}
+
+// Percentage of the larger side, so a bill of $0 against an estimate still compares
+function gapPct(estimated, billed) {
+    const base = Math.max(estimated, billed);
+    return base > 0 ? ((billed - estimated) / base) * 100 : 0;
+}
+
+function compare(estimated, billed, { tolerancePct, toleranceUsd }) {
+    const delta = billed - estimated;
+    const deltaPct = gapPct(estimated, billed);
+    return {
+        delta,
+        deltaPct,
+        exceeds: Math.abs(delta) > toleranceUsd && Math.abs(deltaPct) > tolerancePct
+    };
+}
+
+// groupOf(row) → { key, label } names the agent of a stored usage row.
+// Days are cost history records (lib/cost-history.js); dates in range without
+// one are left out. Each day's status is
+//   'unbilled'  no billed amount yet (today, or the Cost Report API is unavailable)
+//   'pending'   billed amount not final: compared, but not flagged or totalled
+//   'ok' / 'flagged'
+// Range totals (overall and per agent) cover the days with a final bill.
+function reconcileCosts(days, { since, until, tolerancePct, toleranceUsd, groupOf }) {
+    const tolerance = { tolerancePct, toleranceUsd };
+    const agents = new Map();   // key → range totals over days with a final bill
+    const totals = { estimated: 0, billed: 0, days: 0, flaggedDays: 0 };
+
+    const rows = days
+        .filter(day => day.date >= since && day.date <= until)
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(day => {
+            const byAgent = new Map();
+            day.usage.forEach(row => {
+                const { key, label } = groupOf(row);
+                const agent = byAgent.get(key) || { key, label, estimated: 0 };
+                agent.estimated += row.estimated_cost || 0;
+                byAgent.set(key, agent);
+            });
+            const estimated = day.usage.reduce((sum, row) => sum + (row.estimated_cost || 0), 0);
+            const billed = day.billedCost;
+
+            if (billed === null || billed === undefined) {
+                return {
+                    date: day.date,
+                    estimated,
+                    billed: null,
+                    delta: null,
+                    deltaPct: null,
+                    status: 'unbilled',
+                    agents: [...byAgent.values()].map(agent => ({ ...agent, billed: null, delta: null, flagged: false }))
+                };
+            }
+
+            const { delta, deltaPct, exceeds } = compare(estimated, billed, tolerance);
+            const final = day.billedFinal !== false;
+            const flagged = exceeds && final;
+            if (final) {
+                totals.estimated += estimated;
+                totals.billed += billed;
+                totals.days++;
+                if (flagged) totals.flaggedDays++;
+            }
+
+            const agentRows = [...byAgent.values()].map(agent => {
+                const share = estimated > 0 ? agent.estimated / estimated : 0;
+                const agentBilled = billed * share;
+                const gap = compare(agent.estimated, agentBilled, tolerance);
+
+                if (final) {
+                    const sum = agents.get(agent.key) || { key: agent.key, label: agent.label, estimated: 0, billed: 0, days: 0, flaggedDays: 0 };
+                    sum.estimated += agent.estimated;
+                    sum.billed += agentBilled;
+                    sum.days++;
+                    if (flagged && gap.exceeds) sum.flaggedDays++;
+                    agents.set(agent.key, sum);
+                }
+
+                return { ...agent, billed: agentBilled, delta: gap.delta, flagged: flagged && gap.exceeds };
+            });
+
+            return {
+                date: day.date,
+                estimated,
+                billed,
+                delta,
+                deltaPct,
+                status: day.billedFinal === false ? 'pending' : (flagged ? 'flagged' : 'ok'),
+                agents: agentRows.sort((a, b) => b.estimated - a.estimated)
+            };
+        });
+
+    const withGap = sum => {
+        const { delta, deltaPct } = compare(sum.estimated, sum.billed, tolerance);
+        return { ...sum, delta, deltaPct };
+    };
+
+    return {
+        since,
+        until,
+        tolerance,
+        totals: withGap(totals),
+        agents: [...agents.values()].map(withGap).sort((a, b) => b.estimated - a.estimated),
+        days: rows
+    };
+}
+
+module.exports = { DEFAULT_TOLERANCE_PCT, DEFAULT_TOLERANCE_USD, parseReconciliationQuery, reconcileCosts };
@@ -0,0 +1,167 @@
+// ─── Spend forecast ─────────────────────────────────────────────────────────
+// Month-end spend forecast from daily costs:
+//   - days far above the recent norm are clipped before fitting, so one heavy
+//     day moves the forecast a little instead of setting the pace for the month
+//   - weekday seasonality: each weekday's share of a typical week, shrunk
+//     toward flat while there are only a few weeks of data
+//   - Holt's exponentially weighted level + damped trend on the
+//     deseasonalized series
+//   - an 80% band from the one-step-ahead errors, widening with the horizon
+// Today is still open: it is forecast like the rest of the month but never
+// below what has already been spent.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIT_DAYS = 56;
+const ALPHA = 0.3;       // level smoothing
+const BETA = 0.1;        // trend smoothing
+const PHI = 0.9;         // trend damping per day
+const Z_80 = 1.2816;     // two-sided 80% interval
+const SEASON_SHRINK = 2; // weeks of data that count as much as a flat prior
+
+function isoDate(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Completed days before `today`, oldest first, with missing days as zero.
+// Starts at the first day with spend, at most FIT_DAYS back.
+function dailySeries(history, today) {
+    const costs = new Map();
+    history.forEach(day => costs.set(day.date, (costs.get(day.date) || 0) + (day.cost || 0)));
+    const end = Date.parse(`${today}T00:00:00Z`);
+    const series = [];
+    for (let t = end - FIT_DAYS * DAY_MS; t < end; t += DAY_MS) {
+        const date = isoDate(t);
+        const cost = costs.get(date) || 0;
+        if (!series.length && cost === 0) continue;
+        series.push({ date, cost, weekday: new Date(t).getUTCDay() });
+    }
+    return series;
+}
+
+// Clip spikes at median + 4 × MAD (or 3 × median when the MAD is zero)
+function clipSpikes(series) {
+    const values = series.map(d => d.cost);
+    const med = median(values);
+    const mad = median(values.map(v => Math.abs(v - med)));
+    const ceiling = mad > 0 ? med + 4 * 1.4826 * mad : med * 3;
+    return series.map(d => ({ ...d, cost: ceiling > 0 ? Math.min(d.cost, ceiling) : d.cost }));
+}
+
+// Multiplicative weekday factors (index 0 = Sunday), averaging 1
+function weekdayFactors(series) {
+    const mean = series.reduce((s, d) => s + d.cost, 0) / (series.length || 1);
+    const weeks = series.length / 7;
+    if (mean <= 0 || weeks < 2) return Array(7).fill(1);
+    const weight = weeks / (weeks + SEASON_SHRINK);
+    const factors = [0, 1, 2, 3, 4, 5, 6].map(weekday => {
+        const days = series.filter(d => d.weekday === weekday);
+        const raw = days.length ? days.reduce((s, d) => s + d.cost, 0) / days.length / mean : 1;
+        return 1 + (raw - 1) * weight;
+    });
+    const average = factors.reduce((a, b) => a + b, 0) / 7;
+    return factors.map(f => f / average);
+}
+
+// Holt's linear method with a damped trend; returns the final state and the
+// standard deviation of the one-step-ahead errors (in dollars)
+function fitHolt(series, factors) {
+    const values = series.map(d => d.cost / (factors[d.weekday] || 1));
+    let level = values[0];
+    let trend = 0;
+    const errors = [];
+    for (let i = 1; i < values.length; i++) {
+        const predicted = level + PHI * trend;
+        errors.push((series[i].cost - predicted * factors[series[i].weekday]));
+        const previousLevel = level;
+        level = ALPHA * values[i] + (1 - ALPHA) * predicted;
+        trend = BETA * (level - previousLevel) + (1 - BETA) * PHI * trend;
+    }
+    const sigma = errors.length > 1
+        ? Math.sqrt(errors.reduce((s, e) => s + e * e, 0) / (errors.length - 1))
+        : level * 0.5;
+    return { level, trend, sigma };
+}
+
+// Forecast the month that contains `now`.
+//   history    [{ date, cost }] daily spend; only days before today are used to fit
+//   todayCost  spend so far today
+//   threshold  optional monthly threshold for the crossing date
+// Returns { point, low, high, mtd, crossing, method, fitDays, days } where
+//   days      [{ date, cost, low, high, total, totalLow, totalHigh }] from today
+//             to month end: the day's own spend and the month's running total
+//   crossing  { expected, earliest, already } dates or null without a threshold
+function forecastMonth({ history, todayCost = 0, threshold = null, now = new Date() }) {
+    const today = isoDate(now.getTime());
+    const monthStart = `${today.slice(0, 7)}-01`;
+    const monthEnd = isoDate(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0));
+    const mtdClosed = history
+        .filter(d => d.date >= monthStart && d.date < today)
+        .reduce((s, d) => s + (d.cost || 0), 0);
+    const mtd = mtdClosed + todayCost;
+
+    const series = clipSpikes(dailySeries(history, today));
+    const factors = weekdayFactors(series);
+    const fit = series.length ? fitHolt(series, factors) : { level: 0, trend: 0, sigma: 0 };
+
+    // Day by day from today to the end of the month
+    const days = [];
+    let damping = 0;
+    let variance = 0;
+    let point = mtdClosed;
+    let low = mtdClosed;
+    let high = mtdClosed;
+    for (let t = Date.parse(`${today}T00:00:00Z`), h = 1; isoDate(t) <= monthEnd; t += DAY_MS, h++) {
+        damping += Math.pow(PHI, h);
+        const weekday = new Date(t).getUTCDay();
+        let dayPoint = Math.max(0, (fit.level + damping * fit.trend) * factors[weekday]);
+        // Error of an h-step Holt forecast grows with the horizon
+        let dayVariance = fit.sigma * fit.sigma * (1 + (h - 1) * ALPHA * ALPHA * (1 + h * BETA));
+        if (h === 1) {
+            dayPoint = Math.max(dayPoint, todayCost);
+            dayVariance *= Math.max(0, 1 - (now.getTime() - t) / DAY_MS);
+        }
+        variance += dayVariance;
+        point += dayPoint;
+        const spread = Z_80 * Math.sqrt(variance);
+        const daySpread = Z_80 * Math.sqrt(dayVariance);
+        low = Math.max(mtd, point - spread);
+        high = point + spread;
+        days.push({
+            date: isoDate(t),
+            cost: dayPoint,
+            low: Math.max(h === 1 ? todayCost : 0, dayPoint - daySpread),
+            high: dayPoint + daySpread,
+            total: point,
+            totalLow: low,
+            totalHigh: high
+        });
+    }
+
+    let crossing = null;
+    if (threshold) {
+        const firstAt = key => (days.find(d => d[key] >= threshold) || {}).date || null;
+        crossing = mtd >= threshold
+            ? { already: true, expected: today, earliest: today }
+            : { already: false, expected: firstAt('total'), earliest: firstAt('totalHigh') };
+    }
+
+    return {
+        method: 'holt-damped-weekday',
+        fitDays: series.length,
+        mtd,
+        point,
+        low: Math.min(low, point),
+        high: Math.max(high, point),
+        days,
+        crossing
+    };
+}
+
+module.exports = { forecastMonth };
@@ -0,0 +1,178 @@
+// ─── Log alert rules ────────────────────────────────────────────────────────
+// Rules are checked against every parsed log entry from the tailer, e.g.
+//   { name: 'Nate errors', level: 'error', agent: 'nate', count: 5, windowMinutes: 2 }
+//   { name: 'Rate limited', pattern: 'rate_limit_error' }
+// A rule fires when `count` matching lines arrive within `windowMinutes`, then
+// stays quiet for `cooldownMinutes`. Rules live in config/log-alerts.json.
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./task-store');
+const { LOG_LEVELS } = require('./log-archive');
+
+const RULE_DEFAULTS = {
+    enabled: true,
+    level: null,          // debug | info | warning | error
+    agent: null,          // agent slug
+    source: null,         // log source id
+    pattern: null,        // case-insensitive regex on the message
+    count: 1,
+    windowMinutes: 1,
+    cooldownMinutes: 10,
+    createTask: true      // open an ERROR task when the rule fires
+};
+
+const SAMPLE_SIZE = 3;
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Validate and normalize a full list of rules. Returns { value, errors }.
+function validateLogAlertRules(list) {
+    const errors = [];
+    if (!Array.isArray(list)) return { value: [], errors: ['rules must be an array'] };
+
+    const ids = new Set();
+    const value = list.map((raw, index) => {
+        const label = `rules[${index}]`;
+        if (!raw || typeof raw !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return null;
+        }
+
+        const rule = { ...RULE_DEFAULTS };
+        rule.name = typeof raw.name === 'string' ? raw.name.trim() : '';
+        if (!rule.name) errors.push(`${label}.name: is required`);
+
+        if (raw.enabled !== undefined) rule.enabled = raw.enabled !== false;
+        if (raw.createTask !== undefined) rule.createTask = raw.createTask !== false;
+
+        if (raw.level) {
+            rule.level = String(raw.level).toLowerCase();
+            if (!LOG_LEVELS.includes(rule.level)) errors.push(`${label}.level: unknown level ${raw.level} (expected ${LOG_LEVELS.join(', ')})`);
+        }
+        if (raw.agent) rule.agent = String(raw.agent).trim().toLowerCase();
+        if (raw.source) rule.source = String(raw.source).trim();
+        if (raw.pattern) {
+            rule.pattern = String(raw.pattern);
+            try {
+                new RegExp(rule.pattern, 'i');
+            } catch (e) {
+                errors.push(`${label}.pattern: ${e.message}`);
+            }
+        }
+        if (!rule.level && !rule.agent && !rule.source && !rule.pattern) {
+            errors.push(`${label}: needs at least one of level, agent, source or pattern`);
+        }
+
+        [['count', 1], ['windowMinutes', 0.1], ['cooldownMinutes', 0]].forEach(([key, min]) => {
+            if (raw[key] === undefined || raw[key] === null || raw[key] === '') return;
+            const number = Number(raw[key]);
+            if (!Number.isFinite(number) || number < min) errors.push(`${label}.${key}: must be a number (${min} or more)`);
+            else rule[key] = key === 'count' ? Math.round(number) : number;
+        });
+
+        rule.id = slugify(raw.id || rule.name) || `rule-${index + 1}`;
+        if (ids.has(rule.id)) errors.push(`${label}.id: duplicate id ${rule.id}`);
+        ids.add(rule.id);
+
+        return rule;
+    });
+
+    return { value: errors.length ? [] : value, errors };
+}
+
+function createLogAlertRuleStore({ file }) {
+    let rules = [];
+
+    function load() {
+        try {
+            if (fs.existsSync(file)) {
+                const { value, errors } = validateLogAlertRules(JSON.parse(fs.readFileSync(file, 'utf8')));
+                if (errors.length) {
+                    console.log(`⚠️  Ignoring invalid log alert rules: ${errors.join('; ')}`);
+                } else {
+                    rules = value;
+                    console.log(`✅ Loaded ${rules.length} log alert rule(s)`);
+                }
+            }
+        } catch (error) {
+            console.log('⚠️  Error loading log alert rules:', error.message);
+        }
+    }
+
+    // Replace the whole list. Returns validation errors.
+    function save(list) {
+        const { value, errors } = validateLogAlertRules(list);
+        if (errors.length) return errors;
+
+        rules = value;
+        writeFileAtomic(file, JSON.stringify(rules, null, 2));
+        console.log(`✅ Saved ${rules.length} log alert rule(s)`);
+        return [];
+    }
+
+    return {
+        load,
+        save,
+        get rules() { return rules; }
+    };
+}
+
+// Keeps a sliding window of matching lines per rule. evaluate() returns the
+// rules that fired: [{ rule, count, samples }].
+function createLogAlertEngine() {
+    const windows = new Map();    // rule id → [{ time, entry }]
+    const lastFired = new Map();  // rule id → ms
+    const regexes = new Map();    // pattern → RegExp
+    let evaluatedThrough = 0;     // highest seq seen; entries resent with more lines are not recounted
+
+    function regexFor(pattern) {
+        if (!regexes.has(pattern)) regexes.set(pattern, new RegExp(pattern, 'i'));
+        return regexes.get(pattern);
+    }
+
+    function matches(rule, entry) {
+        if (rule.level && entry.level !== rule.level) return false;
+        if (rule.agent && String(entry.agent).toLowerCase() !== rule.agent) return false;
+        if (rule.source && entry.source !== rule.source) return false;
+        if (rule.pattern && !regexFor(rule.pattern).test(entry.message)) return false;
+        return true;
+    }
+
+    function evaluate(rules, entries, now = Date.now()) {
+        const fresh = entries.filter(entry => entry.seq === undefined || entry.seq > evaluatedThrough);
+        fresh.forEach(entry => {
+            if (entry.seq > evaluatedThrough) evaluatedThrough = entry.seq;
+        });
+
+        // Forget state of rules that were removed
+        const ids = new Set(rules.map(rule => rule.id));
+        [...windows.keys()].filter(id => !ids.has(id)).forEach(id => windows.delete(id));
+
+        const fired = [];
+        rules.filter(rule => rule.enabled).forEach(rule => {
+            const windowStart = now - rule.windowMinutes * 60 * 1000;
+            // Lines older than the window (backfill after a restart) never count
+            const hits = fresh
+                .filter(entry => matches(rule, entry))
+                .map(entry => ({ time: entry.timestamp ? new Date(entry.timestamp).getTime() : now, entry }))
+                .filter(hit => hit.time >= windowStart);
+            const window = [...(windows.get(rule.id) || []), ...hits].filter(hit => hit.time >= windowStart);
+            windows.set(rule.id, window);
+
+            if (window.length < rule.count) return;
+            const last = lastFired.get(rule.id);
+            if (last && now - last < rule.cooldownMinutes * 60 * 1000) return;
+
+            lastFired.set(rule.id, now);
+            windows.set(rule.id, []);
+            fired.push({ rule, count: window.length, samples: window.slice(-SAMPLE_SIZE).map(hit => hit.entry) });
+        });
+        return fired;
+    }
+
+    return { evaluate };
+}
+
+module.exports = { RULE_DEFAULTS, validateLogAlertRules, createLogAlertRuleStore, createLogAlertEngine };
@@ -0,0 +1,201 @@
+// ─── Log archive ────────────────────────────────────────────────────────────
+// Parsed log entries are written to the local store (JSONL day files or
+// SQLite, see lib/storage/) so /api/logs can search past the live window.
+// Entries are held briefly before archiving because continuation lines (stack
+// traces) can still be appended to the newest entry of each file.
+
+const DEFAULT_LOG_LIMIT = 100;
+const MAX_LOG_LIMIT = 500;
+const LOG_LEVELS = ['debug', 'info', 'warning', 'error'];
+
+// Shape stored in the archive (no raw text or per-process seq)
+function toArchiveRow(entry, now = new Date().toISOString()) {
+    return {
+        timestamp: entry.timestamp || now,
+        approximate: !entry.timestamp,
+        level: entry.level,
+        component: entry.component || null,
+        agent: entry.agent || 'unknown',
+        sessionId: entry.sessionId || null,
+        message: entry.message,
+        payload: entry.payload || null,
+        source: entry.source || null,
+        file: entry.file || null
+    };
+}
+
+function encodeLogCursor(row) {
+    return Buffer.from(JSON.stringify([row.timestamp, row.id])).toString('base64url');
+}
+
+function decodeLogCursor(raw) {
+    try {
+        const parsed = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+        return Array.isArray(parsed) && parsed.length === 2 ? { timestamp: parsed[0], id: parsed[1] } : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function listParam(raw) {
+    if (raw === undefined) return null;
+    const values = String(raw).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    return values.length ? values : null;
+}
+
+// Parse GET /api/logs query parameters. Returns { value, errors }.
+function parseLogQuery(query = {}) {
+    const errors = [];
+
+    let limit = DEFAULT_LOG_LIMIT;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LOG_LIMIT) {
+            errors.push(`limit: must be an integer between 1 and ${MAX_LOG_LIMIT}`);
+        }
+    }
+
+    const date = name => {
+        if (query[name] === undefined) return null;
+        const parsed = new Date(query[name]);
+        if (Number.isNaN(parsed.getTime())) {
+            errors.push(`${name}: must be an ISO date`);
+            return null;
+        }
+        return parsed.toISOString();
+    };
+
+    const levels = listParam(query.level);
+    if (levels) {
+        levels.filter(l => !LOG_LEVELS.includes(l)).forEach(l => errors.push(`level: unknown level ${l} (expected ${LOG_LEVELS.join(', ')})`));
+    }
+
+    let regex = null;
+    if (query.regex !== undefined && query.regex !== '') {
+        try {
+            new RegExp(String(query.regex), 'i');
+            regex = String(query.regex);
+        } catch (e) {
+            errors.push(`regex: ${e.message}`);
+        }
+    }
+
+    let cursor = null;
+    if (query.cursor !== undefined) {
+        cursor = decodeLogCursor(query.cursor);
+        if (!cursor) errors.push('cursor: is not a valid cursor');
+    }
+
+    return {
+        value: {
+            since: date('since'),
+            until: date('until'),
+            levels,
+            agents: listParam(query.agent),
+            source: query.source ? String(query.source) : null,
+            // Every word must appear (in the message, component, agent, session or payload)
+            words: query.q ? String(query.q).toLowerCase().split(/\s+/).filter(Boolean) : null,
+            regex,
+            limit,
+            cursor
+        },
+        errors
+    };
+}
+
+// In-memory filter, used by the file backend (SQLite does this in SQL)
+function matchesLogQuery(row, query, compiledRegex) {
+    if (query.since && row.timestamp < query.since) return false;
+    if (query.until && row.timestamp > query.until) return false;
+    if (query.levels && !query.levels.includes(row.level)) return false;
+    if (query.agents && !query.agents.includes(String(row.agent).toLowerCase())) return false;
+    if (query.source && row.source !== query.source) return false;
+    if (query.cursor && !isBeforeCursor(row, query.cursor)) return false;
+    if (query.words && query.words.length) {
+        const haystack = [row.message, row.component, row.agent, row.sessionId, row.payload ? JSON.stringify(row.payload) : '']
+            .filter(Boolean).join(' ').toLowerCase();
+        if (!query.words.every(word => haystack.includes(word))) return false;
+    }
+    if (compiledRegex && !compiledRegex.test(row.message)) return false;
+    return true;
+}
+
+// Results are newest first; the cursor is the last row of the previous page
+function isBeforeCursor(row, cursor) {
+    if (row.timestamp !== cursor.timestamp) return row.timestamp < cursor.timestamp;
+    return Number(row.id) < Number(cursor.id);
+}
+
+// Buffers entries from the tailer and writes them once they have settled.
+// `store` is a storage backend's logs interface.
+function createLogArchive({ store, settleMs = 5000 }) {
+    const pending = new Map();   // seq → { entry, receivedAt }
+    let archivedThrough = 0;     // highest seq written; later copies of it are ignored
+    let replayCutoff = null;     // while set, entries at or before it are already archived
+
+    function add(entries) {
+        const now = Date.now();
+        entries.forEach(entry => {
+            if (entry.seq <= archivedThrough) return;
+            if (replayCutoff && (!entry.timestamp || entry.timestamp <= replayCutoff)) return;
+            const existing = pending.get(entry.seq);
+            pending.set(entry.seq, { entry, receivedAt: existing ? existing.receivedAt : now });
+        });
+    }
+
+    // Archive entries that are older than settleMs, or that a later entry from
+    // the same file has followed (so they can't grow any more)
+    async function flush({ all = false } = {}) {
+        const now = Date.now();
+        const newestByFile = new Map();
+        pending.forEach(({ entry }) => {
+            const key = entry.file || '';
+            if (!newestByFile.has(key) || entry.seq > newestByFile.get(key)) newestByFile.set(key, entry.seq);
+        });
+
+        const ready = [...pending.values()]
+            .filter(({ entry, receivedAt }) =>
+                all || now - receivedAt >= settleMs || entry.seq < newestByFile.get(entry.file || ''))
+            .sort((a, b) => a.entry.seq - b.entry.seq);
+        if (!ready.length) return 0;
+
+        const nowIso = new Date(now).toISOString();
+        await store.insertMany(ready.map(({ entry }) => toArchiveRow(entry, nowIso)));
+        ready.forEach(({ entry }) => {
+            pending.delete(entry.seq);
+            archivedThrough = Math.max(archivedThrough, entry.seq);
+        });
+        return ready.length;
+    }
+
+    // Newest first; returns { data, nextCursor }
+    async function query(options) {
+        const rows = await store.query(options);
+        const data = rows.slice(0, options.limit);
+        return {
+            data,
+            nextCursor: rows.length > options.limit ? encodeLogCursor(data[data.length - 1]) : null
+        };
+    }
+
+    return {
+        add,
+        flush,
+        query,
+        // The tailer re-reads the end of each file on startup; entries up to
+        // the newest archived timestamp were stored by the previous run
+        setReplayCutoff(timestamp) {
+            replayCutoff = timestamp || null;
+        },
+        get pending() { return pending.size; }
+    };
+}
+
+module.exports = {
+    createLogArchive,
+    parseLogQuery,
+    matchesLogQuery,
+    encodeLogCursor,
+    LOG_LEVELS,
+    MAX_LOG_LIMIT
+};
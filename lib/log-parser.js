@@ -0,0 +1,378 @@
+// ─── Gateway log parser ─────────────────────────────────────────────────────
+// Turns raw OpenClaw gateway log lines into structured entries:
+//   { timestamp, level, component, agent, sessionId, message, payload, format, raw }
+// Formats are tried in order; the first whose parse() returns fields wins.
+// Extra regex formats can be declared in config/log-formats.json (see README).
+// Lines no format recognises (stack traces, wrapped output) are appended to the
+// previous entry instead of becoming entries with a made-up time, up to
+// MAX_CONTINUATION_LINES lines / MAX_ENTRY_LENGTH characters per entry.
+
+const fs = require('fs');
+
+// Past either limit, further unrecognised lines start a new entry
+const MAX_CONTINUATION_LINES = 200;
+const MAX_ENTRY_LENGTH = 64 * 1024;
+
+const LEVELS = {
+    trace: 'debug',
+    debug: 'debug',
+    verbose: 'debug',
+    info: 'info',
+    notice: 'info',
+    warn: 'warning',
+    warning: 'warning',
+    error: 'error',
+    err: 'error',
+    fatal: 'error',
+    critical: 'error'
+};
+
+function normalizeLevel(raw) {
+    if (raw === undefined || raw === null) return null;
+    return LEVELS[String(raw).trim().toLowerCase()] || null;
+}
+
+function toIso(raw) {
+    if (raw === undefined || raw === null || raw === '') return null;
+    const date = typeof raw === 'number' ? new Date(raw) : new Date(String(raw));
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// A trailing {...} or [...] that parses as JSON becomes the payload
+function splitPayload(text) {
+    const trimmed = text.trimEnd();
+    const last = trimmed[trimmed.length - 1];
+    if (last !== '}' && last !== ']') return { message: trimmed, payload: null };
+
+    const open = last === '}' ? '{' : '[';
+    for (let i = trimmed.indexOf(open); i !== -1; i = trimmed.indexOf(open, i + 1)) {
+        try {
+            const payload = JSON.parse(trimmed.slice(i));
+            return { message: trimmed.slice(0, i).trimEnd(), payload };
+        } catch (e) {
+            // keep looking for a later opening bracket
+        }
+    }
+    return { message: trimmed, payload: null };
+}
+
+// Leading [tag] groups: [component], [agent:x], [session:x]; plus key=value tokens
+function extractTags(text) {
+    const fields = {};
+    let rest = text;
+    let match;
+    while ((match = rest.match(/^\s*\[([^\]]+)\]/))) {
+        const tag = match[1].trim();
+        const pair = tag.match(/^(agent|session|sessionId|component|subsystem)[:=](.+)$/i);
+        if (pair) {
+            const key = pair[1].toLowerCase();
+            if (key === 'agent') fields.agent = pair[2].trim();
+            else if (key.startsWith('session')) fields.sessionId = pair[2].trim();
+            else fields.component = pair[2].trim();
+        } else if (!fields.component) {
+            fields.component = tag;
+        }
+        rest = rest.slice(match[0].length);
+    }
+
+    const agentKv = rest.match(/\bagent[=:]([\w.-]+)/i);
+    if (agentKv && !fields.agent) fields.agent = agentKv[1];
+    const sessionKv = rest.match(/\bsession(?:Id|_id|Key)?[=:]([\w:.-]+)/i);
+    if (sessionKv && !fields.sessionId) fields.sessionId = sessionKv[1];
+
+    return { fields, rest: rest.trim() };
+}
+
+// ─── Built-in formats ───────────────────────────────────────────────────────
+
+// JSON lines, including the tslog layout the gateway writes to /tmp/openclaw
+// ({ "0": msg, "1": payload, "_meta": { date, logLevelName, name }, "time" }).
+const jsonFormat = {
+    name: 'json',
+    parse(line) {
+        if (line[0] !== '{') return null;
+        let obj;
+        try {
+            obj = JSON.parse(line);
+        } catch (e) {
+            return null;
+        }
+        if (!obj || typeof obj !== 'object') return null;
+
+        const meta = obj._meta || {};
+        let component = obj.component || obj.subsystem || obj.module || null;
+        if (!component && meta.name) {
+            try {
+                const named = JSON.parse(meta.name);
+                component = named.subsystem || named.module || null;
+            } catch (e) {
+                component = meta.name;
+            }
+        }
+
+        // tslog puts positional arguments under "0", "1", ...; a sub-logger's
+        // bindings come first and repeat _meta.name
+        const positional = Object.keys(obj).filter(k => /^\d+$/.test(k)).sort((a, b) => a - b)
+            .map(k => obj[k])
+            .filter(v => !(meta.name && v === meta.name));
+        const message = obj.msg || obj.message ||
+            positional.filter(v => typeof v === 'string').join(' ') || '';
+        const objects = positional.filter(v => v && typeof v === 'object');
+
+        const known = ['time', 'timestamp', 'ts', 'level', 'levelName', 'msg', 'message', 'component',
+            'subsystem', 'module', 'agent', 'agentId', 'session', 'sessionId', 'sessionKey', '_meta'];
+        const extra = {};
+        Object.keys(obj)
+            .filter(k => !known.includes(k) && !/^\d+$/.test(k))
+            .forEach(k => { extra[k] = obj[k]; });
+        const payload = objects.length || Object.keys(extra).length
+            ? Object.assign({}, ...objects, extra)
+            : null;
+
+        return {
+            timestamp: toIso(obj.time || obj.timestamp || obj.ts || meta.date),
+            level: normalizeLevel(obj.level || obj.levelName || meta.logLevelName),
+            component,
+            agent: obj.agent || obj.agentId || (payload && (payload.agent || payload.agentId)) || null,
+            sessionId: obj.sessionId || obj.sessionKey || obj.session ||
+                (payload && (payload.sessionId || payload.sessionKey)) || null,
+            message,
+            payload
+        };
+    }
+};
+
+// Text lines from ~/.openclaw/logs/gateway.log:
+//   2026-02-22T10:15:03.123Z [INFO] [gateway/ws] [agent:atlas] [session:abc] message {"json":1}
+//   2026-02-22T10:15:03.123Z WARN [cron] agent=nate slow tick
+const TEXT_LINE = /^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)\s+(?:\[(\w+)\]|(TRACE|DEBUG|INFO|NOTICE|WARN|WARNING|ERROR|FATAL)\b:?)\s*(.*)$/i;
+
+const gatewayTextFormat = {
+    name: 'gateway',
+    parse(line) {
+        const match = line.match(TEXT_LINE);
+        if (!match) return null;
+
+        const { fields, rest } = extractTags(match[4]);
+        const { message, payload } = splitPayload(rest);
+        return {
+            timestamp: toIso(match[1]),
+            level: normalizeLevel(match[2] || match[3]),
+            component: fields.component || null,
+            agent: fields.agent || (payload && payload.agent) || null,
+            sessionId: fields.sessionId || (payload && (payload.sessionId || payload.sessionKey)) || null,
+            message,
+            payload
+        };
+    }
+};
+
+const DEFAULT_FORMATS = [jsonFormat, gatewayTextFormat];
+
+// One entry per line, for sources whose lines carry no timestamp. It matches
+// anything, so it is only used when a source names it, never under 'auto'.
+const plainFormat = {
+    name: 'plain',
+    parse(line) {
+        const { fields, rest } = extractTags(line);
+        const { message, payload } = splitPayload(rest || line);
+        return {
+            timestamp: null,
+            level: null,
+            component: fields.component || null,
+            agent: fields.agent || null,
+            sessionId: fields.sessionId || null,
+            message,
+            payload
+        };
+    }
+};
+
+// Build a format from a declarative definition with named groups, e.g.
+//   { "name": "nginx-ish", "pattern": "^(?<timestamp>\\S+) (?<level>\\w+) (?<message>.*)$" }
+// Recognised groups: timestamp, level, component, agent, session, message.
+function regexFormat(def) {
+    if (!def || typeof def.name !== 'string' || typeof def.pattern !== 'string') {
+        throw new Error('log format needs a name and a pattern');
+    }
+    const regex = new RegExp(def.pattern, def.flags || '');
+    return {
+        name: def.name,
+        parse(line) {
+            const match = line.match(regex);
+            if (!match) return null;
+            const groups = match.groups || {};
+            const { message, payload } = splitPayload(groups.message !== undefined ? groups.message : line);
+            return {
+                timestamp: toIso(groups.timestamp),
+                level: normalizeLevel(groups.level) || (def.level ? normalizeLevel(def.level) : null),
+                component: groups.component || def.component || null,
+                agent: groups.agent || null,
+                sessionId: groups.session || null,
+                message,
+                payload
+            };
+        }
+    };
+}
+
+// Read custom formats from a JSON file (array of regexFormat definitions)
+function loadFormatFile(file) {
+    try {
+        if (!fs.existsSync(file)) return [];
+        const defs = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const formats = (Array.isArray(defs) ? defs : []).map(regexFormat);
+        console.log(`✅ Loaded ${formats.length} custom log format(s)`);
+        return formats;
+    } catch (error) {
+        console.log('⚠️  Error loading log formats:', error.message);
+        return [];
+    }
+}
+
+// Keyword fallback for entries whose format gave no level
+function guessLevel(text) {
+    if (/\b(error|fatal|exception|uncaught)\b/i.test(text)) return 'error';
+    if (/\bwarn(ing)?\b/i.test(text)) return 'warning';
+    if (/\b(debug|trace)\b/i.test(text)) return 'debug';
+    return 'info';
+}
+
+// resolveAgent(name) maps a raw agent name to a known agent slug (or null).
+// Sessions seen with an agent are remembered so later lines that only carry
+// the session id are attributed too; only the `maxSessions` most recently
+// seen sessions are kept.
+//
+// parseLine / parseLines take options per log source:
+//   format  only try this format ('auto' or unknown names try them all;
+//           'plain' makes every line an entry)
+//   agent   owner of the source, used when a line names no known agent
+function createLogParser({ formats = [], resolveAgent = name => name, maxSessions = 1000 } = {}) {
+    const active = [...formats, ...DEFAULT_FORMATS];
+    const sessionAgents = new Map();   // sessionId → agent, least recently seen first
+    const continuations = new WeakMap();   // entry → lines appended to it
+
+    function rememberSession(sessionId, agent) {
+        sessionAgents.delete(sessionId);
+        sessionAgents.set(sessionId, agent);
+        if (sessionAgents.size > maxSessions) sessionAgents.delete(sessionAgents.keys().next().value);
+    }
+
+    function sessionAgent(sessionId) {
+        const agent = sessionAgents.get(sessionId);
+        if (agent) rememberSession(sessionId, agent);
+        return agent || null;
+    }
+
+    function formatsFor(name) {
+        if (name === 'plain') return [plainFormat];
+        const only = name && name !== 'auto' ? active.filter(f => f.name === name) : [];
+        return only.length ? only : active;
+    }
+
+    function attribute(entry) {
+        let agent = entry.agent ? resolveAgent(String(entry.agent)) : null;
+        if (agent && entry.sessionId) rememberSession(entry.sessionId, agent);
+        if (!agent && entry.sessionId) agent = sessionAgent(entry.sessionId);
+        if (!agent && entry.component) {
+            // "agent/atlas" or "atlas" as the component
+            const tail = entry.component.split('/').pop();
+            agent = resolveAgent(tail);
+        }
+        return agent || 'unknown';
+    }
+
+    // Parse one line; returns an entry or null when no format matched
+    function parseLine(line, options = {}) {
+        const text = line.replace(/\r$/, '');
+        if (!text.trim()) return null;
+        for (const format of formatsFor(options.format)) {
+            let fields = null;
+            try {
+                fields = format.parse(text);
+            } catch (e) {
+                fields = null;
+            }
+            if (!fields) continue;
+
+            const entry = {
+                timestamp: fields.timestamp || null,
+                level: fields.level || guessLevel(fields.message || text),
+                component: fields.component || null,
+                agent: null,
+                sessionId: fields.sessionId || null,
+                message: fields.message || text,
+                payload: fields.payload || null,
+                format: format.name,
+                raw: text
+            };
+            entry.agent = attribute({ ...entry, agent: fields.agent });
+            if (entry.agent === 'unknown' && options.agent) entry.agent = options.agent;
+            return entry;
+        }
+        return null;
+    }
+
+    // Lines appended to an entry so far; an entry from an earlier call
+    // (the tailer's last entry) is counted from its raw text once
+    function continuationCount(entry) {
+        if (!continuations.has(entry)) continuations.set(entry, entry.raw.split('\n').length - 1);
+        return continuations.get(entry);
+    }
+
+    // Parse a chunk of text; unrecognised lines continue the previous entry.
+    // A leading unrecognised line (no previous entry) becomes an entry with no
+    // timestamp; one past the continuation limits starts an entry that keeps
+    // the time and attribution of the one it overflowed.
+    function parseLines(text, previous = null, options = {}) {
+        const entries = [];
+        let last = previous;
+        String(text).split('\n').forEach(rawLine => {
+            if (!rawLine.trim()) return;
+            const line = rawLine.replace(/\r$/, '');
+            const entry = parseLine(line, options);
+            if (entry) {
+                entries.push(entry);
+                last = entry;
+            } else if (last && continuationCount(last) < MAX_CONTINUATION_LINES &&
+                last.raw.length + line.length < MAX_ENTRY_LENGTH) {
+                last.message += `\n${line}`;
+                last.raw += `\n${line}`;
+                continuations.set(last, continuationCount(last) + 1);
+            } else {
+                last = {
+                    timestamp: last ? last.timestamp : null,
+                    level: last ? last.level : guessLevel(line),
+                    component: last ? last.component : null,
+                    agent: last ? last.agent : (options.agent || 'unknown'),
+                    sessionId: last ? last.sessionId : null,
+                    message: line,
+                    payload: null,
+                    format: last ? last.format : 'plain',
+                    raw: line
+                };
+                entries.push(last);
+            }
+        });
+        return entries;
+    }
+
+    return {
+        parseLine,
+        parseLines,
+        addFormat(format) {
+            active.unshift(format);
+        },
+        get formats() { return [...active.map(f => f.name), plainFormat.name]; }
+    };
+}
+
+module.exports = {
+    createLogParser,
+    regexFormat,
+    loadFormatFile,
+    normalizeLevel,
+    DEFAULT_FORMATS,
+    MAX_CONTINUATION_LINES,
+    MAX_ENTRY_LENGTH
+};
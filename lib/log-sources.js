@@ -0,0 +1,176 @@
+// ─── Log sources ────────────────────────────────────────────────────────────
+// Which log files the tailer follows. Each source is
+//   { id, name, paths: [path or glob], format, agent, machine, enabled }
+// format   parser format name, or 'auto' to try them all
+// agent    owning agent slug; lines that name no agent are attributed to it
+// machine  hostname the source applies to (null = every machine), so one
+//          config can be shared by Macs and Linux hosts
+// Saved in config/log-sources.json next to agents.json.
+//
+// Paths must lie under one of the log directories (symlinks resolved), and
+// never under a denied directory such as the dashboard's own, where
+// agents.json holds the API keys; otherwise any file could be read back
+// through /api/logs.
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./task-store');
+const { expandHome, realPath, isWithin } = require('./paths');
+const { agentSlug } = require('./agent-slug');
+
+const DEFAULT_LOG_DIRS = ['~/.openclaw/logs', '/Users/openclaw/.openclaw/logs', '/tmp/openclaw'];
+
+const DEFAULT_LOG_SOURCES = [
+    {
+        id: 'gateway',
+        name: 'Gateway',
+        paths: ['~/.openclaw/logs/gateway.log', '/Users/openclaw/.openclaw/logs/gateway.log'],
+        format: 'auto',
+        agent: null,
+        machine: null,
+        enabled: true
+    },
+    {
+        id: 'gateway-daily',
+        name: 'Gateway (daily)',
+        paths: ['/tmp/openclaw/openclaw-*.log'],
+        format: 'auto',
+        agent: null,
+        machine: null,
+        enabled: true
+    }
+];
+
+// Whether a file (or, for a glob, its directory) may be read as a log
+function isLogPathAllowed(p, { logDirs = DEFAULT_LOG_DIRS, deniedDirs = [] } = {}) {
+    const full = expandHome(p);
+    const real = realPath(/[*?]/.test(path.basename(full)) ? path.dirname(full) : full);
+    return logDirs.some(dir => isWithin(real, realPath(dir))) &&
+        !deniedDirs.some(dir => isWithin(real, realPath(dir)));
+}
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Validate and normalize a full list of sources. Returns { value, errors }.
+// formats is the list of parser format names; null skips the format check.
+// logDirs / deniedDirs limit where paths may point; null logDirs skips that check.
+function validateLogSources(list, { formats = null, logDirs = null, deniedDirs = [] } = {}) {
+    const errors = [];
+    if (!Array.isArray(list)) return { value: [], errors: ['sources must be an array'] };
+
+    const ids = new Set();
+    const value = list.map((raw, index) => {
+        const label = `sources[${index}]`;
+        if (!raw || typeof raw !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return null;
+        }
+
+        const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+        if (!name) errors.push(`${label}.name: is required`);
+
+        const paths = (Array.isArray(raw.paths) ? raw.paths : [raw.paths])
+            .filter(p => typeof p === 'string')
+            .map(p => p.trim())
+            .filter(Boolean);
+        if (!paths.length) errors.push(`${label}.paths: needs at least one path or glob`);
+        paths.filter(p => !p.startsWith('/') && !p.startsWith('~/'))
+            .forEach(p => errors.push(`${label}.paths: ${p} must be absolute (or start with ~/)`));
+        paths.filter(p => /[*?]/.test(p.slice(0, p.lastIndexOf('/'))))
+            .forEach(p => errors.push(`${label}.paths: ${p} - wildcards are only allowed in the file name`));
+        if (logDirs) {
+            paths.filter(p => (p.startsWith('/') || p.startsWith('~/')) && !isLogPathAllowed(p, { logDirs, deniedDirs }))
+                .forEach(p => errors.push(`${label}.paths: ${p} is not under a log directory (${logDirs.join(', ')})`));
+        }
+
+        const format = raw.format || 'auto';
+        if (formats && format !== 'auto' && !formats.includes(format)) {
+            errors.push(`${label}.format: unknown format ${format} (expected auto, ${formats.join(', ')})`);
+        }
+
+        const id = slugify(raw.id || name) || `source-${index + 1}`;
+        if (ids.has(id)) errors.push(`${label}.id: duplicate id ${id}`);
+        ids.add(id);
+
+        return {
+            id,
+            name,
+            paths,
+            format,
+            agent: agentSlug(raw.agent) || null,
+            machine: raw.machine ? String(raw.machine).trim() || null : null,
+            enabled: raw.enabled !== false
+        };
+    });
+
+    return { value: errors.length ? [] : value, errors };
+}
+
+// logDirs / deniedDirs are enforced on save and by allowsPath(), which the
+// tailer checks before reading any file; a hand-edited file with other paths
+// still loads, but those paths are not read.
+function createLogSourceStore({ file, hostname, logDirs = DEFAULT_LOG_DIRS, deniedDirs = [] }) {
+    let sources = DEFAULT_LOG_SOURCES.map(s => ({ ...s }));
+
+    function load() {
+        try {
+            if (fs.existsSync(file)) {
+                // Formats are checked on save; the parser falls back to trying all
+                // formats if a custom one has been removed since
+                const { value, errors } = validateLogSources(JSON.parse(fs.readFileSync(file, 'utf8')));
+                if (errors.length) {
+                    console.log(`⚠️  Ignoring invalid log sources config: ${errors.join('; ')}`);
+                } else {
+                    sources = value;
+                    console.log(`✅ Loaded ${sources.length} log source(s)`);
+                }
+            }
+        } catch (error) {
+            console.log('⚠️  Error loading log sources config:', error.message);
+        }
+    }
+
+    // Replace the whole list. Returns validation errors.
+    function save(list, { formats = null } = {}) {
+        const { value, errors } = validateLogSources(list, { formats, logDirs, deniedDirs });
+        if (errors.length) return errors;
+
+        sources = value;
+        writeFileAtomic(file, JSON.stringify(sources, null, 2));
+        console.log(`✅ Saved ${sources.length} log source(s)`);
+        return [];
+    }
+
+    // Sources that apply to this machine, flattened to one tailer entry per path
+    function tailTargets() {
+        const targets = [];
+        sources
+            .filter(s => s.enabled && (!s.machine || s.machine === hostname))
+            .forEach(s => s.paths.forEach(pattern => targets.push({
+                pattern,
+                format: s.format,
+                agent: s.agent,
+                source: s.id
+            })));
+        return targets;
+    }
+
+    return {
+        load,
+        save,
+        tailTargets,
+        allowsPath: p => isLogPathAllowed(p, { logDirs, deniedDirs }),
+        get sources() { return sources; },
+        get logDirs() { return logDirs; }
+    };
+}
+
+module.exports = {
+    DEFAULT_LOG_SOURCES,
+    DEFAULT_LOG_DIRS,
+    isLogPathAllowed,
+    validateLogSources,
+    createLogSourceStore
+};
@@ -0,0 +1,250 @@
+// ─── Incremental log tailer ─────────────────────────────────────────────────
+// Follows a set of log files (plain paths or `*` globs in the file name) by
+// byte offset, so every line is read exactly once no matter how fast the file
+// grows. Handles:
+//   - truncation (copytruncate): size drops below our offset → start over at 0
+//   - rotation (rename + new file): inode changes → drain the old descriptor,
+//     then read the new file from the start
+//   - new files matching a glob (daily logs): read from the start
+//   - files of a source added while running: only the tail, as at startup
+// Files are read in chunks, at most MAX_READ_PER_POLL bytes per file per poll,
+// so a large backlog is worked through over several polls. Parsed entries get
+// an increasing `seq` and are kept in a bounded ring buffer that clients
+// backfill from; each poll hands only the new/changed entries to onEntries().
+
+const fs = require('fs');
+const path = require('path');
+
+const { StringDecoder } = require('string_decoder');
+const { expandHome } = require('./paths');
+
+const CHUNK_SIZE = 64 * 1024;
+const MAX_READ_PER_POLL = 16 * CHUNK_SIZE;
+
+// Fixed-size buffer of the most recent entries, oldest first
+function createRingBuffer(capacity) {
+    const items = [];
+    return {
+        push(item) {
+            items.push(item);
+            if (items.length > capacity) items.splice(0, items.length - capacity);
+        },
+        // Entries with seq greater than `after` (all when after is 0), oldest first
+        since(after = 0, limit = capacity) {
+            const start = items.findIndex(item => item.seq > after);
+            if (start === -1) return [];
+            const slice = items.slice(start);
+            return slice.length > limit ? slice.slice(slice.length - limit) : slice;
+        },
+        last(count) {
+            return items.slice(Math.max(0, items.length - count));
+        },
+        get size() { return items.length; },
+        get capacity() { return capacity; }
+    };
+}
+
+// Files currently matching a source pattern. Wildcards are only supported in
+// the file name, e.g. /tmp/openclaw/openclaw-*.log
+function expandSource(pattern) {
+    const full = expandHome(pattern);
+    const base = path.basename(full);
+    if (!/[*?]/.test(base)) return fs.existsSync(full) ? [full] : [];
+
+    const dir = path.dirname(full);
+    const regex = new RegExp('^' + base.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+    try {
+        return fs.readdirSync(dir)
+            .filter(name => regex.test(name))
+            .map(name => path.join(dir, name))
+            .sort();
+    } catch (e) {
+        return [];
+    }
+}
+
+// getSources() returns [{ pattern, format, agent, ...extra }]. format and agent
+// are passed to the parser (see lib/log-parser.js); extra fields are merged
+// into every entry read from that source (e.g. { source: 'gateway' }).
+// allowPath(file) is asked on every poll; files it refuses are not read (and
+// a followed file that turns into a symlink elsewhere is let go).
+function createLogTailer({ getSources, parser, allowPath = () => true, bufferSize = 1000, backfillBytes = CHUNK_SIZE, intervalMs = 1000, onEntries }) {
+    const buffer = createRingBuffer(bufferSize);
+    const files = new Map();   // path → { fd, ino, offset, partial, decoder, skipLine, lastEntry, extra }
+    let knownPatterns = new Set();   // source patterns followed as of the last poll
+    let seq = 0;
+    let timer = null;
+
+    function closeFile(state) {
+        try {
+            fs.closeSync(state.fd);
+        } catch (e) {
+            // already closed
+        }
+    }
+
+    // Read the next chunk at state.offset. Returns { bytes, text } with the
+    // complete lines it finished ('' if none), or null at EOF.
+    function readChunk(state) {
+        const chunk = Buffer.alloc(CHUNK_SIZE);
+        const bytes = fs.readSync(state.fd, chunk, 0, CHUNK_SIZE, state.offset);
+        if (bytes <= 0) return null;
+        state.offset += bytes;
+
+        let combined = state.partial + state.decoder.write(chunk.subarray(0, bytes));
+        if (state.skipLine) {
+            // Started mid-file: drop the cut-off first line
+            const firstNewline = combined.indexOf('\n');
+            if (firstNewline === -1) {
+                state.partial = '';
+                return { bytes, text: '' };
+            }
+            combined = combined.slice(firstNewline + 1);
+            state.skipLine = false;
+        }
+        const lastNewline = combined.lastIndexOf('\n');
+        if (lastNewline === -1) {
+            state.partial = combined;
+            return { bytes, text: '' };
+        }
+        state.partial = combined.slice(lastNewline + 1);
+        return { bytes, text: combined.slice(0, lastNewline) };
+    }
+
+    // Parse new data chunk by chunk, up to `limit` bytes (the rest waits for the next poll)
+    function drain(state, changed, limit = MAX_READ_PER_POLL) {
+        let read = 0;
+        let chunk;
+        while (read < limit && (chunk = readChunk(state)) !== null) {
+            read += chunk.bytes;
+            collect(state, chunk.text, changed);
+        }
+    }
+
+    function rewind(state) {
+        state.offset = 0;
+        state.partial = '';
+        state.decoder = new StringDecoder('utf8');
+        state.skipLine = false;
+    }
+
+    function openFile(filePath, extra, fromStart) {
+        const fd = fs.openSync(filePath, 'r');
+        const stat = fs.fstatSync(fd);
+        const state = { fd, ino: stat.ino, extra, lastEntry: null };
+        rewind(state);
+
+        if (!fromStart && stat.size > backfillBytes) {
+            // Existing file: only the tail
+            state.offset = stat.size - backfillBytes;
+            state.skipLine = true;
+        }
+        return state;
+    }
+
+    function collect(state, text, changed) {
+        if (!text) return;
+        const before = state.lastEntry ? state.lastEntry.message : null;
+        const entries = parser.parseLines(text, state.lastEntry, state.options)
+            .map(entry => Object.assign(entry, state.extra));
+
+        // Continuation lines may have grown the last entry of the previous read
+        if (state.lastEntry && state.lastEntry.message !== before) changed.push(state.lastEntry);
+
+        entries.forEach(entry => {
+            entry.seq = ++seq;
+            entry.file = state.path;
+            buffer.push(entry);
+            changed.push(entry);
+        });
+        if (entries.length) state.lastEntry = entries[entries.length - 1];
+    }
+
+    function poll() {
+        const changed = [];
+        const seen = new Set();
+        const patterns = new Set();
+
+        (getSources() || []).forEach(source => {
+            const { pattern, format, agent, ...extra } = source;
+            const options = { format, agent };
+            patterns.add(pattern);
+            expandSource(pattern).forEach(filePath => {
+                if (seen.has(filePath) || !allowPath(filePath)) return;
+                seen.add(filePath);
+
+                try {
+                    let state = files.get(filePath);
+                    if (!state) {
+                        // A new file under a pattern already followed was rotated in
+                        // (or created): read it whole. Files of a pattern that is new
+                        // (at startup, or a source just added) start at the tail.
+                        state = openFile(filePath, extra, knownPatterns.has(pattern));
+                        state.path = filePath;
+                        state.options = options;
+                        files.set(filePath, state);
+                        drain(state, changed);
+                        return;
+                    }
+
+                    state.extra = extra;
+                    state.options = options;
+                    const stat = fs.statSync(filePath);
+                    if (stat.ino !== state.ino) {
+                        // Rotated: finish what was written to the old file, then switch
+                        drain(state, changed, Infinity);
+                        closeFile(state);
+                        Object.assign(state, openFile(filePath, extra, true));
+                        drain(state, changed);
+                        return;
+                    }
+                    if (stat.size < state.offset) {
+                        // Truncated in place
+                        rewind(state);
+                        state.lastEntry = null;
+                    }
+                    drain(state, changed);
+                } catch (err) {
+                    console.log(`⚠️  Log tail error (${filePath}):`, err.message);
+                }
+            });
+        });
+
+        // Files that disappeared (rotated away) or are no longer configured:
+        // read what is left through the open descriptor, then let go
+        [...files.keys()].filter(filePath => !seen.has(filePath)).forEach(filePath => {
+            const state = files.get(filePath);
+            try {
+                drain(state, changed, Infinity);
+            } catch (e) {
+                // descriptor no longer readable
+            }
+            closeFile(state);
+            files.delete(filePath);
+        });
+
+        knownPatterns = patterns;
+        if (changed.length && onEntries) onEntries(changed);
+        return changed;
+    }
+
+    return {
+        start() {
+            if (timer) return;
+            poll();
+            timer = setInterval(poll, intervalMs);
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+            files.forEach(closeFile);
+            files.clear();
+        },
+        poll,
+        buffer,
+        get files() { return [...files.keys()]; },
+        get lastSeq() { return seq; }
+    };
+}
+
+module.exports = { createLogTailer, createRingBuffer, expandSource };
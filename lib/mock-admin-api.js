@@ -0,0 +1,372 @@
+// ─── Mock Anthropic Admin API ───────────────────────────────────────────────
+// Serves the three Admin API endpoints the dashboard reads, for demos and for
+// reproducing cost bugs without a live organization:
+//   GET /v1/organizations/usage_report/messages   1m / 1h / 1d buckets, group_by[]
+//                                                  model and api_key_id, api_key_ids[]
+//   GET /v1/organizations/cost_report             daily billed amounts in cents
+//   GET /v1/organizations/api_keys                key metadata, after_id pagination
+// Data is generated (seeded, so every request sees the same history) or read
+// from recorded fixtures: usage_report.json, cost_report.json and
+// api_keys.json in `fixturesDir`, each one response or an array of pages as
+// the real API returned them. Usage fixtures are filtered by range and
+// regrouped, not resampled, so record every bucket width you need.
+// Rate-limit errors on demand:
+//   POST /_mock/rate-limit?count=3&retryAfter=10   the next 3 requests get a 429
+// Standalone: node lib/mock-admin-api.js [port]
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GENERATED_DAYS = 120;    // generated history before today; earlier days are empty
+const BUCKET_MS = { '1m': 60 * 1000, '1h': 60 * 60 * 1000, '1d': DAY_MS };
+const PAGE_LIMITS = { '1m': { default: 60, max: 1440 }, '1h': { default: 24, max: 168 }, '1d': { default: 7, max: 31 } };
+
+// List prices per million tokens; billed amounts drift a little from these
+const MODELS = [
+    { id: 'claude-haiku-4-5-20251001', share: 0.5, input: 1, output: 5 },
+    { id: 'claude-sonnet-4-5-20250929', share: 0.4, input: 3, output: 15 },
+    { id: 'claude-opus-4-1-20250805', share: 0.1, input: 15, output: 75 }
+];
+
+const DEFAULT_KEYS = [
+    { id: 'apikey_mock_atlas', name: 'atlas' },
+    { id: 'apikey_mock_scout', name: 'scout' },
+    { id: 'apikey_mock_forge', name: 'forge' }
+];
+
+// ─── Seeded randomness ──────────────────────────────────────────────────────
+
+function hash(text) {
+    let h = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+// Uniform [0, 1) that is always the same for the same seed and label
+function random(seed, label) {
+    let t = (hash(`${seed}|${label}`) + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function isoDate(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+function isoSeconds(ms) {
+    return new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// ─── Generated data ─────────────────────────────────────────────────────────
+
+function usageRow(model, apiKeyId, uncached, cacheRead, output) {
+    return {
+        uncached_input_tokens: uncached,
+        cache_creation: { ephemeral_1h_input_tokens: 0, ephemeral_5m_input_tokens: Math.round(uncached * 0.1) },
+        cache_read_input_tokens: cacheRead,
+        output_tokens: output,
+        server_tool_use: { web_search_requests: 0 },
+        model,
+        api_key_id: apiKeyId,
+        workspace_id: null,
+        service_tier: 'standard',
+        context_window: '0-200k'
+    };
+}
+
+// One day's usage for one key and model: weekday seasonality, slow growth,
+// noise and the odd heavy day
+function dailyUsage(seed, date, key, model, now) {
+    const start = Date.parse(`${date}T00:00:00Z`);
+    const age = Math.floor((now - start) / DAY_MS);
+    if (age < 0 || age >= GENERATED_DAYS) return null;
+    const label = `${date}|${key.id}|${model.id}`;
+    const weekday = new Date(start).getUTCDay();
+
+    const keyScale = 0.5 + 1.5 * random(seed, key.id);
+    const seasonal = weekday === 0 || weekday === 6 ? 0.35 : 1;
+    const growth = 1 + 0.004 * (GENERATED_DAYS - age);
+    const noise = 0.7 + 0.6 * random(seed, `${label}|noise`);
+    const spike = random(seed, `${date}|${key.id}|spike`) < 0.03 ? 3 : 1;
+    const uncached = Math.round(400000 * keyScale * model.share * seasonal * growth * noise * spike);
+    if (uncached < 1000) return null;
+    const cacheRead = Math.round(uncached * (2 + 4 * random(seed, `${label}|cache`)));
+    const output = Math.round(uncached * (0.05 + 0.1 * random(seed, `${label}|output`)));
+    return { uncached, cacheRead, output };
+}
+
+// Share of a day's usage in each minute: busier in (UTC) working hours,
+// idle in most minutes. Cached per seed and date.
+function minuteWeights(seed, date, cache) {
+    if (cache.has(date)) return cache.get(date);
+    const weights = [];
+    for (let minute = 0; minute < 1440; minute++) {
+        const hour = Math.floor(minute / 60);
+        const busy = hour >= 8 && hour < 20 ? 0.35 : 0.08;
+        weights.push(random(seed, `${date}|${minute}`) < busy ? 0.2 + random(seed, `${date}|${minute}|w`) : 0);
+    }
+    const total = weights.reduce((a, b) => a + b, 0) || 1;
+    const shares = weights.map(w => w / total);
+    if (cache.size > 64) cache.clear();
+    cache.set(date, shares);
+    return shares;
+}
+
+function priced(model, usage) {
+    const input = usage.uncached + usage.cacheRead * 0.1;
+    return (input * model.input + usage.output * model.output) / 1000000;
+}
+
+// ─── Request helpers ────────────────────────────────────────────────────────
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, type, message, headers) {
+    sendJson(res, status, { type: 'error', error: { type, message } }, headers);
+}
+
+function pageOf(items, params, limits) {
+    const limit = params.has('limit') ? Number(params.get('limit')) : limits.default;
+    if (!Number.isInteger(limit) || limit < 1 || limit > limits.max) {
+        return { error: `limit: must be between 1 and ${limits.max}` };
+    }
+    const offset = params.get('page') ? Number(Buffer.from(params.get('page'), 'base64').toString('utf8')) : 0;
+    if (!Number.isInteger(offset) || offset < 0) return { error: 'page: invalid page token' };
+    const hasMore = offset + limit < items.length;
+    return {
+        data: items.slice(offset, offset + limit),
+        has_more: hasMore,
+        next_page: hasMore ? Buffer.from(String(offset + limit)).toString('base64') : null
+    };
+}
+
+function readFixture(fixturesDir, name) {
+    if (!fixturesDir) return null;
+    const file = path.join(fixturesDir, name);
+    if (!fs.existsSync(file)) return null;
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return (Array.isArray(content) ? content : [content]).flatMap(page => page.data || []);
+}
+
+// Sum rows that agree on the requested group_by dimensions; the others are null
+function regroup(results, groupBy) {
+    const groups = new Map();
+    results.forEach(row => {
+        const key = groupBy.map(field => row[field]).join('|');
+        const sum = groups.get(key) || usageRow(
+            groupBy.includes('model') ? row.model : null,
+            groupBy.includes('api_key_id') ? row.api_key_id : null,
+            0, 0, 0
+        );
+        sum.uncached_input_tokens += row.uncached_input_tokens || 0;
+        sum.cache_read_input_tokens += row.cache_read_input_tokens || 0;
+        sum.output_tokens += row.output_tokens || 0;
+        sum.cache_creation.ephemeral_5m_input_tokens += (row.cache_creation && row.cache_creation.ephemeral_5m_input_tokens) || 0;
+        groups.set(key, sum);
+    });
+    return [...groups.values()];
+}
+
+// Options:
+//   seed         generated data differs per seed
+//   fixturesDir  directory of recorded responses (see above); missing files
+//                fall back to generated data
+//   keys         () → [{ id, name }] API keys to generate usage for, besides
+//                three mock keys (org keys that are not agents)
+//   now          () → ms, for generated "today"
+function createMockAdminApi({ seed = 'openclaw', fixturesDir = null, keys = () => [], now = () => Date.now() } = {}) {
+    const weightCache = new Map();
+    let rateLimit = { count: 0, retryAfter: 5 };
+
+    function mockKeys() {
+        const configured = keys().filter(key => key && key.id);
+        return [...configured, ...DEFAULT_KEYS.filter(key => !configured.some(c => c.id === key.id))];
+    }
+
+    // Fully grouped generated results (model × key) for one bucket
+    function generatedResults(bucketStart, width, at) {
+        const date = isoDate(bucketStart);
+        const results = [];
+        mockKeys().forEach(key => MODELS.forEach(model => {
+            const day = dailyUsage(seed, date, key, model, at);
+            if (!day) return;
+            let share = 1;
+            if (width !== '1d') {
+                const weights = minuteWeights(seed, date, weightCache);
+                const first = Math.floor((bucketStart - Date.parse(`${date}T00:00:00Z`)) / BUCKET_MS['1m']);
+                const last = Math.min(first + BUCKET_MS[width] / BUCKET_MS['1m'], Math.floor((at - Date.parse(`${date}T00:00:00Z`)) / BUCKET_MS['1m']) + 1);
+                share = weights.slice(first, Math.max(first, last)).reduce((a, b) => a + b, 0);
+            } else if (date === isoDate(at)) {
+                share = minuteWeights(seed, date, weightCache)
+                    .slice(0, Math.floor((at % DAY_MS) / BUCKET_MS['1m']) + 1)
+                    .reduce((a, b) => a + b, 0);
+            }
+            if (share <= 0) return;
+            results.push(usageRow(model.id, key.id,
+                Math.round(day.uncached * share), Math.round(day.cacheRead * share), Math.round(day.output * share)));
+        }));
+        return results;
+    }
+
+    function usageReport(params, res) {
+        const width = params.get('bucket_width') || '1d';
+        if (!BUCKET_MS[width]) return sendError(res, 400, 'invalid_request_error', 'bucket_width: must be 1m, 1h or 1d');
+        const start = Date.parse(params.get('starting_at'));
+        if (Number.isNaN(start)) return sendError(res, 400, 'invalid_request_error', 'starting_at: required RFC 3339 timestamp');
+        const at = now();
+        const end = params.get('ending_at') ? Date.parse(params.get('ending_at')) : at;
+        const groupBy = params.getAll('group_by[]');
+        const keyFilter = params.getAll('api_key_ids[]');
+
+        const fixture = readFixture(fixturesDir, 'usage_report.json');
+        const buckets = [];
+        if (fixture) {
+            fixture
+                .filter(bucket => Date.parse(bucket.starting_at) >= start && Date.parse(bucket.starting_at) < end)
+                .forEach(bucket => buckets.push({ starting_at: bucket.starting_at, ending_at: bucket.ending_at, results: bucket.results || [] }));
+        } else {
+            const first = Math.floor(start / BUCKET_MS[width]) * BUCKET_MS[width];
+            for (let t = first; t < end && t <= at; t += BUCKET_MS[width]) {
+                buckets.push({ starting_at: isoSeconds(t), ending_at: isoSeconds(t + BUCKET_MS[width]), results: generatedResults(t, width, at) });
+            }
+        }
+        buckets.forEach(bucket => {
+            const rows = keyFilter.length ? bucket.results.filter(row => keyFilter.includes(row.api_key_id)) : bucket.results;
+            bucket.results = regroup(rows, groupBy);
+        });
+
+        const page = pageOf(buckets, params, PAGE_LIMITS[width]);
+        if (page.error) return sendError(res, 400, 'invalid_request_error', page.error);
+        sendJson(res, 200, page);
+    }
+
+    function costReport(params, res) {
+        const start = Date.parse(params.get('starting_at'));
+        if (Number.isNaN(start)) return sendError(res, 400, 'invalid_request_error', 'starting_at: required RFC 3339 timestamp');
+        const at = now();
+        const end = params.get('ending_at') ? Date.parse(params.get('ending_at')) : at;
+
+        const fixture = readFixture(fixturesDir, 'cost_report.json');
+        let buckets;
+        if (fixture) {
+            buckets = fixture.filter(bucket => Date.parse(bucket.starting_at) >= start && Date.parse(bucket.starting_at) < end);
+        } else {
+            // Billing lags: only days that ended at least a day ago have amounts
+            buckets = [];
+            const settled = Math.floor(at / DAY_MS) * DAY_MS - DAY_MS;
+            for (let t = Math.floor(start / DAY_MS) * DAY_MS; t < end && t < settled; t += DAY_MS) {
+                const date = isoDate(t);
+                let dollars = 0;
+                mockKeys().forEach(key => MODELS.forEach(model => {
+                    const day = dailyUsage(seed, date, key, model, at);
+                    if (day) dollars += priced(model, day);
+                }));
+                const drift = 0.97 + 0.04 * random(seed, `${date}|billed`);
+                buckets.push({
+                    starting_at: isoSeconds(t),
+                    ending_at: isoSeconds(t + DAY_MS),
+                    results: dollars > 0 ? [{
+                        currency: 'USD',
+                        amount: (dollars * drift * 100).toFixed(4),
+                        workspace_id: null,
+                        description: null,
+                        cost_type: null,
+                        context_window: null,
+                        model: null,
+                        service_tier: null,
+                        token_type: null
+                    }] : []
+                });
+            }
+        }
+
+        const page = pageOf(buckets, params, PAGE_LIMITS['1d']);
+        if (page.error) return sendError(res, 400, 'invalid_request_error', page.error);
+        sendJson(res, 200, page);
+    }
+
+    function apiKeys(params, res) {
+        const all = readFixture(fixturesDir, 'api_keys.json') || mockKeys().map((key, index) => ({
+            id: key.id,
+            type: 'api_key',
+            name: key.name || key.id,
+            status: 'active',
+            created_at: isoSeconds(Date.parse('2026-01-01T00:00:00Z') + index * DAY_MS),
+            partial_key_hint: `sk-ant-api03-...${key.id.slice(-4)}`,
+            workspace_id: null,
+            created_by: { id: 'user_mock', type: 'user' }
+        }));
+        const limit = params.has('limit') ? Number(params.get('limit')) : 20;
+        if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+            return sendError(res, 400, 'invalid_request_error', 'limit: must be between 1 and 1000');
+        }
+        const filtered = params.get('status') ? all.filter(key => key.status === params.get('status')) : all;
+        const after = params.get('after_id') ? filtered.findIndex(key => key.id === params.get('after_id')) + 1 : 0;
+        const data = filtered.slice(after, after + limit);
+        sendJson(res, 200, {
+            data,
+            has_more: after + limit < filtered.length,
+            first_id: data.length ? data[0].id : null,
+            last_id: data.length ? data[data.length - 1].id : null
+        });
+    }
+
+    function handle(req, res) {
+        const url = new URL(req.url, 'http://mock');
+        const params = url.searchParams;
+
+        if (req.method === 'POST' && url.pathname === '/_mock/rate-limit') {
+            rateLimit = {
+                count: Math.max(0, parseInt(params.get('count') || '1', 10) || 0),
+                retryAfter: Math.max(0, parseInt(params.get('retryAfter') || '5', 10) || 0)
+            };
+            return sendJson(res, 200, { success: true, rateLimit });
+        }
+        if (req.method !== 'GET') return sendError(res, 405, 'invalid_request_error', `${req.method} not supported`);
+        if (!req.headers['x-api-key']) return sendError(res, 401, 'authentication_error', 'x-api-key header is required');
+
+        if (rateLimit.count > 0) {
+            rateLimit.count--;
+            return sendError(res, 429, 'rate_limit_error', 'Mock rate limit', { 'retry-after': String(rateLimit.retryAfter) });
+        }
+
+        try {
+            if (url.pathname === '/v1/organizations/usage_report/messages') return usageReport(params, res);
+            if (url.pathname === '/v1/organizations/cost_report') return costReport(params, res);
+            if (url.pathname === '/v1/organizations/api_keys') return apiKeys(params, res);
+        } catch (error) {
+            return sendError(res, 500, 'api_error', error.message);
+        }
+        sendError(res, 404, 'not_found_error', `No mock for ${url.pathname}`);
+    }
+
+    return { handle };
+}
+
+// Listen on 127.0.0.1 (port 0 picks a free one); resolves with the server
+function startMockAdminApi(options = {}, port = 0) {
+    const mock = createMockAdminApi(options);
+    const server = http.createServer(mock.handle);
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => resolve(server));
+    });
+}
+
+module.exports = { createMockAdminApi, startMockAdminApi };
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || 4098;
+    startMockAdminApi({ fixturesDir: process.env.MOCK_FIXTURES_DIR || null }, port).then(() => {
+        console.log(`🧪 Mock Admin API on http://127.0.0.1:${port}`);
+    });
+}
@@ -0,0 +1,179 @@
+// ─── Pending-operations Outbox ──────────────────────────────────────────────
+// Supabase writes that could not be applied (Supabase down, network error,
+// server restarted while offline) are recorded here and replayed in order once
+// the connection comes back.
+//
+// Entries are replayed strictly FIFO so a task's insert always lands before its
+// updates and events. A failed replay stops the run and schedules the next one
+// with exponential backoff; an entry that keeps failing is parked in `dead`
+// so it cannot block the rest of the queue forever.
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./task-store');
+
+function createOutbox({ file, maxAttempts = 10, baseDelayMs = 5000, maxDelayMs = 5 * 60 * 1000 }) {
+    let pending = [];
+    let dead = [];
+    let conflicts = [];
+    let consecutiveFailures = 0;
+    let nextAttemptAt = 0;
+    let lastError = null;
+    let lastFlushAt = null;
+    let flushing = false;
+
+    function load() {
+        try {
+            if (fs.existsSync(file)) {
+                const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+                pending = data.pending || [];
+                dead = data.dead || [];
+                conflicts = data.conflicts || [];
+                if (pending.length > 0) {
+                    console.log(`📮 Outbox: ${pending.length} pending Supabase writes from previous run`);
+                }
+            }
+        } catch (error) {
+            console.log('⚠️  Error loading outbox file:', error.message);
+        }
+    }
+
+    function save() {
+        try {
+            writeFileAtomic(file, JSON.stringify({ pending, dead, conflicts }, null, 2));
+        } catch (error) {
+            console.log('⚠️  Error saving outbox file:', error.message);
+        }
+    }
+
+    // entry: { table, op, payload, taskId?, baseUpdatedAt? }
+    function enqueue(entry) {
+        const queued = {
+            ...entry,
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            lastError: null
+        };
+        pending.push(queued);
+        save();
+        console.log(`📮 Outbox: queued ${entry.op} on ${entry.table} (${pending.length} pending)`);
+        return queued;
+    }
+
+    // Point queued writes for a locally created task at its new Supabase id
+    function remapTaskId(localId, remoteId) {
+        let changed = 0;
+        pending.forEach(entry => {
+            if (entry.taskId !== undefined && entry.taskId == localId) {
+                entry.taskId = remoteId;
+                changed++;
+            }
+        });
+        if (changed > 0) save();
+        return changed;
+    }
+
+    // Record the remote version queued writes for a task are now based on, so
+    // the outbox's own replays are not mistaken for remote changes
+    function setTaskBase(taskId, updatedAt) {
+        pending.forEach(entry => {
+            if (entry.taskId !== undefined && entry.taskId == taskId) {
+                entry.baseUpdatedAt = updatedAt;
+            }
+        });
+        save();
+    }
+
+    function recordConflict(entry, reason) {
+        conflicts.push({
+            table: entry.table,
+            op: entry.op,
+            taskId: entry.taskId,
+            reason,
+            queuedAt: entry.queuedAt,
+            resolvedAt: new Date().toISOString()
+        });
+        conflicts = conflicts.slice(-50);
+    }
+
+    // apply(entry) performs the write; it may resolve to { conflict: reason }
+    // when the remote row has moved on and the local change was discarded
+    async function flush(apply, { force = false } = {}) {
+        if (flushing || pending.length === 0) return { replayed: 0 };
+        if (!force && Date.now() < nextAttemptAt) return { replayed: 0 };
+
+        flushing = true;
+        let replayed = 0;
+        lastFlushAt = new Date().toISOString();
+
+        try {
+            while (pending.length > 0) {
+                const entry = pending[0];
+                try {
+                    const result = await apply(entry);
+                    if (result && result.conflict) {
+                        recordConflict(entry, result.conflict);
+                        console.log(`⚠️  Outbox conflict on ${entry.table} ${entry.taskId || ''}: ${result.conflict}`);
+                    }
+                    pending.shift();
+                    replayed++;
+                    // The backoff is for consecutive failures; a success ends the streak
+                    consecutiveFailures = 0;
+                    save();
+                } catch (err) {
+                    entry.attempts++;
+                    entry.lastError = err.message;
+                    lastError = err.message;
+
+                    if (entry.attempts >= maxAttempts) {
+                        console.log(`⚠️  Outbox: giving up on ${entry.op} ${entry.table} after ${entry.attempts} attempts: ${err.message}`);
+                        dead.push(pending.shift());
+                        save();
+                        continue;
+                    }
+
+                    consecutiveFailures++;
+                    const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, consecutiveFailures - 1));
+                    nextAttemptAt = Date.now() + delay;
+                    save();
+                    console.log(`⚠️  Outbox replay failed (${err.message}) - retrying in ${Math.ceil(delay / 1000)}s, ${pending.length} pending`);
+                    break;
+                }
+            }
+
+            if (pending.length === 0) {
+                consecutiveFailures = 0;
+                nextAttemptAt = 0;
+                lastError = null;
+            }
+        } finally {
+            flushing = false;
+        }
+
+        if (replayed > 0) {
+            console.log(`✅ Outbox: replayed ${replayed} writes to Supabase (${pending.length} pending)`);
+        }
+        return { replayed };
+    }
+
+    function size() {
+        return pending.length;
+    }
+
+    function stats() {
+        return {
+            pending: pending.length,
+            dead: dead.length,
+            conflicts: conflicts.length,
+            recentConflicts: conflicts.slice(-5),
+            oldestQueuedAt: pending[0]?.queuedAt || null,
+            nextAttemptAt: nextAttemptAt ? new Date(nextAttemptAt).toISOString() : null,
+            lastFlushAt,
+            lastError
+        };
+    }
+
+    return { load, enqueue, flush, remapTaskId, setTaskBase, size, stats };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,37 @@
+// ─── Path checks ────────────────────────────────────────────────────────────
+// For settings that name files or directories from a request (log sources,
+// email-file alert channels): where the path really points once symlinks are
+// resolved, and whether that is inside an allowed directory.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function expandHome(p) {
+    return p.startsWith('~/') ? path.join(os.homedir(), p.slice(2)) : p;
+}
+
+// Real path of p with symlinks resolved; for a path that does not exist (yet),
+// its nearest existing ancestor is resolved and the rest appended
+function realPath(p) {
+    const rest = [];
+    let current = path.resolve(expandHome(p));
+    for (;;) {
+        try {
+            return path.join(fs.realpathSync(current), ...rest);
+        } catch (e) {
+            const parent = path.dirname(current);
+            if (parent === current) return path.resolve(expandHome(p));
+            rest.unshift(path.basename(current));
+            current = parent;
+        }
+    }
+}
+
+// Whether file is dir or inside it (both already resolved)
+function isWithin(file, dir) {
+    const relative = path.relative(dir, file);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+module.exports = { expandHome, realPath, isWithin };
@@ -0,0 +1,221 @@
+// ─── Model pricing catalog ──────────────────────────────────────────────────
+// Token prices per model id, with effective dates so a day's usage is priced
+// at what applied that day. Each entry is
+//   { model, tier, prices: [{ effectiveFrom, input, output, cacheRead,
+//     cacheWrite5m, cacheWrite1h, batchDiscount }] }
+// in USD per million tokens; batchDiscount is the fraction taken off batch
+// (service_tier 'batch') usage. A usage row's model matches the entry with
+// the same id, else the longest entry id it starts with (so 'claude-sonnet-4-5'
+// prices 'claude-sonnet-4-5-20250929'), else the first entry of its tier
+// (haiku / sonnet / opus, by name); other models have no price here. Before
+// its first effectiveFrom a model is priced at its earliest entry.
+// Saved in config/pricing.json; the defaults below apply until it exists.
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./task-store');
+
+const TIERS = ['haiku', 'sonnet', 'opus'];
+const PRICE_FIELDS = ['input', 'output', 'cacheRead', 'cacheWrite5m', 'cacheWrite1h'];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Cache reads cost 0.1x input, 5-minute cache writes 1.25x, 1-hour writes 2x
+function listPrice(effectiveFrom, input, output) {
+    return {
+        effectiveFrom,
+        input,
+        output,
+        cacheRead: +(input * 0.1).toFixed(4),
+        cacheWrite5m: +(input * 1.25).toFixed(4),
+        cacheWrite1h: input * 2,
+        batchDiscount: 0.5
+    };
+}
+
+// First entry of each tier prices that tier's unknown models
+const DEFAULT_CATALOG = [
+    { model: 'claude-haiku-4-5', tier: 'haiku', prices: [listPrice('2025-10-01', 1, 5)] },
+    { model: 'claude-sonnet-4-5', tier: 'sonnet', prices: [listPrice('2025-09-29', 3, 15)] },
+    { model: 'claude-opus-4-5', tier: 'opus', prices: [listPrice('2025-11-24', 5, 25)] },
+    { model: 'claude-opus-4-1', tier: 'opus', prices: [listPrice('2025-08-05', 15, 75)] },
+    { model: 'claude-opus-4', tier: 'opus', prices: [listPrice('2025-05-22', 15, 75)] },
+    { model: 'claude-sonnet-4', tier: 'sonnet', prices: [listPrice('2025-05-22', 3, 15)] },
+    { model: 'claude-3-7-sonnet', tier: 'sonnet', prices: [listPrice('2025-02-24', 3, 15)] },
+    { model: 'claude-3-5-haiku', tier: 'haiku', prices: [listPrice('2024-10-22', 0.8, 4)] },
+    { model: 'claude-3-haiku', tier: 'haiku', prices: [listPrice('2024-03-07', 0.25, 1.25)] }
+];
+
+function tierByName(model) {
+    const name = String(model || '').toLowerCase();
+    return TIERS.find(tier => name.includes(tier)) || null;
+}
+
+// Validate and normalize a full catalog. Returns { value, errors }.
+function validatePricingCatalog(list) {
+    const errors = [];
+    if (!Array.isArray(list)) return { value: [], errors: ['catalog must be an array'] };
+
+    const models = new Set();
+    const value = list.map((raw, index) => {
+        const label = `catalog[${index}]`;
+        if (!raw || typeof raw !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return null;
+        }
+
+        const model = typeof raw.model === 'string' ? raw.model.trim() : '';
+        if (!model) errors.push(`${label}.model: is required`);
+        if (models.has(model)) errors.push(`${label}.model: duplicate model ${model}`);
+        models.add(model);
+
+        const tier = raw.tier || tierByName(model);
+        if (!TIERS.includes(tier)) errors.push(`${label}.tier: must be one of ${TIERS.join(', ')}`);
+
+        const prices = Array.isArray(raw.prices) ? raw.prices : [];
+        if (!prices.length) errors.push(`${label}.prices: needs at least one price`);
+        const dates = new Set();
+        const normalized = prices.map((price, p) => {
+            const priceLabel = `${label}.prices[${p}]`;
+            if (!price || typeof price !== 'object') {
+                errors.push(`${priceLabel}: must be an object`);
+                return null;
+            }
+            if (!DATE_RE.test(price.effectiveFrom || '')) errors.push(`${priceLabel}.effectiveFrom: must be a YYYY-MM-DD date`);
+            if (dates.has(price.effectiveFrom)) errors.push(`${priceLabel}.effectiveFrom: duplicate date ${price.effectiveFrom}`);
+            dates.add(price.effectiveFrom);
+
+            const entry = { effectiveFrom: price.effectiveFrom };
+            PRICE_FIELDS.forEach(field => {
+                const number = Number(price[field]);
+                if (price[field] === undefined || price[field] === null || price[field] === '') {
+                    if (field === 'input' || field === 'output') errors.push(`${priceLabel}.${field}: is required`);
+                    entry[field] = null;
+                } else if (!Number.isFinite(number) || number < 0) {
+                    errors.push(`${priceLabel}.${field}: must be a number of dollars per million tokens, 0 or more`);
+                } else {
+                    entry[field] = number;
+                }
+            });
+            // Unset cache prices follow the usual multipliers of the input price
+            if (entry.input !== null) {
+                if (entry.cacheRead === null) entry.cacheRead = +(entry.input * 0.1).toFixed(4);
+                if (entry.cacheWrite5m === null) entry.cacheWrite5m = +(entry.input * 1.25).toFixed(4);
+                if (entry.cacheWrite1h === null) entry.cacheWrite1h = entry.input * 2;
+            }
+            const discount = price.batchDiscount === undefined || price.batchDiscount === null || price.batchDiscount === ''
+                ? 0.5 : Number(price.batchDiscount);
+            if (!Number.isFinite(discount) || discount < 0 || discount >= 1) {
+                errors.push(`${priceLabel}.batchDiscount: must be a fraction from 0 up to (not including) 1`);
+            }
+            entry.batchDiscount = discount;
+            return entry;
+        }).sort((a, b) => String(a && a.effectiveFrom).localeCompare(String(b && b.effectiveFrom)));
+
+        return { model, tier, prices: normalized };
+    });
+
+    return { value: errors.length ? [] : value, errors };
+}
+
+function createPricingCatalog({ file }) {
+    let catalog = validatePricingCatalog(DEFAULT_CATALOG).value;
+    let isDefault = true;
+
+    function load() {
+        try {
+            if (fs.existsSync(file)) {
+                const { value, errors } = validatePricingCatalog(JSON.parse(fs.readFileSync(file, 'utf8')));
+                if (errors.length) {
+                    console.log(`⚠️  Ignoring invalid pricing catalog: ${errors.join('; ')}`);
+                } else {
+                    catalog = value;
+                    isDefault = false;
+                    console.log(`✅ Loaded pricing for ${catalog.length} model(s)`);
+                }
+            }
+        } catch (error) {
+            console.log('⚠️  Error loading pricing catalog:', error.message);
+        }
+    }
+
+    // Replace the whole catalog. Returns validation errors.
+    function save(list) {
+        const { value, errors } = validatePricingCatalog(list);
+        if (errors.length) return errors;
+
+        catalog = value;
+        isDefault = false;
+        writeFileAtomic(file, JSON.stringify(catalog, null, 2));
+        console.log(`✅ Saved pricing for ${catalog.length} model(s)`);
+        return [];
+    }
+
+    // Back to the built-in defaults; removes the saved file
+    function reset() {
+        catalog = validatePricingCatalog(DEFAULT_CATALOG).value;
+        isDefault = true;
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+        console.log('✅ Restored default pricing');
+    }
+
+    function list() {
+        return catalog;
+    }
+
+    function entryFor(model) {
+        const id = String(model || '').toLowerCase();
+        if (id) {
+            const exact = catalog.find(entry => entry.model.toLowerCase() === id);
+            if (exact) return exact;
+            const prefixed = catalog
+                .filter(entry => id.startsWith(`${entry.model.toLowerCase()}-`))
+                .sort((a, b) => b.model.length - a.model.length)[0];
+            if (prefixed) return prefixed;
+        }
+        const tier = tierByName(model);
+        return (tier && catalog.find(entry => entry.tier === tier)) || null;
+    }
+
+    // Tier of the catalog entry the model matches, or null
+    function tierOf(model) {
+        const entry = entryFor(model);
+        return entry ? entry.tier : null;
+    }
+
+    // The price row in effect for `model` on `date` (YYYY-MM-DD; default today),
+    // or null for a model the catalog cannot price
+    function priceFor(model, date = new Date().toISOString().slice(0, 10)) {
+        const entry = entryFor(model);
+        if (!entry) return null;
+        const effective = entry.prices.filter(price => price.effectiveFrom <= date);
+        return { model: entry.model, tier: entry.tier, ...(effective.length ? effective[effective.length - 1] : entry.prices[0]) };
+    }
+
+    // USD for one Usage API result row on `date` (0 if its model has no price)
+    function estimate(row, date) {
+        const price = priceFor(row.model, date);
+        if (!price) return 0;
+        const cacheCreation = row.cache_creation || {};
+        const dollars = (
+            (row.uncached_input_tokens || 0) * price.input +
+            (row.cache_read_input_tokens || 0) * price.cacheRead +
+            (cacheCreation.ephemeral_5m_input_tokens || 0) * price.cacheWrite5m +
+            (cacheCreation.ephemeral_1h_input_tokens || 0) * price.cacheWrite1h +
+            (row.output_tokens || 0) * price.output
+        ) / 1000000;
+        return row.service_tier === 'batch' ? dollars * (1 - price.batchDiscount) : dollars;
+    }
+
+    // { haiku, sonnet, opus } → price row of the tier's first entry on `date`
+    function tierPrices(date) {
+        const prices = {};
+        TIERS.forEach(tier => {
+            const entry = catalog.find(e => e.tier === tier);
+            if (entry) prices[tier] = priceFor(entry.model, date);
+        });
+        return prices;
+    }
+
+    return { load, save, reset, list, isDefault: () => isDefault, entryFor, tierOf, priceFor, estimate, tierPrices };
+}
+
+module.exports = { TIERS, DEFAULT_CATALOG, validatePricingCatalog, createPricingCatalog };
@@ -0,0 +1,252 @@
+// ─── JSON-file storage backend ──────────────────────────────────────────────
+// Everything lives in config/:
+//   tasks.json + tasks.journal - journaled task store (see lib/task-store.js)
+//   task-events.jsonl          - append-only task audit log
+//   model-history.jsonl        - append-only model usage log
+//   model-history.json         - legacy model usage array (read-only)
+//   agent-sessions.json        - latest heartbeat per agent@machine
+//   logs/YYYY-MM-DD.jsonl      - archived gateway log entries, one file per UTC day
+//   cost-days.json             - daily cost snapshots keyed by date
+
+const fs = require('fs');
+const path = require('path');
+const { createTaskStore, writeFileAtomic, appendLineDurable } = require('../task-store');
+const { matchesLogQuery } = require('../log-archive');
+
+// Parse a JSONL file, skipping a torn trailing line left by a crash
+function readJsonLines(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+
+    const rows = [];
+    fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+            rows.push(JSON.parse(line));
+        } catch (e) {
+            console.log(`⚠️  Skipping unreadable line in ${path.basename(filePath)}`);
+        }
+    });
+    return rows;
+}
+
+function createFileStorage({ configDir }) {
+    const taskStore = createTaskStore({
+        snapshotFile: path.join(configDir, 'tasks.json'),
+        journalFile: path.join(configDir, 'tasks.journal')
+    });
+    const eventsFile = path.join(configDir, 'task-events.jsonl');
+    const historyFile = path.join(configDir, 'model-history.jsonl');
+    const legacyHistoryFile = path.join(configDir, 'model-history.json');
+    const sessionsFile = path.join(configDir, 'agent-sessions.json');
+    const logsDir = path.join(configDir, 'logs');
+    const costDaysFile = path.join(configDir, 'cost-days.json');
+
+    let lastEventId = 0;
+    let lastLogId = 0;
+
+    const tasks = {
+        async list({ limit } = {}) {
+            const all = taskStore.list();
+            return limit ? all.slice(0, limit) : all;
+        },
+        async get(id) {
+            return taskStore.get(id);
+        },
+        async insert(task) {
+            return taskStore.add(task);
+        },
+        async update(id, changes) {
+            return taskStore.update(id, changes);
+        },
+        async remove(id) {
+            return taskStore.remove(id);
+        }
+    };
+
+    const taskEvents = {
+        async insert(event) {
+            const row = {
+                ...event,
+                id: ++lastEventId,
+                created_at: event.created_at || new Date().toISOString()
+            };
+            appendLineDurable(eventsFile, JSON.stringify(row));
+            return row;
+        },
+
+        async list({ limit = 100, taskId, agent, eventType, since, until, ascending = false } = {}) {
+            const direction = ascending ? 1 : -1;
+            return readJsonLines(eventsFile)
+                .filter(e =>
+                    (taskId === undefined || String(e.task_id) === String(taskId)) &&
+                    (!agent || e.agent === agent) &&
+                    (!eventType || e.event_type === eventType) &&
+                    (!since || String(e.created_at) >= since) &&
+                    (!until || String(e.created_at) <= until)
+                )
+                .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)) * direction)
+                .slice(0, limit);
+        }
+    };
+
+    const modelHistory = {
+        async insert(entry) {
+            appendLineDurable(historyFile, JSON.stringify(entry));
+            return entry;
+        },
+
+        async insertMany(entries) {
+            entries.forEach(entry => appendLineDurable(historyFile, JSON.stringify(entry)));
+            return entries;
+        },
+
+        async list({ limit } = {}) {
+            let legacy = [];
+            try {
+                if (fs.existsSync(legacyHistoryFile)) {
+                    legacy = JSON.parse(fs.readFileSync(legacyHistoryFile, 'utf8'));
+                }
+            } catch (error) {
+                console.log('⚠️  Error loading model history file:', error.message);
+            }
+
+            const all = [...legacy, ...readJsonLines(historyFile)]
+                .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+            return limit ? all.slice(0, limit) : all;
+        }
+    };
+
+    function readSessions() {
+        try {
+            if (fs.existsSync(sessionsFile)) {
+                return JSON.parse(fs.readFileSync(sessionsFile, 'utf8'));
+            }
+        } catch (error) {
+            console.log('⚠️  Error loading agent sessions file:', error.message);
+        }
+        return {};
+    }
+
+    const agentSessions = {
+        async upsert(session) {
+            const sessions = readSessions();
+            const key = `${session.agent}@${session.machine}`;
+            sessions[key] = { ...sessions[key], ...session };
+            writeFileAtomic(sessionsFile, JSON.stringify(sessions, null, 2));
+            return sessions[key];
+        },
+
+        async list() {
+            return Object.values(readSessions())
+                .sort((a, b) => String(b.last_heartbeat).localeCompare(String(a.last_heartbeat)));
+        }
+    };
+
+    // Day files, newest first
+    function logDays() {
+        if (!fs.existsSync(logsDir)) return [];
+        return fs.readdirSync(logsDir)
+            .filter(name => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+            .map(name => name.slice(0, 10))
+            .sort()
+            .reverse();
+    }
+
+    function newestFirst(a, b) {
+        if (a.timestamp !== b.timestamp) return a.timestamp < b.timestamp ? 1 : -1;
+        return b.id - a.id;
+    }
+
+    const logs = {
+        // Not fsynced per line like tasks: a lost tail of log lines on a crash is acceptable
+        async insertMany(rows) {
+            if (!fs.existsSync(logsDir)) fs.mkdirSync(logsDir, { recursive: true });
+            const byDay = new Map();
+            rows.forEach(row => {
+                const day = row.timestamp.slice(0, 10);
+                if (!byDay.has(day)) byDay.set(day, []);
+                byDay.get(day).push(JSON.stringify({ id: ++lastLogId, ...row }));
+            });
+            byDay.forEach((lines, day) => fs.appendFileSync(path.join(logsDir, `${day}.jsonl`), lines.join('\n') + '\n'));
+            return rows.length;
+        },
+
+        // Up to limit + 1 rows, newest first (the extra row tells the caller there is more)
+        async query(query) {
+            const regex = query.regex ? new RegExp(query.regex, 'i') : null;
+            const upper = [query.until, query.cursor && query.cursor.timestamp].filter(Boolean).sort()[0];
+            const results = [];
+
+            for (const day of logDays()) {
+                if (upper && day > upper.slice(0, 10)) continue;
+                if (query.since && day < query.since.slice(0, 10)) break;
+
+                readJsonLines(path.join(logsDir, `${day}.jsonl`))
+                    .filter(row => matchesLogQuery(row, query, regex))
+                    .sort(newestFirst)
+                    .forEach(row => results.push(row));
+                if (results.length > query.limit) break;
+            }
+            return results.slice(0, query.limit + 1);
+        },
+
+        async latest() {
+            const [day] = logDays();
+            if (!day) return null;
+            const rows = readJsonLines(path.join(logsDir, `${day}.jsonl`)).sort(newestFirst);
+            return rows.length ? rows[0].timestamp : null;
+        },
+
+        // Whole days older than `before` are deleted
+        async prune(before) {
+            const cutoff = before.slice(0, 10);
+            const old = logDays().filter(day => day < cutoff);
+            old.forEach(day => fs.unlinkSync(path.join(logsDir, `${day}.jsonl`)));
+            return old.length;
+        }
+    };
+
+    function readCostDays() {
+        try {
+            if (fs.existsSync(costDaysFile)) {
+                return JSON.parse(fs.readFileSync(costDaysFile, 'utf8'));
+            }
+        } catch (error) {
+            console.log('⚠️  Error loading cost days file:', error.message);
+        }
+        return {};
+    }
+
+    const costDays = {
+        async upsert(days) {
+            const all = readCostDays();
+            days.forEach(day => { all[day.date] = day; });
+            writeFileAtomic(costDaysFile, JSON.stringify(all, null, 2));
+            return days;
+        },
+
+        async list() {
+            return Object.values(readCostDays()).sort((a, b) => a.date.localeCompare(b.date));
+        }
+    };
+
+    return {
+        kind: 'file',
+        async init() {
+            taskStore.load();
+            lastEventId = readJsonLines(eventsFile).reduce((max, e) => Math.max(max, Number(e.id) || 0), 0);
+            const [day] = logDays();
+            lastLogId = day
+                ? readJsonLines(path.join(logsDir, `${day}.jsonl`)).reduce((max, row) => Math.max(max, Number(row.id) || 0), 0)
+                : 0;
+        },
+        tasks,
+        taskEvents,
+        modelHistory,
+        agentSessions,
+        logs,
+        costDays
+    };
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,49 @@
+// ─── Storage backends ───────────────────────────────────────────────────────
+// Every backend exposes the same async interface:
+//
+//   kind                                'supabase' | 'file' | 'sqlite'
+//   init()                              create tables / replay journals
+//   tasks.list({ limit })               tasks (camelCase, as the work queue uses them), newest first
+//   tasks.get(id)                       task or null
+//   tasks.insert(task)                  saved task (id assigned unless one is given)
+//   tasks.update(id, changes)           updated task or null
+//   tasks.remove(id)                    removed task or null
+//   taskEvents.insert(event)            { id, task_id, agent, event_type, details, created_at }
+//   taskEvents.list({ limit, taskId, agent, eventType, since, until, ascending })
+//                                       events, newest first unless ascending
+//   modelHistory.insert(entry)          { timestamp, agent, model, tokens, cost }
+//   modelHistory.insertMany(entries)    batch insert (used by migrations)
+//   modelHistory.list({ limit })        entries, newest first
+//   agentSessions.upsert(session)       keyed by agent + machine
+//   agentSessions.list()                sessions by last_heartbeat, newest first
+//   logs.insertMany(rows)               archive parsed log entries (file and sqlite only;
+//                                       see lib/log-archive.js for the row shape)
+//   logs.query(query)                   up to query.limit + 1 rows, newest first
+//   logs.latest()                       newest archived timestamp or null
+//   logs.prune(before)                  drop entries older than an ISO date
+//   costDays.upsert(days)               replace whole daily cost snapshots by date (file and
+//                                       sqlite only; see lib/cost-history.js for the shape)
+//   costDays.list()                     every stored day, oldest first
+//
+// Errors are thrown, never swallowed, so callers decide how to fall back.
+
+const { createSupabaseStorage } = require('./supabase');
+const { createFileStorage } = require('./file');
+const { createSqliteStorage } = require('./sqlite');
+
+const BACKENDS = ['supabase', 'file', 'sqlite'];
+
+function createStorage(kind, { configDir, supabase, sqliteFile } = {}) {
+    switch (kind) {
+        case 'supabase':
+            return createSupabaseStorage(supabase);
+        case 'file':
+            return createFileStorage({ configDir });
+        case 'sqlite':
+            return createSqliteStorage({ configDir, file: sqliteFile });
+        default:
+            throw new Error(`Unknown storage backend "${kind}" (expected one of: ${BACKENDS.join(', ')})`);
+    }
+}
+
+module.exports = { createStorage, BACKENDS };
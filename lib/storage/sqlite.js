@@ -0,0 +1,448 @@
+// ─── Embedded SQLite storage backend ────────────────────────────────────────
+// Single database file (config/dashboard.db) with the same four tables as the
+// Supabase schema, plus log_entries for the local log archive and
+// cost_days / cost_day_usage for the daily cost history. better-sqlite3 is synchronous, so each call completes (and
+// is durable, WAL mode) before the async wrapper resolves.
+
+const path = require('path');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS tasks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT,
+        status TEXT NOT NULL,
+        progress INTEGER DEFAULT 0,
+        eta TEXT,
+        agent TEXT,
+        machine TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        started_at TEXT,
+        completed_at TEXT,
+        parent_id INTEGER,
+        depends_on TEXT,
+        blocked_by TEXT,
+        stuck_reason TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks (created_at);
+
+    CREATE TABLE IF NOT EXISTS task_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id INTEGER,
+        agent TEXT,
+        event_type TEXT NOT NULL,
+        details TEXT,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_task_events_task ON task_events (task_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_task_events_created_at ON task_events (created_at);
+
+    CREATE TABLE IF NOT EXISTS model_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        agent TEXT,
+        model TEXT,
+        tokens INTEGER,
+        cost REAL,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS log_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        approximate INTEGER DEFAULT 0,
+        level TEXT,
+        component TEXT,
+        agent TEXT,
+        session_id TEXT,
+        message TEXT,
+        payload TEXT,
+        source TEXT,
+        file TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_log_entries_timestamp ON log_entries (timestamp, id);
+
+    CREATE TABLE IF NOT EXISTS cost_days (
+        date TEXT PRIMARY KEY,
+        scope TEXT,
+        estimated_cost REAL DEFAULT 0,
+        billed_cost REAL,
+        usage_final INTEGER DEFAULT 0,
+        billed_final INTEGER DEFAULT 0,
+        updated_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS cost_day_usage (
+        date TEXT NOT NULL,
+        model TEXT,
+        api_key_id TEXT,
+        service_tier TEXT,
+        uncached_input_tokens INTEGER DEFAULT 0,
+        cache_read_input_tokens INTEGER DEFAULT 0,
+        cache_creation_5m_input_tokens INTEGER DEFAULT 0,
+        cache_creation_1h_input_tokens INTEGER DEFAULT 0,
+        output_tokens INTEGER DEFAULT 0,
+        estimated_cost REAL DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS idx_cost_day_usage_date ON cost_day_usage (date);
+
+    CREATE TABLE IF NOT EXISTS agent_sessions (
+        agent TEXT NOT NULL,
+        machine TEXT NOT NULL,
+        status TEXT,
+        current_task TEXT,
+        current_model TEXT,
+        last_heartbeat TEXT,
+        PRIMARY KEY (agent, machine)
+    );
+`;
+
+const TASK_COLUMNS = {
+    title: 'title', description: 'description', status: 'status', progress: 'progress',
+    eta: 'eta', agent: 'agent', machine: 'machine', createdAt: 'created_at',
+    updatedAt: 'updated_at', startedAt: 'started_at', completedAt: 'completed_at',
+    parentId: 'parent_id', dependsOn: 'depends_on', blockedBy: 'blocked_by',
+    stuckReason: 'stuck_reason'
+};
+
+// Task columns stored as JSON text
+const JSON_COLUMNS = ['dependsOn', 'blockedBy'];
+
+// Columns added after the first release, created on open for older databases
+const ADDED_TASK_COLUMNS = { parent_id: 'INTEGER', depends_on: 'TEXT', blocked_by: 'TEXT', stuck_reason: 'TEXT' };
+const ADDED_COST_USAGE_COLUMNS = {
+    service_tier: 'TEXT',
+    cache_creation_5m_input_tokens: 'INTEGER DEFAULT 0',
+    cache_creation_1h_input_tokens: 'INTEGER DEFAULT 0'
+};
+
+function taskParam(key, value) {
+    if (JSON_COLUMNS.includes(key)) return value == null ? null : JSON.stringify(value);
+    return value;
+}
+
+function parseJson(text, fallback) {
+    if (!text) return fallback;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function rowToTask(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        description: row.description,
+        status: row.status,
+        progress: row.progress,
+        eta: row.eta,
+        agent: row.agent,
+        machine: row.machine,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        startedAt: row.started_at,
+        completedAt: row.completed_at,
+        parentId: row.parent_id ?? null,
+        dependsOn: parseJson(row.depends_on, []),
+        blockedBy: parseJson(row.blocked_by, null),
+        stuckReason: row.stuck_reason || null
+    };
+}
+
+function createSqliteStorage({ configDir, file }) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    const dbPath = file || path.join(configDir, 'dashboard.db');
+    let db = null;
+
+    function getTask(id) {
+        const row = db.prepare('SELECT * FROM tasks WHERE id = ?').get(id);
+        return row ? rowToTask(row) : null;
+    }
+
+    const tasks = {
+        async list({ limit } = {}) {
+            const sql = 'SELECT * FROM tasks ORDER BY created_at DESC' + (limit ? ' LIMIT ?' : '');
+            const rows = limit ? db.prepare(sql).all(limit) : db.prepare(sql).all();
+            return rows.map(rowToTask);
+        },
+
+        async get(id) {
+            return getTask(id);
+        },
+
+        async insert(task) {
+            const now = new Date().toISOString();
+            const values = { createdAt: now, updatedAt: now, ...task };
+            const keys = Object.keys(TASK_COLUMNS).filter(k => values[k] !== undefined);
+            const columns = keys.map(k => TASK_COLUMNS[k]);
+            const params = keys.map(k => taskParam(k, values[k]));
+
+            if (task.id !== undefined) {
+                columns.unshift('id');
+                params.unshift(task.id);
+            }
+
+            const result = db.prepare(
+                `INSERT INTO tasks (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+            ).run(...params);
+            return getTask(task.id !== undefined ? task.id : result.lastInsertRowid);
+        },
+
+        async update(id, changes) {
+            const values = { updatedAt: new Date().toISOString(), ...changes };
+            const keys = Object.keys(TASK_COLUMNS).filter(k => values[k] !== undefined);
+            const result = db.prepare(
+                `UPDATE tasks SET ${keys.map(k => `${TASK_COLUMNS[k]} = ?`).join(', ')} WHERE id = ?`
+            ).run(...keys.map(k => taskParam(k, values[k])), id);
+            return result.changes > 0 ? getTask(id) : null;
+        },
+
+        async remove(id) {
+            const existing = getTask(id);
+            if (!existing) return null;
+            db.prepare('DELETE FROM tasks WHERE id = ?').run(id);
+            return existing;
+        }
+    };
+
+    function rowToEvent(row) {
+        return { ...row, details: row.details ? JSON.parse(row.details) : {} };
+    }
+
+    const taskEvents = {
+        async insert(event) {
+            const createdAt = event.created_at || new Date().toISOString();
+            const result = db.prepare(
+                'INSERT INTO task_events (task_id, agent, event_type, details, created_at) VALUES (?, ?, ?, ?, ?)'
+            ).run(event.task_id, event.agent || null, event.event_type, JSON.stringify(event.details || {}), createdAt);
+            return rowToEvent(db.prepare('SELECT * FROM task_events WHERE id = ?').get(result.lastInsertRowid));
+        },
+
+        async list({ limit = 100, taskId, agent, eventType, since, until, ascending = false } = {}) {
+            const where = [];
+            const params = [];
+            if (taskId !== undefined) { where.push('task_id = ?'); params.push(taskId); }
+            if (agent) { where.push('agent = ?'); params.push(agent); }
+            if (eventType) { where.push('event_type = ?'); params.push(eventType); }
+            if (since) { where.push('created_at >= ?'); params.push(since); }
+            if (until) { where.push('created_at <= ?'); params.push(until); }
+
+            const sql = 'SELECT * FROM task_events' +
+                (where.length ? ` WHERE ${where.join(' AND ')}` : '') +
+                ` ORDER BY created_at ${ascending ? 'ASC' : 'DESC'} LIMIT ?`;
+            return db.prepare(sql).all(...params, limit).map(rowToEvent);
+        }
+    };
+
+    function insertHistory(entry) {
+        db.prepare('INSERT INTO model_history (agent, model, tokens, cost, created_at) VALUES (?, ?, ?, ?, ?)')
+            .run(entry.agent, entry.model, entry.tokens, entry.cost || 0, entry.timestamp || new Date().toISOString());
+    }
+
+    const modelHistory = {
+        async insert(entry) {
+            insertHistory(entry);
+            return entry;
+        },
+
+        async insertMany(entries) {
+            db.transaction(rows => rows.forEach(insertHistory))(entries);
+            return entries;
+        },
+
+        async list({ limit } = {}) {
+            const sql = 'SELECT * FROM model_history ORDER BY created_at DESC' + (limit ? ' LIMIT ?' : '');
+            const rows = limit ? db.prepare(sql).all(limit) : db.prepare(sql).all();
+            return rows.map(row => ({
+                timestamp: row.created_at,
+                agent: row.agent,
+                model: row.model,
+                tokens: row.tokens,
+                cost: row.cost || 0
+            }));
+        }
+    };
+
+    const agentSessions = {
+        async upsert(session) {
+            db.prepare(`
+                INSERT INTO agent_sessions (agent, machine, status, current_task, current_model, last_heartbeat)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT (agent, machine) DO UPDATE SET
+                    status = excluded.status,
+                    current_task = COALESCE(excluded.current_task, agent_sessions.current_task),
+                    current_model = COALESCE(excluded.current_model, agent_sessions.current_model),
+                    last_heartbeat = excluded.last_heartbeat
+            `).run(
+                session.agent, session.machine, session.status || null,
+                session.current_task || null, session.current_model || null, session.last_heartbeat
+            );
+            return session;
+        },
+
+        async list() {
+            return db.prepare('SELECT * FROM agent_sessions ORDER BY last_heartbeat DESC').all();
+        }
+    };
+
+    function rowToLog(row) {
+        return {
+            id: row.id,
+            timestamp: row.timestamp,
+            approximate: !!row.approximate,
+            level: row.level,
+            component: row.component,
+            agent: row.agent,
+            sessionId: row.session_id,
+            message: row.message,
+            payload: parseJson(row.payload, null),
+            source: row.source,
+            file: row.file
+        };
+    }
+
+    const logs = {
+        async insertMany(rows) {
+            const insert = db.prepare(`
+                INSERT INTO log_entries (timestamp, approximate, level, component, agent, session_id, message, payload, source, file)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            db.transaction(items => items.forEach(row => insert.run(
+                row.timestamp, row.approximate ? 1 : 0, row.level, row.component, row.agent, row.sessionId,
+                row.message, row.payload ? JSON.stringify(row.payload) : null, row.source, row.file
+            )))(rows);
+            return rows.length;
+        },
+
+        // Up to limit + 1 rows, newest first (the extra row tells the caller there is more)
+        async query(query) {
+            const where = [];
+            const params = [];
+            if (query.since) { where.push('timestamp >= ?'); params.push(query.since); }
+            if (query.until) { where.push('timestamp <= ?'); params.push(query.until); }
+            if (query.levels) { where.push(`level IN (${query.levels.map(() => '?').join(', ')})`); params.push(...query.levels); }
+            if (query.agents) { where.push(`LOWER(agent) IN (${query.agents.map(() => '?').join(', ')})`); params.push(...query.agents); }
+            if (query.source) { where.push('source = ?'); params.push(query.source); }
+            if (query.cursor) {
+                where.push('(timestamp < ? OR (timestamp = ? AND id < ?))');
+                params.push(query.cursor.timestamp, query.cursor.timestamp, query.cursor.id);
+            }
+            // LIKE is case-insensitive for ASCII; the words are already lowercased
+            (query.words || []).forEach(word => {
+                where.push("(message LIKE ? ESCAPE '\\' OR component LIKE ? ESCAPE '\\' OR agent LIKE ? ESCAPE '\\' OR session_id LIKE ? ESCAPE '\\' OR payload LIKE ? ESCAPE '\\')");
+                const like = `%${word.replace(/[\\%_]/g, '\\$&')}%`;
+                params.push(like, like, like, like, like);
+            });
+            if (query.regex) { where.push('message REGEXP ?'); params.push(query.regex); }
+
+            const sql = 'SELECT * FROM log_entries' +
+                (where.length ? ` WHERE ${where.join(' AND ')}` : '') +
+                ' ORDER BY timestamp DESC, id DESC LIMIT ?';
+            return db.prepare(sql).all(...params, query.limit + 1).map(rowToLog);
+        },
+
+        async latest() {
+            const row = db.prepare('SELECT timestamp FROM log_entries ORDER BY timestamp DESC LIMIT 1').get();
+            return row ? row.timestamp : null;
+        },
+
+        async prune(before) {
+            return db.prepare('DELETE FROM log_entries WHERE timestamp < ?').run(before).changes;
+        }
+    };
+
+    const costDays = {
+        async upsert(days) {
+            const upsertDay = db.prepare(`
+                INSERT OR REPLACE INTO cost_days (date, scope, estimated_cost, billed_cost, usage_final, billed_final, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `);
+            const clearUsage = db.prepare('DELETE FROM cost_day_usage WHERE date = ?');
+            const insertUsage = db.prepare(`
+                INSERT INTO cost_day_usage (date, model, api_key_id, service_tier, uncached_input_tokens, cache_read_input_tokens,
+                    cache_creation_5m_input_tokens, cache_creation_1h_input_tokens, output_tokens, estimated_cost)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            db.transaction(items => items.forEach(day => {
+                upsertDay.run(day.date, day.scope, day.estimatedCost, day.billedCost,
+                    day.usageFinal ? 1 : 0, day.billedFinal ? 1 : 0, day.updatedAt);
+                clearUsage.run(day.date);
+                day.usage.forEach(row => insertUsage.run(
+                    day.date, row.model, row.api_key_id, row.service_tier || null, row.uncached_input_tokens,
+                    row.cache_read_input_tokens, row.cache_creation?.ephemeral_5m_input_tokens || 0,
+                    row.cache_creation?.ephemeral_1h_input_tokens || 0, row.output_tokens, row.estimated_cost
+                ));
+            }))(days);
+            return days;
+        },
+
+        async list() {
+            const usage = new Map();
+            db.prepare('SELECT * FROM cost_day_usage ORDER BY date').all().forEach(({ date, cache_creation_5m_input_tokens, cache_creation_1h_input_tokens, ...row }) => {
+                if (!usage.has(date)) usage.set(date, []);
+                usage.get(date).push({
+                    ...row,
+                    cache_creation: {
+                        ephemeral_5m_input_tokens: cache_creation_5m_input_tokens || 0,
+                        ephemeral_1h_input_tokens: cache_creation_1h_input_tokens || 0
+                    }
+                });
+            });
+            return db.prepare('SELECT * FROM cost_days ORDER BY date').all().map(row => ({
+                date: row.date,
+                scope: row.scope,
+                usage: usage.get(row.date) || [],
+                estimatedCost: row.estimated_cost || 0,
+                billedCost: row.billed_cost,
+                usageFinal: !!row.usage_final,
+                billedFinal: !!row.billed_final,
+                updatedAt: row.updated_at
+            }));
+        }
+    };
+
+    // `X REGEXP Y` calls regexp(Y, X); compiled patterns are cached per query string
+    const regexCache = new Map();
+    function regexp(pattern, value) {
+        if (value == null) return 0;
+        if (!regexCache.has(pattern)) {
+            if (regexCache.size > 50) regexCache.clear();
+            regexCache.set(pattern, new RegExp(pattern, 'i'));
+        }
+        return regexCache.get(pattern).test(value) ? 1 : 0;
+    }
+
+    return {
+        kind: 'sqlite',
+        async init() {
+            db = new Database(dbPath);
+            db.pragma('journal_mode = WAL');
+            db.function('regexp', { deterministic: true }, regexp);
+            db.exec(SCHEMA);
+
+            [['tasks', ADDED_TASK_COLUMNS], ['cost_day_usage', ADDED_COST_USAGE_COLUMNS]].forEach(([table, columns]) => {
+                const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+                Object.entries(columns)
+                    .filter(([column]) => !existing.includes(column))
+                    .forEach(([column, type]) => db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`));
+            });
+            console.log(`✅ SQLite storage ready: ${path.basename(dbPath)}`);
+        },
+        tasks,
+        taskEvents,
+        modelHistory,
+        agentSessions,
+        logs,
+        costDays
+    };
+}
+
+module.exports = { createSqliteStorage };
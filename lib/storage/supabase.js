@@ -0,0 +1,169 @@
+// ─── Supabase storage backend ───────────────────────────────────────────────
+// Thin mapping between the storage interface and the Supabase tables. Errors
+// are thrown so callers can fall back to the local store / outbox.
+
+// Map a Supabase tasks row to the frontend-compatible format
+function rowToTask(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        description: row.description,
+        status: row.status,
+        progress: row.progress,
+        eta: row.eta,
+        agent: row.agent,
+        machine: row.machine,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        startedAt: row.started_at,
+        completedAt: row.completed_at,
+        parentId: row.parent_id ?? null,
+        dependsOn: row.depends_on || [],
+        blockedBy: row.blocked_by || null,
+        stuckReason: row.stuck_reason || null
+    };
+}
+
+// Snake-case column values for a task (or a partial set of changes)
+function taskToRow(task) {
+    const row = {};
+    const columns = {
+        title: 'title', description: 'description', status: 'status', progress: 'progress',
+        eta: 'eta', agent: 'agent', machine: 'machine', createdAt: 'created_at',
+        startedAt: 'started_at', completedAt: 'completed_at', parentId: 'parent_id',
+        dependsOn: 'depends_on', blockedBy: 'blocked_by', stuckReason: 'stuck_reason'
+    };
+    Object.entries(columns).forEach(([key, column]) => {
+        if (task[key] !== undefined) row[column] = task[key];
+    });
+    return row;
+}
+
+function createSupabaseStorage(supabase) {
+    const tasks = {
+        async list({ limit } = {}) {
+            let query = supabase.from('tasks').select('*').order('created_at', { ascending: false });
+            if (limit) query = query.limit(limit);
+            const { data, error } = await query;
+            if (error) throw error;
+            return (data || []).map(rowToTask);
+        },
+
+        async get(id) {
+            const { data, error } = await supabase.from('tasks').select('*').eq('id', id).maybeSingle();
+            if (error) throw error;
+            return data ? rowToTask(data) : null;
+        },
+
+        async insert(task) {
+            const { data, error } = await supabase.from('tasks').insert(taskToRow(task)).select().single();
+            if (error) throw error;
+            return rowToTask(data);
+        },
+
+        async update(id, changes) {
+            const { data, error } = await supabase
+                .from('tasks')
+                .update(taskToRow(changes))
+                .eq('id', id)
+                .select()
+                .maybeSingle();
+            if (error) throw error;
+            return data ? rowToTask(data) : null;
+        },
+
+        async remove(id) {
+            const { data, error } = await supabase.from('tasks').delete().eq('id', id).select();
+            if (error) throw error;
+            return data && data[0] ? rowToTask(data[0]) : null;
+        }
+    };
+
+    const taskEvents = {
+        async insert(event) {
+            const { data, error } = await supabase.from('task_events').insert(event).select().single();
+            if (error) throw error;
+            return data;
+        },
+
+        async list({ limit = 100, taskId, agent, eventType, since, until, ascending = false } = {}) {
+            let query = supabase.from('task_events').select('*');
+            if (taskId !== undefined) query = query.eq('task_id', taskId);
+            if (agent) query = query.eq('agent', agent);
+            if (eventType) query = query.eq('event_type', eventType);
+            if (since) query = query.gte('created_at', since);
+            if (until) query = query.lte('created_at', until);
+            const { data, error } = await query.order('created_at', { ascending }).limit(limit);
+            if (error) throw error;
+            return data || [];
+        }
+    };
+
+    const modelHistory = {
+        async insert(entry) {
+            const { error } = await supabase.from('model_history').insert({
+                agent: entry.agent,
+                model: entry.model,
+                tokens: entry.tokens,
+                cost: entry.cost,
+                created_at: entry.timestamp
+            });
+            if (error) throw error;
+            return entry;
+        },
+
+        async insertMany(entries) {
+            const { error } = await supabase.from('model_history').insert(entries.map(entry => ({
+                agent: entry.agent,
+                model: entry.model,
+                tokens: entry.tokens,
+                cost: entry.cost || 0,
+                created_at: entry.timestamp || new Date().toISOString()
+            })));
+            if (error) throw error;
+            return entries;
+        },
+
+        async list({ limit } = {}) {
+            let query = supabase.from('model_history').select('*').order('created_at', { ascending: false });
+            if (limit) query = query.limit(limit);
+            const { data, error } = await query;
+            if (error) throw error;
+            return (data || []).map(row => ({
+                timestamp: row.created_at,
+                agent: row.agent,
+                model: row.model,
+                tokens: row.tokens,
+                cost: parseFloat(row.cost) || 0
+            }));
+        }
+    };
+
+    const agentSessions = {
+        async upsert(session) {
+            const { error } = await supabase.from('agent_sessions').upsert(session, { onConflict: 'agent,machine' });
+            if (error) throw error;
+            return session;
+        },
+
+        async list() {
+            const { data, error } = await supabase
+                .from('agent_sessions')
+                .select('*')
+                .order('last_heartbeat', { ascending: false });
+            if (error) throw error;
+            return data || [];
+        }
+    };
+
+    return {
+        kind: 'supabase',
+        async init() {},
+        tasks,
+        taskEvents,
+        modelHistory,
+        agentSessions
+    };
+}
+
+module.exports = { createSupabaseStorage, rowToTask, taskToRow };
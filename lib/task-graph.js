@@ -0,0 +1,159 @@
+// ─── Task relationships: subtasks and dependencies ──────────────────────────
+// A task may have a parentId (it is a subtask) and dependsOn (ids of tasks that
+// must be COMPLETE first). Working tasks whose dependencies are unfinished are
+// moved to STUCK with blockedBy set; when the blockers finish they go back to
+// ACTIVE. Parents get a roll-up of their subtasks' progress.
+
+const { normalizeStatus } = require('./task-status');
+
+// Statuses that mean "someone is working on it" and so can be auto-blocked
+const WORKING_STATUSES = ['ACTIVE', 'IN_PROGRESS'];
+
+function indexById(tasks) {
+    const byId = new Map();
+    tasks.forEach(task => byId.set(String(task.id), task));
+    return byId;
+}
+
+// Follow parent links from startId; true if we reach targetId
+function isAncestor(byId, startId, targetId) {
+    const seen = new Set();
+    let current = byId.get(String(startId));
+    while (current && current.parentId != null && !seen.has(String(current.id))) {
+        if (String(current.parentId) === String(targetId)) return true;
+        seen.add(String(current.id));
+        current = byId.get(String(current.parentId));
+    }
+    return false;
+}
+
+// Depth-first search along dependsOn edges from startId looking for targetId
+function dependsOnTransitively(byId, startId, targetId) {
+    const stack = [String(startId)];
+    const seen = new Set();
+    while (stack.length) {
+        const id = stack.pop();
+        if (id === String(targetId)) return true;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        const task = byId.get(id);
+        (task && task.dependsOn || []).forEach(dep => stack.push(String(dep)));
+    }
+    return false;
+}
+
+// Validate parentId / dependsOn for task `id` (null when creating).
+// Returns a list of error strings.
+function validateRelations(tasks, id, { parentId, dependsOn }) {
+    const byId = indexById(tasks);
+    const errors = [];
+
+    if (parentId != null) {
+        if (!byId.has(String(parentId))) {
+            errors.push(`parentId: task ${parentId} does not exist`);
+        } else if (id != null && (String(parentId) === String(id) || isAncestor(byId, parentId, id))) {
+            errors.push(`parentId: task ${parentId} is this task or one of its subtasks`);
+        }
+    }
+
+    (dependsOn || []).forEach(dep => {
+        if (!byId.has(String(dep))) {
+            errors.push(`dependsOn: task ${dep} does not exist`);
+        } else if (id != null && (String(dep) === String(id) || dependsOnTransitively(byId, dep, id))) {
+            errors.push(`dependsOn: depending on task ${dep} would create a cycle`);
+        }
+    });
+
+    return errors;
+}
+
+// Ids of dependencies that are not COMPLETE yet (deleted dependencies don't block)
+function blockersOf(task, byId) {
+    return (task.dependsOn || []).filter(dep => {
+        const other = byId.get(String(dep));
+        return other && normalizeStatus(other.status) !== 'COMPLETE';
+    });
+}
+
+// Status changes needed to bring every task in line with its dependencies.
+// Returns [{ id, changes, event, details }].
+function planDependencyUpdates(tasks) {
+    const byId = indexById(tasks);
+    const updates = [];
+
+    tasks.forEach(task => {
+        const status = normalizeStatus(task.status);
+        const blockers = blockersOf(task, byId);
+        const autoBlocked = status === 'STUCK' && Array.isArray(task.blockedBy) && task.blockedBy.length > 0;
+
+        if (blockers.length && WORKING_STATUSES.includes(status)) {
+            updates.push({
+                id: task.id,
+                changes: { status: 'STUCK', blockedBy: blockers },
+                event: 'blocked',
+                details: { blockedBy: blockers, previousStatus: status }
+            });
+        } else if (autoBlocked && !blockers.length) {
+            updates.push({
+                id: task.id,
+                changes: { status: 'ACTIVE', blockedBy: null },
+                event: 'unblocked',
+                details: { resolved: task.blockedBy }
+            });
+        } else if (autoBlocked && blockers.join(',') !== task.blockedBy.join(',')) {
+            // Still blocked, but by a different set of tasks
+            updates.push({ id: task.id, changes: { blockedBy: blockers }, event: null, details: null });
+        }
+    });
+
+    return updates;
+}
+
+// Add roll-up info for the work queue: parents get { rollup: { progress, total, complete } }
+// and every task its unfinished blockers.
+function decorateTasks(tasks) {
+    const byId = indexById(tasks);
+    const children = new Map();
+    tasks.forEach(task => {
+        if (task.parentId == null || !byId.has(String(task.parentId))) return;
+        const key = String(task.parentId);
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(task);
+    });
+
+    // Leaf progress counts COMPLETE as 100%; nested parents use their own roll-up
+    const rollups = new Map();
+    function rollupFor(task, seen = new Set()) {
+        const key = String(task.id);
+        if (rollups.has(key)) return rollups.get(key);
+        const kids = children.get(key);
+        if (!kids || seen.has(key)) return null;
+        seen.add(key);
+
+        let sum = 0;
+        let complete = 0;
+        kids.forEach(kid => {
+            const kidRollup = rollupFor(kid, seen);
+            const done = normalizeStatus(kid.status) === 'COMPLETE';
+            if (done) complete++;
+            sum += done ? 100 : kidRollup ? kidRollup.progress : Number(kid.progress) || 0;
+        });
+
+        const rollup = { progress: Math.round(sum / kids.length), total: kids.length, complete };
+        rollups.set(key, rollup);
+        return rollup;
+    }
+
+    return tasks.map(task => {
+        const rollup = rollupFor(task);
+        const blockers = blockersOf(task, byId);
+        if (!rollup && !blockers.length) return task;
+        return {
+            ...task,
+            ...(rollup ? { rollup } : {}),
+            ...(blockers.length ? { waitingOn: blockers } : {})
+        };
+    });
+}
+
+module.exports = { validateRelations, blockersOf, planDependencyUpdates, decorateTasks, indexById };
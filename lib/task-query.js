@@ -0,0 +1,262 @@
+// ─── Task query helpers for the /api/tasks resource ─────────────────────────
+// Validation, filtering, sorting and cursor pagination over the in-memory task
+// cache. Everything here is pure so the routes in server.js stay thin.
+
+const { STATUSES, normalizeStatus, isKnownStatus } = require('./task-status');
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'startedAt', 'completedAt', 'title', 'status', 'progress'];
+const DEFAULT_SORT = '-createdAt';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Writable task fields and their validators (each returns an error or null)
+const TASK_FIELDS = {
+    title: v => (typeof v === 'string' && v.trim() ? null : 'must be a non-empty string'),
+    description: v => (typeof v === 'string' ? null : 'must be a string'),
+    status: v => (typeof v === 'string' && isKnownStatus(v) ? null : `must be one of ${STATUSES.join(', ')}`),
+    progress: v => (Number.isFinite(Number(v)) && Number(v) >= 0 && Number(v) <= 100 ? null : 'must be a number between 0 and 100'),
+    eta: v => (typeof v === 'string' ? null : 'must be a string'),
+    agent: v => (typeof v === 'string' && v.trim() ? null : 'must be a non-empty string'),
+    machine: v => (typeof v === 'string' && v.trim() ? null : 'must be a non-empty string'),
+    parentId: v => (isTaskId(v) ? null : 'must be a task id or null'),
+    dependsOn: v => (Array.isArray(v) && v.every(isTaskId) ? null : 'must be an array of task ids')
+};
+
+const REQUIRED_ON_CREATE = ['title', 'description', 'status'];
+
+// Fields that may be explicitly cleared with null
+const NULLABLE = ['parentId'];
+
+// Positive integers, as numbers or digit-only strings (not true, [1], '1e2', ...)
+function isTaskId(v) {
+    if (typeof v === 'number') return Number.isInteger(v) && v > 0;
+    return typeof v === 'string' && /^\d+$/.test(v) && Number(v) > 0;
+}
+
+// Validate a create (partial = false) or update (partial = true) body.
+// Returns { value, errors } where value only holds known, normalized fields;
+// unknown fields are errors unless ignoreUnknown is set.
+function validateTaskInput(body, { partial = false, ignoreUnknown = false } = {}) {
+    const errors = [];
+    const value = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { value, errors: ['body must be a JSON object'] };
+    }
+
+    if (!ignoreUnknown) {
+        Object.keys(body).forEach(key => {
+            if (!TASK_FIELDS[key]) errors.push(`${key}: unknown field`);
+        });
+    }
+
+    Object.entries(TASK_FIELDS).forEach(([key, check]) => {
+        const raw = body[key];
+        if (raw === null && NULLABLE.includes(key)) {
+            value[key] = null;
+            return;
+        }
+        if (raw === undefined || raw === null) {
+            if (!partial && REQUIRED_ON_CREATE.includes(key)) errors.push(`${key}: is required`);
+            return;
+        }
+        const problem = check(raw);
+        if (problem) {
+            errors.push(`${key}: ${problem}`);
+            return;
+        }
+        if (key === 'status') value.status = normalizeStatus(raw);
+        else if (key === 'progress') value.progress = Math.round(Number(raw));
+        else if (key === 'parentId') value.parentId = Number(raw);
+        else if (key === 'dependsOn') value.dependsOn = [...new Set(raw.map(Number))];
+        else value[key] = raw;
+    });
+
+    if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+        errors.push(`body must contain at least one of: ${Object.keys(TASK_FIELDS).join(', ')}`);
+    }
+
+    return { value, errors };
+}
+
+function parseDateParam(name, raw, errors) {
+    if (raw === undefined) return null;
+    const date = new Date(raw);
+    if (Number.isNaN(date.getTime())) {
+        errors.push(`${name}: must be an ISO date`);
+        return null;
+    }
+    return date;
+}
+
+function listParam(raw) {
+    if (raw === undefined) return null;
+    const values = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(v => String(v).trim())
+        .filter(Boolean);
+    return values.length ? values : null;
+}
+
+function encodeCursor(task, field) {
+    return Buffer.from(JSON.stringify([task[field] === undefined ? null : task[field], task.id])).toString('base64url');
+}
+
+function decodeCursor(raw) {
+    try {
+        const parsed = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+        return Array.isArray(parsed) && parsed.length === 2 ? { value: parsed[0], id: parsed[1] } : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Parse GET /api/tasks query parameters. Returns { value, errors }.
+function parseListQuery(query = {}) {
+    const errors = [];
+
+    const sortRaw = String(query.sort || DEFAULT_SORT);
+    const descending = sortRaw.startsWith('-');
+    const sortField = descending ? sortRaw.slice(1) : sortRaw;
+    if (!SORT_FIELDS.includes(sortField)) {
+        errors.push(`sort: must be one of ${SORT_FIELDS.join(', ')} (prefix with - for descending)`);
+    }
+
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.push(`limit: must be an integer between 1 and ${MAX_LIMIT}`);
+        }
+    }
+
+    let cursor = null;
+    if (query.cursor !== undefined) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) errors.push('cursor: is not a valid cursor');
+    }
+
+    let parentId;
+    if (query.parentId !== undefined) {
+        if (query.parentId === 'none') parentId = null;
+        else if (isTaskId(query.parentId)) parentId = Number(query.parentId);
+        else errors.push('parentId: must be a task id or "none"');
+    }
+
+    const value = {
+        parentId,
+        status: listParam(query.status),
+        agent: listParam(query.agent),
+        machine: listParam(query.machine),
+        createdAfter: parseDateParam('createdAfter', query.createdAfter, errors),
+        createdBefore: parseDateParam('createdBefore', query.createdBefore, errors),
+        updatedAfter: parseDateParam('updatedAfter', query.updatedAfter, errors),
+        updatedBefore: parseDateParam('updatedBefore', query.updatedBefore, errors),
+        sortField,
+        descending,
+        limit,
+        cursor
+    };
+    if (value.status) {
+        value.status = value.status.map(normalizeStatus);
+        value.status.filter(s => !STATUSES.includes(s)).forEach(s => errors.push(`status: unknown status ${s}`));
+    }
+
+    return { value, errors };
+}
+
+const MAX_EVENT_LIMIT = 1000;
+
+// Parse GET /api/tasks/events query parameters. Returns { value, errors }.
+function parseEventQuery(query = {}) {
+    const errors = [];
+
+    let limit = 100;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EVENT_LIMIT) {
+            errors.push(`limit: must be an integer between 1 and ${MAX_EVENT_LIMIT}`);
+        }
+    }
+
+    if (query.taskId !== undefined && !isTaskId(query.taskId)) {
+        errors.push('taskId: must be a task id');
+    }
+
+    const since = parseDateParam('since', query.since, errors);
+    const until = parseDateParam('until', query.until, errors);
+
+    return {
+        value: {
+            limit,
+            taskId: query.taskId !== undefined ? Number(query.taskId) : undefined,
+            agent: query.agent ? String(query.agent) : undefined,
+            eventType: query.type ? String(query.type) : undefined,
+            since: since ? since.toISOString() : undefined,
+            until: until ? until.toISOString() : undefined
+        },
+        errors
+    };
+}
+
+function inRange(iso, after, before) {
+    if (!after && !before) return true;
+    const time = iso ? new Date(iso).getTime() : NaN;
+    if (Number.isNaN(time)) return false;
+    if (after && time < after.getTime()) return false;
+    if (before && time > before.getTime()) return false;
+    return true;
+}
+
+// Nulls sort last in either direction; ids break ties so cursors are stable
+function compareBy(field, descending) {
+    const direction = descending ? -1 : 1;
+    return (a, b) => {
+        const av = a[field];
+        const bv = b[field];
+        if (av == null && bv != null) return 1;
+        if (av != null && bv == null) return -1;
+        if (av != null && bv != null && av !== bv) {
+            return (typeof av === 'number' && typeof bv === 'number'
+                ? av - bv
+                : String(av).localeCompare(String(bv))) * direction;
+        }
+        return String(a.id).localeCompare(String(b.id), undefined, { numeric: true }) * direction;
+    };
+}
+
+// Filter, sort and paginate. Returns { data, total, nextCursor }.
+function queryTasks(tasks, options) {
+    const lower = list => list && list.map(v => v.toLowerCase());
+    const agents = lower(options.agent);
+    const machines = lower(options.machine);
+
+    const matching = tasks.filter(task =>
+        (options.parentId === undefined || (task.parentId == null ? null : Number(task.parentId)) === options.parentId) &&
+        (!options.status || options.status.includes(normalizeStatus(task.status || ''))) &&
+        (!agents || agents.includes(String(task.agent || '').toLowerCase())) &&
+        (!machines || machines.includes(String(task.machine || '').toLowerCase())) &&
+        inRange(task.createdAt, options.createdAfter, options.createdBefore) &&
+        inRange(task.updatedAt, options.updatedAfter, options.updatedBefore)
+    );
+
+    const compare = compareBy(options.sortField, options.descending);
+    matching.sort(compare);
+
+    let start = 0;
+    if (options.cursor) {
+        const marker = { [options.sortField]: options.cursor.value, id: options.cursor.id };
+        start = matching.findIndex(task => compare(task, marker) > 0);
+        if (start === -1) start = matching.length;
+    }
+
+    const data = matching.slice(start, start + options.limit);
+    const hasMore = start + options.limit < matching.length;
+
+    return {
+        data,
+        total: matching.length,
+        nextCursor: hasMore ? encodeCursor(data[data.length - 1], options.sortField) : null
+    };
+}
+
+module.exports = { validateTaskInput, parseListQuery, parseEventQuery, queryTasks, SORT_FIELDS, MAX_LIMIT };
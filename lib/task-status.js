@@ -0,0 +1,125 @@
+// ─── Task status state machine ──────────────────────────────────────────────
+// Canonical statuses, the legacy spellings they replace, and which transitions
+// are allowed. The transitions table can be overridden from
+// config/task-transitions.json (see TASK_WORKFLOW.md).
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./task-store');
+
+const STATUSES = ['BACKLOG', 'ACTIVE', 'IN_PROGRESS', 'STUCK', 'ERROR', 'COMPLETE'];
+
+// Older agents and cron jobs used these; they are mapped on read and write
+const LEGACY_STATUSES = {
+    QUEUE: 'BACKLOG',
+    QUEUED: 'BACKLOG',
+    DONE: 'COMPLETE',
+    COMPLETED: 'COMPLETE'
+};
+
+const DEFAULT_TRANSITIONS = {
+    BACKLOG: ['ACTIVE', 'IN_PROGRESS'],
+    ACTIVE: ['BACKLOG', 'IN_PROGRESS', 'STUCK', 'ERROR', 'COMPLETE'],
+    IN_PROGRESS: ['ACTIVE', 'STUCK', 'ERROR', 'COMPLETE'],
+    STUCK: ['BACKLOG', 'ACTIVE', 'IN_PROGRESS', 'ERROR'],
+    ERROR: ['BACKLOG', 'ACTIVE', 'IN_PROGRESS'],
+    COMPLETE: ['ACTIVE']
+};
+
+// Uppercase and map legacy values. Unknown values are returned as-is (uppercased)
+// so callers can decide whether to reject them.
+function normalizeStatus(status) {
+    if (typeof status !== 'string') return status;
+    const upper = status.trim().toUpperCase();
+    return LEGACY_STATUSES[upper] || upper;
+}
+
+function isKnownStatus(status) {
+    return STATUSES.includes(normalizeStatus(status));
+}
+
+function normalizeTask(task) {
+    if (!task || !task.status) return task;
+    const status = normalizeStatus(task.status);
+    return status === task.status ? task : { ...task, status };
+}
+
+// Check a transitions table: every key and target must be a canonical status
+function validateTransitions(table) {
+    const errors = [];
+    if (!table || typeof table !== 'object' || Array.isArray(table)) {
+        return ['transitions must be an object of status → [statuses]'];
+    }
+    Object.entries(table).forEach(([from, targets]) => {
+        if (!STATUSES.includes(from)) errors.push(`${from}: unknown status`);
+        if (!Array.isArray(targets)) {
+            errors.push(`${from}: must be an array of statuses`);
+            return;
+        }
+        targets.filter(to => !STATUSES.includes(to)).forEach(to => errors.push(`${from} → ${to}: unknown status`));
+    });
+    return errors;
+}
+
+function createStatusMachine({ file }) {
+    let transitions = { ...DEFAULT_TRANSITIONS };
+
+    function load() {
+        try {
+            if (fs.existsSync(file)) {
+                const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+                const errors = validateTransitions(saved);
+                if (errors.length) {
+                    console.log(`⚠️  Ignoring invalid task transitions config: ${errors.join('; ')}`);
+                } else {
+                    transitions = { ...DEFAULT_TRANSITIONS, ...saved };
+                    console.log('✅ Loaded task transitions config');
+                }
+            }
+        } catch (error) {
+            console.log('⚠️  Error loading task transitions config:', error.message);
+        }
+    }
+
+    // Replace the table (missing statuses keep their defaults). Returns validation errors.
+    function save(table) {
+        const errors = validateTransitions(table);
+        if (errors.length) return errors;
+
+        transitions = { ...DEFAULT_TRANSITIONS, ...table };
+        writeFileAtomic(file, JSON.stringify(transitions, null, 2));
+        console.log('✅ Saved task transitions config');
+        return [];
+    }
+
+    function allowedFrom(status) {
+        return transitions[normalizeStatus(status)] || [];
+    }
+
+    // Re-sending the current status is always fine (progress updates often do)
+    function canTransition(from, to) {
+        const source = normalizeStatus(from);
+        const target = normalizeStatus(to);
+        if (!source || source === target) return true;
+        // Tasks stored with a status we no longer know can move anywhere
+        if (!STATUSES.includes(source)) return true;
+        return allowedFrom(source).includes(target);
+    }
+
+    return {
+        load,
+        save,
+        allowedFrom,
+        canTransition,
+        get transitions() { return transitions; }
+    };
+}
+
+module.exports = {
+    STATUSES,
+    LEGACY_STATUSES,
+    DEFAULT_TRANSITIONS,
+    normalizeStatus,
+    normalizeTask,
+    isKnownStatus,
+    createStatusMachine
+};
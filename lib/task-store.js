@@ -0,0 +1,189 @@
+// ─── File-backed Task Store ─────────────────────────────────────────────────
+// Local persistence for the work queue when Supabase is unavailable.
+//
+// Layout on disk (both live in config/):
+//   tasks.json     - snapshot of every task, rewritten atomically on compaction
+//   tasks.journal  - append-only JSONL log of mutations since the last snapshot
+//
+// Every mutation is appended to the journal and fsync'd before the caller gets
+// a response, so a crash can lose at most a half-written trailing line. On load
+// the snapshot is read, the journal replayed on top, and the result compacted
+// back into a fresh snapshot.
+
+const fs = require('fs');
+const path = require('path');
+
+// Write a file so readers only ever see the old or the new contents
+function writeFileAtomic(filePath, contents) {
+    const tmpPath = `${filePath}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+
+    // Persist the rename itself (not supported on every platform)
+    try {
+        const dirFd = fs.openSync(path.dirname(filePath), 'r');
+        try { fs.fsyncSync(dirFd); } finally { fs.closeSync(dirFd); }
+    } catch (e) { /* ignore */ }
+}
+
+function appendLineDurable(filePath, line) {
+    const fd = fs.openSync(filePath, 'a');
+    try {
+        fs.writeSync(fd, line + '\n');
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function createTaskStore({ snapshotFile, journalFile, compactEvery = 200 }) {
+    const tasks = new Map();   // id -> task
+    let journalLength = 0;
+    let lastId = 0;
+
+    function readSnapshot() {
+        // A leftover .tmp means we crashed mid-compaction; the old snapshot plus
+        // journal is still authoritative, so just discard it
+        if (fs.existsSync(`${snapshotFile}.tmp`)) {
+            console.log('⚠️  Discarding incomplete task snapshot from previous run');
+            fs.unlinkSync(`${snapshotFile}.tmp`);
+        }
+
+        if (!fs.existsSync(snapshotFile)) return [];
+
+        try {
+            const data = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+            return Array.isArray(data) ? data : [];
+        } catch (error) {
+            // Keep the unreadable file around for manual inspection
+            const corruptPath = `${snapshotFile}.corrupt-${Date.now()}`;
+            fs.renameSync(snapshotFile, corruptPath);
+            console.log(`⚠️  Task snapshot unreadable (${error.message}), moved to ${path.basename(corruptPath)}`);
+            return [];
+        }
+    }
+
+    function replayJournal() {
+        if (!fs.existsSync(journalFile)) return 0;
+
+        const lines = fs.readFileSync(journalFile, 'utf8').split('\n');
+        let applied = 0;
+
+        lines.forEach((line, idx) => {
+            if (!line.trim()) return;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                const isTail = lines.slice(idx + 1).every(l => !l.trim());
+                console.log(`⚠️  Skipping ${isTail ? 'torn trailing' : 'corrupt'} task journal entry (line ${idx + 1})`);
+                return;
+            }
+
+            applyEntry(entry);
+            applied++;
+        });
+
+        return applied;
+    }
+
+    function applyEntry(entry) {
+        if (entry.op === 'put' && entry.task) {
+            tasks.set(String(entry.task.id), entry.task);
+            trackId(entry.task.id);
+        } else if (entry.op === 'delete') {
+            tasks.delete(String(entry.id));
+        }
+    }
+
+    function trackId(id) {
+        const numeric = Number(id);
+        if (Number.isFinite(numeric) && numeric > lastId) lastId = numeric;
+    }
+
+    function writeJournal(entry) {
+        appendLineDurable(journalFile, JSON.stringify({ ...entry, at: new Date().toISOString() }));
+        applyEntry(entry);
+        journalLength++;
+
+        if (journalLength >= compactEvery) compact();
+    }
+
+    // Fold the journal into a fresh snapshot and start a new journal
+    function compact() {
+        writeFileAtomic(snapshotFile, JSON.stringify(list(), null, 2));
+        if (fs.existsSync(journalFile)) fs.unlinkSync(journalFile);
+        journalLength = 0;
+    }
+
+    function load() {
+        tasks.clear();
+        lastId = 0;
+
+        readSnapshot().forEach(task => {
+            tasks.set(String(task.id), task);
+            trackId(task.id);
+        });
+
+        const replayed = replayJournal();
+        if (replayed > 0) {
+            console.log(`🔁 Replayed ${replayed} task journal entries`);
+        }
+        compact();
+
+        console.log(`✅ Loaded ${tasks.size} tasks from local store`);
+        return list();
+    }
+
+    // Newest first, matching the order the work queue renders in
+    function list() {
+        return [...tasks.values()].sort((a, b) =>
+            String(b.createdAt || '').localeCompare(String(a.createdAt || ''))
+        );
+    }
+
+    function get(id) {
+        return tasks.get(String(id)) || null;
+    }
+
+    // Ids stay numeric and time-based like the old in-memory fallback, but are
+    // guaranteed unique even when two tasks are added in the same millisecond
+    function nextId() {
+        lastId = Math.max(lastId + 1, Date.now());
+        return lastId;
+    }
+
+    function add(fields) {
+        const task = { ...fields, id: fields.id !== undefined ? fields.id : nextId() };
+        writeJournal({ op: 'put', task });
+        return task;
+    }
+
+    function update(id, changes) {
+        const existing = get(id);
+        if (!existing) return null;
+
+        const task = { ...existing, ...changes, id: existing.id };
+        writeJournal({ op: 'put', task });
+        return task;
+    }
+
+    function remove(id) {
+        const existing = get(id);
+        if (!existing) return null;
+
+        writeJournal({ op: 'delete', id: existing.id });
+        return existing;
+    }
+
+    return { load, list, get, add, update, remove, compact };
+}
+
+module.exports = { createTaskStore, writeFileAtomic, appendLineDurable };
@@ -0,0 +1,81 @@
+// ─── Stuck-task watchdog ────────────────────────────────────────────────────
+// Working tasks (ACTIVE / IN_PROGRESS) that have not been updated for a while,
+// or whose agent stopped sending heartbeats, are flagged so the server can move
+// them to STUCK. Settings live under `stuckWatchdog` in config/anthropic.json
+// next to the cost alert threshold.
+
+const { normalizeStatus } = require('./task-status');
+const { agentSlug } = require('./agent-slug');
+
+const WORKING_STATUSES = ['ACTIVE', 'IN_PROGRESS'];
+
+const DEFAULT_WATCHDOG = {
+    enabled: true,
+    idleMinutes: 120,           // no task update for this long
+    heartbeatStaleMinutes: 10   // agent heartbeat older than this
+};
+
+// Validate a settings update. Returns { value, errors }; value is merged over current settings.
+function validateWatchdogSettings(body, current = DEFAULT_WATCHDOG) {
+    const errors = [];
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { value: current, errors: ['body must be a JSON object'] };
+    }
+
+    const value = { ...current };
+    if (body.enabled !== undefined) {
+        if (typeof body.enabled === 'boolean') value.enabled = body.enabled;
+        else errors.push('enabled: must be a boolean');
+    }
+    ['idleMinutes', 'heartbeatStaleMinutes'].forEach(key => {
+        if (body[key] === undefined) return;
+        const minutes = Number(body[key]);
+        if (!Number.isFinite(minutes) || minutes < 1) errors.push(`${key}: must be a number of minutes (1 or more)`);
+        else value[key] = minutes;
+    });
+    Object.keys(body)
+        .filter(key => !(key in DEFAULT_WATCHDOG))
+        .forEach(key => errors.push(`${key}: unknown setting`));
+
+    return { value, errors };
+}
+
+// Tasks that should be moved to STUCK. Returns [{ id, reason, details }].
+// Agents that never sent a heartbeat are only judged on task updates.
+function findStuckTasks(tasks, heartbeats, settings, now = Date.now()) {
+    if (!settings.enabled) return [];
+
+    const idleMs = settings.idleMinutes * 60 * 1000;
+    const staleMs = settings.heartbeatStaleMinutes * 60 * 1000;
+    const flagged = [];
+
+    tasks.forEach(task => {
+        const status = normalizeStatus(task.status);
+        if (!WORKING_STATUSES.includes(status)) return;
+
+        const heartbeat = task.agent ? heartbeats[agentSlug(task.agent)] : null;
+        if (heartbeat && now - heartbeat.lastSeen > staleMs) {
+            const minutes = Math.round((now - heartbeat.lastSeen) / 60000);
+            flagged.push({
+                id: task.id,
+                reason: `No heartbeat from ${heartbeat.name || task.agent} for ${minutes} min`,
+                details: { rule: 'heartbeat', agent: task.agent, lastHeartbeat: new Date(heartbeat.lastSeen).toISOString(), previousStatus: status }
+            });
+            return;
+        }
+
+        const lastUpdate = new Date(task.updatedAt || task.startedAt || task.createdAt).getTime();
+        if (Number.isFinite(lastUpdate) && now - lastUpdate > idleMs) {
+            const minutes = Math.round((now - lastUpdate) / 60000);
+            flagged.push({
+                id: task.id,
+                reason: `No update for ${minutes} min`,
+                details: { rule: 'idle', lastUpdate: new Date(lastUpdate).toISOString(), previousStatus: status }
+            });
+        }
+    });
+
+    return flagged;
+}
+
+module.exports = { DEFAULT_WATCHDOG, validateWatchdogSettings, findStuckTasks };
@@ -0,0 +1,47 @@
+// ─── Unattributed spend ─────────────────────────────────────────────────────
+// Usage from org API keys that are not configured agents, per key, so it shows
+// up next to the agents instead of vanishing from the per-agent view. Rows are
+// Usage API daily rows ({ date, cost, tokens, model, api_key_id }); usage with
+// no api_key_id (the Console) is one bucket that cannot be assigned.
+
+// keyNames: Map apiKeyId → { name, status } from the org API keys list;
+// tierOf(model) → haiku / sonnet / opus
+function summarizeUnattributed(rows, { agentKeyIds, keyNames = new Map(), tierOf, today }) {
+    const agentKeys = new Set(agentKeyIds);
+    const keys = new Map();   // apiKeyId → summary
+
+    rows.filter(row => !agentKeys.has(row.api_key_id)).forEach(row => {
+        const apiKeyId = row.api_key_id || null;
+        if (!keys.has(apiKeyId)) {
+            const known = apiKeyId && keyNames.get(apiKeyId);
+            keys.set(apiKeyId, {
+                apiKeyId,
+                name: known ? known.name : (apiKeyId ? null : 'Console (no API key)'),
+                status: known ? known.status : null,
+                cost: 0,
+                today: 0,
+                tokens: 0,
+                modelCosts: {},
+                lastUsed: null
+            });
+        }
+        const key = keys.get(apiKeyId);
+        const cost = row.cost || 0;
+        key.cost += cost;
+        key.tokens += row.tokens || 0;
+        if (row.date === today) key.today += cost;
+        const tier = tierOf(row.model);
+        key.modelCosts[tier] = (key.modelCosts[tier] || 0) + cost;
+        if (!key.lastUsed || row.date > key.lastUsed) key.lastUsed = row.date;
+    });
+
+    const list = [...keys.values()].sort((a, b) => b.cost - a.cost);
+    return {
+        cost: list.reduce((sum, key) => sum + key.cost, 0),
+        today: list.reduce((sum, key) => sum + key.today, 0),
+        tokens: list.reduce((sum, key) => sum + key.tokens, 0),
+        keys: list
+    };
+}
+
+module.exports = { summarizeUnattributed };
@@ -4,20 +4,41 @@ let reconnectAttempts = 0;
 const maxReconnectAttempts = 5;
 let allTasks = [];
 let currentTab = 'ACTIVE';
+
+// Work queue tab → task statuses shown on it (IN_PROGRESS is still "active" work)
+const TAB_STATUSES = {
+    ACTIVE: ['ACTIVE', 'IN_PROGRESS'],
+    BACKLOG: ['BACKLOG'],
+    STUCK: ['STUCK'],
+    ERROR: ['ERROR'],
+    COMPLETE: ['COMPLETE']
+};
+
+// Parent task ids whose subtasks are folded away in the work queue tree
+const collapsedTasks = new Set();
 let lastMetricsUpdate = null;
 let lastSuccessfulApiTime = null;
 
 // Log filter state (Feature 10)
-let allLogs = [];
+let allLogs = [];           // newest first, capped at LOG_BUFFER_LIMIT
+let lastLogSeq = 0;         // highest server seq received (for /api/logs/tail backfill)
+const LOG_BUFFER_LIMIT = 500;
+const LOG_RENDER_LIMIT = 200;
+let olderLogs = { entries: [], cursor: null, exhausted: false, loading: false };  // archive pages
 let logSearchText = '';
+let logStreamFilter = '';   // log source id ('' = all sources)
+let multiAgentLogs = {};    // agent slug → entries from the last 10 minutes (newest first)
+let logView = 'list';       // 'list' or 'lanes'
 let logLevelFilters = { info: true, warning: true, error: true, debug: true };
 
 // Initialize dashboard
 document.addEventListener('DOMContentLoaded', () => {
     connectWebSocket();
     setupTabButtons();
+    setupWorkQueueTree();
     setupApiModal();
     setupLogFilters();
+    setupLogLanes();
     checkApiStatus();
 });
 
@@ -37,6 +58,28 @@ function setupTabButtons() {
     });
 }
 
+// Expand/collapse subtasks (delegated - the queue HTML is replaced on every update)
+function setupWorkQueueTree() {
+    const workQueueDiv = document.getElementById('work-queue');
+    if (!workQueueDiv) return;
+
+    workQueueDiv.addEventListener('click', (e) => {
+        const historyBtn = e.target.closest('.task-history-btn');
+        if (historyBtn) {
+            openTaskTimeline(historyBtn.dataset.taskId);
+            return;
+        }
+
+        const toggle = e.target.closest('.subtask-toggle');
+        if (!toggle) return;
+
+        const id = toggle.dataset.taskId;
+        if (collapsedTasks.has(id)) collapsedTasks.delete(id);
+        else collapsedTasks.add(id);
+        filterAndRenderWorkQueue();
+    });
+}
+
 // Setup API Modal (tabbed: Admin Key + Agent Keys)
 function setupApiModal() {
     const modal = document.getElementById('api-modal');
@@ -391,8 +434,15 @@ function handleMessage(data) {
         case 'backupMetrics':
             updateBackupMetrics(data.data);
             break;
-        case 'liveLogs':
-            updateLiveLogsDisplay(data.data);
+        case 'logDelta':
+            appendLogEntries(data.data.entries);
+            break;
+        case 'logSources':
+            updateLogStreamOptions(data.data);
+            break;
+        case 'multiAgentLogs':
+            multiAgentLogs = data.data || {};
+            renderLogLanes();
             break;
         case 'gatewayStatus':
             updateGatewayStatus(data.data);
@@ -415,6 +465,18 @@ function handleMessage(data) {
             window.agentProcessModels = data.data;
             updateAgentProcessModelBadges(data.data);
             break;
+        case 'taskAlert':
+            showTaskAlert(data.data);
+            break;
+        case 'logAlert':
+            showLogAlert(data.data);
+            break;
+        case 'alert':
+            handleAlertEvent(data.data.event, data.data.alert);
+            break;
+        case 'budgetDirective':
+            loadDirectiveAudit();
+            break;
         case 'agentConfigUpdate':
             if (data.data.agentConfig) {
                 window.agentConfig = data.data.agentConfig;
@@ -424,6 +486,7 @@ function handleMessage(data) {
                 window.agentsList = data.data.agentsList;
                 updateTrackedAgentsDisplay(data.data.agentsList);
             }
+            renderLogLanes();
             break;
     }
 }
@@ -446,7 +509,14 @@ function updateAllData(data) {
     window.projectInfo = data.projectInfo;
     updateProjectInfo(data.projectInfo);
     updateAgentName(data.projectInfo);
+    updateLogStreamOptions(data.logSources);
+    if (data.alerts) {
+        activeAlerts = data.alerts;
+        renderAlerts();
+    }
+    multiAgentLogs = data.multiAgentLogs || {};
     updateLiveLogsDisplay(data.liveLogs);
+    lastLogSeq = data.lastLogSeq || 0;
     updateGatewayStatus(data.gatewayStatus);
     updateTokenMetricsDisplay(data.tokenMetrics);
     
@@ -609,70 +679,113 @@ function filterAndRenderWorkQueue() {
         return;
     }
     
-    // Filter tasks by current tab
-    // BACKLOG tab also shows QUEUE status (legacy cron jobs)
-    const filteredTasks = allTasks.filter(item => {
-        if (currentTab === 'BACKLOG') {
-            return item.status === 'BACKLOG' || item.status === 'QUEUE';
-        }
-        return item.status === currentTab;
-    });
+    // Filter tasks by current tab (server normalizes legacy DONE/QUEUE values)
+    const tabStatuses = TAB_STATUSES[currentTab] || [currentTab];
+    const filteredTasks = allTasks.filter(item => tabStatuses.includes(item.status));
     
     if (filteredTasks.length === 0) {
         smoothSetHTML(workQueueDiv, `<div class="loading">No ${currentTab.toLowerCase()} tasks</div>`);
         return;
     }
     
-    let html = '';
+    // Nest subtasks under their parent when both are on this tab; others stay top level
+    const visibleIds = new Set(filteredTasks.map(t => String(t.id)));
+    const childrenOf = {};
+    const roots = [];
     filteredTasks.forEach(item => {
-        const isManualTask = item.createdAt; // Manual tasks have createdAt
-        const statusClass = item.status.toLowerCase();
-        
-        // Extract agent from eta or metadata (currently shows "Atlas-generated")
-        let agentClass = 'agent-atlas'; // default
-        let agentBadge = '';
-        
-        if (item.eta && item.eta.includes('generated')) {
-            // Extract agent from task (if stored in metadata)
-            if (item.agent) {
-                const agentName = item.agent.toLowerCase();
-                agentClass = `agent-${agentName}`;
-                agentBadge = `<span class="agent-badge ${agentName}">${item.agent}</span>`;
-            } else {
-                agentBadge = `<span class="agent-badge atlas">Atlas</span>`;
-            }
+        const parentKey = item.parentId != null ? String(item.parentId) : null;
+        if (parentKey && visibleIds.has(parentKey)) {
+            (childrenOf[parentKey] = childrenOf[parentKey] || []).push(item);
+        } else {
+            roots.push(item);
         }
-        
-        // Feature 11: Task duration
-        let durationHtml = '';
-        if (item.completedAt && item.startedAt) {
-            const dur = new Date(item.completedAt) - new Date(item.startedAt);
-            durationHtml = `<span class="task-duration">Took ${formatDuration(dur)}</span>`;
-        } else if (item.startedAt && ['ACTIVE', 'IN_PROGRESS'].includes(item.status)) {
-            const dur = Date.now() - new Date(item.startedAt).getTime();
-            durationHtml = `<span class="task-duration running">Running ${formatDuration(dur)}</span>`;
+    });
+
+    const titles = {};
+    allTasks.forEach(t => { titles[String(t.id)] = t.title; });
+
+    let html = '';
+    const renderBranch = (item, depth) => {
+        const children = childrenOf[String(item.id)] || [];
+        html += renderWorkItem(item, depth, children.length, titles);
+        if (children.length && !collapsedTasks.has(String(item.id))) {
+            children.forEach(child => renderBranch(child, depth + 1));
         }
+    };
+    roots.forEach(item => renderBranch(item, 0));
 
-        html += `
-            <div class="work-item ${agentClass}">
-                ${agentBadge}
-                <div class="work-title">${escapeHtml(item.title)}</div>
-                <div class="work-description">${escapeHtml(item.description)}</div>
-                ${item.progress > 0 ? `
-                    <div class="progress-bar">
-                        <div class="progress-fill" style="width: ${item.progress}%"></div>
-                    </div>
-                ` : ''}
-                <div class="work-status">
-                    <span class="status-badge ${statusClass}">${item.status}</span>
-                    ${durationHtml}
-                    <span>${item.eta}</span>
+    smoothSetHTML(workQueueDiv, html);
+}
+
+// One work queue row. depth indents subtasks; visibleChildren > 0 adds the fold toggle.
+function renderWorkItem(item, depth, visibleChildren, titles) {
+    const statusClass = item.status.toLowerCase().replace(/_/g, '-');
+
+    // Extract agent from eta or metadata (currently shows "Atlas-generated")
+    let agentClass = 'agent-atlas'; // default
+    let agentBadge = '';
+
+    if (item.eta && item.eta.includes('generated')) {
+        // Extract agent from task (if stored in metadata)
+        if (item.agent) {
+            const agentName = item.agent.toLowerCase();
+            agentClass = `agent-${agentName}`;
+            agentBadge = `<span class="agent-badge ${agentName}">${item.agent}</span>`;
+        } else {
+            agentBadge = `<span class="agent-badge atlas">Atlas</span>`;
+        }
+    }
+
+    // Feature 11: Task duration
+    let durationHtml = '';
+    if (item.completedAt && item.startedAt) {
+        const dur = new Date(item.completedAt) - new Date(item.startedAt);
+        durationHtml = `<span class="task-duration">Took ${formatDuration(dur)}</span>`;
+    } else if (item.startedAt && ['ACTIVE', 'IN_PROGRESS'].includes(item.status)) {
+        const dur = Date.now() - new Date(item.startedAt).getTime();
+        durationHtml = `<span class="task-duration running">Running ${formatDuration(dur)}</span>`;
+    }
+
+    // Parents show their subtasks' roll-up instead of their own progress
+    const progress = item.rollup ? item.rollup.progress : item.progress;
+
+    let treeHtml = '';
+    if (item.rollup) {
+        const collapsed = collapsedTasks.has(String(item.id));
+        const toggle = visibleChildren > 0
+            ? `<button class="subtask-toggle" data-task-id="${item.id}">${collapsed ? '▸' : '▾'}</button>`
+            : '';
+        treeHtml = `<div class="subtask-summary">${toggle}${item.rollup.complete}/${item.rollup.total} subtasks done</div>`;
+    }
+
+    let blockedHtml = '';
+    if (item.waitingOn && item.waitingOn.length) {
+        const names = item.waitingOn.map(id => escapeHtml(titles[String(id)] || `#${id}`)).join(', ');
+        blockedHtml = `<div class="task-blocked">⛓ Waiting on: ${names}</div>`;
+    } else if (item.stuckReason && item.status === 'STUCK') {
+        blockedHtml = `<div class="task-blocked">⏱ ${escapeHtml(item.stuckReason)}</div>`;
+    }
+
+    return `
+        <div class="work-item ${agentClass}${depth > 0 ? ' subtask' : ''}" style="${depth > 0 ? `margin-left: ${depth * 16}px` : ''}">
+            ${agentBadge}
+            <div class="work-title">${escapeHtml(item.title)}</div>
+            <div class="work-description">${escapeHtml(item.description)}</div>
+            ${treeHtml}
+            ${blockedHtml}
+            ${progress > 0 ? `
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${progress}%"></div>
                 </div>
+            ` : ''}
+            <div class="work-status">
+                <span class="status-badge ${statusClass}">${item.status}</span>
+                ${durationHtml}
+                <span>${item.eta}</span>
+                ${item.createdAt ? `<button class="task-history-btn" data-task-id="${item.id}" title="Task history">history</button>` : ''}
             </div>
-        `;
-    });
-    
-    smoothSetHTML(workQueueDiv, html);
+        </div>
+    `;
 }
 
 // Smooth HTML update with fade transitions (no hard reset)
@@ -991,6 +1104,23 @@ function updateLiveLogsDisplay(logs) {
     filterAndRenderLogs();
 }
 
+// Merge new entries from a logDelta (or a backfill) into the buffer. Entries
+// that gained continuation lines come again with the same seq and replace the old copy.
+function appendLogEntries(entries) {
+    if (!entries || entries.length === 0) return;
+
+    const bySeq = new Map(allLogs.map(log => [log.seq, log]));
+    entries.forEach(entry => {
+        bySeq.set(entry.seq, entry);
+        if (entry.seq > lastLogSeq) lastLogSeq = entry.seq;
+    });
+
+    allLogs = [...bySeq.values()]
+        .sort((a, b) => (b.seq || 0) - (a.seq || 0))
+        .slice(0, LOG_BUFFER_LIMIT);
+    filterAndRenderLogs();
+}
+
 // Update gateway connection status in header
 function updateGatewayStatus(status) {
     const statusEl = document.getElementById('connection-status');
@@ -1031,7 +1161,11 @@ function updateTokenMetricsDisplay(metrics) {
     // Projected monthly cost (Feature 1)
     const projectedEl = document.getElementById('projected-monthly');
     if (projectedEl && metrics.projectedMonthly !== undefined) {
-        projectedEl.textContent = `Projected: $${metrics.projectedMonthly.toFixed(2)}/mo`;
+        const forecast = metrics.forecast;
+        projectedEl.textContent = forecast
+            ? `Projected: $${forecast.point.toFixed(2)}/mo ($${forecast.low.toFixed(0)}–$${forecast.high.toFixed(0)})`
+            : `Projected: $${metrics.projectedMonthly.toFixed(2)}/mo`;
+        projectedEl.title = forecastSummary(forecast);
         // Toggle threshold exceeded style
         const costCard = projectedEl.closest('.stat-card');
         if (costCard) {
@@ -1053,13 +1187,14 @@ function updateTokenMetricsDisplay(metrics) {
 
     // Cost history chart (Feature 4)
     if (metrics.dailyCostHistory && metrics.dailyCostHistory.length > 0) {
-        updateCostChart(metrics.dailyCostHistory);
+        updateCostChart(metrics.dailyCostHistory, metrics.forecast);
     }
 
     // Per-agent cost breakdown (from Usage Report API group_by api_key_id)
     if (metrics.perAgent) {
-        updatePerAgentCostsDisplay(metrics.perAgent);
+        updatePerAgentCostsDisplay(metrics.perAgent, metrics.budgets, metrics.unattributed);
     }
+    updateBudgetBars(metrics.budgets, metrics.perAgent);
 
     // Combined model + agent breakdown display
     if (metrics.modelBreakdown || metrics.perAgent) {
@@ -1132,7 +1267,8 @@ function updateAgentCostsDisplay(agentCosts) {
 
 // Display per-agent costs from Usage Report API (group_by api_key_id)
 // All-time uses proportional allocation from Cost Report API when available
-function updatePerAgentCostsDisplay(perAgent) {
+// Spend from org keys that are not agents is listed under "Unassigned"
+function updatePerAgentCostsDisplay(perAgent, budgets = [], unattributed = null) {
     const totalEl = document.getElementById('cost-by-bot-total');
     const breakdownEl = document.getElementById('bot-breakdown');
 
@@ -1200,8 +1336,39 @@ function updatePerAgentCostsDisplay(perAgent) {
                 </div>
             `;
         }
+
+        // This agent's budgets
+        html += (budgets || []).filter(b => b.agent && b.agent === data.apiKeyId).map(renderBudgetBar).join('');
     });
 
+    // Unassigned org keys, each with an "Assign" action that adds it as an agent
+    if (unattributed && unattributed.keys.length > 0) {
+        const attr = value => escapeHtml(value || '').replace(/"/g, '&quot;');
+        totalAllTime += unattributed.allTime || 0;
+        totalToday += unattributed.today || 0;
+        html += `
+            <div class="agent-cost-row agent-cost-unassigned">
+                <span class="agent-cost-name">
+                    <span class="agent-dot" style="background: var(--text-secondary);"></span>
+                    Unassigned
+                </span>
+                <span class="agent-cost-today">$${(unattributed.today || 0).toFixed(2)}</span>
+                <span class="agent-cost-alltime">$${(unattributed.allTime || 0).toFixed(2)}</span>
+                <span class="agent-cost-daily"></span>
+                <span class="agent-cost-cache"></span>
+            </div>
+        `;
+        unattributed.keys.forEach(key => {
+            const label = key.name || `Key …${key.apiKeyId.slice(-8)}`;
+            html += `
+                <div class="agent-cost-detail" title="${attr(key.apiKeyId || '')}">
+                    <span class="agent-cost-detail-models">${escapeHtml(label)}${key.status && key.status !== 'active' ? ` (${escapeHtml(key.status)})` : ''} · $${key.cost.toFixed(2)} est.${key.lastUsed ? ` · last used ${key.lastUsed}` : ''}</span>
+                    ${key.apiKeyId ? `<button class="btn-assign-key" data-key-id="${attr(key.apiKeyId)}" data-key-name="${attr(key.name)}" title="Track this key as an agent">Assign</button>` : ''}
+                </div>
+            `;
+        });
+    }
+
     // Summary row
     html += `
         <div class="agent-cost-summary">
@@ -1226,6 +1393,76 @@ function updatePerAgentCostsDisplay(perAgent) {
     console.log('💳 Per-Agent Costs (API):', { source: hasActual ? 'cost_api_proportional' : 'usage_api', agents: perAgent });
 }
 
+// "Assign" on an unassigned key: add it as an agent under a chosen name
+(function setupAssignUnattributedKeys() {
+    const breakdownEl = document.getElementById('bot-breakdown');
+    if (!breakdownEl) return;
+
+    breakdownEl.addEventListener('click', async (e) => {
+        const btn = e.target.closest('.btn-assign-key');
+        if (!btn) return;
+        const { keyId, keyName } = btn.dataset;
+        const name = (prompt(`Agent name for ${keyName || keyId}:`, keyName || '') || '').trim();
+        if (!name) return;
+
+        btn.disabled = true;
+        btn.textContent = 'Assigning...';
+        try {
+            const resp = await fetch('/api/agents/add', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, apiKeyId: keyId })
+            });
+            if (resp.ok) {
+                btn.textContent = 'Assigned';
+                return;
+            }
+            const err = await resp.json();
+            alert(err.error || 'Failed to add agent');
+        } catch (error) {
+            console.error('Error assigning key:', error);
+            alert('Error adding agent');
+        }
+        btn.disabled = false;
+        btn.textContent = 'Assign';
+    });
+})();
+
+// ─── Budgets ─────────────────────────────────────────────────────────────
+// Progress toward the top limit (hard, else soft); the tick marks the soft limit.
+function renderBudgetBar(budget) {
+    const limit = budget.hardLimit !== null ? budget.hardLimit : budget.softLimit;
+    const softTick = budget.hardLimit !== null && budget.softLimit !== null
+        ? `<div class="budget-bar-soft" style="left: ${(budget.softLimit / budget.hardLimit) * 100}%;"></div>`
+        : '';
+    const title = `${budget.period} since ${budget.periodStart} · projected $${budget.projected.toFixed(2)}` +
+        (budget.softLimit !== null ? ` · soft $${budget.softLimit}` : '') +
+        (budget.hardLimit !== null ? ` · hard $${budget.hardLimit}` : '');
+    return `
+        <div class="budget-bar ${budget.state}" title="${escapeHtml(title)}">
+            <div class="budget-bar-label">
+                <span>${escapeHtml(budget.name)}</span>
+                <span>$${budget.spent.toFixed(2)} / $${limit.toFixed(2)}</span>
+            </div>
+            <div class="budget-bar-track">
+                <div class="budget-bar-fill" style="width: ${Math.min(budget.percent, 100)}%;"></div>
+                ${softTick}
+            </div>
+        </div>
+    `;
+}
+
+// Budgets not shown under an agent row: org-wide, per-model, and agents
+// without usage yet
+function updateBudgetBars(budgets, perAgent) {
+    const el = document.getElementById('budget-bars');
+    if (!el) return;
+
+    const shownKeys = new Set(Object.values(perAgent || {}).map(a => a.apiKeyId));
+    const rest = (budgets || []).filter(b => !b.agent || !shownKeys.has(b.agent));
+    el.innerHTML = rest.map(renderBudgetBar).join('');
+}
+
 // Format large token numbers
 function formatTokens(tokens) {
     if (tokens >= 1000000) {
@@ -1253,21 +1490,17 @@ function setupPolling() {
             .catch(err => console.error('Polling error:', err));
     }, 5000);
     
+    // Only fetch what we haven't seen; a lower server seq means it restarted
     setInterval(() => {
-        fetch('/api/logs')
+        fetch(`/api/logs/tail?after=${lastLogSeq}`)
             .then(r => r.json())
-            .then(data => {
-                const logDiv = document.getElementById('live-logs');
-                let html = '';
-                data.forEach(log => {
-                    html += `
-                        <div class="log-entry ${log.level}">
-                            <span class="log-timestamp">${new Date(log.timestamp).toLocaleTimeString()}</span>
-                            ${escapeHtml(log.message)}
-                        </div>
-                    `;
-                });
-                logDiv.innerHTML = html;
+            .then(result => {
+                if (result.lastSeq < lastLogSeq) {
+                    allLogs = [];
+                    lastLogSeq = 0;
+                    return;
+                }
+                appendLogEntries(result.data);
             })
             .catch(err => console.error('Logs polling error:', err));
     }, 3000);
@@ -1337,10 +1570,21 @@ function updateAgentActivityDisplay(activity) {
 function setupLogFilters() {
     const searchInput = document.getElementById('log-search');
     const levelBtns = document.querySelectorAll('.log-level-btn');
+    const streamSelect = document.getElementById('log-stream');
+    const logDiv = document.getElementById('live-logs');
+
+    if (streamSelect) {
+        streamSelect.addEventListener('change', (e) => {
+            logStreamFilter = e.target.value;
+            resetOlderLogs();
+            filterAndRenderLogs();
+        });
+    }
 
     if (searchInput) {
         searchInput.addEventListener('input', (e) => {
-            logSearchText = e.target.value.toLowerCase();
+            logSearchText = e.target.value;
+            resetOlderLogs();
             filterAndRenderLogs();
         });
     }
@@ -1350,60 +1594,361 @@ function setupLogFilters() {
             const level = btn.dataset.level;
             logLevelFilters[level] = !logLevelFilters[level];
             btn.classList.toggle('active', logLevelFilters[level]);
+            resetOlderLogs();
             filterAndRenderLogs();
         });
     });
+
+    // The button is re-rendered with the list, so delegate
+    if (logDiv) {
+        logDiv.addEventListener('click', (e) => {
+            if (e.target.closest('.log-load-older')) loadOlderLogs();
+        });
+    }
+}
+
+// Search box syntax: free text plus field:value terms, e.g. "agent:atlas component:gateway timeout",
+// and /regex/ for a pattern on the message. Free text matches the message, structured fields and JSON payload.
+const LOG_SEARCH_FIELDS = {
+    agent: log => log.agent,
+    component: log => log.component,
+    session: log => log.sessionId,
+    level: log => log.level
+};
+
+function parseLogSearch(text) {
+    const terms = { fields: [], words: [], regex: null, regexSource: null };
+    text.split(/\s+/).filter(Boolean).forEach(token => {
+        if (token.length > 2 && token.startsWith('/') && token.endsWith('/')) {
+            try {
+                terms.regex = new RegExp(token.slice(1, -1), 'i');
+                terms.regexSource = token.slice(1, -1);
+            } catch (e) {
+                // incomplete pattern while typing: ignore it
+            }
+            return;
+        }
+        const lower = token.toLowerCase();
+        const idx = lower.indexOf(':');
+        const field = idx > 0 ? lower.slice(0, idx) : null;
+        if (field && LOG_SEARCH_FIELDS[field] && idx < lower.length - 1) {
+            terms.fields.push({ name: field, get: LOG_SEARCH_FIELDS[field], value: lower.slice(idx + 1) });
+        } else {
+            terms.words.push(lower);
+        }
+    });
+    return terms;
+}
+
+function logMatchesSearch(log, terms) {
+    if (!terms.fields.every(t => String(t.get(log) || '').toLowerCase().includes(t.value))) return false;
+    if (terms.regex && !terms.regex.test(log.message)) return false;
+    if (!terms.words.length) return true;
+    const haystack = [log.message, log.component, log.agent, log.sessionId, log.payload ? JSON.stringify(log.payload) : '']
+        .filter(Boolean).join(' ').toLowerCase();
+    return terms.words.every(word => haystack.includes(word));
+}
+
+function renderLogEntry(log) {
+    const tags = [
+        log.component ? `<span class="log-field">${escapeHtml(log.component)}</span>` : '',
+        log.agent && log.agent !== 'unknown' && log.agent !== 'system' ? `<span class="log-field agent">${escapeHtml(log.agent)}</span>` : ''
+    ].join('');
+    // Archived entries can be days old, so they show the date too
+    const time = log.timestamp
+        ? (log.id !== undefined ? new Date(log.timestamp).toLocaleString() : new Date(log.timestamp).toLocaleTimeString())
+        : '--:--:--';
+    return `
+        <div class="log-entry ${log.level}"${log.payload ? ` title="${escapeHtml(JSON.stringify(log.payload)).replace(/"/g, '&quot;')}"` : ''}>
+            <span class="log-timestamp">${time}</span>
+            ${tags}${escapeHtml(log.message)}
+        </div>
+    `;
+}
+
+// Level buttons, stream select and search box as one predicate (list and lane views)
+function logFilterMatcher() {
+    const terms = parseLogSearch(logSearchText);
+    return log => logLevelFilters[log.level] &&
+        (!logStreamFilter || log.source === logStreamFilter) &&
+        (!logSearchText || logMatchesSearch(log, terms));
 }
 
 // Feature 10: Filter and render logs
 function filterAndRenderLogs() {
+    renderLogLanes();
+
     const logDiv = document.getElementById('live-logs');
     if (!logDiv) return;
 
-    const filtered = allLogs.filter(log => {
-        // Level filter
-        if (!logLevelFilters[log.level]) return false;
-        // Text search
-        if (logSearchText && !log.message.toLowerCase().includes(logSearchText)) return false;
-        return true;
+    const matches = logFilterMatcher();
+    const filtered = allLogs.filter(matches);
+
+    let html = filtered.slice(0, LOG_RENDER_LIMIT).map(renderLogEntry).join('');
+    if (filtered.length === 0 && olderLogs.entries.length === 0) {
+        html = `<div class="loading">${allLogs.length ? 'No matching logs' : 'No log activity yet - all agents resting'}</div>`;
+    }
+
+    if (olderLogs.entries.length) {
+        html += '<div class="log-archive-divider">Archive</div>';
+        html += olderLogs.entries.filter(matches).map(renderLogEntry).join('');
+    }
+
+    html += olderLogs.exhausted
+        ? '<div class="log-archive-end">No older logs</div>'
+        : `<button class="log-load-older"${olderLogs.loading ? ' disabled' : ''}>${olderLogs.loading ? 'Loading...' : 'Load older'}</button>`;
+
+    smoothSetHTML(logDiv, html);
+}
+
+// One stream per configured log source (config/log-sources.json)
+function updateLogStreamOptions(sources) {
+    const select = document.getElementById('log-stream');
+    if (!select || !sources) return;
+    window.logSources = sources;
+
+    // A removed source falls back to "All sources"
+    if (logStreamFilter && !sources.some(source => source.id === logStreamFilter)) {
+        logStreamFilter = '';
+        resetOlderLogs();
+        filterAndRenderLogs();
+    }
+    select.innerHTML = '<option value="">All sources</option>' + sources.map(source => {
+        const label = escapeHtml(source.name + (source.agent ? ` (${source.agent})` : '') + (source.enabled ? '' : ' - off'));
+        return `<option value="${escapeHtml(source.id).replace(/"/g, '&quot;')}">${label}</option>`;
+    }).join('');
+    select.value = logStreamFilter;
+}
+
+// ─── Agent Log Lanes ─────────────────────────────────────────────────────
+// One column per agent from the server's multiAgentLogs (last 10 minutes).
+// Rows are shared one-second time slots, so every lane scrolls together and
+// lines that happened at the same time sit side by side. Pinned lanes come
+// first; hidden lanes collapse into chips above the grid. Both are remembered
+// in localStorage.
+const LOG_LANE_PREFS_KEY = 'logLanePrefs';
+let logLanePrefs = { pinned: [], hidden: [] };
+
+function saveLogLanePrefs() {
+    try {
+        localStorage.setItem(LOG_LANE_PREFS_KEY, JSON.stringify(logLanePrefs));
+    } catch (e) { /* storage unavailable */ }
+}
+
+function setupLogLanes() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LOG_LANE_PREFS_KEY) || 'null');
+        if (saved) logLanePrefs = { pinned: saved.pinned || [], hidden: saved.hidden || [] };
+    } catch (e) { /* keep defaults */ }
+
+    const toggle = document.getElementById('btn-log-view');
+    const lanesDiv = document.getElementById('log-lanes');
+    if (!toggle || !lanesDiv) return;
+
+    toggle.addEventListener('click', () => {
+        logView = logView === 'list' ? 'lanes' : 'list';
+        toggle.textContent = logView === 'list' ? 'Lanes' : 'List';
+        toggle.classList.toggle('active', logView === 'lanes');
+        document.getElementById('live-logs').style.display = logView === 'list' ? '' : 'none';
+        lanesDiv.style.display = logView === 'lanes' ? '' : 'none';
+        renderLogLanes();
+    });
+
+    lanesDiv.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-lane-action]');
+        if (!btn) return;
+        const slug = btn.dataset.lane;
+        const without = list => list.filter(s => s !== slug);
+
+        if (btn.dataset.laneAction === 'pin') {
+            logLanePrefs.pinned = logLanePrefs.pinned.includes(slug) ? without(logLanePrefs.pinned) : [...logLanePrefs.pinned, slug];
+        } else if (btn.dataset.laneAction === 'hide') {
+            logLanePrefs.hidden = [...without(logLanePrefs.hidden), slug];
+            logLanePrefs.pinned = without(logLanePrefs.pinned);
+        } else if (btn.dataset.laneAction === 'show') {
+            logLanePrefs.hidden = without(logLanePrefs.hidden);
+        }
+        saveLogLanePrefs();
+        renderLogLanes();
+    });
+}
+
+// Tracked agents plus any other agent with recent lines, pinned first
+function logLaneAgents() {
+    const config = window.agentConfig || {};
+    const lanes = new Map();
+    (window.agentsList || []).forEach(agent => {
+        lanes.set(agent.slug, { slug: agent.slug, name: agent.name, color: agent.color });
+    });
+    Object.keys(multiAgentLogs).filter(slug => slug !== 'unknown' && !lanes.has(slug)).forEach(slug => {
+        lanes.set(slug, { slug, name: config[slug]?.name || slug });
+    });
+    lanes.forEach(lane => {
+        lane.color = config[lane.slug]?.color || lane.color || '#007acc';
+    });
+
+    const pinned = logLanePrefs.pinned.filter(slug => lanes.has(slug)).map(slug => lanes.get(slug));
+    const rest = [...lanes.values()]
+        .filter(lane => !logLanePrefs.pinned.includes(lane.slug))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    return [...pinned, ...rest];
+}
+
+function renderLogLanes() {
+    const lanesDiv = document.getElementById('log-lanes');
+    if (!lanesDiv || logView !== 'lanes') return;
+
+    const agents = logLaneAgents();
+    const visible = agents.filter(lane => !logLanePrefs.hidden.includes(lane.slug));
+    const hidden = agents.filter(lane => logLanePrefs.hidden.includes(lane.slug));
+    const matches = logFilterMatcher();
+
+    // slot (timestamp to the second) → slug → entries
+    const slots = new Map();
+    visible.forEach(lane => {
+        (multiAgentLogs[lane.slug] || []).filter(matches).forEach(log => {
+            const slot = log.timestamp.slice(0, 19);
+            if (!slots.has(slot)) slots.set(slot, {});
+            (slots.get(slot)[lane.slug] = slots.get(slot)[lane.slug] || []).push(log);
+        });
     });
+    const slotKeys = [...slots.keys()].sort().reverse();
 
-    if (filtered.length === 0) {
-        smoothSetHTML(logDiv, '<div class="loading">No matching logs</div>');
+    let html = '';
+    if (hidden.length) {
+        html += `<div class="log-lanes-hidden">Hidden: ${hidden.map(lane => `
+            <button class="log-lane-chip" data-lane-action="show" data-lane="${escapeHtml(lane.slug)}" style="border-color: ${lane.color};">${escapeHtml(lane.name)}</button>
+        `).join('')}</div>`;
+    }
+
+    if (!visible.length) {
+        smoothSetHTML(lanesDiv, html + `<div class="loading">${agents.length ? 'All lanes hidden' : 'No agents tracked yet'}</div>`);
         return;
     }
 
-    let html = '';
-    filtered.forEach(log => {
+    html += `<div class="log-lanes-grid" style="grid-template-columns: 64px repeat(${visible.length}, minmax(180px, 1fr));">`;
+    html += '<div class="log-lane-header log-lane-time"></div>';
+    visible.forEach(lane => {
+        const pinned = logLanePrefs.pinned.includes(lane.slug);
         html += `
-            <div class="log-entry ${log.level}">
-                <span class="log-timestamp">${new Date(log.timestamp).toLocaleTimeString()}</span>
-                ${escapeHtml(log.message)}
+            <div class="log-lane-header" style="border-top-color: ${lane.color};">
+                <span class="agent-dot" style="background: ${lane.color};"></span>
+                <span class="log-lane-name">${escapeHtml(lane.name)}</span>
+                <span class="log-lane-count">${(multiAgentLogs[lane.slug] || []).length}</span>
+                <button class="log-lane-btn${pinned ? ' active' : ''}" data-lane-action="pin" data-lane="${escapeHtml(lane.slug)}" title="${pinned ? 'Unpin' : 'Pin to the left'}">📌</button>
+                <button class="log-lane-btn" data-lane-action="hide" data-lane="${escapeHtml(lane.slug)}" title="Hide lane">&times;</button>
             </div>
         `;
     });
 
-    smoothSetHTML(logDiv, html);
+    slotKeys.forEach(slot => {
+        html += `<div class="log-lane-time">${new Date(slot + 'Z').toLocaleTimeString()}</div>`;
+        visible.forEach(lane => {
+            const entries = slots.get(slot)[lane.slug] || [];
+            html += `<div class="log-lane-cell">${entries.map(log => `
+                <div class="log-lane-entry ${log.level}"${log.payload ? ` title="${escapeHtml(JSON.stringify(log.payload)).replace(/"/g, '&quot;')}"` : ''}>${escapeHtml(log.message)}</div>
+            `).join('')}</div>`;
+        });
+    });
+    html += '</div>';
+
+    if (!slotKeys.length) {
+        html += '<div class="loading">No agent log lines in the last 10 minutes</div>';
+    }
+
+    smoothSetHTML(lanesDiv, html);
+}
+
+// ─── Log Archive ("load older") ──────────────────────────────────────────
+// Pages back through /api/logs from the oldest entry in the live buffer, using
+// the same level filters and search terms as the live view.
+function resetOlderLogs() {
+    olderLogs = { entries: [], cursor: null, exhausted: false, loading: false };
+}
+
+async function loadOlderLogs() {
+    if (olderLogs.loading || olderLogs.exhausted) return;
+
+    const terms = parseLogSearch(logSearchText);
+    const params = new URLSearchParams({ limit: '100' });
+    const levels = Object.keys(logLevelFilters).filter(level => logLevelFilters[level]);
+    const levelTerm = terms.fields.find(t => t.name === 'level');
+    params.set('level', levelTerm ? levelTerm.value : levels.join(','));
+    const agentTerm = terms.fields.find(t => t.name === 'agent');
+    if (agentTerm) params.set('agent', agentTerm.value);
+    // component: / session: terms go in as words; the server searches those fields too
+    const words = [...terms.words, ...terms.fields.filter(t => ['component', 'session'].includes(t.name)).map(t => t.value)];
+    if (words.length) params.set('q', words.join(' '));
+    if (terms.regexSource) params.set('regex', terms.regexSource);
+    if (logStreamFilter) params.set('source', logStreamFilter);
+
+    if (olderLogs.cursor) {
+        params.set('cursor', olderLogs.cursor);
+    } else {
+        const oldestLive = allLogs.filter(log => log.timestamp).map(log => log.timestamp).sort()[0];
+        params.set('until', oldestLive ? new Date(new Date(oldestLive).getTime() - 1).toISOString() : new Date().toISOString());
+    }
+
+    olderLogs.loading = true;
+    filterAndRenderLogs();
+    try {
+        const resp = await fetch(`/api/logs?${params}`);
+        const result = await resp.json();
+        if (!resp.ok) throw new Error(result.details ? result.details.join('; ') : result.error);
+        olderLogs.entries.push(...result.data);
+        olderLogs.cursor = result.nextCursor;
+        olderLogs.exhausted = !result.nextCursor;
+    } catch (e) {
+        console.error('Error loading older logs:', e);
+    }
+    olderLogs.loading = false;
+    filterAndRenderLogs();
+}
+
+// Tooltip for the projected cost: 80% band, per-agent projections, threshold crossing
+function forecastSummary(forecast) {
+    if (!forecast) return '';
+    const lines = [`Month-end forecast $${forecast.point.toFixed(2)} (80%: $${forecast.low.toFixed(2)}–$${forecast.high.toFixed(2)})`];
+    const crossing = forecast.crossing;
+    if (crossing && crossing.already) lines.push('Threshold already crossed this month');
+    else if (crossing && crossing.expected) lines.push(`Threshold expected to be crossed ${crossing.expected} (as early as ${crossing.earliest})`);
+    else if (crossing && crossing.earliest) lines.push(`Threshold could be crossed as early as ${crossing.earliest}`);
+    (forecast.agents || []).forEach(agent => {
+        lines.push(`${agent.name}: $${agent.point.toFixed(2)} ($${agent.low.toFixed(2)}–$${agent.high.toFixed(2)})`);
+    });
+    return lines.join('\n');
 }
 
 // Feature 4: Cost History Chart (Chart.js sparkline)
+// Past days as bars; the rest of the month's forecast as faded bars inside the 80% band
 let costChartInstance = null;
-function updateCostChart(dailyHistory) {
+function updateCostChart(dailyHistory, forecast) {
     if (!window.Chart) return; // Chart.js not loaded yet
 
     const canvas = document.getElementById('cost-chart');
     if (!canvas) return;
 
-    const labels = dailyHistory.map(d => d.date.slice(5)); // "MM-DD"
-    const data = dailyHistory.map(d => d.cost);
+    const lastDate = dailyHistory.length ? dailyHistory[dailyHistory.length - 1].date : '';
+    const ahead = ((forecast && forecast.days) || []).filter(d => d.date > lastDate);
+    const pad = (values, before) => [...Array(before).fill(null), ...values];
+
+    const labels = [...dailyHistory, ...ahead].map(d => d.date.slice(5)); // "MM-DD"
+    const data = [...dailyHistory.map(d => d.cost), ...ahead.map(() => null)];
+    const forecastData = pad(ahead.map(d => d.cost), dailyHistory.length);
+    const highData = pad(ahead.map(d => d.high), dailyHistory.length);
+    const lowData = pad(ahead.map(d => d.low), dailyHistory.length);
 
     if (costChartInstance) {
         costChartInstance.data.labels = labels;
         costChartInstance.data.datasets[0].data = data;
+        costChartInstance.data.datasets[1].data = forecastData;
+        costChartInstance.data.datasets[2].data = highData;
+        costChartInstance.data.datasets[3].data = lowData;
         costChartInstance.update('none');
         return;
     }
 
+    const bandLine = { type: 'line', borderWidth: 0, pointRadius: 0, pointHitRadius: 0, spanGaps: false };
     costChartInstance = new Chart(canvas, {
         type: 'bar',
         data: {
@@ -1414,7 +1959,28 @@ function updateCostChart(dailyHistory) {
                 borderColor: 'rgba(0, 122, 204, 0.8)',
                 borderWidth: 1,
                 borderRadius: 2,
-                barPercentage: 0.8
+                barPercentage: 0.8,
+                skipNull: true
+            }, {
+                label: 'forecast',
+                data: forecastData,
+                backgroundColor: 'rgba(0, 122, 204, 0.25)',
+                borderColor: 'rgba(0, 122, 204, 0.5)',
+                borderWidth: 1,
+                borderRadius: 2,
+                barPercentage: 0.8,
+                skipNull: true
+            }, {
+                ...bandLine,
+                label: 'high',
+                data: highData,
+                fill: '+1',
+                backgroundColor: 'rgba(220, 220, 170, 0.15)'
+            }, {
+                ...bandLine,
+                label: 'low',
+                data: lowData,
+                fill: false
             }]
         },
         options: {
@@ -1423,8 +1989,14 @@ function updateCostChart(dailyHistory) {
             plugins: {
                 legend: { display: false },
                 tooltip: {
+                    filter: (item) => item.datasetIndex < 2 && item.parsed.y !== null,
                     callbacks: {
-                        label: (ctx) => `$${ctx.parsed.y.toFixed(2)}`
+                        label: (ctx) => {
+                            if (ctx.datasetIndex === 0) return `$${ctx.parsed.y.toFixed(2)}`;
+                            const low = ctx.chart.data.datasets[3].data[ctx.dataIndex];
+                            const high = ctx.chart.data.datasets[2].data[ctx.dataIndex];
+                            return `Forecast $${ctx.parsed.y.toFixed(2)} (80%: $${low.toFixed(2)}–$${high.toFixed(2)})`;
+                        }
                     },
                     bodyFont: { family: 'JetBrains Mono', size: 10 },
                     backgroundColor: '#2d2d30',
@@ -1434,70 +2006,1136 @@ function updateCostChart(dailyHistory) {
             },
             scales: {
                 x: { display: false },
-                y: { display: false }
+                y: { display: false, beginAtZero: true }
             },
             animation: false
         }
     });
 }
 
-// Feature 1: Settings tab — cost threshold handler
-(function setupSettingsTab() {
-    const saveThresholdBtn = document.getElementById('btn-save-threshold');
-    if (!saveThresholdBtn) return;
-
-    // Load current threshold when modal opens
-    const apiStatus = document.getElementById('api-status');
-    apiStatus?.addEventListener('click', async () => {
-        try {
-            const resp = await fetch('/api/config/cost-threshold');
-            const data = await resp.json();
-            const input = document.getElementById('cost-threshold-input');
-            if (input && data.threshold) {
-                input.value = data.threshold;
-            }
-        } catch (e) { /* ignore */ }
-    });
+// ─── Cost Analytics ──────────────────────────────────────────────────────
+// Stacked cost per day (or running total) grouped by agent, model or API key
+// over a chosen range, cache hit rate per day, and the rows behind a bar.
+let analyticsData = null;
+let analyticsCostChart = null;
+let analyticsCacheChart = null;
+
+const ANALYTICS_PALETTE = ['#007acc', '#4ec9b0', '#ce9178', '#dcdcaa', '#c586c0', '#9cdcfe', '#f48771', '#b5cea8'];
+const ANALYTICS_MODEL_COLORS = { haiku: '#4ec9b0', sonnet: '#ce9178', opus: '#dcdcaa' };
+
+function analyticsGroupColor(group, index, groupBy) {
+    if (groupBy === 'model' && ANALYTICS_MODEL_COLORS[group.key]) return ANALYTICS_MODEL_COLORS[group.key];
+    if (groupBy === 'agent') {
+        const agent = (window.agentsList || []).find(a => (a.slug || a.name.toLowerCase()) === group.key);
+        if (agent && agent.color) return agent.color;
+    }
+    return ANALYTICS_PALETTE[index % ANALYTICS_PALETTE.length];
+}
 
-    saveThresholdBtn.addEventListener('click', async () => {
-        const input = document.getElementById('cost-threshold-input');
-        const statusEl = document.getElementById('threshold-status');
-        const value = input ? input.value.trim() : '';
+function analyticsRange() {
+    const range = document.getElementById('analytics-range').value;
+    const today = new Date().toISOString().slice(0, 10);
+    if (range === 'custom') {
+        return {
+            since: document.getElementById('analytics-since').value,
+            until: document.getElementById('analytics-until').value || today
+        };
+    }
+    if (range === 'mtd') return { since: `${today.slice(0, 7)}-01`, until: today };
+    if (range === 'ytd') return { since: `${today.slice(0, 4)}-01-01`, until: today };
+    const since = new Date(Date.now() - (Number(range) - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    return { since, until: today };
+}
 
-        try {
-            saveThresholdBtn.disabled = true;
-            saveThresholdBtn.textContent = 'Saving...';
+function runningTotal(values) {
+    let sum = 0;
+    return values.map(v => (sum += v));
+}
 
-            const resp = await fetch('/api/config/cost-threshold', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ threshold: value ? parseFloat(value) : null })
-            });
+const ANALYTICS_CHART_THEME = {
+    ticks: { color: '#858585', font: { family: 'JetBrains Mono', size: 9 } },
+    grid: { color: 'rgba(62, 62, 66, 0.6)' }
+};
+const ANALYTICS_TOOLTIP = {
+    bodyFont: { family: 'JetBrains Mono', size: 10 },
+    titleFont: { family: 'JetBrains Mono', size: 10 },
+    backgroundColor: '#2d2d30',
+    borderColor: '#3e3e42',
+    borderWidth: 1
+};
 
-            if (resp.ok) {
-                if (statusEl) {
-                    statusEl.innerHTML = `<span style="color: var(--accent-green);">Threshold ${value ? 'set to $' + value : 'cleared'}</span>`;
-                }
-            }
-        } catch (e) {
-            if (statusEl) statusEl.innerHTML = `<span style="color: var(--accent-red);">Error saving threshold</span>`;
-        } finally {
-            saveThresholdBtn.disabled = false;
-            saveThresholdBtn.textContent = 'Save Threshold';
+async function loadAnalytics() {
+    const summaryEl = document.getElementById('analytics-summary');
+    const { since, until } = analyticsRange();
+    if (!since) {
+        summaryEl.innerHTML = 'Pick a start date.';
+        return;
+    }
+    const groupBy = document.getElementById('analytics-group').value;
+    summaryEl.innerHTML = 'Loading...';
+    try {
+        const params = new URLSearchParams({ since, until, groupBy });
+        const resp = await fetch(`/api/analytics/costs?${params}`);
+        const result = await resp.json();
+        if (!resp.ok) {
+            summaryEl.innerHTML = `<span style="color: var(--accent-red);">${escapeHtml((result.details || [result.error]).join('; '))}</span>`;
+            return;
         }
-    });
-})();
-
-// Feature 5: "Last Updated" timestamp + Feature 7: Stale data indicator
-setInterval(() => {
-    // Update "Metrics: Xs ago" display
-    const el = document.getElementById('metrics-updated-text');
-    if (el && lastMetricsUpdate) {
-        const elapsed = Math.floor((Date.now() - lastMetricsUpdate.getTime()) / 1000);
-        const mins = Math.floor(elapsed / 60);
-        const secs = elapsed % 60;
-        el.textContent = mins > 0 ? `Metrics: ${mins}m ${secs}s ago` : `Metrics: ${secs}s ago`;
-        el.parentElement.classList.toggle('stale-warning', elapsed > 600);
+        analyticsData = result.data;
+        renderAnalytics();
+        loadReconciliation(since, until);
+    } catch (e) {
+        console.error('Error loading cost analytics:', e);
+        summaryEl.innerHTML = '<span style="color: var(--accent-red);">Error loading cost analytics</span>';
+    }
+}
+
+// ─── Estimated vs billed ─────────────────────────────────────────────────
+// Billed days of the range with the gap to the token-priced estimate, per
+// day and per agent; days past the tolerance are flagged.
+async function loadReconciliation(since, until) {
+    const el = document.getElementById('analytics-reconciliation');
+    if (!el) return;
+    try {
+        const resp = await fetch(`/api/analytics/reconciliation?${new URLSearchParams({ since, until })}`);
+        const result = await resp.json();
+        if (!resp.ok) {
+            el.innerHTML = `<span style="color: var(--accent-red);">${escapeHtml((result.details || [result.error]).join('; '))}</span>`;
+            return;
+        }
+        renderReconciliation(result.data);
+    } catch (e) {
+        console.error('Error loading cost reconciliation:', e);
+        el.innerHTML = '<span style="color: var(--accent-red);">Error loading cost reconciliation</span>';
+    }
+}
+
+function renderReconciliation(data) {
+    const el = document.getElementById('analytics-reconciliation');
+    const money = v => (v === null ? '—' : `$${v.toFixed(2)}`);
+    const signed = v => (v === null ? '—' : `${v >= 0 ? '+' : '−'}$${Math.abs(v).toFixed(2)}`);
+    const pct = v => (v === null ? '—' : `${v >= 0 ? '+' : '−'}${Math.abs(v).toFixed(1)}%`);
+    const STATUS = { ok: 'ok', flagged: '⚠ over tolerance', pending: 'not final', unbilled: 'not billed yet' };
+    const heading = `<h4>Estimated vs billed · tolerance ${data.tolerance.tolerancePct}% and $${data.tolerance.toleranceUsd.toFixed(2)}</h4>`;
+
+    if (!data.days.some(day => day.billed !== null)) {
+        el.innerHTML = `${heading}<div class="help-text">No billed amounts in this range (the Cost Report API reports settled days only).</div>`;
+        return;
+    }
+
+    el.innerHTML = `
+        ${heading}
+        <div class="analytics-summary">
+            <span>Estimated: <strong>${money(data.totals.estimated)}</strong></span>
+            <span>Billed: <strong>${money(data.totals.billed)}</strong></span>
+            <span>Delta: <strong>${signed(data.totals.delta)}</strong> (${pct(data.totals.deltaPct)})</span>
+            <span>Flagged: <strong>${data.totals.flaggedDays}</strong> of ${data.totals.days} day${data.totals.days === 1 ? '' : 's'}</span>
+        </div>
+        <table class="analytics-rows">
+            <thead>
+                <tr><th>Agent</th><th>Days</th><th>Estimated</th><th>Billed share</th><th>Delta</th><th>Flagged</th></tr>
+            </thead>
+            <tbody>
+                ${data.agents.map(agent => `
+                    <tr class="${agent.flaggedDays ? 'flagged' : ''}">
+                        <td>${escapeHtml(agent.label)}</td>
+                        <td>${agent.days}</td>
+                        <td>${money(agent.estimated)}</td>
+                        <td>${money(agent.billed)}</td>
+                        <td>${signed(agent.delta)}</td>
+                        <td>${agent.flaggedDays}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <table class="analytics-rows" style="margin-top: 8px;">
+            <thead>
+                <tr><th>Date</th><th>Status</th><th>Estimated</th><th>Billed</th><th>Delta</th><th>%</th></tr>
+            </thead>
+            <tbody>
+                ${data.days.slice().reverse().map(day => `
+                    <tr class="${day.status === 'flagged' ? 'flagged' : ''}" title="${escapeHtml(day.agents.map(a => `${a.label}: ${money(a.estimated)} est. / ${money(a.billed)} billed`).join('\n')).replace(/"/g, '&quot;')}">
+                        <td>${day.date}</td>
+                        <td>${STATUS[day.status]}</td>
+                        <td>${money(day.estimated)}</td>
+                        <td>${money(day.billed)}</td>
+                        <td>${signed(day.delta)}</td>
+                        <td>${pct(day.deltaPct)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="help-text">Delta is billed minus estimated. A positive gap is spend the tracked keys and prices don't explain.
+            The Cost Report API has no per-key split, so an agent's billed share is its part of the day's estimate.</div>
+    `;
+}
+
+function renderAnalytics() {
+    if (!analyticsData || !window.Chart) return;
+    const data = analyticsData;
+    const cumulative = document.getElementById('analytics-mode').value === 'cumulative';
+
+    const total = data.totals.reduce((a, b) => a + b, 0);
+    const billedDays = data.billed.filter(v => v !== null);
+    const activeDays = data.totals.filter(v => v > 0).length;
+    document.getElementById('analytics-summary').innerHTML = `
+        <span>Estimated: <strong>$${total.toFixed(2)}</strong></span>
+        ${billedDays.length ? `<span>Billed: <strong>$${billedDays.reduce((a, b) => a + b, 0).toFixed(2)}</strong> (${billedDays.length} day${billedDays.length === 1 ? '' : 's'})</span>` : ''}
+        <span>Avg/active day: <strong>$${activeDays ? (total / activeDays).toFixed(2) : '0.00'}</strong></span>
+        <span>${data.since} → ${data.until}</span>
+    `;
+
+    const labels = data.dates.map(d => d.slice(5));
+    const datasets = data.groups.map((group, index) => {
+        const color = analyticsGroupColor(group, index, data.groupBy);
+        return {
+            label: group.label,
+            data: cumulative ? runningTotal(group.costs) : group.costs,
+            backgroundColor: color,
+            borderColor: color,
+            borderWidth: 0,
+            stack: 'cost'
+        };
+    });
+
+    if (analyticsCostChart) analyticsCostChart.destroy();
+    analyticsCostChart = new Chart(document.getElementById('analytics-cost-chart'), {
+        type: 'bar',
+        data: { labels, datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            onClick: (evt, elements) => {
+                if (elements.length) showAnalyticsRows(elements[0].index, elements[0].datasetIndex);
+            },
+            plugins: {
+                legend: { labels: { color: '#cccccc', font: { family: 'JetBrains Mono', size: 10 }, boxWidth: 10 } },
+                tooltip: {
+                    ...ANALYTICS_TOOLTIP,
+                    callbacks: { label: (ctx) => `${ctx.dataset.label}: $${ctx.parsed.y.toFixed(2)}` }
+                }
+            },
+            scales: {
+                x: { stacked: true, ...ANALYTICS_CHART_THEME },
+                y: { stacked: true, ...ANALYTICS_CHART_THEME, ticks: { ...ANALYTICS_CHART_THEME.ticks, callback: v => `$${v}` } }
+            }
+        }
+    });
+
+    if (analyticsCacheChart) analyticsCacheChart.destroy();
+    analyticsCacheChart = new Chart(document.getElementById('analytics-cache-chart'), {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [{
+                label: 'Cache hit rate',
+                data: data.cacheHitRate,
+                borderColor: '#4ec9b0',
+                backgroundColor: 'rgba(78, 201, 176, 0.15)',
+                fill: true,
+                spanGaps: true,
+                pointRadius: 2,
+                tension: 0.2
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: { ...ANALYTICS_TOOLTIP, callbacks: { label: (ctx) => `${ctx.parsed.y}% cached` } }
+            },
+            scales: {
+                x: ANALYTICS_CHART_THEME,
+                y: { ...ANALYTICS_CHART_THEME, min: 0, max: 100, ticks: { ...ANALYTICS_CHART_THEME.ticks, callback: v => `${v}%` } }
+            }
+        }
+    });
+}
+
+// Rows stored for one date; the clicked group's rows are highlighted
+function showAnalyticsRows(dateIndex, groupIndex) {
+    const date = analyticsData.dates[dateIndex];
+    const group = analyticsData.groups[groupIndex];
+    const rows = analyticsData.rows[date] || [];
+    const fmt = n => Number(n).toLocaleString();
+    const el = document.getElementById('analytics-drilldown');
+    if (!rows.length) {
+        el.innerHTML = `<h4>${date}</h4><div class="help-text">No usage recorded.</div>`;
+        return;
+    }
+    const billed = analyticsData.billed[dateIndex];
+    el.innerHTML = `
+        <h4>${date} · estimated $${analyticsData.totals[dateIndex].toFixed(2)}${billed !== null ? ` · billed $${billed.toFixed(2)}` : ''}</h4>
+        <table class="analytics-rows">
+            <thead>
+                <tr><th>${escapeHtml(document.getElementById('analytics-group').selectedOptions[0].textContent.replace('By ', ''))}</th><th>Model</th><th>Uncached in</th><th>Cache read</th><th>Output</th><th>Cost</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="${group && row.group === group.key ? 'highlight' : ''}">
+                        <td>${escapeHtml(row.label)}</td>
+                        <td>${escapeHtml(row.model || 'unknown')}</td>
+                        <td>${fmt(row.uncachedInputTokens)}</td>
+                        <td>${fmt(row.cacheReadInputTokens)}</td>
+                        <td>${fmt(row.outputTokens)}</td>
+                        <td>$${row.cost.toFixed(4)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+(function setupAnalytics() {
+    const drawer = document.getElementById('analytics-drawer');
+    const rangeSelect = document.getElementById('analytics-range');
+    const customRange = document.getElementById('analytics-custom-range');
+    if (!drawer || !rangeSelect) return;
+
+    const open = () => {
+        drawer.classList.add('open');
+        loadAnalytics();
+    };
+    document.getElementById('btn-analytics')?.addEventListener('click', open);
+    document.getElementById('cost-chart')?.addEventListener('click', open);
+    document.getElementById('analytics-close').addEventListener('click', () => drawer.classList.remove('open'));
+
+    rangeSelect.addEventListener('change', () => {
+        const custom = rangeSelect.value === 'custom';
+        customRange.style.display = custom ? 'flex' : 'none';
+        if (custom) {
+            const { since, until } = analyticsData || analyticsRange();
+            document.getElementById('analytics-since').value = since;
+            document.getElementById('analytics-until').value = until;
+        }
+        loadAnalytics();
+    });
+    ['analytics-since', 'analytics-until', 'analytics-group'].forEach(id => {
+        document.getElementById(id).addEventListener('change', loadAnalytics);
+    });
+    document.getElementById('analytics-mode').addEventListener('change', renderAnalytics);
+})();
+
+// Feature 1: Settings tab — cost threshold handler
+(function setupSettingsTab() {
+    const saveThresholdBtn = document.getElementById('btn-save-threshold');
+    if (!saveThresholdBtn) return;
+
+    // Load current threshold when modal opens
+    const apiStatus = document.getElementById('api-status');
+    apiStatus?.addEventListener('click', async () => {
+        try {
+            const resp = await fetch('/api/config/cost-threshold');
+            const data = await resp.json();
+            const input = document.getElementById('cost-threshold-input');
+            if (input && data.threshold) {
+                input.value = data.threshold;
+            }
+        } catch (e) { /* ignore */ }
+    });
+
+    saveThresholdBtn.addEventListener('click', async () => {
+        const input = document.getElementById('cost-threshold-input');
+        const statusEl = document.getElementById('threshold-status');
+        const value = input ? input.value.trim() : '';
+
+        try {
+            saveThresholdBtn.disabled = true;
+            saveThresholdBtn.textContent = 'Saving...';
+
+            const resp = await fetch('/api/config/cost-threshold', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ threshold: value ? parseFloat(value) : null })
+            });
+
+            if (resp.ok) {
+                if (statusEl) {
+                    statusEl.innerHTML = `<span style="color: var(--accent-green);">Threshold ${value ? 'set to $' + value : 'cleared'}</span>`;
+                }
+            }
+        } catch (e) {
+            if (statusEl) statusEl.innerHTML = `<span style="color: var(--accent-red);">Error saving threshold</span>`;
+        } finally {
+            saveThresholdBtn.disabled = false;
+            saveThresholdBtn.textContent = 'Save Threshold';
+        }
+    });
+})();
+
+// ─── Settings tab: budgets ───────────────────────────────────────────────
+(function setupBudgetsTab() {
+    const listEl = document.getElementById('budget-list');
+    const addBtn = document.getElementById('btn-add-budget');
+    const saveBtn = document.getElementById('btn-save-budgets');
+    const statusEl = document.getElementById('budgets-status');
+    if (!listEl || !saveBtn) return;
+
+    const PERIODS = ['daily', 'weekly', 'monthly'];
+    const MODELS = ['haiku', 'sonnet', 'opus'];
+    const attr = value => escapeHtml(value === null || value === undefined ? '' : String(value)).replace(/"/g, '&quot;');
+
+    function renderBudgets(budgets, status = []) {
+        const agents = window.agentsList || [];
+        listEl.innerHTML = budgets.map(budget => {
+            const current = status.find(st => st.id === budget.id);
+            return `
+                <div class="log-source-entry budget-entry" data-id="${attr(budget.id)}">
+                    <div class="log-source-row">
+                        <input type="checkbox" class="bg-enabled" title="Enabled"${budget.enabled !== false ? ' checked' : ''}>
+                        <input type="text" class="api-key-input ls-name bg-name" placeholder="Name (optional)" value="${attr(budget.name)}">
+                        <button class="btn-remove-agent bg-remove" title="Remove budget">&times;</button>
+                    </div>
+                    <div class="log-source-row">
+                        <select class="timeline-select bg-agent" title="Agent">
+                            <option value="">All agents</option>
+                            ${agents.map(a => `<option value="${attr(a.apiKeyId)}"${a.apiKeyId === budget.agent ? ' selected' : ''}>${escapeHtml(a.name)}</option>`).join('')}
+                        </select>
+                        <select class="timeline-select bg-model" title="Model tier">
+                            <option value="">All models</option>
+                            ${MODELS.map(m => `<option value="${m}"${m === budget.model ? ' selected' : ''}>${m}</option>`).join('')}
+                        </select>
+                        <select class="timeline-select bg-period" title="Period">
+                            ${PERIODS.map(p => `<option value="${p}"${p === (budget.period || 'monthly') ? ' selected' : ''}>${p}</option>`).join('')}
+                        </select>
+                        <label>soft $<input type="number" class="api-key-input bg-soft" min="0" step="1" value="${attr(budget.softLimit)}"></label>
+                        <label>hard $<input type="number" class="api-key-input bg-hard" min="0" step="1" value="${attr(budget.hardLimit)}"></label>
+                    </div>
+                    ${current ? `<div class="help-text">$${current.spent.toFixed(2)} spent since ${current.periodStart} (projected $${current.projected.toFixed(2)})</div>` : ''}
+                </div>
+            `;
+        }).join('') || '<div class="help-text">No budgets. Add one below.</div>';
+    }
+
+    // Unnamed budgets get a readable name from their scope
+    function readBudgets() {
+        return [...listEl.querySelectorAll('.budget-entry')].map(row => {
+            const agentSelect = row.querySelector('.bg-agent');
+            const model = row.querySelector('.bg-model').value || null;
+            const period = row.querySelector('.bg-period').value;
+            const name = row.querySelector('.bg-name').value.trim() ||
+                [agentSelect.value ? agentSelect.selectedOptions[0].textContent : 'All agents', model || 'all models', period].join(' · ');
+            return {
+                id: row.dataset.id || undefined,
+                name,
+                enabled: row.querySelector('.bg-enabled').checked,
+                agent: agentSelect.value || null,
+                model,
+                period,
+                softLimit: row.querySelector('.bg-soft').value || null,
+                hardLimit: row.querySelector('.bg-hard').value || null
+            };
+        });
+    }
+
+    document.getElementById('api-status')?.addEventListener('click', async () => {
+        try {
+            const resp = await fetch('/api/config/budgets');
+            const data = await resp.json();
+            renderBudgets(data.budgets || [], data.status || []);
+            statusEl.innerHTML = '';
+        } catch (e) {
+            console.error('Error loading budgets:', e);
+        }
+    });
+
+    listEl.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.bg-remove');
+        if (!removeBtn) return;
+        removeBtn.closest('.budget-entry').remove();
+        if (!listEl.querySelector('.budget-entry')) renderBudgets([]);
+    });
+
+    addBtn?.addEventListener('click', () => {
+        renderBudgets([...readBudgets(), { name: '', agent: null, model: null, period: 'monthly', softLimit: null, hardLimit: null, enabled: true }]);
+    });
+
+    saveBtn.addEventListener('click', async () => {
+        try {
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Saving...';
+
+            const resp = await fetch('/api/config/budgets', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ budgets: readBudgets() })
+            });
+            const result = await resp.json();
+            if (!resp.ok) {
+                statusEl.innerHTML = `<span style="color: var(--accent-red);">${escapeHtml((result.details || [result.error]).join('; '))}</span>`;
+                return;
+            }
+            renderBudgets(result.budgets, result.status);
+            statusEl.innerHTML = `<span style="color: var(--accent-green);">Saved ${result.budgets.length} budget(s)</span>`;
+        } catch (e) {
+            statusEl.innerHTML = '<span style="color: var(--accent-red);">Error saving budgets</span>';
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.textContent = 'Save Budgets';
+        }
+    });
+})();
+
+// ─── Settings tab: pricing ───────────────────────────────────────────────
+(function setupPricingTab() {
+    const listEl = document.getElementById('pricing-list');
+    const addBtn = document.getElementById('btn-add-pricing-model');
+    const saveBtn = document.getElementById('btn-save-pricing');
+    const resetBtn = document.getElementById('btn-reset-pricing');
+    const statusEl = document.getElementById('pricing-status');
+    if (!listEl || !saveBtn) return;
+
+    let tiers = ['haiku', 'sonnet', 'opus'];
+    const FIELDS = [
+        ['input', 'in'],
+        ['output', 'out'],
+        ['cacheRead', 'cache read'],
+        ['cacheWrite5m', 'write 5m'],
+        ['cacheWrite1h', 'write 1h']
+    ];
+    const attr = value => escapeHtml(value === null || value === undefined ? '' : String(value)).replace(/"/g, '&quot;');
+
+    function renderPrice(price) {
+        return `
+            <div class="log-source-row pricing-price">
+                <input type="date" class="api-key-input pr-from" title="Effective from (UTC)" value="${attr(price.effectiveFrom)}">
+                ${FIELDS.map(([field, label]) => `<label>${label} $<input type="number" class="api-key-input pr-${field}" min="0" step="0.01" value="${attr(price[field])}"></label>`).join('')}
+                <label>batch −<input type="number" class="api-key-input pr-batch" min="0" max="0.99" step="0.05" value="${attr(price.batchDiscount)}"></label>
+                <button class="btn-remove-agent pr-remove-price" title="Remove price">&times;</button>
+            </div>
+        `;
+    }
+
+    function renderCatalog(catalog, isDefault = false) {
+        listEl.innerHTML = catalog.map(entry => `
+            <div class="log-source-entry pricing-entry">
+                <div class="log-source-row">
+                    <input type="text" class="api-key-input ls-name pr-model" placeholder="Model id, e.g. claude-sonnet-4-5" value="${attr(entry.model)}">
+                    <select class="timeline-select pr-tier" title="Model tier">
+                        ${tiers.map(t => `<option value="${t}"${t === entry.tier ? ' selected' : ''}>${t}</option>`).join('')}
+                    </select>
+                    <button class="btn-lookup pr-add-price" title="Add a price from a later date">+ Price</button>
+                    <button class="btn-remove-agent pr-remove" title="Remove model">&times;</button>
+                </div>
+                ${(entry.prices || []).map(renderPrice).join('')}
+            </div>
+        `).join('') || '<div class="help-text">No models. Add one below, or restore the defaults.</div>';
+        if (isDefault) listEl.insertAdjacentHTML('afterbegin', '<div class="help-text">Built-in default prices.</div>');
+    }
+
+    function readCatalog() {
+        return [...listEl.querySelectorAll('.pricing-entry')].map(row => ({
+            model: row.querySelector('.pr-model').value.trim(),
+            tier: row.querySelector('.pr-tier').value,
+            prices: [...row.querySelectorAll('.pricing-price')].map(priceRow => {
+                const price = { effectiveFrom: priceRow.querySelector('.pr-from').value };
+                FIELDS.forEach(([field]) => {
+                    price[field] = priceRow.querySelector(`.pr-${field}`).value || null;
+                });
+                price.batchDiscount = priceRow.querySelector('.pr-batch').value || null;
+                return price;
+            })
+        }));
+    }
+
+    function showSaved(result, message) {
+        renderCatalog(result.catalog, result.isDefault);
+        statusEl.innerHTML = `<span style="color: var(--accent-green);">${message}</span>`;
+    }
+
+    async function post(body) {
+        const resp = await fetch('/api/config/pricing', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await resp.json();
+        if (!resp.ok) {
+            statusEl.innerHTML = `<span style="color: var(--accent-red);">${escapeHtml((result.details || [result.error]).join('; '))}</span>`;
+            return null;
+        }
+        return result;
+    }
+
+    document.getElementById('api-status')?.addEventListener('click', async () => {
+        try {
+            const resp = await fetch('/api/config/pricing');
+            const data = await resp.json();
+            if (Array.isArray(data.tiers)) tiers = data.tiers;
+            renderCatalog(data.catalog || [], data.isDefault);
+            statusEl.innerHTML = '';
+        } catch (e) {
+            console.error('Error loading pricing:', e);
+        }
+    });
+
+    listEl.addEventListener('click', (e) => {
+        const removePrice = e.target.closest('.pr-remove-price');
+        if (removePrice) {
+            removePrice.closest('.pricing-price').remove();
+            return;
+        }
+        const addPrice = e.target.closest('.pr-add-price');
+        if (addPrice) {
+            const entry = addPrice.closest('.pricing-entry');
+            const prices = entry.querySelectorAll('.pricing-price');
+            const last = prices[prices.length - 1];
+            entry.insertAdjacentHTML('beforeend', renderPrice({
+                effectiveFrom: new Date().toISOString().slice(0, 10),
+                input: last ? last.querySelector('.pr-input').value : '',
+                output: last ? last.querySelector('.pr-output').value : '',
+                batchDiscount: 0.5
+            }));
+            return;
+        }
+        const removeBtn = e.target.closest('.pr-remove');
+        if (!removeBtn) return;
+        removeBtn.closest('.pricing-entry').remove();
+        if (!listEl.querySelector('.pricing-entry')) renderCatalog([]);
+    });
+
+    addBtn?.addEventListener('click', () => {
+        renderCatalog([...readCatalog(), {
+            model: '',
+            tier: 'sonnet',
+            prices: [{ effectiveFrom: new Date().toISOString().slice(0, 10), batchDiscount: 0.5 }]
+        }]);
+    });
+
+    saveBtn.addEventListener('click', async () => {
+        try {
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Saving...';
+            const result = await post({ catalog: readCatalog() });
+            if (result) showSaved(result, `Saved prices for ${result.catalog.length} model(s); cost history re-estimated`);
+        } catch (e) {
+            statusEl.innerHTML = '<span style="color: var(--accent-red);">Error saving pricing</span>';
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.textContent = 'Save Pricing';
+        }
+    });
+
+    resetBtn?.addEventListener('click', async () => {
+        if (!confirm('Replace the pricing catalog with the built-in default prices?')) return;
+        try {
+            resetBtn.disabled = true;
+            const result = await post({ reset: true });
+            if (result) showSaved(result, 'Restored default prices; cost history re-estimated');
+        } catch (e) {
+            statusEl.innerHTML = '<span style="color: var(--accent-red);">Error restoring pricing</span>';
+        } finally {
+            resetBtn.disabled = false;
+        }
+    });
+})();
+
+// ─── Settings tab: budget directives ─────────────────────────────────────
+const DIRECTIVE_SEVERITY = { continue: 'info', downgrade: 'warning', pause: 'critical' };
+
+// Audit of directives handed to agents, newest first (only while the tab is loaded)
+async function loadDirectiveAudit() {
+    const listEl = document.getElementById('directive-audit-list');
+    if (!listEl || !document.getElementById('tab-directives')?.classList.contains('active')) return;
+    try {
+        const resp = await fetch('/api/budgets/directives?limit=50');
+        const { data = [] } = await resp.json();
+        listEl.innerHTML = data.map(entry => {
+            const what = entry.action === 'downgrade' ? `downgrade → ${escapeHtml(entry.model)}` : entry.action;
+            const was = entry.previousAction ? ` (was ${escapeHtml(entry.previousAction)}${entry.previousModel ? ' ' + escapeHtml(entry.previousModel) : ''})` : '';
+            const delivered = entry.deliveries > 1 ? ` · delivered ${entry.deliveries}×, last ${new Date(entry.lastDeliveredAt).toLocaleTimeString()}` : '';
+            return `
+                <div class="alert-item ${DIRECTIVE_SEVERITY[entry.action] || 'info'}">
+                    <div class="alert-item-title">${escapeHtml(entry.agent)}: ${what}${was}</div>
+                    <div class="alert-item-message">${escapeHtml(entry.reason)}</div>
+                    <div class="alert-item-meta">${escapeHtml(entry.via)} · ${new Date(entry.issuedAt).toLocaleString()}${delivered}</div>
+                </div>
+            `;
+        }).join('') || '<div class="help-text">No directives issued yet.</div>';
+    } catch (e) {
+        console.error('Error loading directive audit:', e);
+    }
+}
+
+(function setupDirectivesTab() {
+    const listEl = document.getElementById('directive-policy-list');
+    const addBtn = document.getElementById('btn-add-directive-policy');
+    const saveBtn = document.getElementById('btn-save-directive-policies');
+    const statusEl = document.getElementById('directive-policies-status');
+    if (!listEl || !saveBtn) return;
+
+    let actions = ['continue', 'downgrade', 'pause'];
+    const MODELS = ['haiku', 'sonnet', 'opus'];
+    const attr = value => escapeHtml(value === null || value === undefined ? '' : String(value)).replace(/"/g, '&quot;');
+    const slugOf = agent => String(agent.slug || agent.name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    function actionSelect(cls, selected, title) {
+        return `<select class="timeline-select ${cls}" title="${title}">
+            ${actions.map(a => `<option value="${a}"${a === selected ? ' selected' : ''}>${a}</option>`).join('')}
+        </select>`;
+    }
+
+    function renderPolicies(policies) {
+        const agents = window.agentsList || [];
+        listEl.innerHTML = policies.map(policy => `
+            <div class="log-source-entry directive-policy-entry">
+                <div class="log-source-row">
+                    <input type="checkbox" class="dp-enabled" title="Enabled"${policy.enabled !== false ? ' checked' : ''}>
+                    <select class="timeline-select dp-agent" title="Agent">
+                        <option value="*">* (all other agents)</option>
+                        ${agents.map(a => `<option value="${attr(slugOf(a))}"${slugOf(a) === policy.agent ? ' selected' : ''}>${escapeHtml(a.name)}</option>`).join('')}
+                        ${policy.agent !== '*' && !agents.some(a => slugOf(a) === policy.agent) ? `<option value="${attr(policy.agent)}" selected>${escapeHtml(policy.agent)}</option>` : ''}
+                    </select>
+                    <button class="btn-remove-agent dp-remove" title="Remove policy">&times;</button>
+                </div>
+                <div class="log-source-row">
+                    <label>soft ${actionSelect('dp-soft', policy.onSoft, 'At the soft limit')}</label>
+                    <label>hard ${actionSelect('dp-hard', policy.onHard, 'At the hard limit')}</label>
+                    <label>to <select class="timeline-select dp-model" title="Downgrade to">
+                        <option value="">next cheaper</option>
+                        ${MODELS.map(m => `<option value="${m}"${m === policy.downgradeTo ? ' selected' : ''}>${m}</option>`).join('')}
+                    </select></label>
+                </div>
+            </div>
+        `).join('') || '<div class="help-text">No policies: agents downgrade at the soft limit and pause at the hard limit.</div>';
+    }
+
+    function readPolicies() {
+        return [...listEl.querySelectorAll('.directive-policy-entry')].map(row => ({
+            agent: row.querySelector('.dp-agent').value,
+            enabled: row.querySelector('.dp-enabled').checked,
+            onSoft: row.querySelector('.dp-soft').value,
+            onHard: row.querySelector('.dp-hard').value,
+            downgradeTo: row.querySelector('.dp-model').value || null
+        }));
+    }
+
+    document.getElementById('api-status')?.addEventListener('click', async () => {
+        try {
+            const resp = await fetch('/api/config/directive-policies');
+            const data = await resp.json();
+            actions = data.actions || actions;
+            renderPolicies(data.policies || []);
+            statusEl.innerHTML = '';
+        } catch (e) {
+            console.error('Error loading directive policies:', e);
+        }
+    });
+
+    document.querySelector('.modal-tab[data-modal-tab="directives"]')?.addEventListener('click', () => {
+        // The tab is marked active by the shared tab handler first
+        setTimeout(loadDirectiveAudit, 0);
+    });
+
+    listEl.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.dp-remove');
+        if (!removeBtn) return;
+        removeBtn.closest('.directive-policy-entry').remove();
+        if (!listEl.querySelector('.directive-policy-entry')) renderPolicies([]);
+    });
+
+    addBtn?.addEventListener('click', () => {
+        const policies = readPolicies();
+        const taken = new Set(policies.map(p => p.agent));
+        const next = taken.has('*') ? (window.agentsList || []).map(slugOf).find(slug => !taken.has(slug)) : '*';
+        renderPolicies([...policies, {
+            agent: next || '*',
+            enabled: true, onSoft: 'downgrade', onHard: 'pause', downgradeTo: null
+        }]);
+    });
+
+    saveBtn.addEventListener('click', async () => {
+        try {
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Saving...';
+
+            const resp = await fetch('/api/config/directive-policies', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ policies: readPolicies() })
+            });
+            const result = await resp.json();
+            if (!resp.ok) {
+                statusEl.innerHTML = `<span style="color: var(--accent-red);">${escapeHtml((result.details || [result.error]).join('; '))}</span>`;
+                return;
+            }
+            renderPolicies(result.policies);
+            statusEl.innerHTML = `<span style="color: var(--accent-green);">Saved ${result.policies.length} polic${result.policies.length === 1 ? 'y' : 'ies'}</span>`;
+            loadDirectiveAudit();
+        } catch (e) {
+            statusEl.innerHTML = '<span style="color: var(--accent-red);">Error saving policies</span>';
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.textContent = 'Save Policies';
+        }
+    });
+})();
+
+// ─── Settings tab: log sources ───────────────────────────────────────────
+// Edits the whole list client-side and saves it in one POST, like the server stores it.
+(function setupLogSourcesTab() {
+    const listEl = document.getElementById('log-source-list');
+    const addBtn = document.getElementById('btn-add-log-source');
+    const saveBtn = document.getElementById('btn-save-log-sources');
+    const statusEl = document.getElementById('log-sources-status');
+    if (!listEl || !saveBtn) return;
+
+    let formats = ['auto'];
+
+    const attr = value => escapeHtml(value === null || value === undefined ? '' : String(value)).replace(/"/g, '&quot;');
+
+    function renderSources(sources) {
+        const agents = window.agentsList || [];
+        listEl.innerHTML = sources.map(source => `
+            <div class="log-source-entry" data-id="${attr(source.id)}">
+                <div class="log-source-row">
+                    <input type="checkbox" class="ls-enabled" title="Enabled"${source.enabled !== false ? ' checked' : ''}>
+                    <input type="text" class="api-key-input ls-name" placeholder="Name" value="${attr(source.name)}">
+                    <button class="btn-remove-agent ls-remove" title="Remove source">&times;</button>
+                </div>
+                <textarea class="api-key-input ls-paths" rows="2" placeholder="/path/to/file.log (one per line)">${escapeHtml((source.paths || []).join('\n'))}</textarea>
+                <div class="log-source-row">
+                    <select class="timeline-select ls-format" title="Format">
+                        ${formats.map(f => `<option value="${attr(f)}"${f === (source.format || 'auto') ? ' selected' : ''}>${escapeHtml(f)}</option>`).join('')}
+                    </select>
+                    <select class="timeline-select ls-agent" title="Owning agent">
+                        <option value="">No agent</option>
+                        ${agents.map(a => `<option value="${attr(a.slug)}"${a.slug === source.agent ? ' selected' : ''}>${escapeHtml(a.name)}</option>`).join('')}
+                        ${source.agent && !agents.some(a => a.slug === source.agent) ? `<option value="${attr(source.agent)}" selected>${escapeHtml(source.agent)}</option>` : ''}
+                    </select>
+                    <input type="text" class="api-key-input ls-machine" placeholder="Any machine" value="${attr(source.machine)}">
+                </div>
+                ${source.files ? `<div class="help-text">${source.files.length
+                    ? `Reading: ${source.files.map(escapeHtml).join(', ')}`
+                    : (source.activeHere ? 'No matching files on this machine' : 'Not read on this machine')}</div>` : ''}
+            </div>
+        `).join('') || '<div class="help-text">No log sources. Add one below.</div>';
+    }
+
+    // Current form state as the POST body expects it
+    function readSources() {
+        return [...listEl.querySelectorAll('.log-source-entry')].map(row => ({
+            id: row.dataset.id || undefined,
+            name: row.querySelector('.ls-name').value.trim(),
+            paths: row.querySelector('.ls-paths').value.split('\n').map(p => p.trim()).filter(Boolean),
+            format: row.querySelector('.ls-format').value,
+            agent: row.querySelector('.ls-agent').value || null,
+            machine: row.querySelector('.ls-machine').value.trim() || null,
+            enabled: row.querySelector('.ls-enabled').checked
+        }));
+    }
+
+    async function loadSources() {
+        try {
+            const resp = await fetch('/api/config/log-sources');
+            const data = await resp.json();
+            formats = data.formats || formats;
+            const machineEl = document.getElementById('log-sources-machine');
+            if (machineEl) machineEl.textContent = data.machine || '-';
+            renderSources(data.sources || []);
+            if (statusEl) statusEl.innerHTML = '';
+        } catch (e) {
+            console.error('Error loading log sources:', e);
+        }
+    }
+
+    document.getElementById('api-status')?.addEventListener('click', loadSources);
+
+    listEl.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.ls-remove');
+        if (!removeBtn) return;
+        removeBtn.closest('.log-source-entry').remove();
+        if (!listEl.querySelector('.log-source-entry')) renderSources([]);
+    });
+
+    addBtn?.addEventListener('click', () => {
+        renderSources([...readSources(), { name: '', paths: [], format: 'auto', agent: null, machine: null, enabled: true }]);
+        const names = listEl.querySelectorAll('.ls-name');
+        names[names.length - 1]?.focus();
+    });
+
+    saveBtn.addEventListener('click', async () => {
+        try {
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Saving...';
+
+            const resp = await fetch('/api/config/log-sources', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sources: readSources() })
+            });
+            const result = await resp.json();
+            if (!resp.ok) {
+                statusEl.innerHTML = `<span style="color: var(--accent-red);">${escapeHtml((result.details || [result.error]).join('; '))}</span>`;
+                return;
+            }
+            renderSources(result.sources);
+            statusEl.innerHTML = `<span style="color: var(--accent-green);">Saved ${result.sources.length} source(s)</span>`;
+        } catch (e) {
+            statusEl.innerHTML = `<span style="color: var(--accent-red);">Error saving log sources</span>`;
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.textContent = 'Save Sources';
+        }
+    });
+})();
+
+// ─── Settings tab: log alert rules ───────────────────────────────────────
+(function setupLogAlertsTab() {
+    const listEl = document.getElementById('log-rule-list');
+    const addBtn = document.getElementById('btn-add-log-rule');
+    const saveBtn = document.getElementById('btn-save-log-rules');
+    const statusEl = document.getElementById('log-rules-status');
+    if (!listEl || !saveBtn) return;
+
+    const LEVELS = ['debug', 'info', 'warning', 'error'];
+    const attr = value => escapeHtml(value === null || value === undefined ? '' : String(value)).replace(/"/g, '&quot;');
+    const options = (items, selected, anyLabel) => `<option value="">${anyLabel}</option>` +
+        items.map(([value, label]) => `<option value="${attr(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('') +
+        (selected && !items.some(([value]) => value === selected) ? `<option value="${attr(selected)}" selected>${escapeHtml(selected)}</option>` : '');
+
+    function renderRules(rules) {
+        const agents = (window.agentsList || []).map(a => [a.slug, a.name]);
+        const sources = (window.logSources || []).map(s => [s.id, s.name]);
+        listEl.innerHTML = rules.map(rule => `
+            <div class="log-source-entry log-rule-entry" data-id="${attr(rule.id)}">
+                <div class="log-source-row">
+                    <input type="checkbox" class="ls-enabled" title="Enabled"${rule.enabled !== false ? ' checked' : ''}>
+                    <input type="text" class="api-key-input ls-name" placeholder="Rule name" value="${attr(rule.name)}">
+                    <button class="btn-remove-agent ls-remove" title="Remove rule">&times;</button>
+                </div>
+                <div class="log-source-row">
+                    <select class="timeline-select ls-level" title="Level">${options(LEVELS.map(l => [l, l.toUpperCase()]), rule.level, 'Any level')}</select>
+                    <select class="timeline-select ls-agent" title="Agent">${options(agents, rule.agent, 'Any agent')}</select>
+                    <select class="timeline-select ls-source" title="Source">${options(sources, rule.source, 'Any source')}</select>
+                    <input type="text" class="api-key-input ls-pattern" placeholder="Pattern (regex)" value="${attr(rule.pattern)}">
+                </div>
+                <div class="log-source-row">
+                    <label><input type="number" class="api-key-input ls-count" min="1" value="${attr(rule.count)}"> lines in</label>
+                    <label><input type="number" class="api-key-input ls-window" min="0.1" step="0.5" value="${attr(rule.windowMinutes)}"> min,</label>
+                    <label>quiet for <input type="number" class="api-key-input ls-cooldown" min="0" value="${attr(rule.cooldownMinutes)}"> min</label>
+                    <label><input type="checkbox" class="ls-task"${rule.createTask !== false ? ' checked' : ''}> ERROR task</label>
+                </div>
+            </div>
+        `).join('') || '<div class="help-text">No alert rules. Add one below.</div>';
+    }
+
+    function readRules() {
+        return [...listEl.querySelectorAll('.log-rule-entry')].map(row => ({
+            id: row.dataset.id || undefined,
+            name: row.querySelector('.ls-name').value.trim(),
+            enabled: row.querySelector('.ls-enabled').checked,
+            level: row.querySelector('.ls-level').value || null,
+            agent: row.querySelector('.ls-agent').value || null,
+            source: row.querySelector('.ls-source').value || null,
+            pattern: row.querySelector('.ls-pattern').value.trim() || null,
+            count: row.querySelector('.ls-count').value,
+            windowMinutes: row.querySelector('.ls-window').value,
+            cooldownMinutes: row.querySelector('.ls-cooldown').value,
+            createTask: row.querySelector('.ls-task').checked
+        }));
+    }
+
+    document.getElementById('api-status')?.addEventListener('click', async () => {
+        try {
+            const resp = await fetch('/api/config/log-alerts');
+            const data = await resp.json();
+            renderRules(data.rules || []);
+            statusEl.innerHTML = '';
+        } catch (e) {
+            console.error('Error loading log alert rules:', e);
+        }
+    });
+
+    listEl.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.ls-remove');
+        if (!removeBtn) return;
+        removeBtn.closest('.log-rule-entry').remove();
+        if (!listEl.querySelector('.log-rule-entry')) renderRules([]);
+    });
+
+    addBtn?.addEventListener('click', () => {
+        renderRules([...readRules(), { name: '', level: 'error', count: 1, windowMinutes: 1, cooldownMinutes: 10, enabled: true, createTask: true }]);
+        const names = listEl.querySelectorAll('.ls-name');
+        names[names.length - 1]?.focus();
+    });
+
+    saveBtn.addEventListener('click', async () => {
+        try {
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Saving...';
+
+            const resp = await fetch('/api/config/log-alerts', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ rules: readRules() })
+            });
+            const result = await resp.json();
+            if (!resp.ok) {
+                statusEl.innerHTML = `<span style="color: var(--accent-red);">${escapeHtml((result.details || [result.error]).join('; '))}</span>`;
+                return;
+            }
+            renderRules(result.rules);
+            statusEl.innerHTML = `<span style="color: var(--accent-green);">Saved ${result.rules.length} rule(s)</span>`;
+        } catch (e) {
+            statusEl.innerHTML = `<span style="color: var(--accent-red);">Error saving rules</span>`;
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.textContent = 'Save Rules';
+        }
+    });
+})();
+
+// ─── Settings tab: alerting ──────────────────────────────────────────────
+(function setupAlertingTab() {
+    const listEl = document.getElementById('alert-channel-list');
+    const addBtn = document.getElementById('btn-add-alert-channel');
+    const saveBtn = document.getElementById('btn-save-alerting');
+    const testBtn = document.getElementById('btn-test-alerting');
+    const statusEl = document.getElementById('alerting-status');
+    if (!listEl || !saveBtn) return;
+
+    const TYPES = [['webhook', 'Webhook (JSON)'], ['slack', 'Slack-compatible'], ['email-file', 'Email file (.eml)']];
+    const SEVERITIES = ['info', 'warning', 'critical'];
+    const attr = value => escapeHtml(value === null || value === undefined ? '' : String(value)).replace(/"/g, '&quot;');
+
+    function renderChannels(channels) {
+        listEl.innerHTML = channels.map(channel => {
+            const isFile = channel.type === 'email-file';
+            return `
+                <div class="log-source-entry alert-channel-entry">
+                    <div class="log-source-row">
+                        <input type="checkbox" class="ac-enabled" title="Enabled"${channel.enabled !== false ? ' checked' : ''}>
+                        <select class="timeline-select ac-type" title="Type">
+                            ${TYPES.map(([value, label]) => `<option value="${value}"${value === channel.type ? ' selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                        <input type="text" class="api-key-input ls-name ac-name" placeholder="Name" value="${attr(channel.name)}">
+                        <select class="timeline-select ac-severity" title="Minimum severity">
+                            ${SEVERITIES.map(sev => `<option value="${sev}"${sev === (channel.minSeverity || 'warning') ? ' selected' : ''}>${sev}+</option>`).join('')}
+                        </select>
+                        <button class="btn-remove-agent ac-remove" title="Remove channel">&times;</button>
+                    </div>
+                    <div class="log-source-row">
+                        <input type="text" class="api-key-input ls-name ac-target"
+                               placeholder="${isFile ? 'Folder under config/mail (e.g. alerts)' : 'https://hooks.example.com/...'}"
+                               value="${attr(isFile ? channel.dir : channel.url)}">
+                        ${isFile ? `<input type="text" class="api-key-input ls-machine ac-to" placeholder="To (root@localhost)" value="${attr(channel.to)}">` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('') || '<div class="help-text">No channels. Alerts still show in the dashboard.</div>';
+    }
+
+    function readChannels() {
+        return [...listEl.querySelectorAll('.alert-channel-entry')].map(row => {
+            const type = row.querySelector('.ac-type').value;
+            const target = row.querySelector('.ac-target').value.trim();
+            const channel = {
+                type,
+                name: row.querySelector('.ac-name').value.trim() || type,
+                enabled: row.querySelector('.ac-enabled').checked,
+                minSeverity: row.querySelector('.ac-severity').value
+            };
+            if (type === 'email-file') {
+                channel.dir = target;
+                const to = row.querySelector('.ac-to');
+                if (to && to.value.trim()) channel.to = to.value.trim();
+            } else {
+                channel.url = target;
+            }
+            return channel;
+        });
+    }
+
+    document.getElementById('api-status')?.addEventListener('click', async () => {
+        try {
+            const resp = await fetch('/api/config/alerting');
+            const { settings } = await resp.json();
+            document.getElementById('alert-cooldown-input').value = settings.cooldownMinutes;
+            document.getElementById('alert-disk-warn-input').value = settings.diskWarnPercent;
+            document.getElementById('alert-disk-critical-input').value = settings.diskCriticalPercent;
+            renderChannels(settings.channels || []);
+            statusEl.innerHTML = '';
+        } catch (e) {
+            console.error('Error loading alerting settings:', e);
+        }
+    });
+
+    listEl.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.ac-remove');
+        if (!removeBtn) return;
+        removeBtn.closest('.alert-channel-entry').remove();
+        if (!listEl.querySelector('.alert-channel-entry')) renderChannels([]);
+    });
+
+    // Switching type swaps the URL field for a directory (and back)
+    listEl.addEventListener('change', (e) => {
+        if (e.target.classList.contains('ac-type')) renderChannels(readChannels());
+    });
+
+    addBtn?.addEventListener('click', () => {
+        renderChannels([...readChannels(), { type: 'webhook', name: '', url: '', enabled: true, minSeverity: 'warning' }]);
+    });
+
+    saveBtn.addEventListener('click', async () => {
+        try {
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Saving...';
+
+            const resp = await fetch('/api/config/alerting', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    cooldownMinutes: document.getElementById('alert-cooldown-input').value,
+                    diskWarnPercent: document.getElementById('alert-disk-warn-input').value,
+                    diskCriticalPercent: document.getElementById('alert-disk-critical-input').value,
+                    channels: readChannels()
+                })
+            });
+            const result = await resp.json();
+            if (!resp.ok) {
+                statusEl.innerHTML = `<span style="color: var(--accent-red);">${escapeHtml((result.details || [result.error]).join('; '))}</span>`;
+                return;
+            }
+            renderChannels(result.settings.channels);
+            statusEl.innerHTML = '<span style="color: var(--accent-green);">Alerting settings saved</span>';
+        } catch (e) {
+            statusEl.innerHTML = '<span style="color: var(--accent-red);">Error saving alerting settings</span>';
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.textContent = 'Save Alerting';
+        }
+    });
+
+    testBtn?.addEventListener('click', async () => {
+        try {
+            testBtn.disabled = true;
+            const resp = await fetch('/api/alerts/test', { method: 'POST' });
+            const { results } = await resp.json();
+            statusEl.innerHTML = results.length
+                ? results.map(r => `<div style="color: var(--accent-${r.ok ? 'green' : 'red'});">${escapeHtml(r.channel)}: ${r.ok ? 'sent' : escapeHtml(r.error)}</div>`).join('')
+                : '<span style="color: var(--text-secondary);">No enabled channels saved yet</span>';
+        } catch (e) {
+            statusEl.innerHTML = '<span style="color: var(--accent-red);">Error sending test alert</span>';
+        } finally {
+            testBtn.disabled = false;
+        }
+    });
+})();
+
+// Feature 5: "Last Updated" timestamp + Feature 7: Stale data indicator
+setInterval(() => {
+    // Update "Metrics: Xs ago" display
+    const el = document.getElementById('metrics-updated-text');
+    if (el && lastMetricsUpdate) {
+        const elapsed = Math.floor((Date.now() - lastMetricsUpdate.getTime()) / 1000);
+        const mins = Math.floor(elapsed / 60);
+        const secs = elapsed % 60;
+        el.textContent = mins > 0 ? `Metrics: ${mins}m ${secs}s ago` : `Metrics: ${secs}s ago`;
+        el.parentElement.classList.toggle('stale-warning', elapsed > 600);
     }
 
     // Mark cost cards as stale if no successful API response in 10+ minutes
@@ -1508,6 +3146,361 @@ setInterval(() => {
     }
 }, 1000);
 
+// ─── Task Alerts (stuck-task watchdog) ───────────────────────────────────
+// Pushed by the server when it moves a task to STUCK; clicking opens the task's history.
+function showTaskAlert(alert) {
+    const container = document.getElementById('task-alerts');
+    if (!container || !alert) return;
+
+    const el = document.createElement('div');
+    el.className = 'task-alert';
+    el.innerHTML = `
+        <div class="task-alert-title">⏱ Task stuck: ${escapeHtml(alert.title || `#${alert.taskId}`)}</div>
+        <div class="task-alert-reason">${escapeHtml(alert.reason)}${alert.agent ? ` · ${escapeHtml(alert.agent)}` : ''}</div>
+    `;
+    el.addEventListener('click', () => {
+        openTaskTimeline(alert.taskId);
+        el.remove();
+    });
+    container.appendChild(el);
+
+    // Keep the last few on screen; each fades after 30s
+    while (container.children.length > 4) container.firstElementChild.remove();
+    setTimeout(() => el.remove(), 30000);
+}
+
+// Pushed when a log alert rule fires; clicking opens the ERROR task it created
+function showLogAlert(alert) {
+    const container = document.getElementById('task-alerts');
+    if (!container || !alert) return;
+
+    const el = document.createElement('div');
+    el.className = 'task-alert log-alert';
+    el.innerHTML = `
+        <div class="task-alert-title">🚨 ${escapeHtml(alert.name)}</div>
+        <div class="task-alert-reason">${escapeHtml(alert.reason)}${alert.agent ? ` · ${escapeHtml(alert.agent)}` : ''}</div>
+    `;
+    el.addEventListener('click', () => {
+        if (alert.taskId) openTaskTimeline(alert.taskId);
+        el.remove();
+    });
+    container.appendChild(el);
+
+    while (container.children.length > 4) container.firstElementChild.remove();
+    setTimeout(() => el.remove(), 30000);
+}
+
+// ─── Alerts (alert manager) ──────────────────────────────────────────────
+// The header bell counts open + acknowledged alerts; the drawer lists them
+// with acknowledge / resolve. New and escalated alerts can also show as
+// desktop notifications (opt-in per browser, remembered in localStorage).
+let activeAlerts = [];
+let alertsDrawerStatus = 'active';
+const ALERT_NOTIFY_KEY = 'alertNotifications';
+const SEVERITY_ICONS = { info: 'ℹ️', warning: '⚠️', critical: '🔴' };
+
+function handleAlertEvent(event, alert) {
+    activeAlerts = activeAlerts.filter(a => a.id !== alert.id);
+    if (alert.status !== 'resolved') activeAlerts.unshift(alert);
+
+    if ((event === 'raised' || event === 'escalated') && localStorage.getItem(ALERT_NOTIFY_KEY) === 'on' &&
+        window.Notification && Notification.permission === 'granted') {
+        const notification = new Notification(`${SEVERITY_ICONS[alert.severity] || ''} ${alert.title}`, {
+            body: alert.message,
+            tag: `alert-${alert.key}`
+        });
+        notification.onclick = () => {
+            window.focus();
+            openAlertsDrawer();
+        };
+    }
+
+    renderAlerts();
+    if (alertsDrawerStatus !== 'active' && document.getElementById('alerts-drawer').classList.contains('open')) {
+        loadAlertsDrawer();
+    }
+}
+
+function renderAlerts() {
+    const badge = document.getElementById('alerts-badge');
+    const countEl = document.getElementById('alerts-count');
+    if (badge && countEl) {
+        const open = activeAlerts.filter(a => a.status === 'open');
+        countEl.textContent = activeAlerts.length;
+        badge.classList.toggle('has-alerts', activeAlerts.length > 0);
+        badge.classList.toggle('critical', open.some(a => a.severity === 'critical'));
+        badge.classList.toggle('warning', open.some(a => a.severity === 'warning'));
+    }
+    if (alertsDrawerStatus === 'active') renderAlertList(activeAlerts);
+}
+
+function renderAlertList(alerts) {
+    const content = document.getElementById('alerts-content');
+    if (!content) return;
+    if (!alerts.length) {
+        content.innerHTML = `<div class="loading">${alertsDrawerStatus === 'active' ? 'No active alerts' : 'No alerts'}</div>`;
+        return;
+    }
+
+    content.innerHTML = alerts.map(alert => {
+        const seen = alert.count > 1
+            ? `${alert.count}× · first ${new Date(alert.firstSeen).toLocaleString()} · last ${new Date(alert.lastSeen).toLocaleTimeString()}`
+            : new Date(alert.firstSeen).toLocaleString();
+        let state = '';
+        if (alert.status === 'acknowledged') state = `Acknowledged${alert.acknowledgedBy ? ` by ${escapeHtml(alert.acknowledgedBy)}` : ''}`;
+        if (alert.status === 'resolved') state = `Resolved${alert.resolvedBy ? ` by ${escapeHtml(alert.resolvedBy)}` : ''}${alert.resolution ? ` (${escapeHtml(alert.resolution)})` : ''}`;
+        return `
+            <div class="alert-item ${alert.severity} ${alert.status}">
+                <div class="alert-item-title">${SEVERITY_ICONS[alert.severity] || ''} ${escapeHtml(alert.title)}</div>
+                <div class="alert-item-message">${escapeHtml(alert.message)}</div>
+                <div class="alert-item-meta">${escapeHtml(alert.source)} · ${seen}</div>
+                ${state ? `<div class="alert-item-meta">${state}</div>` : ''}
+                ${alert.status !== 'resolved' ? `
+                    <div class="alert-item-actions">
+                        ${alert.status === 'open' ? `<button class="btn-export" data-alert-action="acknowledge" data-alert-id="${alert.id}">Acknowledge</button>` : ''}
+                        <button class="btn-export" data-alert-action="resolve" data-alert-id="${alert.id}">Resolve</button>
+                    </div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function openAlertsDrawer() {
+    document.getElementById('alerts-drawer').classList.add('open');
+    loadAlertsDrawer();
+}
+
+async function loadAlertsDrawer() {
+    if (alertsDrawerStatus === 'active') {
+        renderAlertList(activeAlerts);
+        return;
+    }
+    try {
+        const resp = await fetch(`/api/alerts?status=${alertsDrawerStatus}`);
+        const result = await resp.json();
+        renderAlertList(result.data || []);
+    } catch (e) {
+        console.error('Error loading alerts:', e);
+    }
+}
+
+(function setupAlerts() {
+    const drawer = document.getElementById('alerts-drawer');
+    const badge = document.getElementById('alerts-badge');
+    const statusSelect = document.getElementById('alerts-status');
+    const notifyBtn = document.getElementById('btn-alert-notifications');
+    if (!drawer || !badge) return;
+
+    badge.addEventListener('click', openAlertsDrawer);
+    document.getElementById('alerts-close').addEventListener('click', () => drawer.classList.remove('open'));
+    statusSelect.addEventListener('change', () => {
+        alertsDrawerStatus = statusSelect.value;
+        loadAlertsDrawer();
+    });
+
+    document.getElementById('alerts-content').addEventListener('click', async (e) => {
+        const btn = e.target.closest('[data-alert-action]');
+        if (!btn) return;
+        btn.disabled = true;
+        try {
+            await fetch(`/api/alerts/${btn.dataset.alertId}/${btn.dataset.alertAction}`, { method: 'POST' });
+        } catch (err) {
+            console.error('Error updating alert:', err);
+        }
+        // The server broadcasts the change; non-active views need a refetch
+        if (alertsDrawerStatus !== 'active') loadAlertsDrawer();
+    });
+
+    const showNotifyState = () => {
+        const on = localStorage.getItem(ALERT_NOTIFY_KEY) === 'on' && window.Notification && Notification.permission === 'granted';
+        notifyBtn.textContent = `Desktop notifications: ${on ? 'on' : 'off'}`;
+        notifyBtn.classList.toggle('active', !!on);
+    };
+    if (!window.Notification) {
+        notifyBtn.disabled = true;
+        notifyBtn.title = 'This browser does not support notifications';
+    }
+    notifyBtn.addEventListener('click', async () => {
+        if (localStorage.getItem(ALERT_NOTIFY_KEY) === 'on') {
+            localStorage.setItem(ALERT_NOTIFY_KEY, 'off');
+        } else if (await Notification.requestPermission() === 'granted') {
+            localStorage.setItem(ALERT_NOTIFY_KEY, 'on');
+        }
+        showNotifyState();
+    });
+    showNotifyState();
+})();
+
+// ─── Task Timeline Drawer ────────────────────────────────────────────────
+// One drawer, two modes: a single task's full history (oldest first) or the
+// event stream across all tasks, filtered by agent and time range.
+let timelineTaskId = null;
+
+(function setupTaskTimeline() {
+    const drawer = document.getElementById('timeline-drawer');
+    const activityBtn = document.getElementById('btn-activity');
+    const closeBtn = document.getElementById('timeline-close');
+    const agentSelect = document.getElementById('timeline-agent');
+    const rangeSelect = document.getElementById('timeline-range');
+    const customRange = document.getElementById('timeline-custom-range');
+    if (!drawer) return;
+
+    if (activityBtn) activityBtn.addEventListener('click', openEventStream);
+    if (closeBtn) closeBtn.addEventListener('click', () => drawer.classList.remove('open'));
+
+    [agentSelect, document.getElementById('timeline-since'), document.getElementById('timeline-until')]
+        .forEach(el => el && el.addEventListener('change', loadEventStream));
+    if (rangeSelect) {
+        rangeSelect.addEventListener('change', () => {
+            customRange.style.display = rangeSelect.value === 'custom' ? 'flex' : 'none';
+            loadEventStream();
+        });
+    }
+
+    // Task links in the stream open that task's history
+    document.getElementById('timeline-content').addEventListener('click', (e) => {
+        const link = e.target.closest('.timeline-task-link');
+        if (link) openTaskTimeline(link.dataset.taskId);
+    });
+})();
+
+async function openTaskTimeline(taskId) {
+    const drawer = document.getElementById('timeline-drawer');
+    const content = document.getElementById('timeline-content');
+    const task = allTasks.find(t => String(t.id) === String(taskId));
+
+    timelineTaskId = taskId;
+    document.getElementById('timeline-title').textContent = task ? `History: ${task.title}` : `History: task #${taskId}`;
+    document.getElementById('timeline-filters').style.display = 'none';
+    content.innerHTML = '<div class="loading">Loading...</div>';
+    drawer.classList.add('open');
+
+    try {
+        const resp = await fetch(`/api/tasks/${encodeURIComponent(taskId)}/events`);
+        const result = await resp.json();
+        if (!resp.ok) throw new Error(result.error || 'Request failed');
+        renderTimeline(result.data, false);
+    } catch (e) {
+        content.innerHTML = `<div class="loading">Failed to load history: ${escapeHtml(e.message)}</div>`;
+    }
+}
+
+function openEventStream() {
+    const drawer = document.getElementById('timeline-drawer');
+    const agentSelect = document.getElementById('timeline-agent');
+
+    timelineTaskId = null;
+    document.getElementById('timeline-title').textContent = 'Task Activity';
+    document.getElementById('timeline-filters').style.display = 'flex';
+
+    // Agents seen on tasks, plus this host's agent
+    const agents = new Set(allTasks.map(t => t.agent).filter(Boolean));
+    if (window.projectInfo?.agentName) agents.add(window.projectInfo.agentName);
+    const selected = agentSelect.value;
+    agentSelect.innerHTML = '<option value="">All agents</option>' +
+        [...agents].sort().map(a => `<option value="${escapeHtml(a).replace(/"/g, '&quot;')}">${escapeHtml(a)}</option>`).join('');
+    agentSelect.value = selected;
+
+    drawer.classList.add('open');
+    loadEventStream();
+}
+
+async function loadEventStream() {
+    if (timelineTaskId !== null) return;
+    const content = document.getElementById('timeline-content');
+    const range = document.getElementById('timeline-range').value;
+    const params = new URLSearchParams({ limit: '500' });
+
+    const agent = document.getElementById('timeline-agent').value;
+    if (agent) params.set('agent', agent);
+
+    if (range === 'custom') {
+        const since = document.getElementById('timeline-since').value;
+        const until = document.getElementById('timeline-until').value;
+        if (since) params.set('since', new Date(since).toISOString());
+        if (until) params.set('until', new Date(until).toISOString());
+    } else {
+        params.set('since', new Date(Date.now() - Number(range) * 3600000).toISOString());
+    }
+
+    content.innerHTML = '<div class="loading">Loading...</div>';
+    try {
+        const resp = await fetch(`/api/tasks/events?${params}`);
+        const result = await resp.json();
+        if (!resp.ok) throw new Error(result.error || 'Request failed');
+        renderTimeline(result.data, true);
+    } catch (e) {
+        content.innerHTML = `<div class="loading">Failed to load events: ${escapeHtml(e.message)}</div>`;
+    }
+}
+
+// Human-readable summary of one task_events row
+function describeTaskEvent(event) {
+    const details = event.details || {};
+    const previous = details.previous || {};
+
+    switch (event.event_type) {
+        case 'created':
+            return `Created as ${details.status || 'task'}${details.title ? `: "${details.title}"` : ''}`;
+        case 'deleted':
+            return 'Deleted';
+        case 'blocked':
+            return `Blocked by ${(details.blockedBy || []).map(id => `#${id}`).join(', ')} (was ${details.previousStatus || '?'})`;
+        case 'unblocked':
+            return 'Dependencies complete - unblocked';
+        case 'stuck':
+            return `Marked STUCK by watchdog: ${details.reason || 'no recent activity'}`;
+        case 'conflict':
+            return `Offline ${details.op || 'change'} discarded (remote changed ${details.remoteUpdatedAt || ''})`;
+        case 'updated': {
+            const changes = details.changes || {};
+            const parts = [];
+            if (changes.status !== undefined) {
+                parts.push(previous.status ? `Status ${previous.status} → ${changes.status}` : `Status → ${changes.status}`);
+            }
+            if (changes.progress !== undefined) {
+                parts.push(previous.progress !== undefined
+                    ? `Progress ${previous.progress}% → ${changes.progress}%`
+                    : `Progress → ${changes.progress}%`);
+            }
+            ['title', 'description', 'eta', 'agent', 'machine', 'parent_id', 'depends_on']
+                .filter(key => changes[key] !== undefined)
+                .forEach(key => parts.push(`${key.replace('_', ' ')} changed`));
+            return parts.length ? parts.join(', ') : 'Updated';
+        }
+        default:
+            return event.event_type;
+    }
+}
+
+function renderTimeline(events, showTask) {
+    const content = document.getElementById('timeline-content');
+    if (!events || events.length === 0) {
+        content.innerHTML = '<div class="loading">No events</div>';
+        return;
+    }
+
+    const titles = {};
+    allTasks.forEach(t => { titles[String(t.id)] = t.title; });
+
+    content.innerHTML = events.map(event => {
+        const when = new Date(event.created_at);
+        const taskLabel = showTask && event.task_id != null
+            ? `<span class="timeline-task-link" data-task-id="${event.task_id}">${escapeHtml(titles[String(event.task_id)] || `#${event.task_id}`)}</span>`
+            : '';
+        return `
+            <div class="timeline-event ${escapeHtml(event.event_type)}">
+                <div class="timeline-meta">
+                    <span class="timeline-time" title="${when.toISOString()}">${when.toLocaleString()}</span>
+                    <span class="timeline-agent">${escapeHtml(event.agent || 'unknown')}</span>
+                </div>
+                ${taskLabel}
+                <div class="timeline-text">${escapeHtml(describeTaskEvent(event))}</div>
+            </div>
+        `;
+    }).join('');
+}
+
 // ─── Debug Panel ─────────────────────────────────────────────────────────
 (function setupDebugPanel() {
     const toggle = document.getElementById('debug-toggle');
@@ -11,31 +11,74 @@ const cors = require('cors');
 const chokidar = require('chokidar');
 const si = require('systeminformation');
 const { createClient } = require('@supabase/supabase-js');
+const { createStorage, BACKENDS } = require('./lib/storage');
+const { taskToRow, rowToTask } = require('./lib/storage/supabase');
+const { createOutbox } = require('./lib/outbox');
+const { validateTaskInput, parseListQuery, parseEventQuery, queryTasks } = require('./lib/task-query');
+const { STATUSES, LEGACY_STATUSES, normalizeStatus, normalizeTask, createStatusMachine } = require('./lib/task-status');
+const { validateRelations, blockersOf, planDependencyUpdates, decorateTasks, indexById } = require('./lib/task-graph');
+const { DEFAULT_WATCHDOG, validateWatchdogSettings, findStuckTasks } = require('./lib/task-watchdog');
+const { agentSlug } = require('./lib/agent-slug');
+const { createLogParser, loadFormatFile } = require('./lib/log-parser');
+const { createLogTailer, expandSource } = require('./lib/log-tailer');
+const { createLogArchive, parseLogQuery } = require('./lib/log-archive');
+const { DEFAULT_LOG_DIRS, createLogSourceStore } = require('./lib/log-sources');
+const { createLogAlertRuleStore, createLogAlertEngine } = require('./lib/log-alerts');
+const { DEFAULT_ALERTING, validateAlertingSettings, createAlertManager } = require('./lib/alert-manager');
+const { validateBudgets, evaluateBudgets } = require('./lib/budgets');
+const { HISTORY_START, openDay, createCostHistory } = require('./lib/cost-history');
+const { parseCostQuery, summarizeCosts } = require('./lib/cost-analytics');
+const { parseReconciliationQuery, reconcileCosts } = require('./lib/cost-reconciliation');
+const { forecastMonth } = require('./lib/forecast');
+const { summarizeUnattributed } = require('./lib/unattributed');
+const { DEFAULT_BASE_URL, usageReport, costReport, listApiKeys, createAdminApiClient } = require('./lib/admin-api');
+const { startMockAdminApi } = require('./lib/mock-admin-api');
+const { TIERS, createPricingCatalog } = require('./lib/pricing');
+const { DIRECTIVE_ACTIONS, DEFAULT_POLICY, validateDirectivePolicies, policyFor, decideDirective, createDirectiveAudit } = require('./lib/budget-directives');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
-// ─── Supabase Client ────────────────────────────────────────────────────────
+// ─── Storage Backend ────────────────────────────────────────────────────────
+// STORAGE_BACKEND=supabase|file|sqlite. Defaults to Supabase when it is
+// configured, otherwise the JSON-file store.
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || (supabaseUrl && supabaseKey ? 'supabase' : 'file')).toLowerCase();
+
+if (!BACKENDS.includes(STORAGE_BACKEND)) {
+    console.error(`❌ Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected one of: ${BACKENDS.join(', ')})`);
+    process.exit(1);
+}
+
+// ─── Supabase Client ────────────────────────────────────────────────────────
 let supabase = null;
 let supabaseReady = false;
 
-if (supabaseUrl && supabaseKey) {
+if (STORAGE_BACKEND === 'supabase' && supabaseUrl && supabaseKey) {
     supabase = createClient(supabaseUrl, supabaseKey);
     console.log('✅ Supabase client initialized:', supabaseUrl);
-} else {
+} else if (STORAGE_BACKEND === 'supabase') {
     console.log('⚠️  Supabase not configured - falling back to file-based persistence');
     console.log('   Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in .env');
+} else {
+    console.log(`💾 Storage backend: ${STORAGE_BACKEND}`);
 }
 
 // ─── Config file for persistent API settings ────────────────────────────────
 const CONFIG_DIR = path.join(__dirname, 'config');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'anthropic.json');
-const TASKS_FILE = path.join(CONFIG_DIR, 'tasks.json');
-const MODEL_HISTORY_FILE = path.join(CONFIG_DIR, 'model-history.json');
+const OUTBOX_FILE = path.join(CONFIG_DIR, 'outbox.json');
+const TASK_TRANSITIONS_FILE = path.join(CONFIG_DIR, 'task-transitions.json');
 const AGENTS_CONFIG_FILE = path.join(CONFIG_DIR, 'agents.json');
+const LOG_FORMATS_FILE = path.join(CONFIG_DIR, 'log-formats.json');
+const LOG_SOURCES_FILE = path.join(CONFIG_DIR, 'log-sources.json');
+const LOG_ALERTS_FILE = path.join(CONFIG_DIR, 'log-alerts.json');
+const ALERTS_FILE = path.join(CONFIG_DIR, 'alerts.json');
+const MAIL_DIR = path.join(CONFIG_DIR, 'mail');   // email-file alert channels write below here
+const DIRECTIVE_AUDIT_FILE = path.join(CONFIG_DIR, 'directive-audit.json');
+const PRICING_FILE = path.join(CONFIG_DIR, 'pricing.json');
 
 // Default agent configuration with colors
 const DEFAULT_AGENT_CONFIG = {
@@ -52,6 +95,21 @@ if (!fs.existsSync(CONFIG_DIR)) {
     fs.mkdirSync(CONFIG_DIR, { recursive: true });
 }
 
+// Local store: the whole backend for file/sqlite, the offline fallback for Supabase
+const localStore = createStorage(STORAGE_BACKEND === 'sqlite' ? 'sqlite' : 'file', {
+    configDir: CONFIG_DIR,
+    sqliteFile: process.env.SQLITE_FILE
+});
+const remoteStore = supabase ? createStorage('supabase', { supabase }) : null;
+
+// Supabase writes that failed or happened while offline, replayed on reconnect
+const outbox = createOutbox({ file: OUTBOX_FILE });
+outbox.load();
+
+// Allowed task status transitions (defaults overridable via config/task-transitions.json)
+const statusMachine = createStatusMachine({ file: TASK_TRANSITIONS_FILE });
+statusMachine.load();
+
 // ─── Anthropic Config (stays file-based - sensitive) ────────────────────────
 function loadConfig() {
     try {
@@ -131,40 +189,30 @@ function hexToRgb(hex) {
 
 function getEffectiveApiKey() {
     // Prefer admin key from agents config, fall back to legacy API key
-    return agentsConfig.adminApiKey || process.env.ANTHROPIC_API_KEY;
+    // (the mock Admin API takes any key)
+    return agentsConfig.adminApiKey || process.env.ANTHROPIC_API_KEY || (mockApi ? MOCK_API_KEY : undefined);
 }
 
+// Admin API client (lib/admin-api.js); reads the key and endpoints on every
+// request, so config changes apply without a restart
+const adminApi = createAdminApiClient({
+    apiKey: getEffectiveApiKey,
+    baseUrl: () => (mockApi ? mockApi.url : process.env.ANTHROPIC_BASE_URL),
+    usageEndpoint: () => (mockApi ? null : process.env.ANTHROPIC_API_ENDPOINT)
+});
+
 // Load agents config on startup
 agentsConfig = loadAgentsConfig();
 rebuildApiKeyIdMap();
 
-// ─── Legacy file-based functions (fallback when Supabase unavailable) ───────
-function loadTasksFromFile() {
-    try {
-        if (fs.existsSync(TASKS_FILE)) {
-            const tasks = JSON.parse(fs.readFileSync(TASKS_FILE, 'utf8'));
-            console.log(`✅ Loaded ${tasks.length} tasks from file (fallback)`);
-            return tasks;
-        }
-    } catch (error) {
-        console.log('⚠️  Error loading tasks file:', error.message);
-    }
-    return [];
-}
-
-function loadModelHistoryFromFile() {
-    try {
-        if (fs.existsSync(MODEL_HISTORY_FILE)) {
-            return JSON.parse(fs.readFileSync(MODEL_HISTORY_FILE, 'utf8'));
-        }
-    } catch (error) {
-        console.log('⚠️  Error loading model history file:', error.message);
-    }
-    return [];
+// ─── Storage backends ───────────────────────────────────────────────────────
+// localStore is always available (JSON files or SQLite) and is what the
+// dashboard runs on when Supabase is not configured or unreachable.
+// remoteStore wraps Supabase when it is the configured backend.
+function activeStore() {
+    return supabaseReady ? remoteStore : localStore;
 }
 
-// ─── Supabase-backed persistence ────────────────────────────────────────────
-
 // Test Supabase connection and verify tables exist
 async function testSupabaseConnection() {
     if (!supabase) return false;
@@ -176,7 +224,7 @@ async function testSupabaseConnection() {
             if (error.code === '42P01' || error.message?.includes('relation') || error.message?.includes('does not exist')) {
                 console.log('⚠️  Supabase connected but tables not created yet.');
                 console.log('   Run the SQL schema from the plan in Supabase SQL Editor.');
-                console.log('   Falling back to file-based persistence for now.');
+                console.log(`   Falling back to ${localStore.kind} persistence for now.`);
                 return false;
             }
             console.log('⚠️  Supabase connection test failed:', error.message);
@@ -190,71 +238,35 @@ async function testSupabaseConnection() {
     }
 }
 
-// Load tasks from Supabase
+// Load tasks from Supabase (or the local store)
 async function loadTasks() {
     if (supabaseReady) {
         try {
-            const { data, error } = await supabase
-                .from('tasks')
-                .select('*')
-                .order('created_at', { ascending: false });
-
-            if (error) throw error;
-
-            // Map Supabase rows to frontend-compatible format
-            const tasks = (data || []).map(row => ({
-                id: row.id,
-                title: row.title,
-                description: row.description,
-                status: row.status,
-                progress: row.progress,
-                eta: row.eta,
-                agent: row.agent,
-                machine: row.machine,
-                createdAt: row.created_at,
-                updatedAt: row.updated_at,
-                startedAt: row.started_at,
-                completedAt: row.completed_at
-            }));
-
+            const tasks = await remoteStore.tasks.list();
             console.log(`✅ Loaded ${tasks.length} tasks from Supabase`);
-            return tasks;
+            return tasks.map(normalizeTask);
         } catch (error) {
-            console.log('⚠️  Supabase loadTasks error, falling back to file:', error.message);
+            console.log(`⚠️  Supabase loadTasks error, falling back to ${localStore.kind} store:`, error.message);
         }
     }
-    return loadTasksFromFile();
+    return (await localStore.tasks.list()).map(normalizeTask);
 }
 
-// Load model history from Supabase
+// Load model history from Supabase (or the local store)
 async function loadModelHistory() {
     if (supabaseReady) {
         try {
-            const { data, error } = await supabase
-                .from('model_history')
-                .select('*')
-                .order('created_at', { ascending: false });
-
-            if (error) throw error;
-
-            const history = (data || []).map(row => ({
-                timestamp: row.created_at,
-                agent: row.agent,
-                model: row.model,
-                tokens: row.tokens,
-                cost: parseFloat(row.cost) || 0
-            }));
-
+            const history = await remoteStore.modelHistory.list();
             console.log(`✅ Loaded ${history.length} model history entries from Supabase`);
             return history;
         } catch (error) {
-            console.log('⚠️  Supabase loadModelHistory error, falling back to file:', error.message);
+            console.log(`⚠️  Supabase loadModelHistory error, falling back to ${localStore.kind} store:`, error.message);
         }
     }
-    return loadModelHistoryFromFile();
+    return localStore.modelHistory.list();
 }
 
-// Track model usage → Supabase insert + in-memory cache
+// Track model usage → storage insert + in-memory cache
 async function trackModelUsage(agent, model, tokens, cost) {
     const entry = {
         timestamp: new Date().toISOString(),
@@ -267,20 +279,18 @@ async function trackModelUsage(agent, model, tokens, cost) {
     // Always update in-memory cache
     modelHistory.push(entry);
 
-    // Persist to Supabase
-    if (supabaseReady) {
+    // Persist to Supabase (queued in the outbox if that fails)
+    if (supabaseWritable()) {
         try {
-            const { error } = await supabase.from('model_history').insert({
-                agent,
-                model,
-                tokens,
-                cost,
-                created_at: entry.timestamp
-            });
-            if (error) console.log('⚠️  Supabase model_history insert error:', error.message);
+            await remoteStore.modelHistory.insert(entry);
         } catch (err) {
-            console.log('⚠️  Supabase model_history error:', err.message);
+            console.log('⚠️  Supabase model_history insert error, queued for retry:', err.message);
+            await recordLocally(() => localStore.modelHistory.insert(entry));
+            queueSupabaseWrite({ table: 'model_history', op: 'insert', payload: entry });
         }
+    } else {
+        await recordLocally(() => localStore.modelHistory.insert(entry));
+        queueSupabaseWrite({ table: 'model_history', op: 'insert', payload: entry });
     }
 
     console.log(`✅ Model usage tracked: ${agent} used ${model} (${tokens} tokens)`);
@@ -288,20 +298,148 @@ async function trackModelUsage(agent, model, tokens, cost) {
 
 // Log task event to audit trail (perpetual history)
 async function logTaskEvent(taskId, agent, eventType, details = {}) {
-    if (!supabaseReady) return;
+    const payload = {
+        agent: agent || projectInfo.agentName,
+        event_type: eventType,
+        details,
+        created_at: new Date().toISOString()
+    };
+
+    // task_id is filled in at replay time so offline task ids can be remapped
+    if (!supabaseWritable()) {
+        await recordLocally(() => localStore.taskEvents.insert({ ...payload, task_id: taskId }));
+        queueSupabaseWrite({ table: 'task_events', op: 'insert', taskId, payload });
+        return;
+    }
 
     try {
-        const { error } = await supabase.from('task_events').insert({
-            task_id: taskId,
-            agent: agent || projectInfo.agentName,
-            event_type: eventType,
-            details
-        });
-        if (error) console.log('⚠️  Supabase task_events insert error:', error.message);
-        else console.log(`📝 Task event logged: ${eventType} for task ${taskId}`);
+        await remoteStore.taskEvents.insert({ ...payload, task_id: taskId });
+        console.log(`📝 Task event logged: ${eventType} for task ${taskId}`);
+    } catch (err) {
+        console.log('⚠️  Task event logging error, queued for retry:', err.message);
+        await recordLocally(() => localStore.taskEvents.insert({ ...payload, task_id: taskId }));
+        queueSupabaseWrite({ table: 'task_events', op: 'insert', taskId, payload });
+    }
+}
+
+// Local copies of history/events are best effort - the outbox is what
+// guarantees they eventually reach Supabase
+async function recordLocally(write) {
+    try {
+        await write();
     } catch (err) {
-        console.log('⚠️  Task event logging error:', err.message);
+        console.log(`⚠️  ${localStore.kind} store write error:`, err.message);
+    }
+}
+
+// ─── Offline write queue (outbox replay) ────────────────────────────────────
+
+// Direct writes only while connected and nothing is queued ahead of them,
+// otherwise a later write could land before an earlier offline one
+function supabaseWritable() {
+    return supabaseReady && outbox.size() === 0;
+}
+
+function queueSupabaseWrite(entry) {
+    if (!supabase) return; // Supabase not configured - local store is the source of truth
+    outbox.enqueue(entry);
+}
+
+// A task created offline has been inserted remotely: swap its local id for the Supabase one
+async function adoptRemoteTaskId(localId, remoteId) {
+    outbox.remapTaskId(localId, remoteId);
+
+    const idx = manualTasks.findIndex(t => t.id == localId);
+    if (idx !== -1) {
+        // Realtime may already have delivered the remote copy
+        if (manualTasks.some(t => t.id == remoteId)) manualTasks.splice(idx, 1);
+        else manualTasks[idx] = { ...manualTasks[idx], id: remoteId };
+    }
+
+    const local = await localStore.tasks.remove(localId);
+    if (local) await localStore.tasks.insert({ ...local, id: remoteId });
+
+    console.log(`🔗 Offline task ${localId} is now Supabase task ${remoteId}`);
+}
+
+// Apply one queued write. Task updates/deletes use last-writer-wins against
+// the remote row: if someone else changed it after the local edit was made,
+// the remote version wins and the local change is dropped.
+async function replayOutboxEntry(entry) {
+    if (entry.table === 'tasks' && entry.op === 'insert') {
+        const created = await remoteStore.tasks.insert(entry.payload);
+        await adoptRemoteTaskId(entry.taskId, created.id);
+        outbox.setTaskBase(created.id, created.updatedAt);
+        return null;
+    }
+
+    if (entry.table === 'tasks') {
+        const remote = await remoteStore.tasks.get(entry.taskId);
+
+        if (!remote) {
+            return entry.op === 'delete' ? null : { conflict: 'task was deleted remotely' };
+        }
+        const remoteMoved = remote.updatedAt && entry.baseUpdatedAt &&
+            new Date(remote.updatedAt).getTime() !== new Date(entry.baseUpdatedAt).getTime();
+        if (remoteMoved && new Date(remote.updatedAt) > new Date(entry.queuedAt)) {
+            // Queued behind this entry (the outbox is not empty), so it is
+            // replayed in the same flush; awaited so its local copy is written first
+            await logTaskEvent(entry.taskId, null, 'conflict', {
+                op: entry.op,
+                discarded: entry.payload || null,
+                remoteUpdatedAt: remote.updatedAt,
+                localQueuedAt: entry.queuedAt
+            });
+            return { conflict: `remote row changed at ${remote.updatedAt}, local ${entry.op} discarded` };
+        }
+
+        if (entry.op === 'delete') {
+            await remoteStore.tasks.remove(entry.taskId);
+            return null;
+        }
+
+        const updated = await remoteStore.tasks.update(entry.taskId, entry.payload);
+        if (updated) outbox.setTaskBase(entry.taskId, updated.updatedAt);
+        return null;
+    }
+
+    if (entry.table === 'task_events') {
+        await remoteStore.taskEvents.insert({ ...entry.payload, task_id: entry.taskId });
+    } else if (entry.table === 'model_history') {
+        await remoteStore.modelHistory.insert(entry.payload);
+    } else {
+        throw new Error(`Unknown outbox table "${entry.table}"`);
+    }
+    return null;
+}
+
+async function flushOutbox(options) {
+    if (!supabaseReady || outbox.size() === 0) return;
+
+    const { replayed } = await outbox.flush(replayOutboxEntry, options);
+    if (replayed > 0 && outbox.size() === 0) {
+        // Pick up the remote view now that local-only tasks have ids there
+        lastSupabaseSync = 0;
+        await syncTasksFromSupabase();
+        updateWorkQueue();
+    }
+}
+
+// Re-test a lost connection and drain the outbox (with backoff) when it is back
+async function monitorSupabaseConnection() {
+    if (!supabase) return;
+
+    if (!supabaseReady) {
+        supabaseReady = await testSupabaseConnection();
+        if (!supabaseReady) return;
+
+        console.log('✅ Supabase connection restored');
+        setupRealtimeSubscription();
+        await flushOutbox({ force: true });
+        return;
     }
+
+    await flushOutbox();
 }
 
 // ─── Aggregation functions (work from in-memory cache) ──────────────────────
@@ -346,56 +484,53 @@ function getAgentCosts() {
     return { agents: percents, total: totalCost };
 }
 
-// ─── One-time data migration (file → Supabase) ─────────────────────────────
-async function migrateFileDataToSupabase() {
+// ─── One-time data migration (local store → Supabase) ──────────────────────
+async function migrateLocalDataToSupabase() {
     if (!supabaseReady) return;
 
-    // Check if Supabase tasks table is empty
-    const { data: existingTasks } = await supabase.from('tasks').select('id').limit(1);
-
-    if (!existingTasks || existingTasks.length === 0) {
-        // Migrate tasks.json if it has data
-        const fileTasks = loadTasksFromFile();
-        if (fileTasks.length > 0) {
-            console.log(`📦 Migrating ${fileTasks.length} tasks from file to Supabase...`);
-            for (const task of fileTasks) {
-                const { error } = await supabase.from('tasks').insert({
-                    title: task.title,
-                    description: task.description,
-                    status: task.status,
-                    progress: task.progress || 0,
-                    eta: task.eta || 'Migrated',
-                    agent: task.agent || projectInfo.agentName,
-                    machine: os.hostname(),
-                    created_at: task.createdAt || new Date().toISOString()
-                });
-                if (error) console.log('⚠️  Task migration error:', error.message);
+    // Only seed Supabase while its tasks table is empty
+    const existingTasks = await remoteStore.tasks.list({ limit: 1 });
+
+    if (existingTasks.length === 0) {
+        const localTasks = await localStore.tasks.list();
+        if (localTasks.length > 0) {
+            console.log(`📦 Migrating ${localTasks.length} tasks from ${localStore.kind} store to Supabase...`);
+            for (const task of localTasks) {
+                try {
+                    const created = await remoteStore.tasks.insert({
+                        title: task.title,
+                        description: task.description,
+                        status: task.status,
+                        progress: task.progress || 0,
+                        eta: task.eta || 'Migrated',
+                        agent: task.agent || projectInfo.agentName,
+                        machine: task.machine || os.hostname(),
+                        createdAt: task.createdAt || new Date().toISOString()
+                    });
+                    await adoptRemoteTaskId(task.id, created.id);
+                } catch (error) {
+                    console.log('⚠️  Task migration error:', error.message);
+                }
             }
             console.log('✅ Tasks migrated to Supabase');
         }
     }
 
-    // Check if Supabase model_history table is empty
-    const { data: existingHistory } = await supabase.from('model_history').select('id').limit(1);
+    // Same for model history
+    const existingHistory = await remoteStore.modelHistory.list({ limit: 1 });
 
-    if (!existingHistory || existingHistory.length === 0) {
-        // Migrate model-history.json if it has data
-        const fileHistory = loadModelHistoryFromFile();
-        if (fileHistory.length > 0) {
-            console.log(`📦 Migrating ${fileHistory.length} model history entries to Supabase...`);
+    if (existingHistory.length === 0) {
+        const localHistory = await localStore.modelHistory.list();
+        if (localHistory.length > 0) {
+            console.log(`📦 Migrating ${localHistory.length} model history entries to Supabase...`);
 
             // Batch insert in chunks of 50
-            for (let i = 0; i < fileHistory.length; i += 50) {
-                const batch = fileHistory.slice(i, i + 50).map(entry => ({
-                    agent: entry.agent,
-                    model: entry.model,
-                    tokens: entry.tokens,
-                    cost: entry.cost || 0,
-                    created_at: entry.timestamp || new Date().toISOString()
-                }));
-
-                const { error } = await supabase.from('model_history').insert(batch);
-                if (error) console.log('⚠️  Model history migration error:', error.message);
+            for (let i = 0; i < localHistory.length; i += 50) {
+                try {
+                    await remoteStore.modelHistory.insertMany(localHistory.slice(i, i + 50));
+                } catch (error) {
+                    console.log('⚠️  Model history migration error:', error.message);
+                }
             }
             console.log('✅ Model history migrated to Supabase');
         }
@@ -403,8 +538,10 @@ async function migrateFileDataToSupabase() {
 }
 
 // ─── Supabase Realtime Subscription ─────────────────────────────────────────
+let realtimeSubscribed = false;
 function setupRealtimeSubscription() {
-    if (!supabaseReady) return;
+    if (!supabaseReady || realtimeSubscribed) return;
+    realtimeSubscribed = true;
 
     console.log('📡 Setting up Supabase Realtime subscription for tasks...');
 
@@ -414,19 +551,7 @@ function setupRealtimeSubscription() {
             console.log(`📡 Realtime: ${payload.eventType} on tasks table`);
 
             if (payload.eventType === 'INSERT') {
-                const row = payload.new;
-                const task = {
-                    id: row.id,
-                    title: row.title,
-                    description: row.description,
-                    status: row.status,
-                    progress: row.progress,
-                    eta: row.eta,
-                    agent: row.agent,
-                    machine: row.machine,
-                    createdAt: row.created_at,
-                    updatedAt: row.updated_at
-                };
+                const task = normalizeTask(rowToTask(payload.new));
                 // Add to cache if not already there (avoid duplicates from our own inserts)
                 if (!manualTasks.find(t => t.id === task.id)) {
                     manualTasks.unshift(task);
@@ -436,17 +561,8 @@ function setupRealtimeSubscription() {
                 const row = payload.new;
                 const idx = manualTasks.findIndex(t => t.id === row.id);
                 if (idx !== -1) {
-                    manualTasks[idx] = {
-                        ...manualTasks[idx],
-                        title: row.title,
-                        description: row.description,
-                        status: row.status,
-                        progress: row.progress,
-                        eta: row.eta,
-                        agent: row.agent,
-                        machine: row.machine,
-                        updatedAt: row.updated_at
-                    };
+                    // The whole row, so relations and watchdog fields stay in sync too
+                    manualTasks[idx] = { ...manualTasks[idx], ...normalizeTask(rowToTask(row)) };
                     console.log(`📡 Realtime: Updated task "${row.title}" → ${row.status}`);
                 }
             } else if (payload.eventType === 'DELETE') {
@@ -472,17 +588,13 @@ function setupRealtimeSubscription() {
 
 // ─── Agent Session Heartbeat ────────────────────────────────────────────────
 async function sendHeartbeat() {
-    if (!supabaseReady) return;
-
     try {
-        const { error } = await supabase.from('agent_sessions').upsert({
+        await activeStore().agentSessions.upsert({
             agent: projectInfo.agentName,
             machine: os.hostname(),
             status: 'active',
             last_heartbeat: new Date().toISOString()
-        }, { onConflict: 'agent,machine' });
-
-        if (error) console.log('⚠️  Heartbeat error:', error.message);
+        });
     } catch (err) {
         console.log('⚠️  Heartbeat error:', err.message);
     }
@@ -501,6 +613,19 @@ function broadcastAgentActivity() {
         if (elapsed > 5 * 60 * 1000) status = 'stale';
         else if (elapsed > 60 * 1000) status = 'idle';
 
+        if (status === 'stale') {
+            alertManager.raise({
+                key: `heartbeat:${agent}`,
+                source: 'heartbeat',
+                severity: 'warning',
+                title: `${data.name || agent} stopped sending heartbeats`,
+                message: `No heartbeat from ${data.name || agent}${data.machine ? ` on ${data.machine}` : ''} for ${Math.round(elapsed / 60000)} min`,
+                details: { agent, machine: data.machine || null, lastSeen: new Date(data.lastSeen).toISOString() }
+            });
+        } else {
+            alertManager.clear(`heartbeat:${agent}`, 'heartbeat received');
+        }
+
         activity[agent] = {
             name: data.name || agent,
             status,
@@ -525,6 +650,43 @@ if (savedConfig && savedConfig.endpoint) {
     process.env.ANTHROPIC_API_ENDPOINT = savedConfig.endpoint;
     console.log('✅ Loaded custom endpoint from saved config');
 }
+if (savedConfig && savedConfig.baseUrl) {
+    process.env.ANTHROPIC_BASE_URL = savedConfig.baseUrl;
+    console.log('✅ Loaded Admin API base URL from saved config');
+}
+
+// ─── Mock Admin API ─────────────────────────────────────────────────────────
+// ANTHROPIC_API_ENDPOINT=mock (generated data) or mock:<fixtures dir> serves
+// the Admin API from lib/mock-admin-api.js on a local port instead, for demos
+// and reproducing cost bugs offline. Chosen at startup; cost snapshots are
+// kept in memory so mock days never mix with the real cost history.
+const MOCK_ENDPOINT_RE = /^mock(?::(.+))?$/;
+const mockApiMatch = MOCK_ENDPOINT_RE.exec(process.env.ANTHROPIC_API_ENDPOINT || '');
+const mockApi = mockApiMatch ? { fixturesDir: mockApiMatch[1] ? path.resolve(mockApiMatch[1]) : null, url: null } : null;
+const MOCK_API_KEY = 'sk-ant-admin-mock';
+
+async function startMockApi() {
+    if (!mockApi) return;
+    const server = await startMockAdminApi({
+        fixturesDir: mockApi.fixturesDir,
+        keys: () => (agentsConfig.agents || []).map(a => ({ id: a.apiKeyId, name: a.name }))
+    });
+    mockApi.url = `http://127.0.0.1:${server.address().port}`;
+    console.log(`🧪 Mock Admin API (${mockApi.fixturesDir ? 'fixtures: ' + mockApi.fixturesDir : 'generated data'}) on ${mockApi.url}`);
+}
+
+function memoryCostDays() {
+    const days = new Map();
+    return {
+        async upsert(list) {
+            list.forEach(day => days.set(day.date, day));
+            return list;
+        },
+        async list() {
+            return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+        }
+    };
+}
 
 app.use(cors());
 app.use(express.static('public'));
@@ -581,6 +743,11 @@ let tokenMetrics = {
 let rateLimitHitCount = 0;
 let rateLimitBackoffMs = 0;
 
+// Settled days of usage and billed cost, kept in the local store so refreshes
+// only fetch what is still open (lib/cost-history.js)
+const costHistory = createCostHistory({ store: mockApi ? memoryCostDays() : localStore.costDays });
+let todayCostDay = null;   // today's live usage as an open cost-history day
+
 // Real-time agent process detection (maps agent slug → { model, pid, status })
 let agentProcessModels = {};
 
@@ -594,39 +761,42 @@ try {
     }
 } catch (e) { /* ignore */ }
 
-// Token costs (per million tokens) — updated Feb 2026
-// Cache read = 10% of input price (0.1x multiplier)
-const tokenCosts = {
-    'haiku': { input: 1.00, output: 5.00, cacheRead: 0.10 },
-    'sonnet': { input: 3.00, output: 15.00, cacheRead: 0.30 },
-    'opus': { input: 5.00, output: 25.00, cacheRead: 0.50 }
-};
+// ─── Alerting ───────────────────────────────────────────────────────────────
+// Cost threshold, stale heartbeats, OpenClaw down, disk usage and log rules
+// all raise alerts here; see lib/alert-manager.js for dedup / cooldown.
+let alertingSettings = { ...DEFAULT_ALERTING, ...(loadConfig() || {}).alerting };
+
+const alertManager = createAlertManager({
+    file: ALERTS_FILE,
+    mailDir: MAIL_DIR,
+    getSettings: () => alertingSettings,
+    onChange: (alert, event) => broadcast({ type: 'alert', data: { event, alert } })
+});
+alertManager.load();
+
+// Token prices per model id with effective dates (lib/pricing.js)
+const pricingCatalog = createPricingCatalog({ file: PRICING_FILE });
+pricingCatalog.load();
 
 // Usage API returns tokens only - we calculate cost using token pricing for today's live estimate
 // Cost Report API returns actual billed amounts for all-time (24h delay)
 
-// Resolve model name to pricing tier ('haiku', 'sonnet', 'opus')
+// Resolve model name to pricing tier ('haiku', 'sonnet', 'opus'): the tier of
+// its pricing catalog entry, else the current model's
 function resolveModelTier(modelName) {
-    if (modelName) {
-        const name = modelName.toLowerCase();
-        if (name.includes('opus')) return 'opus';
-        if (name.includes('sonnet')) return 'sonnet';
-        if (name.includes('haiku')) return 'haiku';
-    }
+    const tier = modelName ? pricingCatalog.tierOf(modelName) : null;
+    if (tier) return tier;
     if (currentModel && currentModel.badge) return currentModel.badge;
     return 'haiku';
 }
 
-// Calculate cost from separate token counts (cache-aware)
-// Cache read tokens are charged at 10% of input price
-function calculateCost(uncachedInputTokens, outputTokens, modelName, cacheReadTokens = 0) {
-    const tier = resolveModelTier(modelName);
-    const pricing = tokenCosts[tier] || tokenCosts['haiku'];
-
-    const inputCost = (uncachedInputTokens / 1_000_000) * pricing.input;
-    const cacheCost = (cacheReadTokens / 1_000_000) * (pricing.cacheRead || pricing.input * 0.1);
-    const outputCost = (outputTokens / 1_000_000) * pricing.output;
-    return inputCost + cacheCost + outputCost;
+// Cost of one Usage API result row at the prices in effect on `date`
+// (uncached input, cache reads, 5m / 1h cache writes, output; batch discount).
+// Rows without a model the catalog knows (e.g. ungrouped usage) are priced
+// at their tier's model.
+function calculateCost(result, date) {
+    const model = pricingCatalog.entryFor(result.model) ? result.model : resolveModelTier(result.model);
+    return pricingCatalog.estimate({ ...result, model }, date);
 }
 
 // Extract and breakdown tokens/cost by day from API response
@@ -651,12 +821,15 @@ function extractDailyBreakdown(usageData, groupByAgent = false) {
 
             if (bucket.results && Array.isArray(bucket.results)) {
                 bucket.results.forEach(result => {
+                    const date = bucket.starting_at.split('T')[0];
                     const uncachedInput = (result.uncached_input_tokens || 0);
                     const cacheReadInput = (result.cache_read_input_tokens || 0);
-                    const inputTokens = uncachedInput + cacheReadInput;
+                    const cacheWrite5m = result.cache_creation?.ephemeral_5m_input_tokens || 0;
+                    const cacheWrite1h = result.cache_creation?.ephemeral_1h_input_tokens || 0;
+                    const inputTokens = uncachedInput + cacheReadInput + cacheWrite5m + cacheWrite1h;
                     const outputTokens = (result.output_tokens || 0);
                     const dayTokens = inputTokens + outputTokens;
-                    const dayCost = calculateCost(uncachedInput, outputTokens, result.model, cacheReadInput);
+                    const dayCost = calculateCost(result, date);
                     const modelTier = resolveModelTier(result.model);
 
                     totalTokens += dayTokens;
@@ -686,21 +859,23 @@ function extractDailyBreakdown(usageData, groupByAgent = false) {
                             perAgent[keyId].lastActiveTime = bucketTime;
                         }
 
-                        const date = bucket.starting_at.split('T')[0];
                         perAgent[keyId].dailyCosts[date] =
                             (perAgent[keyId].dailyCosts[date] || 0) + dayCost;
                     }
 
                     if (dayTokens > 0) { // Only log days with usage
                         dailyBreakdown.push({
-                            date: bucket.starting_at.split('T')[0],
+                            date,
                             tokens: dayTokens,
                             cost: dayCost,
                             uncached_input: result.uncached_input_tokens || 0,
                             cache_read: result.cache_read_input_tokens || 0,
+                            cache_write_5m: cacheWrite5m,
+                            cache_write_1h: cacheWrite1h,
                             output: result.output_tokens || 0,
                             model: result.model || null,
-                            api_key_id: result.api_key_id || null
+                            api_key_id: result.api_key_id || null,
+                            service_tier: result.service_tier || null
                         });
                     }
                 });
@@ -733,432 +908,189 @@ function extractTokensFromResponse(usageData) {
     return totalTokens;
 }
 
-// Get today's usage (minute-by-minute, updates every minute)
-function fetchTodaysUsage(groupByAgent = false) {
-    return new Promise((resolve) => {
-        const apiKey = getEffectiveApiKey();
-
-        if (!apiKey) {
-            resolve(null);
-            return;
-        }
-
-        try {
-            // Today from 00:00 UTC to 23:59:59 UTC
-            const now = new Date();
-            const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 0, 0, 0));
-            const endOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 23, 59, 59));
-
-            const startingAt = startOfDay.toISOString();
-            const endingAt = endOfDay.toISOString();
-
-            const endpoint = process.env.ANTHROPIC_API_ENDPOINT || 'https://api.anthropic.com/v1/organizations/usage_report/messages';
-            const url = new URL(endpoint);
-            url.searchParams.append('starting_at', startingAt);
-            url.searchParams.append('ending_at', endingAt);
-            url.searchParams.append('bucket_width', '1m');
-            url.searchParams.append('group_by[]', 'model');
-
-            // When agents are configured, also group by api_key_id for per-agent tracking
-            if (groupByAgent) {
-                url.searchParams.append('group_by[]', 'api_key_id');
-                // Filter to only configured agent keys
-                agentsConfig.agents.forEach(a => {
-                    url.searchParams.append('api_key_ids[]', a.apiKeyId);
-                });
-                console.log('📊 Fetching today\'s usage (minute buckets, grouped by model + api_key_id)...');
-            } else {
-                console.log('📊 Fetching today\'s usage (minute buckets, grouped by model)...');
-            }
-
-            const curlCmd = `curl -s -X GET "${url.toString()}" \
-              -H "anthropic-version: 2023-06-01" \
-              -H "x-api-key: ${apiKey}"`;
-
-            exec(curlCmd, (error, stdout, stderr) => {
-                if (error) {
-                    console.log('⚠️  Error fetching today\'s usage:', error.message);
-                    resolve(null);
-                    return;
-                }
-
-                if (!stdout || stdout.length === 0) {
-                    console.log('⚠️  DEBUG: Empty response from today\'s usage API');
-                    resolve(null);
-                    return;
-                }
-
-                try {
-                    const parsed = JSON.parse(stdout);
-                    if (parsed.error && parsed.error.type) {
-                        if (parsed.error.type === 'rate_limit_error') {
-                            console.log('⚠️  Rate limit hit on today\'s usage API');
-                            rateLimitHitCount++;
-                            rateLimitBackoffMs = Math.min(5 * 60 * 1000, 60 * 1000 * rateLimitHitCount);
-                        } else {
-                            console.log('⚠️  API error on today\'s usage:', parsed.error.type, parsed.error.message);
-                        }
-                        resolve(null);
-                        return;
-                    }
-
-                    const usageData = parsed;
+// A failed Admin API call is logged; a rate-limited one also pauses cost
+// refreshes, for as long as retry-after asked or a minute per hit in a row
+// (up to 5 minutes)
+function noteAdminApiError(label, error) {
+    if (error.rateLimited) {
+        console.log(`⚠️  Rate limit hit on ${label}`);
+        rateLimitHitCount++;
+        rateLimitBackoffMs = Math.max(error.retryAfterMs || 0, Math.min(5 * 60 * 1000, 60 * 1000 * rateLimitHitCount));
+    } else {
+        console.log(`⚠️  Error fetching ${label}:`, error.type ? `${error.type} - ${error.message}` : error.message);
+    }
+}
 
-                    console.log('   🔍 Today Raw API Response:', {
-                        hasData: !!usageData.data,
-                        keys: Object.keys(usageData).slice(0, 10),
-                        error: usageData.error,
-                        dataLength: usageData.data?.length
-                    });
+// Names of org API keys from the Admin API key list, for usage from keys that
+// are not agents; fetched again when an unknown key shows up, at most every
+// 10 minutes
+const ORG_KEY_REFRESH_MS = 10 * 60 * 1000;
+let orgKeyNames = new Map();   // apiKeyId → { name, status }
+let orgKeyNamesFetchedAt = 0;
 
-                    const { dailyBreakdown, totalTokens, totalCost: cost, perAgent, perModel, globalCacheRead, globalUncachedInput } = extractDailyBreakdown(usageData, groupByAgent);
+function rememberOrgKeys(keys) {
+    orgKeyNames = new Map(keys.map(k => [k.id, { name: k.name, status: k.status }]));
+    orgKeyNamesFetchedAt = Date.now();
+}
 
-                    if (dailyBreakdown.length > 0) {
-                        console.log('✅ Today\'s usage (minute buckets):', {
-                            totalTokens: totalTokens.toLocaleString(),
-                            cost: cost.toFixed(4),
-                            minutes: dailyBreakdown.length,
-                            agentKeys: groupByAgent ? Object.keys(perAgent).length : 'N/A'
-                        });
-                    } else {
-                        console.log('✅ Today\'s usage: 0 tokens, $0.00 (no usage yet)');
-                    }
+async function resolveOrgKeyNames(apiKeyIds) {
+    const unknown = apiKeyIds.filter(id => id && !orgKeyNames.has(id));
+    if (!unknown.length || Date.now() - orgKeyNamesFetchedAt < ORG_KEY_REFRESH_MS) return;
+    try {
+        rememberOrgKeys((await adminApi.pages(listApiKeys())).flatMap(page => page.data || []));
+    } catch (error) {
+        orgKeyNamesFetchedAt = Date.now();
+        noteAdminApiError('org API keys', error);
+    }
+}
 
-                    resolve({ totalTokens, cost, perAgent, perModel, dailyBreakdown, globalCacheRead, globalUncachedInput });
-                } catch (parseError) {
-                    console.log('⚠️  Error parsing today\'s usage:', parseError.message);
-                    resolve(null);
-                }
-            });
-        } catch (error) {
-            console.log('⚠️  Error setting up today\'s usage request:', error.message);
-            resolve(null);
-        }
+// Usage Report API request grouped by model, and by api_key_id when there are
+// agents. Every org key is included, so spend from keys that are not agents
+// still shows (as unattributed) instead of being filtered out.
+function usageRequest(groupByAgent, range) {
+    return usageReport({
+        ...range,
+        groupBy: groupByAgent ? ['model', 'api_key_id'] : ['model']
     });
 }
 
-// Get all-time costs (token-based calculation with per-model pricing)
-function fetchAllTimeCosts(nextPage = null, groupByAgent = false, accumulatedPerAgent = null, accumulatedPerModel = null, accumulatedBreakdown = null, accumulatedCacheRead = 0, accumulatedUncached = 0) {
-    return new Promise((resolve) => {
-        const apiKey = getEffectiveApiKey();
-
-        if (!apiKey) {
-            resolve(null);
-            return;
-        }
-
-        try {
-            const now = new Date();
-            const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 0, 0, 0));
-            const yesterday = new Date(startOfDay.getTime() - 24 * 60 * 60 * 1000);
-            const endOfYesterday = new Date(yesterday.getTime() + 23 * 60 * 60 * 1000 + 59 * 60 * 1000 + 59 * 1000);
-
-            const startOfYear = new Date(Date.UTC(2026, 0, 1, 0, 0, 0));
-
-            const startingAt = startOfYear.toISOString();
-            const endingAt = endOfYesterday.toISOString();
-
-            const endpoint = process.env.ANTHROPIC_API_ENDPOINT || 'https://api.anthropic.com/v1/organizations/usage_report/messages';
-            const url = new URL(endpoint);
-            url.searchParams.append('starting_at', startingAt);
-            url.searchParams.append('ending_at', endingAt);
-            url.searchParams.append('bucket_width', '1d');
-            url.searchParams.append('limit', '31');
-            url.searchParams.append('group_by[]', 'model');
-
-            // When agents are configured, also group by api_key_id
-            if (groupByAgent) {
-                url.searchParams.append('group_by[]', 'api_key_id');
-                agentsConfig.agents.forEach(a => {
-                    url.searchParams.append('api_key_ids[]', a.apiKeyId);
-                });
-            }
-
-            if (nextPage) {
-                url.searchParams.append('page', nextPage);
-            }
-
-            console.log(`📊 Fetching all-time usage (2026-01-01 through yesterday)${nextPage ? ' (page: ' + nextPage + ')' : ''}${groupByAgent ? ' [per-agent]' : ''}...`);
-            console.log(`   Date range: ${startingAt} to ${endingAt}`);
+// All pages' buckets as one Usage API response
+function mergeUsagePages(pages) {
+    return { data: pages.flatMap(page => page.data || []) };
+}
 
-            const curlCmd = `curl -s -X GET "${url.toString()}" \
-              -H "anthropic-version: 2023-06-01" \
-              -H "x-api-key: ${apiKey}"`;
+// Get today's usage (minute-by-minute, updates every minute)
+async function fetchTodaysUsage(groupByAgent = false) {
+    if (!getEffectiveApiKey()) return null;
 
-            exec(curlCmd, (error, stdout, stderr) => {
-                if (error) {
-                    console.log('⚠️  Error fetching all-time usage:', error.message);
-                    resolve(null);
-                    return;
-                }
+    // Today from 00:00 UTC to 23:59:59 UTC
+    const now = new Date();
+    const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 0, 0, 0));
+    const endOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 23, 59, 59));
 
-                if (!stdout || stdout.length === 0) {
-                    console.log('⚠️  DEBUG: Empty response from all-time usage API');
-                    resolve(null);
-                    return;
-                }
+    console.log(`📊 Fetching today's usage (minute buckets, grouped by model${groupByAgent ? ' + api_key_id' : ''})...`);
 
-                try {
-                    const parsed = JSON.parse(stdout);
-                    if (parsed.error && parsed.error.type) {
-                        if (parsed.error.type === 'rate_limit_error') {
-                            console.log('⚠️  Rate limit hit on all-time usage API');
-                            rateLimitHitCount++;
-                            rateLimitBackoffMs = Math.min(5 * 60 * 1000, 60 * 1000 * rateLimitHitCount);
-                        } else {
-                            console.log('⚠️  API error on all-time usage:', parsed.error.type, parsed.error.message);
-                        }
-                        resolve(null);
-                        return;
-                    }
+    let usageData;
+    try {
+        usageData = mergeUsagePages(await adminApi.pages(usageRequest(groupByAgent, {
+            startingAt: startOfDay,
+            endingAt: endOfDay,
+            bucketWidth: '1m',
+            limit: 1440
+        })));
+    } catch (error) {
+        noteAdminApiError('today\'s usage', error);
+        return null;
+    }
 
-                    const usageData = parsed;
+    const { dailyBreakdown, totalTokens, totalCost: cost, perAgent, perModel, globalCacheRead, globalUncachedInput } = extractDailyBreakdown(usageData, groupByAgent);
 
-                    console.log('   🔍 Raw API Response:', {
-                        hasData: !!usageData.data,
-                        keys: Object.keys(usageData).slice(0, 10),
-                        error: usageData.error,
-                        message: usageData.message,
-                        dataLength: usageData.data?.length
-                    });
+    if (dailyBreakdown.length > 0) {
+        console.log('✅ Today\'s usage (minute buckets):', {
+            totalTokens: totalTokens.toLocaleString(),
+            cost: cost.toFixed(4),
+            minutes: dailyBreakdown.length,
+            agentKeys: groupByAgent ? Object.keys(perAgent).length : 'N/A'
+        });
+    } else {
+        console.log('✅ Today\'s usage: 0 tokens, $0.00 (no usage yet)');
+    }
 
-                    const { dailyBreakdown, totalTokens: pageTokens, totalCost: pageCost, perAgent: pagePerAgent, perModel: pagePerModel, globalCacheRead: pageCacheRead, globalUncachedInput: pageUncached } = extractDailyBreakdown(usageData, groupByAgent);
+    return { totalTokens, cost, perAgent, perModel, dailyBreakdown, globalCacheRead, globalUncachedInput };
+}
 
-                    // Merge per-agent data across pages
-                    const mergedPerAgent = accumulatedPerAgent || {};
-                    if (groupByAgent) {
-                        Object.entries(pagePerAgent).forEach(([keyId, data]) => {
-                            if (!mergedPerAgent[keyId]) {
-                                mergedPerAgent[keyId] = { tokens: 0, cost: 0, dailyCosts: {}, modelTokens: {}, cacheRead: 0, uncachedInput: 0, lastActiveModel: null, lastActiveTime: null };
-                            }
-                            mergedPerAgent[keyId].tokens += data.tokens;
-                            mergedPerAgent[keyId].cost += data.cost;
-                            mergedPerAgent[keyId].cacheRead += (data.cacheRead || 0);
-                            mergedPerAgent[keyId].uncachedInput += (data.uncachedInput || 0);
-                            Object.entries(data.dailyCosts).forEach(([date, cost]) => {
-                                mergedPerAgent[keyId].dailyCosts[date] =
-                                    (mergedPerAgent[keyId].dailyCosts[date] || 0) + cost;
-                            });
-                            // Merge modelTokens across pages
-                            Object.entries(data.modelTokens || {}).forEach(([model, tokens]) => {
-                                mergedPerAgent[keyId].modelTokens[model] =
-                                    (mergedPerAgent[keyId].modelTokens[model] || 0) + tokens;
-                            });
-                            // Merge lastActiveModel (keep most recent)
-                            if (data.lastActiveTime && (!mergedPerAgent[keyId].lastActiveTime || data.lastActiveTime > mergedPerAgent[keyId].lastActiveTime)) {
-                                mergedPerAgent[keyId].lastActiveModel = data.lastActiveModel;
-                                mergedPerAgent[keyId].lastActiveTime = data.lastActiveTime;
-                            }
-                        });
-                    }
+// Get all-time costs (token-based calculation with per-model pricing)
+// fromDate (YYYY-MM-DD) narrows the range to days the cost history still needs
+async function fetchAllTimeCosts(groupByAgent = false, fromDate = null) {
+    if (!getEffectiveApiKey()) return null;
 
-                    // Merge per-model data across pages
-                    const mergedPerModel = accumulatedPerModel || {};
-                    Object.entries(pagePerModel).forEach(([model, tokens]) => {
-                        mergedPerModel[model] = (mergedPerModel[model] || 0) + tokens;
-                    });
+    const now = new Date();
+    const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 0, 0, 0));
+    const endOfYesterday = new Date(startOfDay.getTime() - 1000);
+    const startOfRange = new Date(`${fromDate || HISTORY_START}T00:00:00Z`);
 
-                    // Accumulate dailyBreakdown and cache totals across pages
-                    const mergedBreakdown = [...(accumulatedBreakdown || []), ...dailyBreakdown];
-                    const mergedCacheRead = accumulatedCacheRead + (pageCacheRead || 0);
-                    const mergedUncached = accumulatedUncached + (pageUncached || 0);
+    console.log(`📊 Fetching all-time usage (${startOfRange.toISOString().slice(0, 10)} through yesterday)${groupByAgent ? ' [per-agent]' : ''}...`);
 
-                    console.log(`   API returned ${usageData.data?.length || 0} buckets`);
+    let pages;
+    try {
+        pages = await adminApi.pages(usageRequest(groupByAgent, {
+            startingAt: startOfRange,
+            endingAt: endOfYesterday,
+            bucketWidth: '1d',
+            limit: 31
+        }));
+    } catch (error) {
+        noteAdminApiError('all-time usage', error);
+        return null;
+    }
 
-                    if (dailyBreakdown.length > 0) {
-                        console.log('\n   📊 Daily Breakdown:');
-                        console.log('   ─────────────────────────────────────────────────────────');
-                        console.log('   Date       │  Tokens  │  Cost  │ Uncached │ Cached │ Output');
-                        console.log('   ─────────────────────────────────────────────────────────');
+    const { dailyBreakdown, totalTokens, totalCost: cost, perAgent, perModel, globalCacheRead, globalUncachedInput } = extractDailyBreakdown(mergeUsagePages(pages), groupByAgent);
 
-                        dailyBreakdown.forEach(day => {
-                            const tokenStr = day.tokens.toString().padEnd(8);
-                            const costStr = `$${day.cost.toFixed(2)}`.padEnd(7);
-                            const uncachedStr = day.uncached_input.toString().padEnd(8);
-                            const cachedStr = day.cache_read.toString().padEnd(7);
-                            const outputStr = day.output.toString();
+    if (dailyBreakdown.length > 0) {
+        console.log('\n   📊 Daily Breakdown:');
+        console.log('   ─────────────────────────────────────────────────────────');
+        console.log('   Date       │  Tokens  │  Cost  │ Uncached │ Cached │ Output');
+        console.log('   ─────────────────────────────────────────────────────────');
 
-                            console.log(`   ${day.date} │ ${tokenStr}│ ${costStr}│ ${uncachedStr}│ ${cachedStr}│ ${outputStr}`);
-                        });
-                        console.log('   ─────────────────────────────────────────────────────────');
-                        console.log(`   Page Total: ${pageTokens.toLocaleString()} tokens = $${pageCost.toFixed(2)}\n`);
-                    }
+        dailyBreakdown.forEach(day => {
+            const tokenStr = day.tokens.toString().padEnd(8);
+            const costStr = `$${day.cost.toFixed(2)}`.padEnd(7);
+            const uncachedStr = day.uncached_input.toString().padEnd(8);
+            const cachedStr = day.cache_read.toString().padEnd(7);
+            const outputStr = day.output.toString();
 
-                    if (usageData.has_more && usageData.next_page) {
-                        console.log(`📄 Paginating all-time usage (next_page: ${usageData.next_page})...`);
-                        fetchAllTimeCosts(usageData.next_page, groupByAgent, mergedPerAgent, mergedPerModel, mergedBreakdown, mergedCacheRead, mergedUncached).then((nextPageData) => {
-                            if (nextPageData) {
-                                const totalTokens = pageTokens + nextPageData.totalTokens;
-                                const cost = pageCost + nextPageData.cost;
-
-                                console.log('✅ All-time usage (complete):', {
-                                    tokens: totalTokens.toLocaleString(),
-                                    cost: cost.toFixed(2),
-                                    pages: 'multiple'
-                                });
-
-                                resolve({
-                                    totalTokens, cost,
-                                    perAgent: nextPageData.perAgent || mergedPerAgent,
-                                    perModel: nextPageData.perModel || mergedPerModel,
-                                    dailyBreakdown: nextPageData.dailyBreakdown || mergedBreakdown,
-                                    globalCacheRead: nextPageData.globalCacheRead || mergedCacheRead,
-                                    globalUncachedInput: nextPageData.globalUncachedInput || mergedUncached
-                                });
-                            }
-                        });
-                    } else {
-                        console.log('✅ All-time usage:', {
-                            tokens: pageTokens.toLocaleString(),
-                            cost: pageCost.toFixed(2),
-                            days: dailyBreakdown.length,
-                            hasMore: usageData.has_more,
-                            agentKeys: groupByAgent ? Object.keys(mergedPerAgent).length : 'N/A'
-                        });
+            console.log(`   ${day.date} │ ${tokenStr}│ ${costStr}│ ${uncachedStr}│ ${cachedStr}│ ${outputStr}`);
+        });
+        console.log('   ─────────────────────────────────────────────────────────\n');
+    }
 
-                        resolve({
-                            totalTokens: pageTokens, cost: pageCost,
-                            perAgent: mergedPerAgent, perModel: mergedPerModel,
-                            dailyBreakdown: mergedBreakdown,
-                            globalCacheRead: mergedCacheRead,
-                            globalUncachedInput: mergedUncached
-                        });
-                    }
-                } catch (parseError) {
-                    console.log('⚠️  Error parsing all-time usage:', parseError.message);
-                    console.log('   Raw response:', stdout.substring(0, 500));
-                    resolve(null);
-                }
-            });
-        } catch (error) {
-            console.log('⚠️  Error setting up all-time usage request:', error.message);
-            resolve(null);
-        }
+    console.log('✅ All-time usage:', {
+        tokens: totalTokens.toLocaleString(),
+        cost: cost.toFixed(2),
+        days: dailyBreakdown.length,
+        pages: pages.length,
+        agentKeys: groupByAgent ? Object.keys(perAgent).length : 'N/A'
     });
+
+    return { totalTokens, cost, perAgent, perModel, dailyBreakdown, globalCacheRead, globalUncachedInput };
 }
 
 // ─── Cost Report API (actual billed amounts) ────────────────────────────────
 // Returns real USD costs from Anthropic's billing system (24h delay)
 // Amount is in cents (divide by 100 for dollars)
-function fetchAllTimeCostAPI(nextPage = null, accumulatedCost = 0, accumulatedDailyBreakdown = []) {
-    return new Promise((resolve) => {
-        const apiKey = getEffectiveApiKey();
-
-        if (!apiKey) {
-            resolve(null);
-            return;
-        }
-
-        try {
-            const now = new Date();
-            const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 0, 0, 0));
-            // Cost API has ~24h delay, so fetch through yesterday
-            const yesterday = new Date(startOfDay.getTime() - 24 * 60 * 60 * 1000);
-            const endOfYesterday = new Date(yesterday.getTime() + 23 * 60 * 60 * 1000 + 59 * 60 * 1000 + 59 * 1000);
-
-            const startOfYear = new Date(Date.UTC(2026, 0, 1, 0, 0, 0));
-
-            const startingAt = startOfYear.toISOString();
-            const endingAt = endOfYesterday.toISOString();
-
-            // Use the Cost Report API endpoint (not Usage Report)
-            const url = new URL('https://api.anthropic.com/v1/organizations/cost_report');
-            url.searchParams.append('starting_at', startingAt);
-            url.searchParams.append('ending_at', endingAt);
-            url.searchParams.append('bucket_width', '1d');
-            url.searchParams.append('limit', '31');
-
-            if (nextPage) {
-                url.searchParams.append('page', nextPage);
-            }
+async function fetchAllTimeCostAPI(fromDate = null) {
+    if (!getEffectiveApiKey()) return null;
 
-            console.log(`💵 Fetching ACTUAL costs from Cost Report API${nextPage ? ' (page: ' + nextPage + ')' : ''}...`);
-            console.log(`   Date range: ${startingAt} to ${endingAt}`);
+    const now = new Date();
+    const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 0, 0, 0));
+    // Cost API has ~24h delay, so fetch through yesterday
+    const endOfYesterday = new Date(startOfDay.getTime() - 1000);
+    const startOfRange = new Date(`${fromDate || HISTORY_START}T00:00:00Z`);
 
-            const curlCmd = `curl -s -X GET "${url.toString()}" \
-              -H "anthropic-version: 2023-06-01" \
-              -H "x-api-key: ${apiKey}"`;
-
-            exec(curlCmd, (error, stdout, stderr) => {
-                if (error) {
-                    console.log('⚠️  Error fetching Cost Report API:', error.message);
-                    resolve(null);
-                    return;
-                }
-
-                if (!stdout || stdout.length === 0) {
-                    console.log('⚠️  Empty response from Cost Report API');
-                    resolve(null);
-                    return;
-                }
-
-                try {
-                    const parsed = JSON.parse(stdout);
-                    if (parsed.error && parsed.error.type) {
-                        if (parsed.error.type === 'rate_limit_error') {
-                            console.log('⚠️  Rate limit hit on Cost Report API');
-                            rateLimitHitCount++;
-                            rateLimitBackoffMs = Math.min(5 * 60 * 1000, 60 * 1000 * rateLimitHitCount);
-                        } else {
-                            console.log('⚠️  Cost Report API error:', parsed.error.type, parsed.error.message);
-                        }
-                        resolve(null);
-                        return;
-                    }
+    console.log(`💵 Fetching ACTUAL costs from Cost Report API (${startOfRange.toISOString().slice(0, 10)} through yesterday)...`);
 
-                    // Parse cost data — amount is in cents (decimal string)
-                    let pageCost = 0;
-                    const pageDailyBreakdown = [];
-
-                    if (parsed.data && Array.isArray(parsed.data)) {
-                        parsed.data.forEach(bucket => {
-                            if (bucket.results && Array.isArray(bucket.results)) {
-                                let dayCostCents = 0;
-                                bucket.results.forEach(result => {
-                                    const amountCents = parseFloat(result.amount) || 0;
-                                    dayCostCents += amountCents;
-                                });
-                                const dayCostDollars = dayCostCents / 100;
-                                pageCost += dayCostDollars;
-
-                                if (dayCostDollars > 0) {
-                                    pageDailyBreakdown.push({
-                                        date: bucket.starting_at.split('T')[0],
-                                        cost: dayCostDollars
-                                    });
-                                }
-                            }
-                        });
-                    }
+    let pages;
+    try {
+        pages = await adminApi.pages(costReport({ startingAt: startOfRange, endingAt: endOfYesterday, limit: 31 }));
+    } catch (error) {
+        noteAdminApiError('Cost Report API', error);
+        return null;
+    }
 
-                    console.log(`   Cost Report API page: $${pageCost.toFixed(2)} across ${pageDailyBreakdown.length} days`);
-
-                    // Accumulate across pages
-                    const totalCost = accumulatedCost + pageCost;
-                    const allDailyBreakdown = [...accumulatedDailyBreakdown, ...pageDailyBreakdown];
-
-                    // Handle pagination
-                    if (parsed.has_more && parsed.next_page) {
-                        console.log(`📄 Paginating Cost Report API (next_page: ${parsed.next_page})...`);
-                        fetchAllTimeCostAPI(parsed.next_page, totalCost, allDailyBreakdown).then(resolve);
-                    } else {
-                        console.log(`✅ Cost Report API TOTAL (actual billed): $${totalCost.toFixed(2)}`);
-                        resolve({
-                            actualCost: totalCost,
-                            dailyBreakdown: allDailyBreakdown
-                        });
-                    }
-                } catch (parseError) {
-                    console.log('⚠️  Error parsing Cost Report API response:', parseError.message);
-                    console.log('   Raw response:', stdout.substring(0, 500));
-                    resolve(null);
-                }
-            });
-        } catch (error) {
-            console.log('⚠️  Error setting up Cost Report API request:', error.message);
-            resolve(null);
+    // Parse cost data — amount is in cents (decimal string)
+    let actualCost = 0;
+    const dailyBreakdown = [];
+    pages.flatMap(page => page.data || []).forEach(bucket => {
+        const dayCostCents = (bucket.results || []).reduce((sum, result) => sum + (parseFloat(result.amount) || 0), 0);
+        const dayCostDollars = dayCostCents / 100;
+        actualCost += dayCostDollars;
+        if (dayCostDollars > 0) {
+            dailyBreakdown.push({ date: bucket.starting_at.split('T')[0], cost: dayCostDollars });
         }
     });
+
+    console.log(`✅ Cost Report API TOTAL (actual billed): $${actualCost.toFixed(2)} across ${dailyBreakdown.length} days (${pages.length} page(s))`);
+    return { actualCost, dailyBreakdown };
 }
 
 // ─── Project & Agent Detection ──────────────────────────────────────────────
@@ -1422,7 +1354,11 @@ wss.on('connection', (ws) => {
       currentModel,
       backupMetrics,
       projectInfo,
-      liveLogs,
+      liveLogs: logTailer.buffer.last(LIVE_LOG_BACKFILL).reverse(),
+      lastLogSeq: logTailer.lastSeq,
+      logSources: logSources.sources,
+      alerts: alertManager.list(),
+      budgetDirectives: directiveAudit.latest(),
       multiAgentLogs,
       tokenMetrics,
       modelUsagePercents: getModelUsagePercents(),
@@ -1486,11 +1422,29 @@ async function updateSystemMetrics() {
     };
 
     broadcast({ type: 'systemMetrics', data: systemMetrics });
+    checkDiskAlert(disk[0]);
   } catch (error) {
     console.error('Error getting system metrics:', error);
   }
 }
 
+function checkDiskAlert(fsInfo) {
+  if (!fsInfo) return;
+  const percent = fsInfo.use;
+  if (percent < alertingSettings.diskWarnPercent) {
+    alertManager.clear('disk-usage', `disk at ${percent.toFixed(1)}%`);
+    return;
+  }
+  alertManager.raise({
+    key: 'disk-usage',
+    source: 'disk',
+    severity: percent >= alertingSettings.diskCriticalPercent ? 'critical' : 'warning',
+    title: `Disk ${fsInfo.mount || ''} is ${Math.floor(percent)}% full`,
+    message: `${(fsInfo.used / 1024 ** 3).toFixed(1)} of ${Math.round(fsInfo.size / 1024 ** 3)} GB used on ${fsInfo.mount || fsInfo.fs}`,
+    details: { mount: fsInfo.mount || null, percent }
+  });
+}
+
 // ─── Git Logs ───────────────────────────────────────────────────────────────
 function updateGitLogs() {
   exec('git log --oneline -20 --pretty=format:"%h %s" --since="1 week ago"',
@@ -1583,6 +1537,18 @@ function checkOpenClawStatus() {
 
         console.log(`✅ OpenClaw status: ${processCount} processes, CPU: ${cpuUsage}%, Memory: ${memUsage}%, Gateway: ${gatewayRunning ? 'running' : 'stopped'}`);
 
+        if (openclawStatus === 'inactive') {
+          alertManager.raise({
+            key: 'openclaw-inactive',
+            source: 'openclaw',
+            severity: 'critical',
+            title: 'OpenClaw is not running',
+            message: `No OpenClaw or gateway processes found on ${os.hostname()}`
+          });
+        } else {
+          alertManager.clear('openclaw-inactive', `${processCount} processes running`);
+        }
+
         broadcast({ type: 'openclawStatus', data: openclawStats });
       });
     });
@@ -1593,7 +1559,7 @@ function checkOpenClawStatus() {
 
 // Broadcast work queue from in-memory cache (used by Realtime handler)
 function updateWorkQueueFromCache() {
-    workQueue = [...manualTasks];
+    workQueue = decorateTasks(manualTasks);
     if (workQueue.length === 0) {
         workQueue = getDefaultWorkQueue();
     }
@@ -1627,7 +1593,7 @@ function updateWorkQueue() {
     }
 
       // Combine Supabase tasks with cron jobs
-      workQueue = [...manualTasks, ...cronTasks];
+      workQueue = [...decorateTasks(manualTasks), ...cronTasks];
 
       if (workQueue.length === 0) {
         workQueue = getDefaultWorkQueue();
@@ -1655,6 +1621,7 @@ function getDefaultWorkQueue() {
 let lastSupabaseSync = 0;
 async function syncTasksFromSupabase() {
     if (!supabaseReady) return;
+    if (outbox.size() > 0) return; // Local-only tasks would vanish until the outbox drains
     if (Date.now() - lastSupabaseSync < 30000) return; // Max once per 30s
 
     try {
@@ -1668,6 +1635,13 @@ async function syncTasksFromSupabase() {
 }
 
 // ─── Token Metrics ──────────────────────────────────────────────────────────
+// All-time usage from the cost history, shaped like fetchAllTimeCosts() results
+function historicalUsage(groupByAgent) {
+  if (!costHistory.hasUsage()) return null;
+  const { totalCost, ...usage } = extractDailyBreakdown(costHistory.usageBuckets(), groupByAgent);
+  return { ...usage, cost: totalCost };
+}
+
 async function updateTokenMetrics() {
   if (rateLimitBackoffMs > 0) {
     console.log(`⏸️  Rate limit backoff active - waiting ${Math.ceil(rateLimitBackoffMs / 1000)}s before next API call`);
@@ -1683,13 +1657,29 @@ async function updateTokenMetrics() {
   // 1. Today's live usage (Usage Report API, minute granularity) - for live estimate
   // 2. All-time usage breakdown (Usage Report API) - for per-agent/model breakdowns
   // 3. All-time ACTUAL cost (Cost Report API) - for real billed amount
-  const [todaysData, allTimeCosts, costApiData] = await Promise.all([
+  // Settled days of 2 and 3 come from the cost history; only open days are fetched.
+  const usageScope = hasAgents ? 'api_key_id' : 'org';
+  const usageFrom = costHistory.firstOpenDay('usage', usageScope);
+  const billedFrom = costHistory.firstOpenDay('billed');
+  const [todaysData, fetchedUsage, fetchedBilled] = await Promise.all([
     fetchTodaysUsage(hasAgents),
-    fetchAllTimeCosts(null, hasAgents),
-    fetchAllTimeCostAPI()
+    usageFrom ? fetchAllTimeCosts(hasAgents, usageFrom) : null,
+    billedFrom ? fetchAllTimeCostAPI(billedFrom) : null
   ]);
 
+  try {
+    if (fetchedUsage) await costHistory.recordUsage(fetchedUsage.dailyBreakdown, { from: usageFrom, scope: usageScope });
+    if (fetchedBilled) await costHistory.recordBilled(fetchedBilled.dailyBreakdown, { from: billedFrom });
+  } catch (err) {
+    console.log(`⚠️  Error saving cost history (${localStore.kind} store):`, err.message);
+  }
+  if (!usageFrom && !billedFrom) console.log('📚 Cost history is settled through yesterday; fetched today only');
+
+  const allTimeCosts = historicalUsage(hasAgents);
+  const costApiData = costHistory.hasBilled() ? costHistory.billedTotals() : null;
+
   if (todaysData) {
+    todayCostDay = openDay(new Date().toISOString().slice(0, 10), todaysData.dailyBreakdown);
     tokenMetrics.today = {
       tokens: todaysData.totalTokens,
       cost: todaysData.cost
@@ -1803,6 +1793,7 @@ async function updateTokenMetrics() {
       }
       agentBreakdown[slug] = {
         name: agent.name,
+        apiKeyId: keyId,
         color: agent.color || AGENT_CONFIG[slug]?.color || '#007acc',
         today: todayAgentData?.cost || 0,
         allTimeEstimated: (allTimeAgentData?.cost || 0) + (todayAgentData?.cost || 0),
@@ -1821,12 +1812,23 @@ async function updateTokenMetrics() {
       };
     });
 
+    // Spend from org keys that are not agents, named from the org key list
+    const usageRows = [...(allTimeCosts?.dailyBreakdown || []), ...(todaysData?.dailyBreakdown || [])];
+    await resolveOrgKeyNames([...new Set(usageRows.map(row => row.api_key_id))].filter(id => !apiKeyIdToAgent.has(id)));
+    const unattributed = summarizeUnattributed(usageRows, {
+      agentKeyIds: agentsConfig.agents.map(a => a.apiKeyId),
+      keyNames: orgKeyNames,
+      tierOf: resolveModelTier,
+      today: new Date().toISOString().slice(0, 10)
+    });
+    unattributed.allTimeEstimated = unattributed.cost;
+
     // Proportional allocation: split Cost API actual total by each agent's Usage API share
     // This gives per-agent "actual" costs even though Cost API doesn't support group_by api_key_id
-    const usageApiOrgTotal = Object.values(agentBreakdown).reduce((s, d) => s + d.allTimeEstimated, 0);
+    const usageApiOrgTotal = Object.values(agentBreakdown).reduce((s, d) => s + d.allTimeEstimated, 0) + unattributed.cost;
     const costApiActualTotal = costApiData?.actualCost || null;
 
-    Object.values(agentBreakdown).forEach(agent => {
+    [...Object.values(agentBreakdown), unattributed].forEach(agent => {
       if (costApiActualTotal !== null && usageApiOrgTotal > 0) {
         const proportion = agent.allTimeEstimated / usageApiOrgTotal;
         agent.allTimeActual = proportion * costApiActualTotal;
@@ -1840,9 +1842,13 @@ async function updateTokenMetrics() {
     });
 
     tokenMetrics.perAgent = agentBreakdown;
+    tokenMetrics.unattributed = unattributed;
     console.log('👥 Per-agent costs:', Object.entries(agentBreakdown).map(([slug, d]) =>
       `${d.name}: today=$${d.today.toFixed(4)}, allTime=$${d.allTime.toFixed(2)} (${d.allTimeSource}), est=$${d.estimatedDaily.toFixed(2)}/d, model=${d.currentModel || 'unknown'}(${d.modelSource || 'none'})${d.processRunning ? '🟢' : ''}`
     ).join(', '));
+    if (unattributed.keys.length) {
+      console.log(`   ❔ Unattributed: $${unattributed.allTime.toFixed(2)} from ${unattributed.keys.length} key(s) not mapped to agents`);
+    }
     if (costApiActualTotal !== null) {
       console.log(`   💵 Proportional allocation: Cost API total=$${costApiActualTotal.toFixed(2)}, Usage API total=$${usageApiOrgTotal.toFixed(2)}`);
     }
@@ -1915,28 +1921,36 @@ async function updateTokenMetrics() {
     ? prior7.reduce((sum, d) => sum + d.cost, 0) / prior7.length
     : 0;
 
-  // Month-to-date cost and projection
-  const nowDate = new Date();
-  const monthStart = `${nowDate.getUTCFullYear()}-${String(nowDate.getUTCMonth() + 1).padStart(2, '0')}-01`;
-  const mtdCost = sortedDays
-    .filter(d => d.date >= monthStart)
-    .reduce((sum, d) => sum + d.cost, 0);
-  const dayOfMonth = nowDate.getUTCDate();
-  const daysInMonth = new Date(nowDate.getUTCFullYear(), nowDate.getUTCMonth() + 1, 0).getUTCDate();
-  const daysRemaining = daysInMonth - dayOfMonth;
-  const projectedMonthly = mtdCost + (avgDaily7 * daysRemaining);
   const weekOverWeek = avgPrior7 > 0
     ? ((avgDaily7 - avgPrior7) / avgPrior7) * 100
     : 0;
 
-  tokenMetrics.projectedMonthly = projectedMonthly;
+  // Month-end forecast (lib/forecast.js) from completed days plus today's live
+  // figure; per-agent forecasts use each agent's token-priced daily costs
+  const today = new Date().toISOString().slice(0, 10);
+  forecastInputs = {
+    history: sortedDays.filter(d => d.date < today),
+    todayCost: dailyCostMap[today] || 0,
+    agents: hasAgents ? Object.entries(tokenMetrics.perAgent || {}).map(([slug, agent]) => ({
+      slug,
+      name: agent.name,
+      history: Object.entries(allTimeCosts?.perAgent?.[agent.apiKeyId]?.dailyCosts || {})
+        .map(([date, cost]) => ({ date, cost })),
+      todayCost: agent.today
+    })) : []
+  };
+
   tokenMetrics.weekOverWeek = weekOverWeek;
-  tokenMetrics.mtdCost = mtdCost;
   tokenMetrics.avgDaily7 = avgDaily7;
   tokenMetrics.costAlertThreshold = costAlertThreshold;
-  tokenMetrics.thresholdExceeded = costAlertThreshold && projectedMonthly > costAlertThreshold;
+  updateForecast();
 
-  console.log(`📈 Cost projection: MTD=$${mtdCost.toFixed(2)}, avg7d=$${avgDaily7.toFixed(2)}/d, projected=$${projectedMonthly.toFixed(2)}/mo, WoW=${weekOverWeek.toFixed(1)}%${tokenMetrics.thresholdExceeded ? ' ⚠️ THRESHOLD EXCEEDED' : ''}`);
+  // Budgets: per-row spend (date, model tier, API key) from both Usage API fetches
+  budgetUsageRows = [...(allTimeCosts?.dailyBreakdown || []), ...(todaysData?.dailyBreakdown || [])]
+    .map(row => ({ date: row.date, cost: row.cost, model: resolveModelTier(row.model), apiKeyId: row.api_key_id }));
+  updateBudgetStatus();
+
+  console.log(`📈 Cost projection: MTD=$${tokenMetrics.mtdCost.toFixed(2)}, avg7d=$${avgDaily7.toFixed(2)}/d, projected=$${tokenMetrics.projectedMonthly.toFixed(2)}/mo (80% $${tokenMetrics.forecast.low.toFixed(2)}–$${tokenMetrics.forecast.high.toFixed(2)}), WoW=${weekOverWeek.toFixed(1)}%${tokenMetrics.thresholdExceeded ? ' ⚠️ THRESHOLD EXCEEDED' : ''}`);
 
   if (todaysData && (allTimeCosts || costApiData)) {
     rateLimitHitCount = 0;
@@ -1960,73 +1974,279 @@ async function updateTokenMetrics() {
   broadcast({ type: 'tokenMetrics', data: tokenMetrics });
 }
 
-// ─── Live Logs ──────────────────────────────────────────────────────────────
-let liveLogs = [];
-let multiAgentLogs = {};
+// Projected spend over the threshold warns; month-to-date spend over it is critical
+function checkCostAlert() {
+  if (!tokenMetrics.thresholdExceeded) {
+    alertManager.clear('cost-threshold', costAlertThreshold ? 'projection back under threshold' : 'threshold cleared');
+    return;
+  }
+  const overAlready = tokenMetrics.mtdCost > costAlertThreshold;
+  const crossing = tokenMetrics.forecast && tokenMetrics.forecast.crossing;
+  alertManager.raise({
+    key: 'cost-threshold',
+    source: 'cost',
+    severity: overAlready ? 'critical' : 'warning',
+    title: overAlready ? 'Monthly cost threshold exceeded' : 'Projected monthly cost over threshold',
+    message: `Projected $${tokenMetrics.projectedMonthly.toFixed(2)} this month (MTD $${(tokenMetrics.mtdCost || 0).toFixed(2)}) against a $${costAlertThreshold} threshold` +
+      (crossing && !crossing.already && crossing.expected ? `, expected to be crossed on ${crossing.expected}` : ''),
+    details: { projectedMonthly: tokenMetrics.projectedMonthly, mtdCost: tokenMetrics.mtdCost, threshold: costAlertThreshold, crossing }
+  });
+}
 
-function updateLiveLogs() {
-  const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000);
+// ─── Forecast ───────────────────────────────────────────────────────────────
+// Month-end spend forecast with an 80% band (lib/forecast.js). Inputs are kept
+// from the last cost refresh so a threshold change re-forecasts without
+// fetching again.
+let forecastInputs = { history: [], todayCost: 0, agents: [] };
+
+function buildForecast(threshold) {
+  const forecast = forecastMonth({ ...forecastInputs, threshold });
+  forecast.agents = forecastInputs.agents.map(agent => {
+    const { point, low, high, mtd, days } = forecastMonth(agent);
+    return { slug: agent.slug, name: agent.name, point, low, high, mtd, days };
+  }).sort((a, b) => b.point - a.point);
+  return forecast;
+}
 
-  exec('tail -100 /Users/openclaw/.openclaw/logs/gateway.log 2>/dev/null || tail -100 /tmp/openclaw/openclaw-*.log 2>/dev/null || echo ""',
-    (error, stdout, stderr) => {
-      if (stdout && stdout.trim()) {
-        liveLogs = stdout.split('\n')
-          .filter(line => line.trim())
-          .map((line, index) => {
-            let level = 'info';
-            if (line.includes('ERROR') || line.includes('error')) level = 'error';
-            else if (line.includes('WARN') || line.includes('warn')) level = 'warning';
-            else if (line.includes('DEBUG') || line.includes('debug')) level = 'debug';
-
-            let agent = 'unknown';
-            const agentMatch = line.match(/\[(\w+)\]/);
-            if (agentMatch) {
-              const possibleAgent = agentMatch[1].toLowerCase();
-              if (AGENT_CONFIG[possibleAgent]) {
-                agent = possibleAgent;
-              }
-            }
+function updateForecast() {
+  const forecast = buildForecast(costAlertThreshold);
+  tokenMetrics.forecast = forecast;
+  tokenMetrics.mtdCost = forecast.mtd;
+  tokenMetrics.projectedMonthly = forecast.point;
+  tokenMetrics.thresholdExceeded = costAlertThreshold && forecast.point > costAlertThreshold;
+  checkCostAlert();
+}
 
-            const isoMatch = line.match(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z/);
-            let logTime = new Date();
-            if (isoMatch) {
-              logTime = new Date(isoMatch[0]);
-            }
+// ─── Budgets ────────────────────────────────────────────────────────────────
+// Soft / hard limits per agent, model tier and period (lib/budgets.js)
+let budgets = validateBudgets((loadConfig() || {}).budgets || []).value;
+let budgetUsageRows = [];
+const PERIOD_LABELS = { daily: 'today', weekly: 'this week', monthly: 'this month' };
 
-            return {
-              level,
-              message: line,
-              timestamp: logTime.toISOString(),
-              agent,
-              logTime
-            };
-          })
-          .filter(log => log.logTime >= tenMinutesAgo)
-          .reverse()
-          .slice(0, 20);
-
-        if (liveLogs.length === 0) {
-          liveLogs = [{
-            level: 'info',
-            message: 'No activity in the last 10 minutes - all agents resting',
-            timestamp: new Date().toISOString(),
-            agent: 'system'
-          }];
-        }
+function agentNameForKey(apiKeyId) {
+  const agent = (agentsConfig.agents || []).find(a => a.apiKeyId === apiKeyId);
+  return agent ? agent.name : apiKeyId;
+}
 
-        multiAgentLogs = {};
-        liveLogs.forEach(log => {
-          if (!multiAgentLogs[log.agent]) {
-            multiAgentLogs[log.agent] = [];
-          }
-          multiAgentLogs[log.agent].push(log);
-        });
+function updateBudgetStatus() {
+  tokenMetrics.budgets = evaluateBudgets(budgets, budgetUsageRows).map(status => ({
+    ...status,
+    agentName: status.agent ? agentNameForKey(status.agent) : null
+  }));
+
+  tokenMetrics.budgets.forEach(status => {
+    if (status.state === 'ok') {
+      alertManager.clear(`budget:${status.id}`, `spend back under the limit for ${status.periodStart}`);
+      return;
+    }
+    const hard = status.state === 'hard';
+    const limit = hard ? status.hardLimit : status.softLimit;
+    alertManager.raise({
+      key: `budget:${status.id}`,
+      source: 'budget',
+      severity: hard ? 'critical' : 'warning',
+      title: `Budget "${status.name}" ${hard ? 'hard' : 'soft'} limit reached`,
+      message: `$${status.spent.toFixed(2)} of $${limit.toFixed(2)} spent ${PERIOD_LABELS[status.period]} (since ${status.periodStart})`,
+      details: { budget: status.id, agent: status.agent, model: status.model, period: status.period, spent: status.spent, limit }
+    });
+  });
+  // Budgets that were removed or disabled can't stay in alert
+  alertManager.list()
+    .filter(a => a.key.startsWith('budget:') && !tokenMetrics.budgets.some(b => `budget:${b.id}` === a.key))
+    .forEach(a => alertManager.clear(a.key, 'budget removed'));
+
+  refreshDirectives();
+}
+
+// ─── Budget directives ──────────────────────────────────────────────────────
+// What agents over budget should do (switch model / pause), per agent policy
+// (lib/budget-directives.js). Every directive issued is audited.
+let directivePolicies = validateDirectivePolicies((loadConfig() || {}).directivePolicies || []).value;
+const directiveAudit = createDirectiveAudit({ file: DIRECTIVE_AUDIT_FILE });
+directiveAudit.load();
+
+// The tier an agent runs on: what it just reported, else its last heartbeat,
+// else the running process
+function agentModelTier(slug, reported = null) {
+  const model = reported || agentHeartbeats[slug]?.model || agentProcessModels[slug]?.model;
+  return model ? resolveModelTier(model) : null;
+}
+
+function computeDirective(name, model = null) {
+  const slug = agentSlug(name);
+  const configured = (agentsConfig.agents || []).find(a => agentSlug(a.slug || a.name) === slug);
+  return decideDirective({
+    agent: { slug, apiKeyId: configured ? configured.apiKeyId : null },
+    statuses: tokenMetrics.budgets || [],
+    policy: policyFor(directivePolicies, slug),
+    pricing: pricingCatalog.tierPrices(new Date().toISOString().slice(0, 10)),
+    currentTier: agentModelTier(slug, model)
+  });
+}
+
+function recordDirective(slug, directive, via) {
+  const { entry, changed } = directiveAudit.record(slug, directive, via);
+  const issued = { agent: slug, ...directive, issuedAt: entry.issuedAt, auditId: entry.id };
+  if (changed) broadcast({ type: 'budgetDirective', data: issued });
+  return issued;
+}
+
+// Hand an agent its directive (poll / heartbeat)
+function issueDirective(name, { via, model = null }) {
+  return recordDirective(agentSlug(name), computeDirective(name, model), via);
+}
+
+// Push directives that changed to every known agent over WebSocket
+function refreshDirectives() {
+  const slugs = new Set([
+    ...(agentsConfig.agents || []).map(a => agentSlug(a.slug || a.name)),
+    ...Object.keys(agentHeartbeats)
+  ]);
+  slugs.forEach(slug => {
+    const directive = computeDirective(slug);
+    const previous = directiveAudit.last(slug);
+    const unchanged = previous
+      ? previous.action === directive.action && previous.model === directive.model
+      : directive.action === 'continue';
+    if (!unchanged) recordDirective(slug, directive, 'websocket');
+  });
+}
+
+// ─── Live Logs ──────────────────────────────────────────────────────────────
+let multiAgentLogs = {};
+
+// Gateway log lines → structured entries; agent names are only trusted when
+// they match a configured agent
+const logParser = createLogParser({
+  formats: loadFormatFile(LOG_FORMATS_FILE),
+  resolveAgent: name => {
+    const slug = agentSlug(name);
+    return AGENT_CONFIG[slug] ? slug : null;
+  }
+});
+
+// Files to follow, per agent and per machine (config/log-sources.json).
+// Only files under LOG_DIRS (':'-separated) are read, never the dashboard's own files.
+const logSources = createLogSourceStore({
+  file: LOG_SOURCES_FILE,
+  hostname: os.hostname(),
+  logDirs: process.env.LOG_DIRS ? process.env.LOG_DIRS.split(path.delimiter).filter(Boolean) : DEFAULT_LOG_DIRS,
+  deniedDirs: [CONFIG_DIR, __dirname]
+});
+logSources.load();
+
+const LIVE_LOG_BACKFILL = 200;  // entries sent to a client on connect
+const LOG_RETENTION_DAYS = Number(process.env.LOG_RETENTION_DAYS) || 14;
+
+// Searchable history behind /api/logs, kept in the local store
+const logArchive = createLogArchive({ store: localStore.logs });
+
+// Follows the gateway logs by offset and pushes only new entries to clients
+// as `logDelta`; clients that missed some backfill from /api/logs/tail.
+const logTailer = createLogTailer({
+  getSources: () => logSources.tailTargets(),
+  parser: logParser,
+  allowPath: filePath => logSources.allowsPath(filePath),
+  bufferSize: 2000,
+  onEntries: entries => {
+    logArchive.add(entries);
+    runLogAlerts(entries);
+    broadcast({ type: 'logDelta', data: { entries, lastSeq: logTailer.lastSeq } });
+    updateMultiAgentLogs();
+  }
+});
 
-        console.log('📋 Live logs updated:', liveLogs.length, 'entries (filtered to last 10 min)');
-        broadcast({ type: 'liveLogs', data: liveLogs });
-        broadcast({ type: 'multiAgentLogs', data: multiAgentLogs });
+// Per-agent view of the last 10 minutes (newest first, 20 per agent)
+function updateMultiAgentLogs() {
+  const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
+  multiAgentLogs = {};
+  logTailer.buffer.last(logTailer.buffer.capacity)
+    .filter(log => log.timestamp && new Date(log.timestamp).getTime() >= tenMinutesAgo)
+    .reverse()
+    .forEach(log => {
+      if (!multiAgentLogs[log.agent]) {
+        multiAgentLogs[log.agent] = [];
       }
+      if (multiAgentLogs[log.agent].length < 20) multiAgentLogs[log.agent].push(log);
+    });
+  broadcast({ type: 'multiAgentLogs', data: multiAgentLogs });
+}
+
+// ─── Log Alert Rules ────────────────────────────────────────────────────────
+// Rules from config/log-alerts.json, checked against every new entry
+const logAlertRules = createLogAlertRuleStore({ file: LOG_ALERTS_FILE });
+logAlertRules.load();
+const logAlertEngine = createLogAlertEngine();
+
+function runLogAlerts(entries) {
+  logAlertEngine.evaluate(logAlertRules.rules, entries).forEach(({ rule, count, samples }) => {
+    const latest = samples[samples.length - 1];
+    const reason = rule.count > 1
+      ? `${count} matching lines in ${rule.windowMinutes} min`
+      : latest.message.split('\n')[0].slice(0, 200);
+    const alert = {
+      ruleId: rule.id,
+      name: rule.name,
+      reason,
+      count,
+      agent: rule.agent || (latest.agent !== 'unknown' ? latest.agent : null),
+      samples: samples.map(entry => ({ timestamp: entry.timestamp, level: entry.level, agent: entry.agent, message: entry.message })),
+      taskId: null,
+      timestamp: new Date().toISOString()
+    };
+    console.log(`🚨 Log alert "${rule.name}": ${reason}`);
+    alertManager.raise({
+      key: `log:${rule.id}`,
+      source: 'logs',
+      severity: latest.level === 'error' ? 'critical' : 'warning',
+      title: `Log alert: ${rule.name}`,
+      message: reason,
+      details: { rule: rule.id, agent: alert.agent, samples: alert.samples }
     });
+
+    if (!rule.createTask) {
+      broadcast({ type: 'logAlert', data: alert });
+      return;
+    }
+    openLogAlertTask(rule, alert)
+      .then(task => { alert.taskId = task ? task.id : null; })
+      .catch(err => console.log(`⚠️  Log alert task for "${rule.name}" failed:`, err.message))
+      .finally(() => broadcast({ type: 'logAlert', data: alert }));
+  });
+}
+
+// One open ERROR task per rule: while the last one is unresolved, repeats only alert
+async function openLogAlertTask(rule, alert) {
+  const title = `Log alert: ${rule.name}`;
+  const open = manualTasks.find(t => t.title === title && normalizeStatus(t.status) === 'ERROR');
+  if (open) return open;
+
+  const lines = alert.samples.map(s => `[${s.timestamp || '--'}] ${s.level.toUpperCase()} ${s.agent}: ${s.message}`);
+  return createTask({
+    title,
+    description: `${alert.reason}\n\n${lines.join('\n')}`,
+    status: 'ERROR',
+    agent: alert.agent || undefined,
+    eta: 'Log alert'
+  });
+}
+
+async function flushLogArchive() {
+  try {
+    await logArchive.flush();
+  } catch (err) {
+    console.log('⚠️  Log archive write error:', err.message);
+  }
+}
+
+async function pruneLogArchive() {
+  try {
+    const before = new Date(Date.now() - LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const removed = await localStore.logs.prune(before);
+    if (removed) console.log(`🧹 Pruned log archive (older than ${LOG_RETENTION_DAYS} days)`);
+  } catch (err) {
+    console.log('⚠️  Log archive prune error:', err.message);
+  }
 }
 
 // ─── Periodic updates ───────────────────────────────────────────────────────
@@ -2035,11 +2255,14 @@ setInterval(updateGitLogs, 30000);
 setInterval(updateFileTree, 60000);
 setInterval(checkOpenClawStatus, 10000);
 setInterval(updateWorkQueue, 5000);
-setInterval(updateLiveLogs, 3000);
+setInterval(flushLogArchive, 5000);  // Archive settled log entries
+setInterval(pruneLogArchive, 6 * 60 * 60 * 1000);  // Enforce LOG_RETENTION_DAYS
 setInterval(updateTokenMetrics, 5 * 60 * 1000);
 setInterval(sendHeartbeat, 30000);  // Agent heartbeat every 30s
 setInterval(syncTasksFromSupabase, 30000);  // Safety sync from Supabase every 30s
 setInterval(broadcastAgentActivity, 30000);  // Periodic stale check for agent heartbeats
+setInterval(monitorSupabaseConnection, 30000);  // Reconnect + outbox replay
+setInterval(runStuckTaskWatchdog, 60000);  // Flag idle tasks / silent agents as STUCK
 
 // ─── File watcher ───────────────────────────────────────────────────────────
 const watcher = chokidar.watch('.', {
@@ -2090,7 +2313,7 @@ app.post('/api/backup/metrics', (req, res) => {
 
 // Configure Anthropic API endpoint
 app.post('/api/anthropic/configure', (req, res) => {
-  const { apiKey, endpoint } = req.body;
+  const { apiKey, endpoint, baseUrl } = req.body;
 
   const configToSave = {};
 
@@ -2100,10 +2323,23 @@ app.post('/api/anthropic/configure', (req, res) => {
     console.log('✅ Anthropic API key updated');
   }
 
+  // Switching the mock Admin API on or off is saved but takes a restart
+  const restartRequired = !!endpoint && MOCK_ENDPOINT_RE.test(endpoint) !== !!mockApi;
   if (endpoint) {
-    process.env.ANTHROPIC_API_ENDPOINT = endpoint;
+    if (!restartRequired) process.env.ANTHROPIC_API_ENDPOINT = endpoint;
     configToSave.endpoint = endpoint;
-    console.log('✅ Anthropic API endpoint updated to:', endpoint);
+    console.log(`✅ Anthropic API endpoint updated to: ${endpoint}${restartRequired ? ' (applies after a restart)' : ''}`);
+  }
+
+  if (baseUrl) {
+    try {
+      new URL(baseUrl);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: 'Invalid baseUrl' });
+    }
+    process.env.ANTHROPIC_BASE_URL = baseUrl;
+    configToSave.baseUrl = baseUrl;
+    console.log('✅ Admin API base URL updated to:', baseUrl);
   }
 
   if (Object.keys(configToSave).length > 0) {
@@ -2126,8 +2362,10 @@ app.post('/api/anthropic/configure', (req, res) => {
 
   res.json({
     success: true,
+    restartRequired,
     config: {
       endpoint: process.env.ANTHROPIC_API_ENDPOINT || 'https://api.anthropic.com/v1/organizations/usage_report/messages',
+      baseUrl: process.env.ANTHROPIC_BASE_URL || DEFAULT_BASE_URL,
       apiKeySet: isConfigured
     }
   });
@@ -2139,6 +2377,7 @@ app.get('/api/anthropic/config', (req, res) => {
 
   res.json({
     endpoint: process.env.ANTHROPIC_API_ENDPOINT || 'https://api.anthropic.com/v1/usage',
+    baseUrl: process.env.ANTHROPIC_BASE_URL || DEFAULT_BASE_URL,
     apiKeySet: isConfigured
   });
 });
@@ -2178,7 +2417,7 @@ app.post('/api/agents/configure', (req, res) => {
     if (agents && Array.isArray(agents)) {
         agentsConfig.agents = agents.map(a => ({
             name: a.name,
-            slug: (a.slug || a.name.toLowerCase()).replace(/[^a-z0-9]/g, ''),
+            slug: agentSlug(a.slug || a.name),
             apiKeyId: a.apiKeyId,
             color: a.color || DEFAULT_AGENT_CONFIG[a.name?.toLowerCase()]?.color || '#007acc',
             addedAt: a.addedAt || new Date().toISOString()
@@ -2219,7 +2458,7 @@ app.post('/api/agents/add', (req, res) => {
         return res.status(409).json({ error: 'Agent with this API key ID already exists' });
     }
 
-    const slug = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const slug = agentSlug(name);
     const agent = {
         name,
         slug,
@@ -2259,228 +2498,435 @@ app.post('/api/agents/remove', (req, res) => {
 });
 
 // Lookup org API keys via Anthropic Admin API
-app.get('/api/agents/list-org-keys', (req, res) => {
+app.get('/api/agents/list-org-keys', async (req, res) => {
     const adminKey = agentsConfig.adminApiKey;
     if (!adminKey) {
         return res.status(400).json({ error: 'Admin API key not configured' });
     }
 
-    exec(`curl -s -X GET "https://api.anthropic.com/v1/organizations/api_keys" \
-        -H "anthropic-version: 2023-06-01" \
-        -H "x-api-key: ${adminKey}"`, (error, stdout) => {
-        if (error) {
-            return res.status(500).json({ error: 'Failed to fetch org keys' });
-        }
-        try {
-            const data = JSON.parse(stdout);
-            if (data.error) {
-                return res.status(400).json({ error: data.error.message || 'API error' });
-            }
-            // Return only ID and name (never expose full key values)
-            const keys = (data.data || []).map(k => ({
-                id: k.id,
-                name: k.name,
-                status: k.status,
-                created_at: k.created_at
-            }));
-            res.json({ success: true, keys });
-        } catch (e) {
-            res.status(500).json({ error: 'Failed to parse response' });
+    try {
+        const pages = await adminApi.pages(listApiKeys(), { key: adminKey });
+        // Return only ID and name (never expose full key values)
+        const keys = pages.flatMap(page => page.data || []).map(k => ({
+            id: k.id,
+            name: k.name,
+            status: k.status,
+            created_at: k.created_at
+        }));
+        rememberOrgKeys(keys);
+        res.json({ success: true, keys });
+    } catch (error) {
+        if (error.status) {
+            return res.status(400).json({ error: error.message || 'API error' });
         }
-    });
+        res.status(500).json({ error: 'Failed to fetch org keys' });
+    }
 });
 
-// ─── Task Management API (Supabase-backed) ──────────────────────────────────
+// Spend from org keys that are not agents, per key (refreshed with the cost
+// metrics); assign a key with POST /api/agents/add
+app.get('/api/agents/unattributed', (req, res) => {
+    res.json({ success: true, data: tokenMetrics.unattributed || null });
+});
 
-app.post('/api/tasks/add', async (req, res) => {
-  const { title, description, status, agent } = req.body;
+// ─── Task Management API ────────────────────────────────────────────────────
 
-  if (!title || !description || !status) {
-    return res.status(400).json({ error: 'Missing required fields: title, description, status' });
+// Insert or replace a task in the in-memory cache (newest first)
+function cacheTask(task) {
+  task = normalizeTask(task);
+  const idx = manualTasks.findIndex(t => t.id == task.id);
+  if (idx !== -1) {
+    manualTasks[idx] = task;
+  } else {
+    manualTasks.unshift(task);
   }
+}
 
-  const taskAgent = agent || projectInfo.agentName;
-  const taskMachine = os.hostname();
+// Consistent error body for the task API: { success: false, error, details? }
+function sendTaskError(res, status, error, details) {
+  res.status(status).json(details ? { success: false, error, details } : { success: false, error });
+}
+
+async function findTask(id) {
+  const cached = manualTasks.find(t => t.id == id);
+  if (cached) return cached;
+  return normalizeTask(await activeStore().tasks.get(id).catch(() => null));
+}
 
-  if (supabaseReady) {
+// Create a task in Supabase, or the local store + outbox when offline
+async function createTask(fields) {
+  const taskAgent = fields.agent || projectInfo.agentName;
+  const taskMachine = fields.machine || os.hostname();
+  const upperStatus = normalizeStatus(fields.status);
+  const isActive = ['IN_PROGRESS', 'ACTIVE'].includes(upperStatus);
+  const isComplete = upperStatus === 'COMPLETE';
+  const progress = fields.progress !== undefined ? fields.progress : (upperStatus === 'IN_PROGRESS' ? 50 : 0);
+  // Only sent when used, so Supabase tables without the relation columns keep working
+  const relations = {};
+  if (fields.parentId != null) relations.parentId = fields.parentId;
+  if (fields.dependsOn && fields.dependsOn.length) relations.dependsOn = fields.dependsOn;
+
+  if (supabaseWritable()) {
     try {
-      const isActive = ['IN_PROGRESS', 'ACTIVE'].includes(status.toUpperCase());
-      const { data, error } = await supabase.from('tasks').insert({
-        title,
-        description,
-        status: status.toUpperCase(),
-        progress: status.toUpperCase() === 'IN_PROGRESS' ? 50 : 0,
-        eta: 'Agent-generated',
+      const newTask = await remoteStore.tasks.insert({
+        title: fields.title,
+        description: fields.description,
+        status: upperStatus,
+        progress,
+        eta: fields.eta || 'Agent-generated',
         agent: taskAgent,
         machine: taskMachine,
-        started_at: isActive ? new Date().toISOString() : null
-      }).select().single();
-
-      if (error) throw error;
-
-      const newTask = {
-        id: data.id,
-        title: data.title,
-        description: data.description,
-        status: data.status,
-        progress: data.progress,
-        eta: data.eta,
-        agent: data.agent,
-        machine: data.machine,
-        createdAt: data.created_at,
-        updatedAt: data.updated_at,
-        startedAt: data.started_at,
-        completedAt: data.completed_at
-      };
+        startedAt: isActive ? new Date().toISOString() : null,
+        completedAt: isComplete ? new Date().toISOString() : null,
+        ...relations
+      });
 
       manualTasks.unshift(newTask);
-      console.log(`✅ Task added to Supabase: "${title}" by ${taskAgent}@${taskMachine}`);
+      console.log(`✅ Task added to Supabase: "${fields.title}" by ${taskAgent}@${taskMachine}`);
 
       // Log audit event
-      logTaskEvent(data.id, taskAgent, 'created', { title, status: data.status });
+      logTaskEvent(newTask.id, taskAgent, 'created', { title: fields.title, status: newTask.status });
 
       updateWorkQueue();
-      return res.json({ success: true, task: newTask });
+      return newTask;
     } catch (err) {
-      console.log('⚠️  Supabase task insert error, falling back to memory:', err.message);
+      console.log('⚠️  Supabase task insert error, falling back to local store:', err.message);
     }
   }
 
-  // Fallback: in-memory only
-  const newTask = {
-    id: Date.now(),
-    title,
-    description,
-    status: status.toUpperCase(),
-    progress: status.toUpperCase() === 'IN_PROGRESS' ? 50 : 0,
-    eta: 'Agent-generated',
+  // Fallback: local store (JSON files or SQLite)
+  const now = new Date().toISOString();
+  const newTask = await localStore.tasks.insert({
+    title: fields.title,
+    description: fields.description,
+    status: upperStatus,
+    progress,
+    eta: fields.eta || 'Agent-generated',
     agent: taskAgent,
     machine: taskMachine,
-    createdAt: new Date().toISOString()
-  };
+    createdAt: now,
+    updatedAt: now,
+    startedAt: isActive ? now : null,
+    completedAt: isComplete ? now : null,
+    ...relations
+  });
 
-  manualTasks.unshift(newTask);
-  console.log('✅ Task added (in-memory):', title);
-  updateWorkQueue();
+  cacheTask(newTask);
+  console.log(`✅ Task added (${localStore.kind} store):`, fields.title);
 
-  res.json({ success: true, task: newTask });
-});
+  const { id: localId, updatedAt, ...payload } = newTask;
+  queueSupabaseWrite({ table: 'tasks', op: 'insert', taskId: localId, payload });
+  logTaskEvent(newTask.id, taskAgent, 'created', { title: fields.title, status: newTask.status });
 
-app.post('/api/tasks/update/:id', async (req, res) => {
-  const { id } = req.params;
-  const { title, description, status, progress } = req.body;
+  updateWorkQueue();
+  return newTask;
+}
 
-  if (supabaseReady) {
-    try {
-      const updates = {};
-      if (title) updates.title = title;
-      if (description) updates.description = description;
-      if (status) updates.status = status.toUpperCase();
-      if (progress !== undefined) updates.progress = progress;
-
-      // Feature 11: Track started_at / completed_at on status transitions
-      if (status) {
-        const upper = status.toUpperCase();
-        if (['ACTIVE', 'IN_PROGRESS'].includes(upper)) {
-          updates.started_at = new Date().toISOString();
-        }
-        if (['COMPLETE', 'DONE'].includes(upper)) {
-          updates.completed_at = new Date().toISOString();
-        }
-      }
+// Apply validated changes to a task. Returns the updated task, or null if it does not exist.
+// The audit event defaults to 'updated' with the changed columns and, when the
+// caller knows the task's previous state, the values they replaced.
+async function updateTask(id, fields, { eventType = 'updated', eventDetails = null, actor = null, previous = null } = {}) {
+  const now = new Date().toISOString();
+  const changes = { ...fields };
+  const details = () => eventDetails || {
+    changes: taskToRow(changes),
+    ...(previous ? { previous: taskToRow(pickFields(previous, Object.keys(fields))) } : {})
+  };
+
+  // A watchdog reason only describes the STUCK state it was set with
+  const cached = manualTasks.find(t => t.id == id);
+  if (changes.status && changes.status !== 'STUCK' && cached && cached.stuckReason) {
+    changes.stuckReason = null;
+  }
 
-      const { data, error } = await supabase
-        .from('tasks')
-        .update(updates)
-        .eq('id', id)
-        .select()
-        .single();
+  // Feature 11: Track started_at / completed_at on status transitions
+  if (changes.status) {
+    if (['ACTIVE', 'IN_PROGRESS'].includes(changes.status)) {
+      changes.startedAt = now;
+      changes.completedAt = null; // reopened
+    }
+    if (changes.status === 'COMPLETE') changes.completedAt = now;
+  }
 
-      if (error) throw error;
+  if (supabaseWritable()) {
+    try {
+      const task = await remoteStore.tasks.update(id, changes);
+      if (!task) return null;
 
       // Update in-memory cache
-      const idx = manualTasks.findIndex(t => t.id == id);
-      if (idx !== -1) {
-        if (title) manualTasks[idx].title = title;
-        if (description) manualTasks[idx].description = description;
-        if (status) manualTasks[idx].status = status.toUpperCase();
-        if (progress !== undefined) manualTasks[idx].progress = progress;
-        manualTasks[idx].updatedAt = data.updated_at;
-        if (data.started_at) manualTasks[idx].startedAt = data.started_at;
-        if (data.completed_at) manualTasks[idx].completedAt = data.completed_at;
-      }
+      cacheTask(task);
 
       console.log(`✅ Task updated in Supabase: ${id}`);
 
       // Log audit event
-      logTaskEvent(parseInt(id), null, 'updated', { changes: updates });
+      logTaskEvent(task.id, actor, eventType, details());
 
       updateWorkQueue();
-      return res.json({ success: true, task: data });
+      return task;
     } catch (err) {
       console.log('⚠️  Supabase task update error:', err.message);
     }
   }
 
-  // Fallback: in-memory
-  const task = manualTasks.find(t => t.id == id);
-  if (!task) {
-    return res.status(404).json({ error: 'Task not found' });
-  }
-
-  if (title) task.title = title;
-  if (description) task.description = description;
-  if (status) task.status = status.toUpperCase();
-  if (progress !== undefined) task.progress = progress;
+  // Fallback: local store (JSON files or SQLite)
+  const stored = await localStore.tasks.get(id).catch(() => null);
+  const existing = stored || manualTasks.find(t => t.id == id);
+  if (!existing) return null;
+
+  // Tasks that so far only lived in Supabase get a full local copy
+  const task = stored
+    ? await localStore.tasks.update(id, { ...changes, updatedAt: now })
+    : await localStore.tasks.insert({ ...existing, ...changes, updatedAt: now });
+
+  cacheTask(task);
+  console.log(`✅ Task updated (${localStore.kind} store):`, id);
+
+  queueSupabaseWrite({
+    table: 'tasks',
+    op: 'update',
+    taskId: task.id,
+    baseUpdatedAt: existing.updatedAt || null,
+    payload: changes
+  });
+  logTaskEvent(task.id, actor, eventType, details());
 
-  console.log('✅ Task updated (in-memory):', id);
   updateWorkQueue();
+  return task;
+}
 
-  res.json({ success: true, task });
-});
+function pickFields(task, keys) {
+  const picked = {};
+  keys.forEach(key => {
+    if (task[key] !== undefined) picked[key] = task[key];
+  });
+  return picked;
+}
 
-app.post('/api/tasks/delete/:id', async (req, res) => {
-  const { id } = req.params;
+// Returns the removed task, or null if it does not exist
+async function deleteTask(id, actor = null) {
+  let deletionLogged = false;
 
-  if (supabaseReady) {
+  if (supabaseWritable()) {
     try {
       // Log audit event before deletion
-      logTaskEvent(parseInt(id), null, 'deleted', {});
-
-      const { error } = await supabase
-        .from('tasks')
-        .delete()
-        .eq('id', id);
+      logTaskEvent(parseInt(id), actor, 'deleted', {});
+      deletionLogged = true;
 
-      if (error) throw error;
+      let removed = await remoteStore.tasks.remove(id);
 
       const idx = manualTasks.findIndex(t => t.id == id);
-      let removed = null;
       if (idx !== -1) {
         removed = manualTasks.splice(idx, 1)[0];
       }
 
       console.log(`✅ Task deleted from Supabase: ${id}`);
       updateWorkQueue();
-      return res.json({ success: true, removed });
+      return removed;
     } catch (err) {
       console.log('⚠️  Supabase task delete error:', err.message);
     }
   }
 
-  // Fallback: in-memory
+  // Fallback: local store (JSON files or SQLite)
+  let removed = await localStore.tasks.remove(id);
+
   const index = manualTasks.findIndex(t => t.id == id);
-  if (index === -1) {
-    return res.status(404).json({ error: 'Task not found' });
+  if (index !== -1) {
+    removed = manualTasks.splice(index, 1)[0];
   }
 
-  const removed = manualTasks.splice(index, 1);
-  console.log('✅ Task deleted (in-memory):', id);
+  if (!removed) return null;
+
+  console.log(`✅ Task deleted (${localStore.kind} store):`, id);
+
+  if (!deletionLogged) logTaskEvent(removed.id, actor, 'deleted', {});
+  queueSupabaseWrite({ table: 'tasks', op: 'delete', taskId: removed.id });
+
   updateWorkQueue();
+  return removed;
+}
+
+// Block working tasks whose dependencies are unfinished and release them once
+// the blockers complete. Runs after every task write; these system moves are
+// not subject to the transitions table.
+async function applyDependencyRules() {
+  for (const { id, changes, event, details } of planDependencyUpdates(manualTasks)) {
+    try {
+      await updateTask(id, changes, event ? { eventType: event, eventDetails: details } : {});
+      if (event) console.log(`🔗 Task ${id} ${event}${changes.blockedBy ? ` by ${changes.blockedBy.join(', ')}` : ''}`);
+    } catch (err) {
+      console.log(`⚠️  Dependency update for task ${id} failed:`, err.message);
+    }
+  }
+}
+
+// ─── Stuck-task watchdog ────────────────────────────────────────────────────
+let watchdogSettings = { ...DEFAULT_WATCHDOG, ...(loadConfig() || {}).stuckWatchdog };
+
+// Move working tasks with no recent update (or a silent agent) to STUCK and
+// alert the dashboard. Like dependency blocking, this bypasses the transitions table.
+async function runStuckTaskWatchdog() {
+  for (const { id, reason, details } of findStuckTasks(manualTasks, agentHeartbeats, watchdogSettings)) {
+    try {
+      const task = await updateTask(id, { status: 'STUCK', stuckReason: reason }, {
+        eventType: 'stuck',
+        eventDetails: { reason, ...details },
+        actor: 'watchdog'
+      });
+      if (!task) continue;
+
+      console.log(`⏱️  Task ${id} marked STUCK: ${reason}`);
+      broadcast({
+        type: 'taskAlert',
+        data: { taskId: task.id, title: task.title, agent: task.agent || null, reason, rule: details.rule, timestamp: new Date().toISOString() }
+      });
+    } catch (err) {
+      console.log(`⚠️  Watchdog update for task ${id} failed:`, err.message);
+    }
+  }
+}
+
+// ─── Route handlers (shared by /api/tasks and the legacy POST aliases) ──────
+
+// Who made a change, for the audit log: the X-Agent header, else the task's own agent
+function requestActor(req, task) {
+  return req.get('X-Agent') || (task && task.agent) || null;
+}
+
+async function handleCreateTask(req, res) {
+  const { value, errors } = validateTaskInput(req.body, { ignoreUnknown: req.legacyTaskRoute });
+  if (!errors.length) errors.push(...validateRelations(manualTasks, null, value));
+  if (errors.length) {
+    return sendTaskError(res, 400, 'Invalid task', errors);
+  }
+
+  try {
+    const created = await createTask(value);
+    await applyDependencyRules();
+    const task = manualTasks.find(t => t.id == created.id) || created;
+    res.status(req.path === '/api/tasks' ? 201 : 200).json({ success: true, task });
+  } catch (err) {
+    console.log(`⚠️  ${localStore.kind} store write error:`, err.message);
+    sendTaskError(res, 500, 'Failed to persist task');
+  }
+}
+
+async function handleUpdateTask(req, res) {
+  const { value, errors } = validateTaskInput(req.body, { partial: true, ignoreUnknown: req.legacyTaskRoute });
+  if (errors.length) {
+    return sendTaskError(res, 400, 'Invalid task update', errors);
+  }
+
+  const existing = await findTask(req.params.id);
+  if (!existing) return sendTaskError(res, 404, 'Task not found');
+
+  if (value.parentId !== undefined || value.dependsOn) {
+    const relationErrors = validateRelations(manualTasks, existing.id, value);
+    if (relationErrors.length) {
+      return sendTaskError(res, 400, 'Invalid task update', relationErrors);
+    }
+  }
+
+  if (value.status) {
+    if (!statusMachine.canTransition(existing.status, value.status)) {
+      const allowed = statusMachine.allowedFrom(existing.status);
+      return sendTaskError(res, 409, `Illegal status transition ${normalizeStatus(existing.status)} → ${value.status}`, [
+        `allowed from ${normalizeStatus(existing.status)}: ${allowed.length ? allowed.join(', ') : 'none'}`
+      ]);
+    }
+
+    // A task can't be worked on while its dependencies are unfinished
+    const blockers = blockersOf({ ...existing, ...value }, indexById(manualTasks));
+    const starting = ['ACTIVE', 'IN_PROGRESS'].includes(value.status) && normalizeStatus(existing.status) !== value.status;
+    if (blockers.length && starting) {
+      return sendTaskError(res, 409, 'Task is blocked by unfinished dependencies', [
+        `waiting on: ${blockers.join(', ')}`
+      ]);
+    }
+  }
+
+  try {
+    const updated = await updateTask(req.params.id, value, {
+      actor: requestActor(req, existing),
+      previous: existing
+    });
+    if (!updated) return sendTaskError(res, 404, 'Task not found');
+    await applyDependencyRules();
+    const task = manualTasks.find(t => t.id == updated.id) || updated;
+    res.json({ success: true, task });
+  } catch (err) {
+    console.log(`⚠️  ${localStore.kind} store write error:`, err.message);
+    sendTaskError(res, 500, 'Failed to persist task update');
+  }
+}
+
+async function handleDeleteTask(req, res) {
+  try {
+    const existing = await findTask(req.params.id);
+    const removed = await deleteTask(req.params.id, requestActor(req, existing));
+    if (!removed) return sendTaskError(res, 404, 'Task not found');
+    await applyDependencyRules();
+    res.json({ success: true, removed });
+  } catch (err) {
+    console.log(`⚠️  ${localStore.kind} store write error:`, err.message);
+    sendTaskError(res, 500, 'Failed to persist task deletion');
+  }
+}
 
-  res.json({ success: true, removed: removed[0] });
+// GET /api/tasks?status=ACTIVE,STUCK&agent=atlas&machine=&createdAfter=&createdBefore=
+//     &updatedAfter=&updatedBefore=&sort=-createdAt&limit=50&cursor=
+app.get('/api/tasks', (req, res) => {
+  const { value, errors } = parseListQuery(req.query);
+  if (errors.length) {
+    return sendTaskError(res, 400, 'Invalid query', errors);
+  }
+
+  const { data, total, nextCursor } = queryTasks(decorateTasks(manualTasks), value);
+  res.json({ success: true, data, total, nextCursor });
+});
+
+app.post('/api/tasks', handleCreateTask);
+
+// Task ids are numeric, which keeps /api/tasks/events and friends routable
+app.get('/api/tasks/:id(\\d+)', async (req, res) => {
+  const task = await findTask(req.params.id);
+  if (!task) return sendTaskError(res, 404, 'Task not found');
+  const decorated = decorateTasks(manualTasks).find(t => t.id == task.id) || task;
+  res.json({ success: true, task: decorated });
+});
+
+app.patch('/api/tasks/:id(\\d+)', handleUpdateTask);
+app.delete('/api/tasks/:id(\\d+)', handleDeleteTask);
+
+// Status enum and the allowed-transitions table
+app.get('/api/config/task-transitions', (req, res) => {
+  res.json({ statuses: STATUSES, legacy: LEGACY_STATUSES, transitions: statusMachine.transitions });
+});
+
+app.post('/api/config/task-transitions', (req, res) => {
+  try {
+    const errors = statusMachine.save(req.body && req.body.transitions);
+    if (errors.length) {
+      return sendTaskError(res, 400, 'Invalid transitions table', errors);
+    }
+    res.json({ success: true, transitions: statusMachine.transitions });
+  } catch (err) {
+    console.log('⚠️  Error saving task transitions config:', err.message);
+    sendTaskError(res, 500, 'Failed to save transitions table');
+  }
 });
 
+// Legacy aliases used by agent curl scripts. Those scripts send extra fields
+// (id, timestamps, ...) that the legacy routes ignore rather than reject.
+function legacyTaskRoute(req, res, next) {
+  req.legacyTaskRoute = true;
+  next();
+}
+
+app.post('/api/tasks/add', legacyTaskRoute, handleCreateTask);
+app.post('/api/tasks/update/:id(\\d+)', legacyTaskRoute, handleUpdateTask);
+app.post('/api/tasks/delete/:id(\\d+)', legacyTaskRoute, handleDeleteTask);
+
 // ─── Analytics API ──────────────────────────────────────────────────────────
 app.get('/api/analytics/model-usage', (req, res) => {
   const usage = getModelUsagePercents();
@@ -2507,11 +2953,82 @@ app.get('/api/analytics/history', (req, res) => {
   res.json({ success: true, data: modelHistory });
 });
 
+// Daily cost snapshots: ?since=&until= (YYYY-MM-DD, oldest first)
+app.get('/api/analytics/cost-history', (req, res) => {
+  const errors = ['since', 'until']
+    .filter(key => req.query[key] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(req.query[key]))
+    .map(key => `${key}: must be a YYYY-MM-DD date`);
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: 'Invalid query', details: errors });
+  }
+  res.json({ success: true, data: costHistory.list({ since: req.query.since, until: req.query.until }) });
+});
+
+// Agent of a stored usage row; keys that are not configured agents stay separate
+function agentGroupOf(row) {
+  const agent = row.api_key_id && apiKeyIdToAgent.get(row.api_key_id);
+  if (agent) return { key: agent.slug || agent.name.toLowerCase(), label: agent.name };
+  const known = row.api_key_id && orgKeyNames.get(row.api_key_id);
+  if (known) return { key: row.api_key_id, label: `${known.name} (unassigned)` };
+  return row.api_key_id ? { key: row.api_key_id, label: `Key …${row.api_key_id.slice(-8)}` } : { key: 'org', label: 'Organization' };
+}
+
+// Cost series for the analytics view: ?since=&until=&groupBy=agent|model|apiKey
+app.get('/api/analytics/costs', (req, res) => {
+  const { value, errors } = parseCostQuery(req.query);
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: 'Invalid query', details: errors });
+  }
+
+  const days = costHistory.list(value);
+  if (todayCostDay && todayCostDay.date >= value.since && todayCostDay.date <= value.until) {
+    days.push(todayCostDay);
+  }
+  const groupOf = {
+    agent: agentGroupOf,
+    model: row => {
+      const tier = resolveModelTier(row.model);
+      return { key: tier, label: tier };
+    },
+    apiKey: row => ({ key: row.api_key_id || 'org', label: row.api_key_id || 'Organization' })
+  }[value.groupBy];
+
+  res.json({ success: true, data: summarizeCosts(days, { ...value, groupOf }) });
+});
+
+// Estimated vs billed cost per day and agent:
+// ?since=&until=&tolerancePct=&toleranceUsd= (a day is flagged past both)
+app.get('/api/analytics/reconciliation', (req, res) => {
+  const { value, errors } = parseReconciliationQuery(req.query);
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: 'Invalid query', details: errors });
+  }
+
+  const days = costHistory.list(value);
+  if (todayCostDay && todayCostDay.date >= value.since && todayCostDay.date <= value.until) {
+    days.push(todayCostDay);
+  }
+  res.json({ success: true, data: reconcileCosts(days, { ...value, groupOf: agentGroupOf }) });
+});
+
+// Month-end forecast; `threshold` overrides the configured cost alert threshold
+// for the crossing date
+app.get('/api/analytics/forecast', (req, res) => {
+  let threshold = costAlertThreshold;
+  if (req.query.threshold !== undefined) {
+    threshold = parseFloat(req.query.threshold);
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      return res.status(400).json({ success: false, error: 'Invalid query', details: ['threshold: must be a positive number'] });
+    }
+  }
+  res.json({ success: true, data: { threshold, ...buildForecast(threshold) } });
+});
+
 // ─── CSV Export (Feature 9) ──────────────────────────────────────────────────
 app.get('/api/analytics/export-csv', async (req, res) => {
     try {
         const hasAgents = agentsConfig.agents && agentsConfig.agents.length > 0;
-        const allTimeData = await fetchAllTimeCosts(null, hasAgents);
+        const allTimeData = historicalUsage(hasAgents) || await fetchAllTimeCosts(hasAgents);
         const todayData = await fetchTodaysUsage(hasAgents);
 
         const allBreakdown = [
@@ -2549,38 +3066,35 @@ app.get('/api/analytics/export-csv', async (req, res) => {
 });
 
 // Task events history (perpetual audit log)
+// GET /api/tasks/events?agent=&type=&taskId=&since=&until=&limit= (newest first)
 app.get('/api/tasks/events', async (req, res) => {
-  if (!supabaseReady) {
-    return res.json({ success: true, data: [] });
+  const { value, errors } = parseEventQuery(req.query);
+  if (errors.length) {
+    return sendTaskError(res, 400, 'Invalid query', errors);
   }
 
   try {
-    const { data, error } = await supabase
-      .from('task_events')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(100);
+    const data = await activeStore().taskEvents.list(value);
+    res.json({ success: true, data });
+  } catch (err) {
+    sendTaskError(res, 500, err.message);
+  }
+});
 
-    if (error) throw error;
+// Full history of one task, oldest first (works for deleted tasks too)
+app.get('/api/tasks/:id(\\d+)/events', async (req, res) => {
+  try {
+    const data = await activeStore().taskEvents.list({ taskId: Number(req.params.id), ascending: true, limit: 1000 });
     res.json({ success: true, data });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendTaskError(res, 500, err.message);
   }
 });
 
 // Agent sessions
 app.get('/api/agents/sessions', async (req, res) => {
-  if (!supabaseReady) {
-    return res.json({ success: true, data: [] });
-  }
-
   try {
-    const { data, error } = await supabase
-      .from('agent_sessions')
-      .select('*')
-      .order('last_heartbeat', { ascending: false });
-
-    if (error) throw error;
+    const data = await activeStore().agentSessions.list();
     res.json({ success: true, data });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -2595,7 +3109,7 @@ app.post('/api/agents/heartbeat', async (req, res) => {
         return res.status(400).json({ error: 'agent name is required' });
     }
 
-    const slug = agent.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const slug = agentSlug(agent);
     agentHeartbeats[slug] = {
         name: agent,
         status: status || 'active',
@@ -2605,24 +3119,29 @@ app.post('/api/agents/heartbeat', async (req, res) => {
         lastSeen: Date.now()
     };
 
-    // Upsert to Supabase agent_sessions if available
-    if (supabaseReady) {
-        try {
-            await supabase.from('agent_sessions').upsert({
-                agent: slug,
-                machine: machine || os.hostname(),
-                status: status || 'active',
-                current_task: currentTask || null,
-                current_model: model || null,
-                last_heartbeat: new Date().toISOString()
-            }, { onConflict: 'agent,machine' });
-        } catch (err) {
-            console.log('⚠️  Heartbeat upsert error:', err.message);
-        }
+    // Upsert to agent_sessions (Supabase or the local store)
+    try {
+        await activeStore().agentSessions.upsert({
+            agent: slug,
+            machine: machine || os.hostname(),
+            status: status || 'active',
+            current_task: currentTask || null,
+            current_model: model || null,
+            last_heartbeat: new Date().toISOString()
+        });
+    } catch (err) {
+        console.log('⚠️  Heartbeat upsert error:', err.message);
     }
 
     broadcastAgentActivity();
-    res.json({ success: true });
+    res.json({ success: true, directive: issueDirective(slug, { via: 'heartbeat', model }) });
+});
+
+// ─── Budget Directive Endpoint ──────────────────────────────────────────────
+// Agents poll this (optionally with ?model=<what they run now>) and act on
+// the returned action: continue, downgrade to `model`, or pause.
+app.get('/api/agents/:agent/directive', (req, res) => {
+    res.json({ success: true, directive: issueDirective(req.params.agent, { via: 'poll', model: req.query.model || null }) });
 });
 
 // ─── Cost Threshold Config (Feature 1) ──────────────────────────────────────
@@ -2644,13 +3163,204 @@ app.post('/api/config/cost-threshold', (req, res) => {
     // Re-evaluate threshold against current projection
     if (tokenMetrics.projectedMonthly !== undefined) {
         tokenMetrics.costAlertThreshold = costAlertThreshold;
-        tokenMetrics.thresholdExceeded = costAlertThreshold && tokenMetrics.projectedMonthly > costAlertThreshold;
+        updateForecast();
         broadcast({ type: 'tokenMetrics', data: tokenMetrics });
     }
 
     res.json({ success: true, threshold: costAlertThreshold });
 });
 
+// ─── Pricing Catalog Config ─────────────────────────────────────────────────
+app.get('/api/config/pricing', (req, res) => {
+    res.json({ success: true, catalog: pricingCatalog.list(), isDefault: pricingCatalog.isDefault(), tiers: TIERS });
+});
+
+// { catalog: [...] } replaces the catalog, { reset: true } restores the defaults.
+// Stored cost history is re-estimated at the new prices.
+app.post('/api/config/pricing', async (req, res) => {
+    let errors = [];
+    if (req.body && req.body.reset) {
+        pricingCatalog.reset();
+    } else {
+        errors = pricingCatalog.save(req.body && req.body.catalog);
+    }
+    if (errors.length) {
+        return res.status(400).json({ success: false, error: 'Invalid pricing catalog', details: errors });
+    }
+
+    try {
+        const repriced = await costHistory.reprice(calculateCost);
+        console.log(`💲 Re-estimated ${repriced} day(s) of cost history at the new prices`);
+    } catch (error) {
+        console.log(`⚠️  Error re-estimating cost history (${localStore.kind} store):`, error.message);
+    }
+    updateTokenMetrics();
+    res.json({ success: true, catalog: pricingCatalog.list(), isDefault: pricingCatalog.isDefault() });
+});
+
+// ─── Stuck-task Watchdog Config ─────────────────────────────────────────────
+app.get('/api/config/stuck-watchdog', (req, res) => {
+    res.json({ success: true, settings: watchdogSettings });
+});
+
+app.post('/api/config/stuck-watchdog', (req, res) => {
+    const { value, errors } = validateWatchdogSettings(req.body, watchdogSettings);
+    if (errors.length) {
+        return res.status(400).json({ success: false, error: 'Invalid watchdog settings', details: errors });
+    }
+
+    watchdogSettings = value;
+    const currentConfig = loadConfig() || {};
+    currentConfig.stuckWatchdog = watchdogSettings;
+    saveConfig(currentConfig);
+
+    console.log(`✅ Stuck-task watchdog ${watchdogSettings.enabled ? `on (idle ${watchdogSettings.idleMinutes} min, heartbeat ${watchdogSettings.heartbeatStaleMinutes} min)` : 'off'}`);
+    runStuckTaskWatchdog();
+    res.json({ success: true, settings: watchdogSettings });
+});
+
+// ─── Budgets Config ─────────────────────────────────────────────────────────
+app.get('/api/config/budgets', (req, res) => {
+    res.json({ success: true, budgets, status: tokenMetrics.budgets || [] });
+});
+
+app.post('/api/config/budgets', (req, res) => {
+    const { value, errors } = validateBudgets(req.body && req.body.budgets);
+    if (errors.length) {
+        return res.status(400).json({ success: false, error: 'Invalid budgets', details: errors });
+    }
+
+    budgets = value;
+    const currentConfig = loadConfig() || {};
+    currentConfig.budgets = budgets;
+    saveConfig(currentConfig);
+
+    console.log(`✅ Saved ${budgets.length} budget(s)`);
+    updateBudgetStatus();
+    broadcast({ type: 'tokenMetrics', data: tokenMetrics });
+    res.json({ success: true, budgets, status: tokenMetrics.budgets });
+});
+
+// ─── Budget Directive Policies ──────────────────────────────────────────────
+app.get('/api/config/directive-policies', (req, res) => {
+    res.json({ success: true, policies: directivePolicies, defaultPolicy: DEFAULT_POLICY, actions: DIRECTIVE_ACTIONS });
+});
+
+app.post('/api/config/directive-policies', (req, res) => {
+    const { value, errors } = validateDirectivePolicies(req.body && req.body.policies);
+    if (errors.length) {
+        return res.status(400).json({ success: false, error: 'Invalid directive policies', details: errors });
+    }
+
+    directivePolicies = value;
+    const currentConfig = loadConfig() || {};
+    currentConfig.directivePolicies = directivePolicies;
+    saveConfig(currentConfig);
+
+    console.log(`✅ Saved ${directivePolicies.length} directive polic${directivePolicies.length === 1 ? 'y' : 'ies'}`);
+    refreshDirectives();
+    res.json({ success: true, policies: directivePolicies });
+});
+
+app.get('/api/budgets/directives', (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const agent = req.query.agent ? agentSlug(req.query.agent) : null;
+    res.json({ success: true, data: directiveAudit.list({ agent, limit }) });
+});
+
+// ─── Alerts API ─────────────────────────────────────────────────────────────
+app.get('/api/alerts', (req, res) => {
+    const status = req.query.status || 'active';
+    if (!['active', 'open', 'acknowledged', 'resolved', 'all'].includes(status)) {
+        return res.status(400).json({ success: false, error: 'Invalid query', details: ['status: must be active, open, acknowledged, resolved or all'] });
+    }
+    res.json({ success: true, data: alertManager.list({ status }) });
+});
+
+app.post('/api/alerts/test', async (req, res) => {
+    try {
+        res.json({ success: true, results: await alertManager.test() });
+    } catch (err) {
+        console.log('⚠️  Error sending test alert:', err.message);
+        res.status(500).json({ success: false, error: 'Failed to send test alert' });
+    }
+});
+
+app.post('/api/alerts/:id/:action(acknowledge|resolve)', (req, res) => {
+    const actor = req.get('X-Agent') || (req.body && req.body.by) || 'dashboard';
+    const alert = req.params.action === 'acknowledge'
+        ? alertManager.acknowledge(req.params.id, actor)
+        : alertManager.resolve(req.params.id, actor);
+    if (!alert) {
+        return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+    res.json({ success: true, alert });
+});
+
+app.get('/api/config/alerting', (req, res) => {
+    res.json({ success: true, settings: alertingSettings });
+});
+
+app.post('/api/config/alerting', (req, res) => {
+    const { value, errors } = validateAlertingSettings(req.body, alertingSettings, { mailDir: MAIL_DIR });
+    if (errors.length) {
+        return res.status(400).json({ success: false, error: 'Invalid alerting settings', details: errors });
+    }
+
+    alertingSettings = value;
+    const currentConfig = loadConfig() || {};
+    currentConfig.alerting = alertingSettings;
+    saveConfig(currentConfig);
+
+    console.log(`✅ Alerting settings saved (${alertingSettings.channels.length} channel(s))`);
+    res.json({ success: true, settings: alertingSettings });
+});
+
+// ─── Log Sources Config ─────────────────────────────────────────────────────
+// Sources with the files each currently matches on this machine
+function describeLogSources() {
+    const hostname = os.hostname();
+    return logSources.sources.map(source => ({
+        ...source,
+        activeHere: source.enabled && (!source.machine || source.machine === hostname),
+        files: source.paths.flatMap(expandSource).filter(logSources.allowsPath)
+    }));
+}
+
+app.get('/api/config/log-sources', (req, res) => {
+    res.json({
+        success: true,
+        sources: describeLogSources(),
+        formats: ['auto', ...logParser.formats],
+        logDirs: logSources.logDirs,
+        machine: os.hostname()
+    });
+});
+
+app.post('/api/config/log-sources', (req, res) => {
+    const errors = logSources.save(req.body && req.body.sources, { formats: logParser.formats });
+    if (errors.length) {
+        return res.status(400).json({ success: false, error: 'Invalid log sources', details: errors });
+    }
+
+    // The tailer picks up the new list on its next poll
+    broadcast({ type: 'logSources', data: logSources.sources });
+    res.json({ success: true, sources: describeLogSources() });
+});
+
+// ─── Log Alert Rules Config ─────────────────────────────────────────────────
+app.get('/api/config/log-alerts', (req, res) => {
+    res.json({ success: true, rules: logAlertRules.rules });
+});
+
+app.post('/api/config/log-alerts', (req, res) => {
+    const errors = logAlertRules.save(req.body && req.body.rules);
+    if (errors.length) {
+        return res.status(400).json({ success: false, error: 'Invalid log alert rules', details: errors });
+    }
+    res.json({ success: true, rules: logAlertRules.rules });
+});
+
 // ─── Status API ─────────────────────────────────────────────────────────────
 app.get('/api/status', (req, res) => {
   res.json({
@@ -2660,7 +3370,9 @@ app.get('/api/status', (req, res) => {
     currentModel,
     backupMetrics,
     projectInfo,
-    supabase: supabaseReady ? 'connected' : 'disconnected'
+    supabase: supabaseReady ? 'connected' : 'disconnected',
+    storage: STORAGE_BACKEND,
+    outbox: outbox.stats()
   });
 });
 
@@ -2668,34 +3380,76 @@ app.get('/api/metrics', (req, res) => {
   res.json(systemMetrics);
 });
 
-app.get('/api/logs', (req, res) => {
-  const logs = [
-    { level: 'info', message: 'OpenClaw gateway running on port 18789', timestamp: new Date().toISOString() },
-    { level: 'info', message: 'Atlas agent session active', timestamp: new Date().toISOString() },
-    { level: 'debug', message: 'Token usage: Haiku vs Sonnet optimization active', timestamp: new Date().toISOString() }
-  ];
-  res.json(logs);
+// Ring-buffer backfill: entries after a seq (oldest first)
+app.get('/api/logs/tail', (req, res) => {
+  const after = Number(req.query.after) || 0;
+  const limit = Math.min(Number(req.query.limit) || LIVE_LOG_BACKFILL, logTailer.buffer.capacity);
+  res.json({
+    success: true,
+    data: logTailer.buffer.since(after, limit),
+    lastSeq: logTailer.lastSeq,
+    files: logTailer.files
+  });
+});
+
+// Archived logs: ?since=&until=&level=&agent=&source=&q=&regex=&limit=&cursor= (newest first)
+app.get('/api/logs', async (req, res) => {
+  const { value, errors } = parseLogQuery(req.query);
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: 'Invalid query', details: errors });
+  }
+
+  try {
+    const { data, nextCursor } = await logArchive.query(value);
+    res.json({ success: true, data, nextCursor });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
 // ─── Async Startup ──────────────────────────────────────────────────────────
 async function startServer() {
     console.log('📊 Running async initialization...');
 
+    // Local store: replays the journal / opens the database
+    try {
+        await localStore.init();
+    } catch (error) {
+        console.log(`⚠️  Error opening ${localStore.kind} store:`, error.message);
+    }
+
+    try {
+        await costHistory.load();
+    } catch (error) {
+        console.log('⚠️  Error loading cost history:', error.message);
+    }
+
+    try {
+        await startMockApi();
+    } catch (error) {
+        console.log('⚠️  Error starting mock Admin API:', error.message);
+    }
+
     // Test Supabase connection
     if (supabase) {
         supabaseReady = await testSupabaseConnection();
     }
 
-    // Load data from Supabase (or fallback to files)
+    // Replay writes queued while offline before reading or migrating anything
+    if (supabaseReady) {
+        await flushOutbox({ force: true });
+    }
+
+    // Load data from Supabase (or fallback to the local store)
     manualTasks = await loadTasks();
     modelHistory = await loadModelHistory();
 
-    // Migrate file data to Supabase on first run
+    // Migrate local data to Supabase on first run
     if (supabaseReady) {
-        await migrateFileDataToSupabase();
+        await migrateLocalDataToSupabase();
         setupRealtimeSubscription();
-        sendHeartbeat(); // Initial heartbeat
     }
+    sendHeartbeat(); // Initial heartbeat
 
     // Run initial updates
     updateSystemMetrics();
@@ -2705,9 +3459,17 @@ async function startServer() {
     updateWorkQueue();
     updateTokenMetrics();
 
+    // Start following the gateway logs (polls every second); the first read
+    // overlaps what the previous run archived
+    logArchive.setReplayCutoff(await localStore.logs.latest().catch(() => null));
+    logTailer.start();
+    logArchive.setReplayCutoff(null);
+    pruneLogArchive();
+
     console.log('🎯 Server startup complete');
     console.log('   Project Info:', projectInfo);
-    console.log('   Supabase:', supabaseReady ? '✅ Connected' : '⚠️ Disconnected (using file fallback)');
+    console.log('   Storage:', STORAGE_BACKEND);
+    console.log('   Supabase:', supabaseReady ? '✅ Connected' : `⚠️ Disconnected (using ${localStore.kind} store)`);
     console.log('   Machine:', os.hostname());
 
     const PORT = process.env.PORT || 4002;
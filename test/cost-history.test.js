@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { addDays, openDay, createCostHistory } = require('../lib/cost-history');
+
+function memoryStore() {
+    const days = new Map();
+    return {
+        upsert: async list => list.forEach(day => days.set(day.date, day)),
+        list: async () => [...days.values()]
+    };
+}
+
+const usageRow = (date, cost) => ({ date, cost, uncached_input: 100, cache_read: 0, output: 10, model: 'claude-sonnet-4', api_key_id: 'key-1' });
+
+test('addDays crosses month ends in UTC', () => {
+    assert.equal(addDays('2026-01-31', 1), '2026-02-01');
+    assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+});
+
+test('openDay sums rows per model and key', () => {
+    const day = openDay('2026-02-10', [usageRow('2026-02-10', 1), usageRow('2026-02-10', 2), usageRow('2026-02-09', 5)]);
+    assert.equal(day.usage.length, 1);
+    assert.equal(day.usage[0].uncached_input_tokens, 200);
+    assert.equal(day.estimatedCost, 3);
+});
+
+test('usage is final three hours after the day ends', async () => {
+    const history = createCostHistory({ store: memoryStore(), start: '2026-02-01' });
+    const now = new Date('2026-02-03T02:00:00Z');
+    await history.recordUsage([usageRow('2026-02-01', 1), usageRow('2026-02-02', 2)], { from: '2026-02-01', scope: 'api_key_id', now });
+
+    assert.deepEqual(history.list().map(day => [day.date, day.estimatedCost, day.usageFinal]), [
+        ['2026-02-01', 1, true],
+        ['2026-02-02', 2, false]
+    ]);
+    assert.equal(history.firstOpenDay('usage', 'api_key_id', now), '2026-02-02');
+    // A different grouping has to be fetched again from the start
+    assert.equal(history.firstOpenDay('usage', 'org', now), '2026-02-01');
+});
+
+test('billed amounts settle after two days and are kept with the usage', async () => {
+    const store = memoryStore();
+    const history = createCostHistory({ store, start: '2026-02-01' });
+    const now = new Date('2026-02-04T01:00:00Z');
+    await history.recordUsage([usageRow('2026-02-01', 1)], { from: '2026-02-01', scope: 'org', now });
+    await history.recordBilled([{ date: '2026-02-01', cost: 1.2 }], { from: '2026-02-01', now });
+
+    const [first, second] = history.list();
+    assert.equal(first.estimatedCost, 1);
+    assert.equal(first.billedCost, 1.2);
+    assert.equal(first.billedFinal, true);
+    assert.equal(second.billedCost, 0);
+    assert.equal(second.billedFinal, false);
+    assert.equal(history.firstOpenDay('billed', null, now), '2026-02-02');
+    assert.deepEqual(history.billedTotals(), { actualCost: 1.2, dailyBreakdown: [{ date: '2026-02-01', cost: 1.2 }] });
+
+    const reloaded = createCostHistory({ store, start: '2026-02-01' });
+    await reloaded.load();
+    assert.equal(reloaded.list().length, 3);
+});
+
+test('reprice re-estimates stored usage', async () => {
+    const history = createCostHistory({ store: memoryStore(), start: '2026-02-01' });
+    await history.recordUsage([usageRow('2026-02-01', 1)], { from: '2026-02-01', scope: 'org', now: new Date('2026-02-02T12:00:00Z') });
+    await history.reprice(row => row.output_tokens * 0.5);
+    assert.equal(history.list()[0].estimatedCost, 5);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogParser, regexFormat, MAX_CONTINUATION_LINES } = require('../lib/log-parser');
+
+const AGENTS = ['atlas', 'nate'];
+const parser = () => createLogParser({ resolveAgent: name => (AGENTS.includes(name.toLowerCase()) ? name.toLowerCase() : null) });
+
+test('gateway text lines give level, tags and payload', () => {
+    const entry = parser().parseLine('2026-02-22T10:15:03.123Z [WARN] [gateway/ws] [agent:Atlas] [session:abc] slow peer {"ms":900}');
+    assert.equal(entry.format, 'gateway');
+    assert.equal(entry.timestamp, '2026-02-22T10:15:03.123Z');
+    assert.equal(entry.level, 'warning');
+    assert.equal(entry.component, 'gateway/ws');
+    assert.equal(entry.agent, 'atlas');
+    assert.equal(entry.sessionId, 'abc');
+    assert.equal(entry.message, 'slow peer');
+    assert.deepEqual(entry.payload, { ms: 900 });
+});
+
+test('tslog JSON lines are understood', () => {
+    const line = JSON.stringify({ 0: 'tick done', 1: { agent: 'nate' }, _meta: { date: '2026-02-22T10:00:00Z', logLevelName: 'ERROR', name: '{"subsystem":"cron"}' } });
+    const entry = parser().parseLine(line);
+    assert.equal(entry.format, 'json');
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.component, 'cron');
+    assert.equal(entry.agent, 'nate');
+    assert.equal(entry.message, 'tick done');
+});
+
+test('sessions remember their agent for later lines', () => {
+    const logs = parser();
+    logs.parseLine('2026-02-22T10:00:00Z INFO agent=atlas session=s1 start');
+    assert.equal(logs.parseLine('2026-02-22T10:00:01Z INFO session=s1 step').agent, 'atlas');
+    assert.equal(logs.parseLine('2026-02-22T10:00:01Z INFO session=s2 step').agent, 'unknown');
+});
+
+test('custom regex formats are tried first', () => {
+    const logs = parser();
+    logs.addFormat(regexFormat({ name: 'short', pattern: '^(?<level>[A-Z]+): (?<message>.*)$' }));
+    const entry = logs.parseLine('ERROR: disk full');
+    assert.equal(entry.format, 'short');
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.message, 'disk full');
+});
+
+test('unrecognised lines continue the previous entry', () => {
+    const entries = parser().parseLines('2026-02-22T10:00:00Z ERROR boom\n    at a.js:1\n    at b.js:2\n');
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].message, 'boom\n    at a.js:1\n    at b.js:2');
+});
+
+test('continuations past the cap start a new entry', () => {
+    const logs = parser();
+    const [first] = logs.parseLines('2026-02-22T10:00:00Z ERROR boom');
+    const trace = Array.from({ length: MAX_CONTINUATION_LINES + 5 }, (_, i) => `  at frame ${i}`).join('\n');
+    const more = logs.parseLines(trace, first);
+    assert.equal(first.raw.split('\n').length, MAX_CONTINUATION_LINES + 1);
+    assert.equal(more.length, 1);
+    assert.equal(more[0].raw.split('\n').length, 5);
+    assert.equal(more[0].timestamp, first.timestamp);
+});
+
+test('the plain format makes every line an entry', () => {
+    const entries = parser().parseLines('first\n[agent:nate] second\nthird', null, { format: 'plain', agent: 'atlas' });
+    assert.deepEqual(entries.map(e => e.message), ['first', 'second', 'third']);
+    assert.deepEqual(entries.map(e => e.agent), ['atlas', 'nate', 'atlas']);
+    assert.equal(entries[0].timestamp, null);
+});
+
+test('the plain format is never used under auto', () => {
+    const logs = parser();
+    assert.ok(logs.formats.includes('plain'));
+    assert.equal(logs.parseLine('no header here'), null);
+});
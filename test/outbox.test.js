@@ -0,0 +1,89 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOutbox } = require('../lib/outbox');
+
+const dirs = [];
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    dirs.push(dir);
+    return dir;
+}
+
+function tempOutbox(options = {}) {
+    const file = path.join(tempDir(), 'outbox.json');
+    return { file, outbox: createOutbox({ file, baseDelayMs: 1000, ...options }) };
+}
+
+test('entries replay in order and survive a restart', async () => {
+    const { file, outbox } = tempOutbox();
+    outbox.enqueue({ table: 'tasks', op: 'insert', taskId: 1 });
+    outbox.enqueue({ table: 'task_events', op: 'insert', taskId: 1 });
+
+    const reloaded = createOutbox({ file });
+    reloaded.load();
+    assert.equal(reloaded.size(), 2);
+
+    const applied = [];
+    const { replayed } = await reloaded.flush(async entry => { applied.push(entry.table); });
+    assert.equal(replayed, 2);
+    assert.deepEqual(applied, ['tasks', 'task_events']);
+    assert.equal(reloaded.size(), 0);
+});
+
+test('a failure stops the run and backs off', async () => {
+    const { outbox } = tempOutbox();
+    outbox.enqueue({ table: 'tasks', op: 'update', taskId: 1 });
+    outbox.enqueue({ table: 'tasks', op: 'update', taskId: 2 });
+
+    const { replayed } = await outbox.flush(async () => { throw new Error('offline'); });
+    assert.equal(replayed, 0);
+    assert.equal(outbox.size(), 2);
+    assert.equal(outbox.stats().lastError, 'offline');
+    // Within the backoff nothing is tried unless forced
+    assert.deepEqual(await outbox.flush(async () => null), { replayed: 0 });
+});
+
+test('a successful replay resets the backoff', async () => {
+    const { outbox } = tempOutbox();
+    ['a', 'b', 'c'].forEach(op => outbox.enqueue({ table: 'tasks', op }));
+
+    await outbox.flush(async () => { throw new Error('down'); }, { force: true });
+    await outbox.flush(async () => { throw new Error('down'); }, { force: true });
+    await outbox.flush(async entry => { if (entry.op === 'b') throw new Error('down'); }, { force: true });
+
+    const delay = Date.parse(outbox.stats().nextAttemptAt) - Date.now();
+    assert.ok(delay <= 1000, `expected the base delay, got ${delay}ms`);
+});
+
+test('entries that keep failing are parked', async () => {
+    const { outbox } = tempOutbox({ maxAttempts: 2 });
+    outbox.enqueue({ table: 'tasks', op: 'update', taskId: 1 });
+    outbox.enqueue({ table: 'tasks', op: 'update', taskId: 2 });
+
+    const fail = async entry => { if (entry.taskId === 1) throw new Error('bad row'); };
+    await outbox.flush(fail, { force: true });
+    const { replayed } = await outbox.flush(fail, { force: true });
+    assert.equal(replayed, 1);
+    assert.equal(outbox.stats().dead, 1);
+    assert.equal(outbox.size(), 0);
+});
+
+test('conflicts are recorded and the entry dropped', async () => {
+    const { outbox } = tempOutbox();
+    outbox.enqueue({ table: 'tasks', op: 'update', taskId: 9 });
+    await outbox.flush(async () => ({ conflict: 'remote row changed' }));
+    assert.equal(outbox.stats().conflicts, 1);
+    assert.equal(outbox.stats().recentConflicts[0].taskId, 9);
+});
+
+test('remapTaskId points queued writes at the new id', () => {
+    const { outbox } = tempOutbox();
+    outbox.enqueue({ table: 'tasks', op: 'insert', taskId: 'local-1' });
+    outbox.enqueue({ table: 'task_events', op: 'insert', taskId: 'local-1' });
+    assert.equal(outbox.remapTaskId('local-1', 42), 2);
+});
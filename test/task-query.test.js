@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTaskInput, parseListQuery, queryTasks } = require('../lib/task-query');
+
+test('validateTaskInput requires title, description and status on create', () => {
+    const { errors } = validateTaskInput({});
+    assert.deepEqual(errors, ['title: is required', 'description: is required', 'status: is required']);
+});
+
+test('validateTaskInput normalizes status, progress and relations', () => {
+    const { value, errors } = validateTaskInput({
+        title: 'Ship it',
+        description: '',
+        status: 'done',
+        progress: '42.4',
+        parentId: '7',
+        dependsOn: [3, '3', 4]
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { title: 'Ship it', description: '', status: 'COMPLETE', progress: 42, parentId: 7, dependsOn: [3, 4] });
+});
+
+test('validateTaskInput only accepts integer ids', () => {
+    [true, [1], '1e2', 1.5, 0, '-1', ''].forEach(parentId => {
+        const { errors } = validateTaskInput({ parentId }, { partial: true });
+        assert.equal(errors.length, 1, `parentId ${JSON.stringify(parentId)}`);
+    });
+});
+
+test('validateTaskInput rejects unknown fields unless told to ignore them', () => {
+    assert.deepEqual(validateTaskInput({ progress: 5, id: 3 }, { partial: true }).errors, ['id: unknown field']);
+    const { value, errors } = validateTaskInput({ progress: 5, id: 3 }, { partial: true, ignoreUnknown: true });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { progress: 5 });
+});
+
+test('validateTaskInput needs at least one field on update', () => {
+    assert.equal(validateTaskInput({}, { partial: true }).errors.length, 1);
+});
+
+test('parseListQuery reports bad sort, limit and status', () => {
+    const { errors } = parseListQuery({ sort: 'nope', limit: '0', status: 'ACTIVE,bogus' });
+    assert.equal(errors.length, 3);
+    assert.match(errors[2], /bogus/i);
+});
+
+test('queryTasks filters, sorts and pages with a cursor', () => {
+    const tasks = [1, 2, 3, 4, 5].map(id => ({
+        id,
+        title: `Task ${id}`,
+        status: id % 2 ? 'ACTIVE' : 'COMPLETE',
+        agent: id < 4 ? 'Atlas' : 'nate',
+        createdAt: `2026-02-0${id}T00:00:00Z`
+    }));
+
+    const { value } = parseListQuery({ agent: 'atlas', limit: '1', sort: 'createdAt' });
+    const first = queryTasks(tasks, value);
+    assert.equal(first.total, 3);
+    assert.deepEqual(first.data.map(t => t.id), [1]);
+
+    const second = queryTasks(tasks, parseListQuery({ agent: 'atlas', limit: '1', sort: 'createdAt', cursor: first.nextCursor }).value);
+    assert.deepEqual(second.data.map(t => t.id), [2]);
+
+    const done = queryTasks(tasks, parseListQuery({ status: 'done' }).value);
+    assert.deepEqual(done.data.map(t => t.id), [4, 2]);
+    assert.equal(done.nextCursor, null);
+});
@@ -0,0 +1,54 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeStatus, normalizeTask, isKnownStatus, createStatusMachine } = require('../lib/task-status');
+
+const dirs = [];
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-status-'));
+    dirs.push(dir);
+    return dir;
+}
+
+function tempFile(name) {
+    return path.join(tempDir(), name);
+}
+
+test('normalizeStatus uppercases and maps legacy spellings', () => {
+    assert.equal(normalizeStatus(' queue '), 'BACKLOG');
+    assert.equal(normalizeStatus('Completed'), 'COMPLETE');
+    assert.equal(normalizeStatus('in_progress'), 'IN_PROGRESS');
+    assert.equal(normalizeStatus('whatever'), 'WHATEVER');
+    assert.equal(isKnownStatus('whatever'), false);
+    assert.equal(isKnownStatus('done'), true);
+});
+
+test('normalizeTask only copies tasks whose status changes', () => {
+    const task = { id: 1, status: 'ACTIVE' };
+    assert.equal(normalizeTask(task), task);
+    assert.deepEqual(normalizeTask({ id: 1, status: 'done' }), { id: 1, status: 'COMPLETE' });
+});
+
+test('status machine follows the default transitions', () => {
+    const machine = createStatusMachine({ file: tempFile('transitions.json') });
+    assert.equal(machine.canTransition('BACKLOG', 'ACTIVE'), true);
+    assert.equal(machine.canTransition('BACKLOG', 'COMPLETE'), false);
+    assert.equal(machine.canTransition('COMPLETE', 'done'), true);
+    assert.equal(machine.canTransition('SOMETHING_OLD', 'COMPLETE'), true);
+});
+
+test('status machine saves a valid table and rejects unknown statuses', () => {
+    const file = tempFile('transitions.json');
+    const machine = createStatusMachine({ file });
+    assert.deepEqual(machine.save({ BACKLOG: ['NOPE'] }), ['BACKLOG → NOPE: unknown status']);
+    assert.deepEqual(machine.save({ BACKLOG: ['ACTIVE', 'COMPLETE'] }), []);
+    assert.equal(machine.canTransition('BACKLOG', 'COMPLETE'), true);
+
+    const reloaded = createStatusMachine({ file });
+    reloaded.load();
+    assert.deepEqual(reloaded.allowedFrom('queued'), ['ACTIVE', 'COMPLETE']);
+});